@@ -0,0 +1,116 @@
+/**
+ * @file dnsChecker.js
+ * @module dnsChecker
+ * @description DNS pre-check: resolves domains before a browser page is spent on them
+ */
+
+const dns = require('dns');
+const { debugVerbose } = require('../utils/logger');
+const { DNS_TIMEOUT } = require('../config/defaults');
+const { getBaseDomain } = require('../parsers/domainExtractor');
+
+/** @constant {*} DNS_STATUSES - pre-check outcomes, with the report reason of each failure */
+
+const DNS_STATUSES = {
+	resolved: null,
+	NXDOMAIN: 'DNS NXDOMAIN (domain does not exist)',
+	NODATA: 'DNS NODATA (no A/AAAA records)',
+	SERVFAIL: 'DNS SERVFAIL (nameservers failed to answer)',
+	TIMEOUT: 'DNS TIMEOUT (no answer from the resolver)',
+	ERROR: 'DNS lookup failed',
+};
+
+/** @constant {*} DNS_ERROR_STATUSES - Node resolver error codes by pre-check status */
+
+const DNS_ERROR_STATUSES = {
+	[dns.NOTFOUND]: 'NXDOMAIN',
+	[dns.NODATA]: 'NODATA',
+	[dns.SERVFAIL]: 'SERVFAIL',
+	[dns.TIMEOUT]: 'TIMEOUT',
+};
+
+/**
+ * Create dns resolver
+ * @param {*} options - { servers, timeout (ms), tries }; without servers the system resolvers are used
+ * @returns {*} dns.promises.Resolver
+ */
+
+function createDnsResolver(options = {}) {
+	const resolver = new dns.promises.Resolver({ timeout: options.timeout || DNS_TIMEOUT * 1000, tries: options.tries || 2 });
+
+	if (options.servers && options.servers.length > 0) {
+		resolver.setServers(options.servers);
+	}
+
+	return resolver;
+}
+
+/**
+ * Classify dns error
+ * @param {*} error - Error thrown by a dns.promises.Resolver query
+ * @returns {*} NXDOMAIN, NODATA, SERVFAIL, TIMEOUT or ERROR (refused, bad response, ...)
+ */
+
+function classifyDnsError(error) {
+	return DNS_ERROR_STATUSES[error && error.code] || 'ERROR';
+}
+
+/**
+ * Resolve domain (async)
+ * - Queries A, AAAA and CNAME at once; either address family is enough
+ * @param {*} resolver - Parameter resolver (see createDnsResolver)
+ * @param {*} domain - Parameter domain
+ * @returns {Promise<*>} { status, reason, addresses, cname } where status is a DNS_STATUSES key
+ */
+
+async function resolveDomain(resolver, domain) {
+	const [ipv4, ipv6, cname] = await Promise.allSettled([
+		resolver.resolve4(domain),
+		resolver.resolve6(domain),
+		resolver.resolveCname(domain),
+	]);
+
+	const addresses = [ipv4, ipv6].flatMap(result => (result.status === 'fulfilled' ? result.value : []));
+	const target = cname.status === 'fulfilled' && cname.value.length > 0 ? cname.value[0] : null;
+
+	if (addresses.length > 0) {
+		debugVerbose(`DNS ${domain}: ${addresses.join(', ')}${target ? ` (CNAME ${target})` : ''}`);
+		return { status: 'resolved', reason: null, addresses, cname: target };
+	}
+
+	// The worst answer wins: a missing name is final, a failing server is not
+	const statuses = [ipv4, ipv6].map(result => classifyDnsError(/** @type {*} */ (result).reason));
+	const status = ['NXDOMAIN', 'SERVFAIL', 'TIMEOUT', 'ERROR'].find(s => statuses.includes(s)) || 'NODATA';
+
+	debugVerbose(`DNS ${domain}: ${status}${target ? ` (dangling CNAME ${target})` : ''}`);
+	return {
+		status,
+		reason: target ? `${DNS_STATUSES[status]} - CNAME to ${target}` : DNS_STATUSES[status],
+		addresses: [],
+		cname: target,
+	};
+}
+
+/**
+ * Lookup nameservers (async)
+ * @param {*} resolver - Parameter resolver (see createDnsResolver)
+ * @param {*} domain - Parameter domain
+ * @returns {Promise<*>} Nameservers of the domain's zone (the registrable domain), or [] if the lookup fails
+ */
+
+async function lookupNameservers(resolver, domain) {
+	try {
+		return await resolver.resolveNs(getBaseDomain(domain));
+	} catch (error) {
+		debugVerbose(`DNS NS ${domain}: ${classifyDnsError(error)}`);
+		return [];
+	}
+}
+
+module.exports = {
+	DNS_STATUSES,
+	createDnsResolver,
+	classifyDnsError,
+	resolveDomain,
+	lookupNameservers,
+};
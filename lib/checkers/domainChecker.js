@@ -4,18 +4,35 @@
  * @description Part of the Cleaner-Adblock domain scanner utility
  */
 
-const { RateLimiter } = require('limiter');
 const PagePool = require('../utils/pagePool');
-const { USER_AGENT, MAX_REQUESTS_PER_MINUTE, MAX_VARIANT_ATTEMPTS, MAX_RETRIES_PER_ERROR_TYPE } = require('../config/defaults');
+const DomainFeed = require('../utils/domainFeed');
+const HostScheduler = require('../utils/hostScheduler');
+const {
+	USER_AGENT,
+	MAX_VARIANT_ATTEMPTS,
+	MAX_RETRIES_PER_ERROR_TYPE,
+	CLIENT_REDIRECT_WAIT,
+	MAX_CLIENT_REDIRECTS,
+} = require('../config/defaults');
 const { getBaseDomain } = require('../parsers/domainExtractor');
 const { debugVerbose, debugBrowser, debugNetwork, truncateError } = require('../utils/logger');
 const { createProgressBar, incrementProgress } = require('../utils/progressBar');
 const { createRollingOutput, addLine, finishRollingOutput, rerender } = require('../utils/rollingOutput');
 const { expandDomainsWithWww } = require('./variants/wwwHandler');
+const { resolveDomain, lookupNameservers } = require('./dnsChecker');
+const { probeUrl, needsBrowser } = require('./httpProbe');
+const { detectWaf, formatWafReason } = require('./wafDetector');
+const { detectParkedPage, detectParkedDns, formatParkingReason } = require('./parkingDetector');
+const { createStatusPolicy, applyStatusPolicy } = require('./statusPolicy');
+const { detectClientRedirect, isPermanentRedirect } = require('./redirectChain');
 const { formatDomainCheckTree } = require('../utils/treeFormatter');
+const { Throttle, parseRetryAfter } = require('../utils/throttle');
 
-// Create rate limiter (shared across all requests)
-const rateLimiter = new RateLimiter({ tokensPerInterval: MAX_REQUESTS_PER_MINUTE, interval: 'minute' });
+// Throttle of callers that do not pass one (the default rate and backoff)
+const defaultThrottle = new Throttle();
+
+// Status policy of callers that do not pass one (the built-in rules)
+const defaultStatusPolicy = createStatusPolicy();
 
 /**
  * Has subdomain
@@ -25,8 +42,7 @@ const rateLimiter = new RateLimiter({ tokensPerInterval: MAX_REQUESTS_PER_MINUTE
 
 function hasSubdomain(domain) {
 	const cleaned = domain.replace(/^www\./, '');
-	const dotCount = (cleaned.match(/\./g) || []).length;
-	return dotCount > 1;
+	return getBaseDomain(cleaned) !== cleaned.toLowerCase();
 }
 
 /**
@@ -36,10 +52,7 @@ function hasSubdomain(domain) {
  */
 
 function stripSubdomain(domain) {
-	const cleaned = domain.replace(/^www\./, '');
-	const parts = cleaned.split('.');
-	if (parts.length <= 2) return cleaned;
-	return parts.slice(-2).join('.');
+	return getBaseDomain(domain);
 }
 
 /**
@@ -181,6 +194,50 @@ function getSmartVariants(domain, errorCode, statusCode, lastUrl, httpsOnly = fa
 	return filterHttps([`http://${domain}`, `http://${wwwDomain}`]);
 }
 
+/**
+ * Read page snapshot (async)
+ * @param {*} page - Page after navigation
+ * @param {*} response - Main response of the navigation, or null
+ * @returns {Promise<*>} { headers, cookies (names), body } for WAF and parking detection; empty when the page cannot be read
+ */
+
+async function readPageSnapshot(page, response) {
+	try {
+		const cookies = await page.cookies();
+
+		return {
+			headers: response ? response.headers() : {},
+			cookies: cookies.map(cookie => cookie.name),
+			body: await page.content(),
+		};
+	} catch (error) {
+		debugBrowser(`Failed to read page for WAF/parking detection: ${error.message}`);
+		return { headers: {}, cookies: [], body: '' };
+	}
+}
+
+/**
+ * Read http hops
+ * @param {*} response - Main response of a navigation, or null
+ * @returns {*} The HTTP redirects the navigation went through ({ from, to, type: 'http', statusCode }); empty when there were none
+ */
+
+function readHttpHops(response) {
+	try {
+		const requests = response ? response.request().redirectChain() : [];
+
+		return requests.map((request, index) => ({
+			from: request.url(),
+			to: index + 1 < requests.length ? requests[index + 1].url() : response.url(),
+			type: 'http',
+			statusCode: request.response() ? request.response().status() : null,
+		}));
+	} catch (error) {
+		debugBrowser(`Failed to read redirect chain: ${error.message}`);
+		return [];
+	}
+}
+
 /**
  * Try url (async)
  * @param {*} browser - Parameter browser
@@ -192,10 +249,6 @@ function getSmartVariants(domain, errorCode, statusCode, lastUrl, httpsOnly = fa
  */
 
 async function tryUrl(browser, url, timeout, forceCloseTimeout, pagePool = null) {
-	// Rate limiting: Wait for token before making request
-	await rateLimiter.removeTokens(1);
-	debugVerbose(`Rate limit token acquired for ${url}`);
-
 	let page;
 	let pageReleased = false;
 	let forceCloseTimer = null;
@@ -246,6 +299,14 @@ async function tryUrl(browser, url, timeout, forceCloseTimeout, pagePool = null)
 			debugNetwork(`Request failed: ${request.url()} - ${errorText}`);
 		});
 
+		// Main-frame navigations, for the response of one a client-side redirect started before we waited for it
+		const navigations = [];
+		page.on('request', request => {
+			if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+				navigations.push(request);
+			}
+		});
+
 		let statusCode = null;
 
 		page.on('response', response => {
@@ -258,13 +319,49 @@ async function tryUrl(browser, url, timeout, forceCloseTimeout, pagePool = null)
 		debugVerbose(`Attempting to navigate to: ${url}`);
 		debugVerbose(`Timeout set to: ${timeout}ms`);
 
-		const response = await page.goto(url, {
+		const deadline = Date.now() + timeout;
+		let response = await page.goto(url, {
 			waitUntil: 'domcontentloaded',
 			timeout: timeout,
 		});
 
 		debugVerbose(`Navigation completed for ${url}`);
 
+		// WAF fingerprints: response headers, the cookies the page got and the rendered content
+		let snapshot = await readPageSnapshot(page, response);
+		const redirectChain = readHttpHops(response);
+
+		// Redirect pages (<meta refresh>, location changes) get a moment to move on, hop by hop
+		for (let hops = 0; hops < MAX_CLIENT_REDIRECTS; hops++) {
+			const documentUrl = page.url();
+			const client = detectClientRedirect(snapshot.body, documentUrl);
+			const wait = client ? Math.min(client.delay + CLIENT_REDIRECT_WAIT * 1000, deadline - Date.now()) : 0;
+			if (wait <= 0) {
+				break;
+			}
+
+			debugVerbose(`Waiting ${wait}ms for the ${client.type} redirect of ${documentUrl}`);
+			const next = await page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: wait }).catch(() => null);
+			if (page.url() === documentUrl) {
+				break;
+			}
+
+			const latest = navigations[navigations.length - 1];
+			const landed = next || (latest ? latest.response() : null);
+			const httpHops = readHttpHops(landed);
+			redirectChain.push(
+				{
+					from: documentUrl,
+					to: httpHops.length > 0 ? httpHops[0].from : page.url(),
+					type: client.type,
+					statusCode: response ? response.status() : null,
+				},
+				...httpHops
+			);
+			response = landed || response;
+			snapshot = await readPageSnapshot(page, response);
+		}
+
 		const finalUrl = page.url();
 		debugVerbose(`Final URL after navigation: ${finalUrl}`);
 
@@ -272,6 +369,8 @@ async function tryUrl(browser, url, timeout, forceCloseTimeout, pagePool = null)
 			statusCode = response.status();
 		}
 
+		const protection = detectWaf({ statusCode, ...snapshot });
+
 		// Clean up
 		clearTimeout(forceCloseTimer);
 		if (!pageReleased) {
@@ -285,15 +384,33 @@ async function tryUrl(browser, url, timeout, forceCloseTimeout, pagePool = null)
 			}
 		}
 
-		// Check if dead (4xx/5xx)
+		// A block or challenge page says nothing about the site behind it
+		if (protection) {
+			debugVerbose(`${protection.provider} protection on ${url} (${protection.evidence})`);
+			return {
+				success: false,
+				statusCode,
+				finalUrl,
+				redirectChain,
+				errorCode: null,
+				reason: formatWafReason(protection, statusCode),
+				isDead: false,
+				protection,
+			};
+		}
+
+		// Check if dead (4xx/5xx) - checkDomain re-classifies HTTP statuses with its status policy
 		const isDead = statusCode >= 400 || statusCode === null;
 
 		return {
 			success: !isDead,
 			statusCode,
 			finalUrl,
+			redirectChain,
 			errorCode: null,
 			reason: isDead ? `HTTP ${statusCode || 'unreachable'}` : null,
+			parked: isDead ? null : detectParkedPage({ url, body: snapshot.body, finalUrl }),
+			retryAfter: parseRetryAfter(snapshot.headers['retry-after']),
 		};
 	} catch (error) {
 		clearTimeout(forceCloseTimer);
@@ -348,6 +465,68 @@ async function tryUrl(browser, url, timeout, forceCloseTimeout, pagePool = null)
 	}
 }
 
+/**
+ * Try url with probe (async)
+ * - Plain HTTP first; only ambiguous answers (403, 5xx, challenge pages) are retried in the browser
+ * @param {*} browser - Parameter browser
+ * @param {*} url - Parameter url
+ * @param {*} timeout - Parameter timeout
+ * @param {*} forceCloseTimeout - Parameter forceCloseTimeout
+ * @param {*} pagePool - Parameter pagePool
+ * @param {*} lastTry - True when the domain has no requeues left (see needsBrowser)
+ * @returns {Promise<*>} Promise resolving to the tryUrl-shaped result, with escalated set when the browser decided
+ */
+
+async function tryUrlWithProbe(browser, url, timeout, forceCloseTimeout, pagePool = null, lastTry = false) {
+	const probe = await probeUrl(url, timeout);
+	const escalation = needsBrowser(probe, lastTry);
+	if (!escalation) {
+		return probe;
+	}
+
+	debugVerbose(`Escalating ${url} to the browser (${escalation})`);
+	const result = await tryUrl(browser, url, timeout, forceCloseTimeout, pagePool);
+
+	// A browser stuck on the challenge does not make the site behind it dead
+	if (!result.success && !result.protection && probe.protection) {
+		return { ...probe, escalated: escalation };
+	}
+
+	return { ...result, escalated: escalation };
+}
+
+/**
+ * Describe retries
+ * @param {*} attempt - Final attempt of an undecided check
+ * @param {*} statusRetries - Times the URL was asked again by the status policy
+ * @param {*} requeues - Times the domain was requeued by the throttle
+ * @returns {*} Attempt reason, with how often the answer was asked for again (e.g. "HTTP 429 after 2 retries")
+ */
+
+function describeRetries(attempt, statusRetries, requeues) {
+	if (attempt.outcome === 'retry' && statusRetries > 0) {
+		return `${attempt.reason} after ${statusRetries} ${statusRetries === 1 ? 'retry' : 'retries'}`;
+	}
+	if (attempt.outcome === 'retry' && requeues > 0) {
+		return `${attempt.reason} after ${requeues} ${requeues === 1 ? 'requeue' : 'requeues'}`;
+	}
+
+	return attempt.reason;
+}
+
+/**
+ * Add tree lines
+ * @param {*} roller - Parameter roller
+ * @param {*} treeOutput - Output of formatDomainCheckTree
+ * @returns {*} Result
+ */
+
+function addTreeLines(roller, treeOutput) {
+	for (const line of treeOutput.split('\n')) {
+		addLine(roller, line);
+	}
+}
+
 /**
  * Check domain (async)
  * @param {*} browser - Parameter browser
@@ -360,6 +539,11 @@ async function tryUrl(browser, url, timeout, forceCloseTimeout, pagePool = null)
  * @param {*} httpsOnly - Parameter httpsOnly
  * @param {*} roller - Parameter roller
  * @param {*} pagePool - Parameter pagePool
+ * @param {*} dnsResolver - Resolver for the DNS pre-check (see createDnsResolver), or null to go straight to the browser
+ * @param {*} checker - Checker backend: browser (Puppeteer only) or http (plain requests, escalating to the browser)
+ * @param {*} statusPolicy - What HTTP statuses mean (see createStatusPolicy), defaults to the built-in rules
+ * @param {*} throttle - Request rate and per-site backoff (see Throttle), shared by all checks of a run
+ * @param {*} scheduler - Per-site and per-address caps (see HostScheduler) holding the domain's claim, or null
  * @returns {Promise<*>} Promise resolving to result
  */
 
@@ -373,13 +557,19 @@ async function checkDomain(
 	forceCloseTimeout,
 	httpsOnly = false,
 	roller = null,
-	pagePool = null
+	pagePool = null,
+	dnsResolver = null,
+	checker = 'browser',
+	statusPolicy = defaultStatusPolicy,
+	throttle = defaultThrottle,
+	scheduler = null
 ) {
 	const { original } = domainObj;
 	const domain = original;
 
 	debugVerbose(`Starting check for domain: ${domain} (${index + 1}/${total})`);
 
+	/** @type {*[]} */
 	const attempts = [];
 	let successResult = null;
 
@@ -387,13 +577,84 @@ async function checkDomain(
 	let currentUrl = `https://${domain}`;
 	let attemptCount = 0;
 
+	// Addresses found by the DNS pre-check, for the parking check
+	let dnsAddresses = [];
+
+	// DNS pre-check: only names that resolve are handed to the browser
+	if (dnsResolver) {
+		let lookup = await resolveDomain(dnsResolver, domain);
+
+		// A name without addresses may still have a www host (the browser would try it next)
+		if (lookup.status === 'NODATA' && !domain.startsWith('www.')) {
+			const wwwLookup = await resolveDomain(dnsResolver, `www.${domain}`);
+			if (wwwLookup.status === 'resolved') {
+				attempts.push({
+					url: domain,
+					tried: true,
+					success: false,
+					statusCode: null,
+					reason: lookup.reason,
+					errorCode: null,
+					dns: lookup.status,
+				});
+				currentUrl = `https://www.${domain}`;
+				lookup = wwwLookup;
+			}
+		}
+
+		if (lookup.status !== 'resolved') {
+			attempts.push({
+				url: domain,
+				tried: true,
+				success: false,
+				statusCode: null,
+				reason: lookup.reason,
+				errorCode: null,
+				dns: lookup.status,
+			});
+
+			// A missing name or missing records are final, a failing or unreachable nameserver is not
+			const isDead = lookup.status === 'NXDOMAIN' || lookup.status === 'NODATA';
+			const result = {
+				type: isDead ? 'dead' : 'inconclusive',
+				data: { domain, statusCode: null, reason: lookup.reason, dnsStatus: lookup.status },
+			};
+
+			addTreeLines(roller, formatDomainCheckTree(domain, attempts, result, index, total));
+			return result;
+		}
+
+		dnsAddresses = lookup.addresses;
+	}
+
+	// Wait for a free slot on the server (released by processDomains with the domain's claim)
+	if (scheduler) {
+		await scheduler.acquireAddress(domain, dnsAddresses);
+	}
+
 	// Track errors by type for retry limits
 	const errorCounts = {};
+	let statusRetries = 0;
 
 	while (attemptCount < MAX_VARIANT_ATTEMPTS && !successResult) {
 		debugVerbose(`Attempt ${attemptCount + 1}/${MAX_VARIANT_ATTEMPTS}: Trying ${currentUrl}`);
 
-		const result = await tryUrl(browser, currentUrl, timeout, forceCloseTimeout, pagePool);
+		const host = new URL(currentUrl).hostname;
+		const wait = await throttle.acquire(host);
+		if (wait > 0) {
+			// The site is backing off: back into the queue rather than holding a worker and the site's slots
+			return { type: null, data: null, requeue: { delay: wait, attempt: domainObj.requeues || 0, deferred: true } };
+		}
+		debugVerbose(`Rate limit token acquired for ${currentUrl}`);
+
+		// Once the requeues are used up, a throttled probe gets the browser's opinion instead of the final say
+		const lastTry = (domainObj.requeues || 0) >= throttle.maxRequeues;
+		const response =
+			checker === 'http'
+				? await tryUrlWithProbe(browser, currentUrl, timeout, forceCloseTimeout, pagePool, lastTry)
+				: await tryUrl(browser, currentUrl, timeout, forceCloseTimeout, pagePool);
+		const result = applyStatusPolicy(statusPolicy, domain, response);
+		const backoff = throttle.report(host, result);
 
 		// Helper to extract domain from URL
 		const extractDomain = urlStr => {
@@ -413,6 +674,13 @@ async function checkDomain(
 			statusCode: result.statusCode,
 			reason: result.reason,
 			errorCode: result.errorCode,
+			escalated: result.escalated || null,
+			protection: result.protection || null,
+			parked: result.parked || null,
+			outcome: result.outcome || null,
+			statusRule: result.statusRule || null,
+			redirectChain: result.redirectChain || [],
+			backoff,
 		};
 
 		if (result.success) {
@@ -438,6 +706,8 @@ async function checkDomain(
 					isSimilarRedirect,
 					originalDomain,
 					finalDomain,
+					redirectChain: attemptObj.redirectChain,
+					statusRule: result.statusRule,
 				};
 			} else {
 				successResult = {
@@ -445,6 +715,7 @@ async function checkDomain(
 					finalUrl: result.finalUrl,
 					statusCode: result.statusCode,
 					isRedirecting: false,
+					statusRule: result.statusRule,
 				};
 			}
 		}
@@ -457,6 +728,24 @@ async function checkDomain(
 			break;
 		}
 
+		// Behind a WAF: the site is there, other variants would hit the same wall
+		if (result.protection) {
+			break;
+		}
+
+		// Asked to come back later: the same URL again after a pause, unless the throttle backs the site off (429, 503) and requeues it
+		if (result.outcome === 'retry' && backoff === null && statusRetries < statusPolicy.retries) {
+			statusRetries++;
+			debugVerbose(`Retrying ${currentUrl} in ${statusPolicy.retryDelay}ms (HTTP ${result.statusCode}, ${result.statusRule})`);
+			await new Promise(resolve => setTimeout(resolve, statusPolicy.retryDelay));
+			continue;
+		}
+
+		// The site answered, but not in a way that settles it; other variants would not either
+		if (result.outcome === 'inconclusive' || result.outcome === 'retry') {
+			break;
+		}
+
 		// Failed - check retry limits per error type
 		if (result.errorCode) {
 			errorCounts[result.errorCode] = (errorCounts[result.errorCode] || 0) + 1;
@@ -484,7 +773,31 @@ async function checkDomain(
 	// Determine final result
 	let result = { type: null, data: null };
 
+	// Parking: the page or its redirect target, else the parking service's addresses or nameservers
+	let parked = null;
 	if (successResult) {
+		const successAttempt = attempts.find(a => a.success);
+		parked = successAttempt.parked;
+
+		if (!parked && dnsResolver) {
+			parked = detectParkedDns({ domain, addresses: dnsAddresses, nameservers: await lookupNameservers(dnsResolver, domain) });
+		}
+	}
+
+	if (parked) {
+		// Resolves and answers, but only with a parking or for-sale lander
+		result = {
+			type: 'parked',
+			data: {
+				domain,
+				statusCode: successResult.statusCode,
+				reason: formatParkingReason(parked),
+				provider: parked.provider,
+				finalUrl: successResult.finalUrl,
+				statusRule: successResult.statusRule || null,
+			},
+		};
+	} else if (successResult) {
 		// We have at least one successful response
 		if (successResult.isRedirecting && !successResult.isSimilarRedirect) {
 			// Real redirect to different domain
@@ -496,18 +809,54 @@ async function checkDomain(
 					originalUrl: successResult.url,
 					finalUrl: successResult.finalUrl,
 					statusCode: successResult.statusCode,
+					statusRule: successResult.statusRule || null,
+					redirectChain: successResult.redirectChain,
+					permanent: isPermanentRedirect(successResult.redirectChain),
 				},
 			};
 		}
 		// If similar redirect or not redirecting, treat as active (result.type stays null)
 	} else {
 		// All variants failed - check if blocked or dead
-		const lastAttempt = attempts.find(a => a.tried) || attempts[0];
+		const lastAttempt = attempts.find(a => a.tried && !a.dns) || attempts[0];
 
 		// Check if any attempt had ERR_BLOCKED_BY_CLIENT
 		const wasBlocked = attempts.some(a => a.errorCode === 'ERR_BLOCKED_BY_CLIENT');
+		const protectedAttempt = attempts.find(a => a.protection);
+		const finalAttempt = attempts[attempts.length - 1];
+		const isUndecided = finalAttempt.outcome === 'inconclusive' || finalAttempt.outcome === 'retry';
+		const requeues = domainObj.requeues || 0;
 
-		if (wasBlocked) {
+		if (Number.isFinite(finalAttempt.backoff) && requeues < throttle.maxRequeues) {
+			// Throttled (429, 503, reset connections): check again once the site's backoff is over
+			result = {
+				type: null,
+				data: null,
+				requeue: { delay: throttle.remainingBackoff(new URL(finalAttempt.url).hostname), attempt: requeues + 1 },
+			};
+		} else if (protectedAttempt) {
+			// Answered by a WAF block or challenge page - alive, but not verifiable
+			result = {
+				type: 'protected',
+				data: {
+					domain,
+					statusCode: protectedAttempt.statusCode,
+					reason: protectedAttempt.reason,
+					provider: protectedAttempt.protection.provider,
+				},
+			};
+		} else if (isUndecided) {
+			// The status policy says the answer proves nothing either way (451, 429 after retrying, ...)
+			result = {
+				type: 'inconclusive',
+				data: {
+					domain,
+					statusCode: finalAttempt.statusCode,
+					reason: describeRetries(finalAttempt, statusRetries, requeues),
+					statusRule: finalAttempt.statusRule,
+				},
+			};
+		} else if (wasBlocked) {
 			// Blocked by browser/extension/ISP - inconclusive
 			result = {
 				type: 'inconclusive',
@@ -525,49 +874,98 @@ async function checkDomain(
 					domain,
 					statusCode: lastAttempt?.statusCode || null,
 					reason: lastAttempt?.reason || 'All variants failed',
+					...(lastAttempt?.statusRule && { statusRule: lastAttempt.statusRule }),
 				},
 			};
 		}
 	}
 
 	// Output tree format
-	const treeOutput = formatDomainCheckTree(domain, attempts, result, index, total);
-	const lines = treeOutput.split('\n');
-	for (const line of lines) {
-		addLine(roller, line);
-	}
+	addTreeLines(roller, formatDomainCheckTree(domain, attempts, result, index, total));
 
 	return result;
 }
 
+/**
+ * Merge retry result
+ * @param {*} previous - Result so far (dead or inconclusive)
+ * @param {*} result - Result of the retry pass
+ * @param {*} pass - Retry pass number (1, 2, ...)
+ * @returns {*} The retry result when the domain came back, otherwise dead only if every pass found it dead;
+ *   reported results list every pass in data.attempts
+ */
+
+function mergeRetryResult(previous, result, pass) {
+	const attempts = [
+		...(previous.data.attempts || [{ pass: 0, type: previous.type, statusCode: previous.data.statusCode, reason: previous.data.reason }]),
+	];
+
+	if (result.type === null) {
+		// Answered this time: the failure was transient
+		return result;
+	}
+
+	attempts.push({ pass, type: result.type, statusCode: result.data.statusCode ?? null, reason: result.data.reason ?? null });
+
+	if (result.type !== 'dead' && result.type !== 'inconclusive') {
+		return { type: result.type, data: { ...result.data, attempts } };
+	}
+
+	return {
+		type: previous.type === 'dead' && result.type === 'dead' ? 'dead' : 'inconclusive',
+		data: { ...result.data, attempts },
+	};
+}
+
 /**
  * Process domains (async)
  * @param {*} browser - Parameter browser
- * @param {*} domainObjects - Parameter domainObjects
+ * @param {*} domainObjects - Array of domain objects, or a DomainFeed that is still being filled
  * @param {*} ignoreSimilar - Parameter ignoreSimilar
  * @param {*} timeout - Parameter timeout
- * @param {*} options - Parameter options
+ * @param {*} options - Parameter options; retry: { passes, delay, timeout } re-checks dead and inconclusive domains after the main pass
  * @returns {Promise<*>} Promise resolving to result
  */
 
 async function processDomains(browser, domainObjects, ignoreSimilar, timeout, options = {}) {
-	const results = [];
-	const total = domainObjects.length;
-	const { quietMode = false, forceCloseTimeout, concurrency, httpsOnly = false, onResult = null } = options;
+	let results = [];
+	const feed = domainObjects instanceof DomainFeed ? domainObjects : DomainFeed.fromArray(domainObjects);
+	const {
+		quietMode = false,
+		forceCloseTimeout,
+		concurrency,
+		httpsOnly = false,
+		dnsResolver = null,
+		checker = 'browser',
+		statusPolicy = defaultStatusPolicy,
+		throttle = defaultThrottle,
+		maxChecksPerDomain,
+		maxChecksPerAddress,
+		retry = null,
+		onResult = null,
+	} = options;
+
+	// Workers skip queued domains whose site (or server) already has its share of checks running
+	const scheduler = new HostScheduler({ perDomain: maxChecksPerDomain, perAddress: maxChecksPerAddress });
 
 	// Create and initialize page pool for better performance
 	const pagePoolSize = Math.min(concurrency, 10); // Pool size based on concurrency, max 10
 	const pagePool = new PagePool(browser, pagePoolSize);
-	debugVerbose(`Initializing page pool with ${pagePoolSize} pages`);
-	await pagePool.initialize();
-	debugVerbose(`Page pool initialized`);
 
-	// Create shared queue
-	const queue = [...domainObjects];
+	// The http checker only opens pages for escalations, so they are created on demand
+	if (checker !== 'http') {
+		debugVerbose(`Initializing page pool with ${pagePoolSize} pages`);
+		await pagePool.initialize();
+		debugVerbose(`Page pool initialized`);
+	}
+
 	let processedCount = 0;
 
+	// Checks of earlier passes, so the progress bar keeps counting through the retry passes
+	let progressOffset = 0;
+
 	// Create progress bar (always enabled unless in quiet mode)
-	const bar = createProgressBar(total, true, quietMode);
+	const bar = createProgressBar(feed.total, true, quietMode);
 
 	// Create rolling output with progress bar integrated
 	const roller = createRollingOutput({
@@ -581,27 +979,30 @@ async function processDomains(browser, domainObjects, ignoreSimilar, timeout, op
 		progressBar: bar,
 	});
 
-	debugVerbose(`Starting to process ${total} domains with concurrency ${concurrency}`);
+	debugVerbose(`Starting to process ${feed.closed ? feed.total : 'incoming'} domains with concurrency ${concurrency}`);
 	debugVerbose(`Using worker pool architecture for non-blocking concurrent processing`);
 
 	/**
 	 * Worker (async)
 	 * @param {*} workerId - Parameter workerId
+	 * @param {*} queue - DomainFeed of the pass
+	 * @param {*} pass - { timeout, collect(domainObj, result) } of the pass
 	 * @returns {Promise<*>} Promise resolving to result
 	 */
 
-	async function worker(workerId) {
+	async function worker(workerId, queue, pass) {
 		debugVerbose(`Worker ${workerId} started`);
 
 		while (true) {
-			// Atomically get next domain from queue
-			const domainObj = queue.shift();
-			if (!domainObj) {
-				debugVerbose(`Worker ${workerId} finished (queue empty)`);
+			// Get next domain from the feed (waits while the list is still being parsed)
+			const domainObj = await queue.next();
+			if (!domainObj || queue.aborted) {
+				debugVerbose(`Worker ${workerId} finished (queue ${domainObj ? 'aborted' : 'empty'})`);
 				break;
 			}
 
 			const index = processedCount++;
+			const total = progressOffset + queue.total;
 			debugVerbose(`Worker ${workerId} processing domain ${index + 1}/${total}`);
 
 			try {
@@ -612,27 +1013,41 @@ async function processDomains(browser, domainObjects, ignoreSimilar, timeout, op
 					index,
 					total,
 					ignoreSimilar,
-					timeout,
-					forceCloseTimeout,
+					pass.timeout,
+					Math.max(forceCloseTimeout, pass.timeout),
 					httpsOnly,
 					roller,
-					pagePool
+					pagePool,
+					dnsResolver,
+					checker,
+					statusPolicy,
+					throttle,
+					scheduler
 				);
 
-				// ✅ OUTPUT IMMEDIATELY (don't wait for other workers)
-				if (result && result.type !== null) {
-					results.push(result);
-					if (onResult) {
-						try {
-							await onResult(result);
-						} catch (error) {
-							debugVerbose(`Error in onResult callback: ${error.message}`);
-						}
+				// The run was called off while this domain was checked
+				if (queue.aborted) {
+					break;
+				}
+
+				// Throttled: back into the queue, not counted as checked yet
+				if (result && result.requeue) {
+					if (!result.requeue.deferred) {
+						throttle.stats.requeued++;
 					}
+					queue.requeue({ ...domainObj, requeues: result.requeue.attempt }, result.requeue.delay);
+					continue;
 				}
 
-				// ✅ UPDATE PROGRESS IMMEDIATELY
+				// ✅ OUTPUT IMMEDIATELY (don't wait for other workers)
+				if (result) {
+					await pass.collect(domainObj, result);
+				}
+
+				// ✅ UPDATE PROGRESS IMMEDIATELY (the total grows while the list is parsed)
 				if (bar) {
+					bar.total = progressOffset + queue.total;
+					bar.parsing = queue.progress;
 					incrementProgress(bar);
 				}
 				if (roller) {
@@ -641,20 +1056,93 @@ async function processDomains(browser, domainObjects, ignoreSimilar, timeout, op
 			} catch (error) {
 				debugVerbose(`Worker ${workerId} error processing domain: ${error.message}`);
 				// Continue to next domain
+			} finally {
+				// Free the site's slot and hand out domains that were waiting for it
+				scheduler.release(domainObj.original);
+				queue.dispatch();
 			}
 		}
 
 		debugVerbose(`Worker ${workerId} completed all tasks`);
 	}
 
-	// Spawn N workers (concurrency level)
-	const workers = [];
-	for (let i = 0; i < concurrency; i++) {
-		workers.push(worker(i));
+	/**
+	 * Run pass (async)
+	 * @param {*} queue - DomainFeed of the pass
+	 * @param {*} pass - Parameter pass (see worker)
+	 * @returns {Promise<*>} Resolves once the queue is drained
+	 */
+
+	async function runPass(queue, pass) {
+		queue.claim = domainObj => scheduler.claim(domainObj.original);
+
+		// Spawn N workers (concurrency level)
+		const workers = [];
+		for (let i = 0; i < concurrency; i++) {
+			workers.push(worker(i, queue, pass));
+		}
+
+		// Wait for all workers to finish
+		await Promise.all(workers);
+		progressOffset += queue.total;
+	}
+
+	// Domains found dead or inconclusive, with their result, for the retry passes
+	let failed = new Map();
+
+	await runPass(feed, {
+		timeout,
+		collect: async (domainObj, result) => {
+			if (result.type === null) {
+				return;
+			}
+
+			results.push(result);
+			if (result.type === 'dead' || result.type === 'inconclusive') {
+				failed.set(domainObj.original, { domainObj, result });
+			}
+
+			if (onResult) {
+				try {
+					await onResult(result);
+				} catch (error) {
+					debugVerbose(`Error in onResult callback: ${error.message}`);
+				}
+			}
+		},
+	});
+
+	// Retry passes: a single timeout or reset should not make a domain dead
+	for (let pass = 1; retry && !feed.aborted && pass <= retry.passes && failed.size > 0; pass++) {
+		const retrying = failed;
+		failed = new Map();
+
+		addLine(
+			roller,
+			`↻ retry ${pass}/${retry.passes}: ${retrying.size} failed domains in ${retry.delay / 1000}s (timeout ${retry.timeout / 1000}s)`
+		);
+		debugVerbose(`Retry pass ${pass}: ${retrying.size} domains`);
+		await new Promise(resolve => setTimeout(resolve, retry.delay));
+
+		const queue = DomainFeed.fromArray([...retrying.values()].map(entry => ({ ...entry.domainObj, requeues: 0 })));
+		await runPass(queue, {
+			timeout: retry.timeout,
+			collect: (domainObj, result) => {
+				const previous = retrying.get(domainObj.original).result;
+				const merged = mergeRetryResult(previous, result, pass);
+
+				// Update in place, keeping the order of the results
+				previous.type = merged.type;
+				previous.data = merged.data;
+				if (merged.type === 'dead' || merged.type === 'inconclusive') {
+					failed.set(domainObj.original, { domainObj, result: previous });
+				}
+			},
+		});
 	}
 
-	// Wait for all workers to finish
-	await Promise.all(workers);
+	// Domains that answered on a retry are active
+	results = results.filter(result => result.type !== null);
 
 	// Cleanup: verify all pages are closed
 	try {
@@ -695,10 +1183,12 @@ async function processDomains(browser, domainObjects, ignoreSimilar, timeout, op
 module.exports = {
 	checkDomain,
 	processDomains,
+	mergeRetryResult,
 	isSimilarDomainRedirect,
 	getSmartVariants,
 	hasSubdomain,
 	stripSubdomain,
 	tryUrl,
+	tryUrlWithProbe,
 	expandDomainsWithWww,
 };
@@ -0,0 +1,250 @@
+/**
+ * @file httpProbe.js
+ * @module httpProbe
+ * @description Browser-less checker backend: plain http/https requests with manual redirect following
+ */
+
+const http = require('http');
+const https = require('https');
+const { USER_AGENT, MAX_PROBE_REDIRECTS, MAX_PROBE_BODY_BYTES } = require('../config/defaults');
+const { debugVerbose, debugNetwork, truncateError } = require('../utils/logger');
+const { detectWaf, formatWafReason } = require('./wafDetector');
+const { detectParkedPage } = require('./parkingDetector');
+const { detectClientRedirect } = require('./redirectChain');
+const { parseRetryAfter, isThrottleSignal } = require('../utils/throttle');
+
+/** @constant {*} ESCALATION_STATUS_CODES - statuses a real browser often gets past (bot blocking) */
+
+const ESCALATION_STATUS_CODES = [403];
+
+/** @constant {*} ERROR_CODES - Node network error codes mapped to the Chromium codes tryUrl reports */
+
+const ERROR_CODES = {
+	ENOTFOUND: 'ERR_NAME_NOT_RESOLVED',
+	EAI_AGAIN: 'ERR_NAME_NOT_RESOLVED',
+	ECONNREFUSED: 'ERR_CONNECTION_REFUSED',
+	ETIMEDOUT: 'ERR_CONNECTION_TIMED_OUT',
+	ECONNRESET: 'ERR_CONNECTION_RESET',
+	EPIPE: 'ERR_CONNECTION_RESET',
+	EHOSTUNREACH: 'ERR_ADDRESS_UNREACHABLE',
+	ENETUNREACH: 'ERR_ADDRESS_UNREACHABLE',
+	EPROTO: 'ERR_SSL_PROTOCOL_ERROR',
+};
+
+/**
+ * Get probe error code
+ * @param {*} error - Request error
+ * @returns {*} Chromium-style error code (ERR_NAME_NOT_RESOLVED, ...), or null for unknown errors
+ */
+
+function getProbeErrorCode(error) {
+	if (ERROR_CODES[error.code]) {
+		return ERROR_CODES[error.code];
+	}
+	if (/^ERR_SSL_|^ERR_TLS_/.test(error.code || '')) {
+		return 'ERR_SSL_PROTOCOL_ERROR';
+	}
+	if (/CERT|SELF_SIGNED|UNABLE_TO_VERIFY/.test(error.code || '')) {
+		return 'ERR_CERT';
+	}
+
+	return error.code === 'ERR_TOO_MANY_REDIRECTS' ? error.code : null;
+}
+
+/**
+ * Get tls details
+ * @param {*} socket - Response socket
+ * @returns {*} { protocol, authorized, error, issuer, validTo } for TLS connections, otherwise null
+ */
+
+function getTlsDetails(socket) {
+	if (!socket || !socket.encrypted) {
+		return null;
+	}
+
+	const certificate = socket.getPeerCertificate() || {};
+	const issuer = certificate.issuer || {};
+
+	return {
+		protocol: socket.getProtocol(),
+		authorized: socket.authorized,
+		error: socket.authorizationError ? String(socket.authorizationError) : null,
+		issuer: issuer.O || issuer.CN || null,
+		validTo: certificate.valid_to || null,
+	};
+}
+
+/**
+ * Request once (async)
+ * @param {*} url - Parameter url
+ * @param {*} timeout - Idle timeout in milliseconds
+ * @returns {Promise<*>} { statusCode, location, headers, body, tls }
+ */
+
+function requestOnce(url, timeout) {
+	const client = url.startsWith('https:') ? https : http;
+
+	return new Promise((resolve, reject) => {
+		// A fresh connection per request, so TLS details belong to this host; certificate errors are
+		// recorded rather than fatal, like the browser's --ignore-certificate-errors
+		const request = client.get(
+			url,
+			{
+				agent: false,
+				rejectUnauthorized: false,
+				headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml,*/*;q=0.8', 'Accept-Language': 'en' },
+			},
+			response => {
+				const { statusCode, headers } = response;
+				const tls = getTlsDetails(response.socket);
+
+				// Redirect bodies are not needed
+				if (statusCode >= 300 && statusCode < 400 && headers.location) {
+					response.resume();
+					resolve({ statusCode, location: headers.location, headers, body: '', tls });
+					return;
+				}
+
+				// Enough of the page to recognise a WAF, then hang up
+				const chunks = [];
+				let length = 0;
+
+				/**
+				 * Finish
+				 * @returns {*} Result
+				 */
+
+				const finish = () => {
+					response.destroy();
+					resolve({ statusCode, location: null, headers, body: Buffer.concat(chunks).toString('utf8'), tls });
+				};
+
+				response.on('data', chunk => {
+					chunks.push(chunk);
+					length += chunk.length;
+					if (length >= MAX_PROBE_BODY_BYTES) {
+						finish();
+					}
+				});
+				response.on('end', finish);
+				response.on('error', finish);
+			}
+		);
+
+		request.setTimeout(timeout, () => {
+			request.destroy(Object.assign(new Error(`timeout of ${timeout}ms exceeded`), { code: 'ETIMEDOUT' }));
+		});
+		request.on('error', reject);
+	});
+}
+
+/**
+ * Probe url (async)
+ * - Same result shape as tryUrl, plus the TLS details of the final response
+ * - <meta refresh> is followed like an HTTP redirect; a JavaScript redirect is only flagged (clientRedirect), it needs the browser
+ * @param {*} url - Parameter url
+ * @param {*} timeout - Timeout in milliseconds for the whole redirect chain
+ * @returns {Promise<*>} { success, statusCode, finalUrl, redirectChain, clientRedirect, errorCode, reason, isDead, parked, tls, protection, retryAfter }
+ */
+
+async function probeUrl(url, timeout) {
+	const deadline = Date.now() + timeout;
+	const redirectChain = [];
+	let currentUrl = url;
+
+	try {
+		for (let redirects = 0; ; redirects++) {
+			const remaining = deadline - Date.now();
+			if (remaining <= 0) {
+				throw Object.assign(new Error(`timeout of ${timeout}ms exceeded`), { code: 'ETIMEDOUT' });
+			}
+
+			debugNetwork(`Probe request: GET ${currentUrl}`);
+			const response = await requestOnce(currentUrl, remaining);
+			debugNetwork(`Probe response: ${response.statusCode} ${currentUrl}`);
+
+			const { statusCode } = response;
+			const clientRedirect = response.location ? null : detectClientRedirect(response.body, currentUrl);
+			const nextUrl = response.location ? new URL(response.location, currentUrl).href : clientRedirect && clientRedirect.url;
+
+			if (nextUrl) {
+				if (redirects >= MAX_PROBE_REDIRECTS) {
+					throw Object.assign(new Error(`stopped after ${MAX_PROBE_REDIRECTS} redirects`), { code: 'ERR_TOO_MANY_REDIRECTS' });
+				}
+				redirectChain.push({ from: currentUrl, to: nextUrl, type: response.location ? 'http' : 'meta', statusCode });
+				currentUrl = nextUrl;
+				continue;
+			}
+
+			if (response.tls) {
+				debugNetwork(`Probe TLS: ${response.tls.protocol}, ${response.tls.authorized ? 'valid' : response.tls.error} (${currentUrl})`);
+			}
+
+			const protection = detectWaf({ statusCode, headers: response.headers, body: response.body });
+			const isDead = statusCode >= 400 && !protection;
+
+			return {
+				success: !isDead && !protection,
+				statusCode,
+				finalUrl: currentUrl,
+				redirectChain,
+				clientRedirect: clientRedirect ? clientRedirect.type : null,
+				errorCode: null,
+				reason: protection ? formatWafReason(protection, statusCode) : isDead ? `HTTP ${statusCode}` : null,
+				parked: isDead || protection ? null : detectParkedPage({ url, body: response.body, finalUrl: currentUrl }),
+				tls: response.tls,
+				protection,
+				retryAfter: parseRetryAfter(response.headers['retry-after']),
+			};
+		}
+	} catch (error) {
+		debugVerbose(`Probe error for ${url}: ${error.message}`);
+
+		const errorCode = getProbeErrorCode(error);
+
+		return {
+			success: false,
+			statusCode: null,
+			finalUrl: null,
+			errorCode,
+			reason: truncateError(errorCode ? `net::${errorCode} at ${url} (${error.message})` : error.message),
+			// Unknown errors are not proof of a dead domain, matching tryUrl
+			isDead: errorCode !== null && errorCode !== 'ERR_CERT',
+			tls: null,
+			protection: null,
+		};
+	}
+}
+
+/**
+ * Needs browser
+ * @param {*} result - Parameter result (see probeUrl)
+ * @param {*} lastTry - True when the domain has no requeues left, so a throttled answer would be final
+ * @returns {*} Why the probe result is ambiguous and worth a real browser (HTTP 403, Cloudflare challenge page, ...), or null
+ */
+
+function needsBrowser(result, lastTry = false) {
+	// A real browser may get through a JavaScript challenge
+	if (result.protection) {
+		return `${result.protection.provider} ${result.protection.evidence}`;
+	}
+	// Rate limited or overloaded: asking again from the browser right away would not help, the backoff will (until it runs out)
+	if (isThrottleSignal(result)) {
+		return lastTry && result.statusCode ? `HTTP ${result.statusCode}` : null;
+	}
+	if (ESCALATION_STATUS_CODES.includes(result.statusCode) || result.statusCode >= 500) {
+		return `HTTP ${result.statusCode}`;
+	}
+	// Only a browser runs the script and sees where it leads
+	if (result.clientRedirect === 'javascript') {
+		return 'JavaScript redirect';
+	}
+
+	return null;
+}
+
+module.exports = {
+	getProbeErrorCode,
+	probeUrl,
+	needsBrowser,
+};
@@ -0,0 +1,214 @@
+/**
+ * @file parkingDetector.js
+ * @module parkingDetector
+ * @description Recognises parked and for-sale domains from page content, redirect targets, addresses and nameservers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MAX_LANDER_TEXT_LENGTH } = require('../config/defaults');
+
+/** @constant {*} PARKING_FINGERPRINTS_FILE - bundled parking fingerprints (editable) */
+
+const PARKING_FINGERPRINTS_FILE = path.join(__dirname, '..', 'data', 'parking-fingerprints.json');
+
+// Compiled fingerprints, loaded lazily on first use
+let fingerprints = null;
+
+/**
+ * Parse parking fingerprints
+ * @param {*} content - Contents of a parking fingerprints JSON file
+ * @returns {*} { providers: [{ name, nameservers, addresses, redirectHosts, content }], forSale } with compiled patterns
+ */
+
+function parseParkingFingerprints(content) {
+	const data = JSON.parse(content);
+
+	if (!Array.isArray(data.providers)) {
+		throw new Error('Parking fingerprints need a providers array');
+	}
+
+	/**
+	 * Compile
+	 * @param {*} patterns - Parameter patterns
+	 * @returns {*} Case-insensitive regular expressions
+	 */
+
+	const compile = patterns => (patterns || []).map(pattern => new RegExp(pattern, 'i'));
+
+	return {
+		providers: data.providers.map(provider => ({
+			name: provider.name,
+			nameservers: (provider.nameservers || []).map(host => host.toLowerCase()),
+			addresses: provider.addresses || [],
+			redirectHosts: (provider.redirectHosts || []).map(host => host.toLowerCase()),
+			content: compile(provider.content),
+		})),
+		forSale: compile(data.forSale),
+	};
+}
+
+/**
+ * Load parking fingerprints
+ * @param {*} filePath - Parameter filePath (defaults to the bundled file)
+ * @returns {*} Compiled fingerprints
+ */
+
+function loadParkingFingerprints(filePath = PARKING_FINGERPRINTS_FILE) {
+	fingerprints = parseParkingFingerprints(fs.readFileSync(filePath, 'utf8'));
+	return fingerprints;
+}
+
+/**
+ * Get parking fingerprints
+ * @returns {*} Compiled fingerprints, loading the bundled file on first use
+ */
+
+function getParkingFingerprints() {
+	return fingerprints || loadParkingFingerprints();
+}
+
+/**
+ * Matches host
+ * @param {*} host - Parameter host
+ * @param {*} hosts - Fingerprint hosts
+ * @returns {*} The fingerprint host equal to host or a parent of it, or undefined
+ */
+
+function matchesHost(host, hosts) {
+	const normalized = host.toLowerCase().replace(/\.$/, '');
+	return hosts.find(candidate => normalized === candidate || normalized.endsWith(`.${candidate}`));
+}
+
+/**
+ * Get host
+ * @param {*} url - Parameter url
+ * @returns {*} Hostname of the URL, or null
+ */
+
+function getHost(url) {
+	try {
+		return url ? new URL(url).hostname : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Is own site
+ * @param {*} domain - Checked domain
+ * @param {*} provider - Compiled provider fingerprint
+ * @returns {*} True for the parking service's own domains, which naturally mention and use themselves
+ */
+
+function isOwnSite(domain, provider) {
+	return Boolean(domain) && Boolean(matchesHost(domain, [...provider.redirectHosts, ...provider.nameservers]));
+}
+
+/**
+ * Read page text
+ * @param {*} body - Page HTML
+ * @returns {*} { title, text } with scripts, styles and tags removed and whitespace collapsed
+ */
+
+function readPageText(body) {
+	const title = /<title[^>]*>([^<]*)<\/title>/i.exec(body);
+	const text = body
+		.replace(/<(script|style|noscript)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+		.replace(/<[^>]*>/g, ' ')
+		.replace(/\s+/g, ' ')
+		.trim();
+
+	return { title: title ? title[1].trim() : '', text };
+}
+
+/**
+ * Detect parked page
+ * - A redirect to a parking host or a match in the title is enough; other content only counts on a page with
+ *   lander-sized text, or when two fingerprints agree, as live sites link to registrars and talk about domains too
+ * @param {*} page - { url, body, finalUrl } of a page that loaded
+ * @returns {*} { provider, evidence } or null
+ */
+
+function detectParkedPage(page) {
+	const { providers, forSale } = getParkingFingerprints();
+	const body = page.body || '';
+	const host = getHost(page.url);
+	const finalHost = getHost(page.finalUrl);
+	const { title, text } = readPageText(body);
+
+	// Provider fingerprints are markup (script variables, asset hosts); for-sale phrases are what the page says
+	const signals = [];
+	for (const provider of providers.filter(p => !isOwnSite(host, p))) {
+		const redirectHost = finalHost && matchesHost(finalHost, provider.redirectHosts);
+		if (redirectHost) {
+			return { provider: provider.name, evidence: `redirect to ${redirectHost}` };
+		}
+		for (const pattern of provider.content) {
+			if (pattern.test(body)) {
+				signals.push({ provider: provider.name, evidence: 'parking page', inTitle: pattern.test(title) });
+			}
+		}
+	}
+	for (const pattern of forSale) {
+		if (pattern.test(text)) {
+			signals.push({ provider: null, evidence: 'for-sale page', inTitle: pattern.test(title) });
+		}
+	}
+
+	if (signals.length === 0) {
+		return null;
+	}
+
+	const decisive = signals.some(signal => signal.inTitle) || signals.length >= 2 || text.length <= MAX_LANDER_TEXT_LENGTH;
+	if (!decisive) {
+		return null;
+	}
+
+	// Name the parking service when one matched
+	const signal = signals.find(candidate => candidate.provider) || signals[0];
+	return { provider: signal.provider, evidence: signal.evidence };
+}
+
+/**
+ * Detect parked dns
+ * @param {*} dns - { domain, addresses, nameservers } of the checked domain
+ * @returns {*} { provider, evidence } or null
+ */
+
+function detectParkedDns(dns) {
+	const { providers } = getParkingFingerprints();
+
+	for (const provider of providers.filter(p => !isOwnSite(dns.domain, p))) {
+		const nameserver = (dns.nameservers || []).find(host => matchesHost(host, provider.nameservers));
+		if (nameserver) {
+			return { provider: provider.name, evidence: `nameserver ${nameserver}` };
+		}
+
+		const address = (dns.addresses || []).find(ip => provider.addresses.some(prefix => ip.startsWith(prefix)));
+		if (address) {
+			return { provider: provider.name, evidence: `address ${address}` };
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Format parking reason
+ * @param {*} parking - Parameter parking (see detectParkedPage, detectParkedDns)
+ * @returns {*} Report reason, e.g. "Sedo parking page" or "for-sale page"
+ */
+
+function formatParkingReason(parking) {
+	return parking.provider ? `${parking.provider} ${parking.evidence}` : parking.evidence;
+}
+
+module.exports = {
+	PARKING_FINGERPRINTS_FILE,
+	parseParkingFingerprints,
+	loadParkingFingerprints,
+	detectParkedPage,
+	detectParkedDns,
+	formatParkingReason,
+};
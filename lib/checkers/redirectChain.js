@@ -0,0 +1,125 @@
+/**
+ * @file redirectChain.js
+ * @module redirectChain
+ * @description Records and formats the hops of a redirect chain: HTTP redirects, <meta refresh> and JavaScript location changes
+ */
+
+const { MAX_META_REFRESH_DELAY, MAX_REDIRECT_STUB_BYTES } = require('../config/defaults');
+
+/** @constant {*} PERMANENT_REDIRECT_CODES - statuses of a move that is meant to stay */
+
+const PERMANENT_REDIRECT_CODES = [301, 308];
+
+/** @constant {*} JS_REDIRECT_PATTERN - location assignments and location.replace/assign calls */
+
+const JS_REDIRECT_PATTERN = /\b(?:window\.|document\.|top\.|self\.)?location(?:\.href)?\s*=(?!=)|\blocation\.(?:replace|assign)\s*\(/;
+
+/**
+ * Read attributes
+ * @param {*} tag - HTML tag
+ * @returns {*} { name: value } with lower-case names
+ */
+
+function readAttributes(tag) {
+	const attributes = {};
+	for (const match of tag.matchAll(/([a-z-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi)) {
+		attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+	}
+
+	return attributes;
+}
+
+/**
+ * Parse meta refresh
+ * @param {*} body - Page HTML
+ * @param {*} baseUrl - URL of the page, for relative targets
+ * @returns {*} { delay (seconds), url } of the first <meta http-equiv="refresh"> with a target, or null
+ */
+
+function parseMetaRefresh(body, baseUrl) {
+	for (const [tag] of String(body || '').matchAll(/<meta\b[^>]*>/gi)) {
+		const attributes = readAttributes(tag);
+		if ((attributes['http-equiv'] || '').toLowerCase() !== 'refresh' || !attributes.content) {
+			continue;
+		}
+
+		const match = /^\s*(\d+)(?:\.\d*)?\s*(?:[;,]\s*(?:url\s*=\s*)?(.*))?$/i.exec(attributes.content);
+		if (!match || !match[2]) {
+			// A bare delay reloads the page itself
+			continue;
+		}
+
+		const target = match[2]
+			.trim()
+			.replace(/^['"]|['"]$/g, '')
+			.replace(/&amp;/g, '&');
+		try {
+			return { delay: Number(match[1]), url: new URL(target, baseUrl).href };
+		} catch {
+			continue;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Detect client redirect
+ * @param {*} body - Page HTML
+ * @param {*} baseUrl - URL of the page
+ * @returns {*} { type: 'meta', url, delay (ms) } or { type: 'javascript', url: null, delay: 0 } when the page moves on by itself, otherwise null
+ */
+
+function detectClientRedirect(body, baseUrl) {
+	const text = String(body || '');
+	const refresh = parseMetaRefresh(text, baseUrl);
+
+	if (refresh && refresh.delay <= MAX_META_REFRESH_DELAY && refresh.url !== baseUrl) {
+		return { type: 'meta', url: refresh.url, delay: refresh.delay * 1000 };
+	}
+	// Full pages are full of location code in click handlers; only a redirect stub is that small
+	if (text.length <= MAX_REDIRECT_STUB_BYTES && JS_REDIRECT_PATTERN.test(text)) {
+		return { type: 'javascript', url: null, delay: 0 };
+	}
+
+	return null;
+}
+
+/**
+ * Is permanent redirect
+ * @param {*} chain - Redirect hops ({ from, to, type, statusCode })
+ * @returns {*} True when every hop is an HTTP 301 or 308, i.e. the site moved rather than bounced through a tracker
+ */
+
+function isPermanentRedirect(chain) {
+	return chain.length > 0 && chain.every(hop => hop.type === 'http' && PERMANENT_REDIRECT_CODES.includes(hop.statusCode));
+}
+
+/**
+ * Format redirect hop
+ * @param {*} hop - Parameter hop ({ from, to, type, statusCode })
+ * @returns {*} e.g. "301 https://www.example.com/", "meta refresh https://example.net/" or "javascript https://example.org/"
+ */
+
+function formatRedirectHop(hop) {
+	const how = hop.type === 'http' ? hop.statusCode : hop.type === 'meta' ? 'meta refresh' : 'javascript';
+	return `${how} ${hop.to}`;
+}
+
+/**
+ * Format redirect chain
+ * @param {*} chain - Redirect hops
+ * @returns {*} The hops in order, joined with arrows
+ */
+
+function formatRedirectChain(chain) {
+	return (chain || []).map(formatRedirectHop).join(' → ');
+}
+
+module.exports = {
+	parseMetaRefresh,
+	detectClientRedirect,
+	isPermanentRedirect,
+	formatRedirectHop,
+	formatRedirectChain,
+};
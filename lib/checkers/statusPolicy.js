@@ -0,0 +1,152 @@
+/**
+ * @file statusPolicy.js
+ * @module statusPolicy
+ * @description Classifies HTTP status codes as alive, dead, inconclusive or retry from a declarative policy
+ */
+
+const { DEFAULT_STATUS_RULES, STATUS_RETRIES, STATUS_RETRY_DELAY } = require('../config/defaults');
+
+/** @constant {*} STATUS_OUTCOMES - what a status code can mean for a domain */
+
+const STATUS_OUTCOMES = ['alive', 'dead', 'inconclusive', 'retry'];
+
+/** @constant {*} STATUS_RULE_PATTERN - a status (404), a range (500-599) or a class (4xx) */
+
+const STATUS_RULE_PATTERN = /^(?:([1-5]\d\d)(?:-([1-5]\d\d))?|([1-5])xx)$/;
+
+/**
+ * Parse status rule
+ * @param {*} status - Rule key, e.g. 404, 500-599 or 4xx
+ * @returns {*} { status, from, to }, or null when the key is not a status, range or class
+ */
+
+function parseStatusRule(status) {
+	const match = STATUS_RULE_PATTERN.exec(String(status).toLowerCase());
+	if (!match) {
+		return null;
+	}
+
+	if (match[3]) {
+		return { status: `${match[3]}xx`, from: Number(match[3]) * 100, to: Number(match[3]) * 100 + 99 };
+	}
+
+	const from = Number(match[1]);
+	const to = match[2] ? Number(match[2]) : from;
+	return from <= to ? { status: match[0], from, to } : null;
+}
+
+/**
+ * Compile status rules
+ * @param {*} rules - { status: outcome } (see parseStatusRule)
+ * @param {*} source - Where the rules come from (default, config or a domain), recorded in results
+ * @returns {*} Compiled rules, narrowest range first so 404 wins over 4xx
+ */
+
+function compileStatusRules(rules, source) {
+	return Object.entries(rules)
+		.map(([status, outcome]) => {
+			const rule = parseStatusRule(status);
+			if (!rule) {
+				throw new Error(`Invalid status rule "${status}" (expected e.g. 404, 500-599 or 4xx)`);
+			}
+			if (!STATUS_OUTCOMES.includes(outcome)) {
+				throw new Error(`Invalid outcome "${outcome}" for status rule "${status}" (expected ${STATUS_OUTCOMES.join(', ')})`);
+			}
+			return { ...rule, outcome, source };
+		})
+		.sort((a, b) => a.to - a.from - (b.to - b.from) || a.from - b.from);
+}
+
+/**
+ * Create status policy
+ * @param {*} options - statusPolicy from config.json: { rules, domains, retries, retryDelay (ms) }, all optional
+ * @returns {*} { rules, domains: [{ domain, rules }], retries, retryDelay } with the configured rules layered over the defaults
+ */
+
+function createStatusPolicy(options = {}) {
+	const domains = Object.entries(options.domains || {}).map(([domain, rules]) => ({
+		domain: domain.toLowerCase(),
+		rules: compileStatusRules(rules, domain.toLowerCase()),
+	}));
+
+	return {
+		rules: [...compileStatusRules(options.rules || {}, 'config'), ...compileStatusRules(DEFAULT_STATUS_RULES, 'default')],
+		// Most specific domain first, so shop.example.com overrides example.com
+		domains: domains.sort((a, b) => b.domain.length - a.domain.length),
+		retries: options.retries ?? STATUS_RETRIES,
+		retryDelay: options.retryDelay ?? STATUS_RETRY_DELAY * 1000,
+	};
+}
+
+/**
+ * Format status rule
+ * @param {*} rule - Compiled rule
+ * @returns {*} e.g. "429: retry (default)" or "403: alive (example.com)"
+ */
+
+function formatStatusRule(rule) {
+	return `${rule.status}: ${rule.outcome} (${rule.source})`;
+}
+
+/**
+ * Classify status
+ * - Overrides for the domain (or a parent of it) first, then the configured rules, then the defaults
+ * @param {*} policy - Parameter policy (see createStatusPolicy)
+ * @param {*} domain - Checked domain
+ * @param {*} statusCode - Parameter statusCode
+ * @returns {*} { outcome, rule } or null when no rule covers the status
+ */
+
+function classifyStatus(policy, domain, statusCode) {
+	const host = String(domain || '').toLowerCase();
+	const overrides = policy.domains.filter(entry => host === entry.domain || host.endsWith(`.${entry.domain}`));
+
+	for (const rules of [...overrides.map(entry => entry.rules), policy.rules]) {
+		const rule = rules.find(candidate => statusCode >= candidate.from && statusCode <= candidate.to);
+		if (rule) {
+			return { outcome: rule.outcome, rule: formatStatusRule(rule) };
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Apply status policy
+ * - Only HTTP answers are classified; network errors and WAF pages keep their own verdict
+ * @param {*} policy - Parameter policy (see createStatusPolicy)
+ * @param {*} domain - Checked domain
+ * @param {*} result - tryUrl or probeUrl result
+ * @returns {*} The result with success, isDead and reason set by the policy, plus outcome and statusRule
+ */
+
+function applyStatusPolicy(policy, domain, result) {
+	if (result.statusCode === null || result.protection) {
+		return result;
+	}
+
+	const classified = classifyStatus(policy, domain, result.statusCode);
+	if (!classified) {
+		return result;
+	}
+
+	const alive = classified.outcome === 'alive';
+
+	return {
+		...result,
+		success: alive,
+		isDead: classified.outcome === 'dead',
+		reason: alive ? null : `HTTP ${result.statusCode}`,
+		parked: alive ? result.parked || null : null,
+		outcome: classified.outcome,
+		statusRule: classified.rule,
+	};
+}
+
+module.exports = {
+	STATUS_OUTCOMES,
+	parseStatusRule,
+	createStatusPolicy,
+	classifyStatus,
+	applyStatusPolicy,
+};
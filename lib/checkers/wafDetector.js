@@ -0,0 +1,167 @@
+/**
+ * @file wafDetector.js
+ * @module wafDetector
+ * @description Recognises WAF and bot-challenge responses from their headers, cookies and page content
+ */
+
+/**
+ * @constant {*} WAF_FINGERPRINTS - per provider: headers, cookies and content seen on block pages, challenge scripts, and
+ *   interstitial marks of the challenge page itself
+ * - Server headers are left out: a CDN also serves the origin's own errors (a 503 through Cloudflare is not a block)
+ * - Challenge scripts are left out of interstitial: they are injected into the ordinary pages of protected sites too
+ */
+
+const WAF_FINGERPRINTS = [
+	{
+		provider: 'Cloudflare',
+		headers: { 'cf-mitigated': /./ },
+		cookies: /^(__cf_bm|cf_clearance|cf_chl_\w+)$/,
+		content: /Attention Required! \| Cloudflare|cf-error-details|Sorry, you have been blocked/,
+		challenge: /\/cdn-cgi\/challenge-platform\//,
+		interstitial: /<title>Just a moment\.\.\.<\/title>|window\._cf_chl_opt/,
+	},
+	{
+		provider: 'Akamai',
+		headers: { 'akamai-grn': /./ },
+		cookies: /^(_abck|ak_bmsc|bm_sz|bm_sv)$/,
+		content: /Reference #\d+\.[0-9a-f]+\.\d+\.[0-9a-f]+|errors\.edgesuite\.net/,
+		challenge: /\/_sec\/cp_challenge\//,
+	},
+	{
+		provider: 'Sucuri',
+		headers: { 'x-sucuri-block': /./ },
+		cookies: /^sucuri_cloudproxy_uuid_/,
+		content: /Sucuri WebSite Firewall|cloudproxy@sucuri\.net/,
+		challenge: null,
+		interstitial: /sucuri_cloudproxy_js/,
+	},
+	{
+		provider: 'DataDome',
+		headers: { 'x-datadome': /./, 'x-dd-b': /./ },
+		cookies: /^datadome$/,
+		content: /captcha-delivery\.com/,
+		challenge: /geo\.captcha-delivery\.com|ct\.captcha-delivery\.com/,
+	},
+	{
+		provider: 'Imperva',
+		headers: { 'x-iinfo': /./, 'x-cdn': /Incapsula|Imperva/i },
+		cookies: /^(incap_ses_|visid_incap_|reese84$)/,
+		content: /Incapsula incident ID|Imperva/,
+		challenge: /_Incapsula_Resource/,
+	},
+	{
+		provider: 'PerimeterX',
+		headers: {},
+		cookies: /^(_px\d?|_pxhd|_pxvid)$/,
+		content: /perimeterx|px-captcha/i,
+		challenge: /<div id="px-captcha">/,
+	},
+	{
+		provider: 'AWS WAF',
+		headers: { 'x-amzn-waf-action': /./ },
+		cookies: /^aws-waf-token$/,
+		content: /AwsWafIntegration/,
+		challenge: /\/challenge\.js"|awswaf\.com/,
+	},
+	{
+		provider: 'DDoS-Guard',
+		headers: {},
+		cookies: /^__ddg\d*$/,
+		content: /DDoS-Guard/,
+		challenge: /check\.ddos-guard\.net/,
+	},
+	{
+		provider: 'captcha',
+		headers: {},
+		cookies: null,
+		content: /class="(g-recaptcha|h-captcha|cf-turnstile)"/,
+		challenge: null,
+	},
+];
+
+/** @constant {*} WAF_STATUS_CODES - statuses WAFs answer blocked or challenged requests with */
+
+const WAF_STATUS_CODES = [401, 403, 405, 406, 429, 503];
+
+/** @constant {*} CHALLENGE_ONLY_STATUS_CODES - WAF statuses also sent by ordinary rate limits and outages, where only a challenge counts */
+
+const CHALLENGE_ONLY_STATUS_CODES = [429, 503];
+
+/**
+ * Get cookie names
+ * @param {*} headers - Response headers (lowercase names); set-cookie as an array or newline-joined string
+ * @returns {*} Names of the cookies the response sets
+ */
+
+function getCookieNames(headers) {
+	const setCookie = headers['set-cookie'];
+	const cookies = Array.isArray(setCookie) ? setCookie : String(setCookie || '').split('\n');
+
+	return cookies.map(cookie => cookie.split('=')[0].trim()).filter(Boolean);
+}
+
+/**
+ * Detect waf
+ * - Header, cookie, challenge-script and block-page evidence only counts on WAF_STATUS_CODES, as the same headers,
+ *   cookies and scripts are served with every page of a protected site; interstitials count whatever the status
+ * - On 429 and 503 only challenge scripts do, so a protected site's own outages and rate limits are not taken for blocks
+ * @param {*} response - { statusCode, headers (lowercase names), cookies (names, optional), body }
+ * @returns {*} { provider, evidence } or null
+ */
+
+function detectWaf(response) {
+	const headers = response.headers || {};
+	const body = response.body || '';
+	const cookies = response.cookies || getCookieNames(headers);
+	const blocked = WAF_STATUS_CODES.includes(response.statusCode);
+
+	for (const fingerprint of WAF_FINGERPRINTS) {
+		if (fingerprint.interstitial && fingerprint.interstitial.test(body)) {
+			return { provider: fingerprint.provider, evidence: 'challenge page' };
+		}
+		if (!blocked) {
+			continue;
+		}
+
+		if (fingerprint.challenge && fingerprint.challenge.test(body)) {
+			return { provider: fingerprint.provider, evidence: 'challenge page' };
+		}
+		if (CHALLENGE_ONLY_STATUS_CODES.includes(response.statusCode)) {
+			continue;
+		}
+
+		const header = Object.keys(fingerprint.headers).find(name => fingerprint.headers[name].test(String(headers[name] || '')));
+		if (header) {
+			return { provider: fingerprint.provider, evidence: `${header} header` };
+		}
+
+		const cookie = fingerprint.cookies && cookies.find(name => fingerprint.cookies.test(name));
+		if (cookie) {
+			return { provider: fingerprint.provider, evidence: `${cookie} cookie` };
+		}
+
+		if (fingerprint.content.test(body)) {
+			return { provider: fingerprint.provider, evidence: 'block page' };
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Format waf reason
+ * @param {*} protection - Parameter protection (see detectWaf)
+ * @param {*} statusCode - Parameter statusCode
+ * @returns {*} Report reason, e.g. "Cloudflare challenge page (HTTP 403)"
+ */
+
+function formatWafReason(protection, statusCode) {
+	return `${protection.provider} ${protection.evidence}${statusCode ? ` (HTTP ${statusCode})` : ''}`;
+}
+
+module.exports = {
+	WAF_FINGERPRINTS,
+	getCookieNames,
+	detectWaf,
+	formatWafReason,
+};
@@ -3,9 +3,25 @@
  * @module cli
  * @description Part of the Cleaner-Adblock domain scanner utility
  */
-const { validateFilePath, validateTestCount, validateTimeout } = require('./utils/validators');
-const { TIMEOUT, FORCE_CLOSE_TIMEOUT, CONCURRENCY } = require('./config/defaults');
+const {
+	validateFilePath,
+	isRemoteUrl,
+	validateListUrl,
+	validateTestCount,
+	validateTimeout,
+	validateTldList,
+	validateDnsServers,
+} = require('./utils/validators');
+const { TIMEOUT, FORCE_CLOSE_TIMEOUT, CONCURRENCY, ENTITY_TLDS, LIST_CACHE_DIR, UNPARSED_LINES_FILE } = require('./config/defaults');
 const { loadConfig } = require('./config/loader');
+const { INPUT_FORMAT_NAMES } = require('./parsers/inputFormats');
+
+/** @constant {*} COMMANDS - commands accepted as the first argument (check is the default) */
+
+const COMMANDS = ['check', 'parse', 'lint'];
+/** @constant {*} CHECKERS - checker backends (browser is the default) */
+
+const CHECKERS = ['browser', 'http'];
 
 /**
  * Parse args (async)
@@ -14,6 +30,13 @@ const { loadConfig } = require('./config/loader');
  */
 
 async function parseArgs(args) {
+	// Optional command as the first argument: node cleaner-adblock.js parse --input=list.txt
+	const command = args.length > 0 && !args[0].startsWith('-') ? args[0] : 'check';
+	if (!COMMANDS.includes(command)) {
+		console.error(`Error: Unknown command '${command}'. Must be one of: ${COMMANDS.join(', ')}`);
+		process.exit(1);
+	}
+
 	// First, check if user specified a custom config file path
 	let configPath = null;
 	for (const arg of args) {
@@ -33,6 +56,9 @@ async function parseArgs(args) {
 		process.exit(1);
 	}
 
+	// Repeated --input values accumulate instead of overriding each other
+	const inputs = [];
+
 	// Parse command-line arguments (these override config file settings)
 	for (const arg of args) {
 		// Skip --config since we already processed it
@@ -41,16 +67,58 @@ async function parseArgs(args) {
 		}
 
 		if (arg.startsWith('--input=')) {
+			const input = arg.substring('--input='.length);
 			try {
-				config.inputFile = validateFilePath(arg.split('=')[1]);
+				inputs.push(isRemoteUrl(input) ? validateListUrl(input) : validateFilePath(input));
 			} catch (error) {
 				console.error(`Error: Invalid input file path - ${error.message}`);
 				process.exit(1);
 			}
+		} else if (arg.startsWith('--input-format=')) {
+			const inputFormat = arg.split('=')[1];
+			if (!INPUT_FORMAT_NAMES.includes(inputFormat)) {
+				console.error(`Error: Invalid input format - must be one of: ${INPUT_FORMAT_NAMES.join(', ')}`);
+				process.exit(1);
+			}
+			config.inputFormat = inputFormat;
+		} else if (arg === '--fix' || arg.startsWith('--fix=')) {
+			config.fixList = true;
+			if (arg.startsWith('--fix=')) {
+				try {
+					config.fixedListFile = validateFilePath(arg.split('=')[1]);
+				} catch (error) {
+					console.error(`Error: Invalid fixed list path - ${error.message}`);
+					process.exit(1);
+				}
+			}
+		} else if (arg === '--unparsed' || arg.startsWith('--unparsed=')) {
+			config.unparsedFile = UNPARSED_LINES_FILE;
+			if (arg.startsWith('--unparsed=')) {
+				try {
+					config.unparsedFile = validateFilePath(arg.split('=')[1]);
+				} catch (error) {
+					console.error(`Error: Invalid unparsed lines path - ${error.message}`);
+					process.exit(1);
+				}
+			}
+		} else if (arg === '--split-output') {
+			config.splitOutput = true;
 		} else if (arg === '--add-www') {
 			config.addWww = true;
 		} else if (arg === '--ignore-similar') {
 			config.ignoreSimilar = true;
+		} else if (arg === '--include-negated') {
+			config.includeNegated = true;
+		} else if (arg === '--expand-entities') {
+			config.expandEntities = true;
+		} else if (arg.startsWith('--entity-tlds=')) {
+			try {
+				config.entityTlds = validateTldList(arg.split('=')[1]);
+				config.expandEntities = true;
+			} catch (error) {
+				console.error(`Error: Invalid entity TLDs - ${error.message}`);
+				process.exit(1);
+			}
 		} else if (arg === '--debug' || arg.startsWith('--debug=')) {
 			// Parse debug flag with optional values
 			let debugTypes = ['basic']; // Default to basic if no value provided
@@ -108,6 +176,23 @@ async function parseArgs(args) {
 				console.error(`Error: Invalid timeout - ${error.message}`);
 				process.exit(1);
 			}
+		} else if (arg.startsWith('--checker=')) {
+			const checker = arg.split('=')[1];
+			if (!CHECKERS.includes(checker)) {
+				console.error(`Error: Invalid checker - must be one of: ${CHECKERS.join(', ')}`);
+				process.exit(1);
+			}
+			config.checker = checker;
+		} else if (arg.startsWith('--dns-servers=')) {
+			try {
+				config.dnsServers = validateDnsServers(arg.split('=')[1]);
+				config.dnsCheck = true;
+			} catch (error) {
+				console.error(`Error: Invalid DNS servers - ${error.message}`);
+				process.exit(1);
+			}
+		} else if (arg === '--no-dns') {
+			config.dnsCheck = false;
 		} else if (arg === '--quiet') {
 			config.quietMode = true;
 		} else if (arg.startsWith('--output-format=')) {
@@ -120,7 +205,11 @@ async function parseArgs(args) {
 		}
 	}
 
-	return config;
+	if (inputs.length > 0) {
+		config.inputFile = inputs.length === 1 ? inputs[0] : inputs;
+	}
+
+	return { ...config, command };
 }
 
 /**
@@ -138,16 +227,42 @@ Purpose:
   2. ca-redirect-domains.txt - Domains that redirect (review these)
 
 Usage:
-  node cleaner-adblock.js [options]
+  node cleaner-adblock.js [command] [options]
+
+Commands:
+  check                 Check every domain in the list (default)
+  parse                 Only parse the list and report which lines produced domains
+                        and why the others were skipped (no browser needed)
+  lint                  Report duplicate, redundant and shadowed rules and invalid
+                        domains (no browser needed, written to ca-lint-report.txt)
 
 Options:
   --config=<file>       Config file path (default: lib/config/config.json)
-  --input=<file>        Input file to scan (default: example-list.txt)
+  --input=<path>        Input file, directory, glob or http(s) URL to scan
+                        (default: example-list.txt). Repeat to scan several lists at once
+  --input-format=<fmt>  Input format: auto, adblock, hosts, dnsmasq, domains
+                        (default: auto - detected from the file contents)
   --output-format=<fmt> Output format: text, json, csv, all (default: text)
+  --unparsed[=<file>]   parse: write the skipped rules with their reasons
+                        (default: ${UNPARSED_LINES_FILE})
+  --split-output        Also write dead/redirect/parked/inconclusive/protected reports per input list
+  --fix[=<file>]        Write a cleaned copy of the input list with dead domains
+                        removed (default: ca-fixed-list.txt)
   --quiet               Quiet mode - minimal console output
   --add-www             Check both domain.com and www.domain.com for bare domains
   --ignore-similar      Ignore redirects to subdomains of same base domain
+  --include-negated     Also check negated (~domain) and exception (@@) rule domains
+  --expand-entities     Check entity rules (example.*##...) against a TLD list
+  --entity-tlds=<list>  Comma-separated TLDs for --expand-entities (enables it)
+                        (default: ${ENTITY_TLDS.join(',')})
   --timeout=N           Page load timeout in seconds (default: 30, max: 65535)
+  --checker=<name>      Checker backend: browser (default) or http - plain requests,
+                        escalating to the browser on 403, 5xx other than 503 or
+                        challenge pages (429 and 503 are backed off and re-checked,
+                        then escalated if they persist)
+  --dns-servers=<list>  Comma-separated resolvers for the DNS pre-check
+                        (default: system resolvers; 1.1.1.1,[::1]:5353)
+  --no-dns              Skip the DNS pre-check and open every domain in the browser
   --debug[=<types>]     Enable debug output (default: basic)
                         Types: basic, verbose, network, browser, all
                         Multiple types: --debug=basic,verbose
@@ -177,11 +292,48 @@ Dead domains (remove from list):
   - Network errors
   - HTTP 403 (only if all variants return 403)
 
+DNS pre-check:
+  - A, AAAA and CNAME are resolved before a page is opened
+  - NXDOMAIN (no such domain) and NODATA (no addresses, also on www.) are dead
+  - SERVFAIL and resolver timeouts are inconclusive - the browser is not tried
+
 Special handling:
   - HTTP 403 Forbidden: If non-www returns 403 but www. works, domain is kept
   - This handles sites like 101soundboards.com where bare domain is blocked
     but www.101soundboards.com works fine
 
+Multiple lists:
+  - --input=easylist.txt --input=fanboy/ --input='lists/*.txt'
+  - Directories expand to the files directly inside them, globs support * ** ? [...]
+  - Each domain is checked once, reports list every list and line referencing it
+  - --split-output adds ca-dead-domains-<list>.txt (etc.) with only that list's rules
+  - --fix writes one cleaned copy per list (ca-fixed-list-<list>.txt)
+
+Remote lists (--input=https://...):
+  - Downloaded into ${LIST_CACHE_DIR} and reused until the list's "! Expires:" period passes
+  - Then revalidated with ETag / Last-Modified (304 responses reuse the cached copy)
+  - When the download fails, the cached copy is used with a warning
+  - !#include directives in remote lists are skipped with a warning
+
+--fix behavior:
+  - a.com,b.com##.ad → b.com##.ad (when a.com is dead)
+  - $domain=a.com|b.com → $domain=b.com (when a.com is dead)
+  - Rules are dropped when every domain in them is dead
+  - Comments, ordering and untouched lines are preserved byte-for-byte
+  - Negated (~domain) and exception (@@) rules are left for manual review
+
+--include-negated behavior:
+  - a.com,~sub.a.com##.ad → also checks sub.a.com (negated)
+  - @@||cdn.com^$domain=a.com → checks cdn.com and a.com (exception)
+  - Domains only referenced this way are listed in a separate report section:
+    removing them widens a rule instead of narrowing it
+
+--expand-entities behavior:
+  - example.*##.ad → checks example.com, example.de, example.co.uk, ...
+  - Writes ca-entity-domains.txt listing, per entity, which TLD instances
+    are alive, dead or redirecting
+  - --fix never edits entity rules
+
 Redirect domains (review):
   - Domains that redirect to different domains
   - May still be valid or may need updating
@@ -194,6 +346,7 @@ Configuration:
 }
 
 module.exports = {
+	COMMANDS,
 	parseArgs,
 	showHelp,
 };
@@ -11,11 +11,20 @@ const TIMEOUT = 30; // 30 second timeout for page loads
 /** @constant {*} FORCE_CLOSE_TIMEOUT - force close timeout */
 
 const FORCE_CLOSE_TIMEOUT = 30; // 60 second fallback to force-close any tab
+/** @constant {*} DNS_TIMEOUT - dns timeout */
+
+const DNS_TIMEOUT = 5; // Per-query timeout for the DNS pre-check
 
 // Performance configuration
 /** @constant {*} CONCURRENCY - concurrency */
 
 const CONCURRENCY = 12; // Number of concurrent checks
+/** @constant {*} MAX_CHECKS_PER_DOMAIN - max checks per domain */
+
+const MAX_CHECKS_PER_DOMAIN = 2; // Concurrent checks of one registrable domain (a.example.com, b.example.com, ...)
+/** @constant {*} MAX_CHECKS_PER_ADDRESS - max checks per address */
+
+const MAX_CHECKS_PER_ADDRESS = 6; // Concurrent checks of domains resolving to one address (shared hosting, CDNs)
 /** @constant {*} MAX_FILE_SIZE - max file size */
 
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB max file size
@@ -35,12 +44,44 @@ const HTTPS_ONLY = false; // Only use HTTPS (no HTTP fallback)
 /** @constant {*} MAX_REQUESTS_PER_MINUTE - max requests per minute */
 
 const MAX_REQUESTS_PER_MINUTE = 600; // Maximum requests per minute
+/** @constant {*} THROTTLE_BACKOFF - throttle backoff */
+
+const THROTTLE_BACKOFF = 5; // Seconds a throttling site is left alone, doubling with each further 429/503/reset
+/** @constant {*} MAX_THROTTLE_BACKOFF - max throttle backoff */
+
+const MAX_THROTTLE_BACKOFF = 300; // Longest backoff, also caps Retry-After
+/** @constant {*} MAX_REQUEUES - max requeues */
+
+const MAX_REQUEUES = 3; // Times a throttled domain goes back into the queue before it is judged as is
 /** @constant {*} MAX_VARIANT_ATTEMPTS - max variant attempts */
 
 const MAX_VARIANT_ATTEMPTS = 1; // Maximum URL variant attempts per domain
 /** @constant {*} MAX_RETRIES_PER_ERROR_TYPE - max retries per error type */
 
 const MAX_RETRIES_PER_ERROR_TYPE = 1; // Maximum retries for same error type
+/** @constant {*} RETRY_TIMEOUT_FACTOR - retry timeout factor */
+
+const RETRY_TIMEOUT_FACTOR = 2; // Retry passes allow this many times the page load timeout
+
+// HTTP status policy (statusPolicy in config.json layers over these)
+/** @constant {*} DEFAULT_STATUS_RULES - what each status means; the narrowest matching range wins */
+
+const DEFAULT_STATUS_RULES = {
+	'1xx': 'alive',
+	'2xx': 'alive',
+	'3xx': 'alive',
+	401: 'alive', // Login wall: the site is there
+	429: 'retry', // Rate limited: ask again later
+	451: 'inconclusive', // Unavailable for legal reasons: blocked here, not gone
+	'4xx': 'dead',
+	'5xx': 'dead',
+};
+/** @constant {*} STATUS_RETRIES - status retries */
+
+const STATUS_RETRIES = 1; // Times a URL is asked again when its status means retry
+/** @constant {*} STATUS_RETRY_DELAY - status retry delay */
+
+const STATUS_RETRY_DELAY = 5; // Seconds to wait before asking again
 
 // Output files
 /** @constant {*} DEAD_DOMAINS_FILE - dead domains file */
@@ -52,6 +93,67 @@ const REDIRECT_DOMAINS_FILE = 'ca-redirect-domains.txt';
 /** @constant {*} INCONCLUSIVE_DOMAINS_FILE - inconclusive domains file */
 
 const INCONCLUSIVE_DOMAINS_FILE = 'ca-inconclusive-domains.txt';
+/** @constant {*} PROTECTED_DOMAINS_FILE - protected domains file */
+
+const PROTECTED_DOMAINS_FILE = 'ca-protected-domains.txt';
+/** @constant {*} PARKED_DOMAINS_FILE - parked domains file */
+
+const PARKED_DOMAINS_FILE = 'ca-parked-domains.txt';
+/** @constant {*} FIXED_LIST_FILE - fixed list file */
+
+const FIXED_LIST_FILE = 'ca-fixed-list.txt';
+/** @constant {*} ENTITY_DOMAINS_FILE - entity domains file */
+
+const ENTITY_DOMAINS_FILE = 'ca-entity-domains.txt';
+/** @constant {*} INVALID_DOMAINS_FILE - invalid domains file */
+
+const INVALID_DOMAINS_FILE = 'ca-invalid-domains.txt';
+/** @constant {*} LINT_REPORT_FILE - lint report file */
+
+const LINT_REPORT_FILE = 'ca-lint-report.txt';
+/** @constant {*} UNPARSED_LINES_FILE - unparsed lines file */
+
+const UNPARSED_LINES_FILE = 'ca-unparsed-lines.txt';
+
+// HTTP probe checker (checker: "http")
+/** @constant {*} MAX_PROBE_REDIRECTS - max probe redirects */
+
+const MAX_PROBE_REDIRECTS = 10;
+/** @constant {*} MAX_PROBE_BODY_BYTES - max probe body bytes */
+
+const MAX_PROBE_BODY_BYTES = 64 * 1024; // Enough of a page to recognise a challenge
+
+// Parked domain detection
+/** @constant {*} MAX_LANDER_TEXT_LENGTH - max lander text length */
+
+const MAX_LANDER_TEXT_LENGTH = 2000; // Visible characters; parking and for-sale landers say little else
+
+// Client-side redirects (<meta refresh>, JavaScript location changes)
+/** @constant {*} MAX_META_REFRESH_DELAY - max meta refresh delay */
+
+const MAX_META_REFRESH_DELAY = 5; // Seconds; slower refreshes are page reloads, not redirects
+/** @constant {*} CLIENT_REDIRECT_WAIT - client redirect wait */
+
+const CLIENT_REDIRECT_WAIT = 2; // Seconds a redirect page gets to navigate in the browser
+/** @constant {*} MAX_CLIENT_REDIRECTS - max client redirects */
+
+const MAX_CLIENT_REDIRECTS = 5;
+/** @constant {*} MAX_REDIRECT_STUB_BYTES - max redirect stub bytes */
+
+const MAX_REDIRECT_STUB_BYTES = 8 * 1024; // Only pages this small are scanned for a JavaScript redirect
+
+// Remote lists (--input=https://...)
+/** @constant {*} LIST_CACHE_DIR - list cache dir */
+
+const LIST_CACHE_DIR = '.ca-cache/lists'; // Downloaded lists and their ETag/Last-Modified metadata
+/** @constant {*} MAX_LIST_REDIRECTS - max list redirects */
+
+const MAX_LIST_REDIRECTS = 5;
+
+// Entity wildcard expansion (example.* → example.com, example.de, ...)
+/** @constant {*} ENTITY_TLDS - entity tlds */
+
+const ENTITY_TLDS = ['com', 'net', 'org', 'de', 'fr', 'it', 'es', 'nl', 'pl', 'ru', 'co.uk', 'ca', 'com.au', 'com.br', 'co.jp', 'in'];
 
 // Custom User Agent - Chrome on Windows
 /** @constant {*} USER_AGENT - user agent */
@@ -65,9 +167,6 @@ const MIN_DOMAIN_LENGTH = 4;
 /** @constant {*} MAX_ERROR_MESSAGE_LENGTH - max error message length */
 
 const MAX_ERROR_MESSAGE_LENGTH = 120;
-/** @constant {*} BARE_DOMAIN_DOT_COUNT - bare domain dot count */
-
-const BARE_DOMAIN_DOT_COUNT = 1;
 
 // Validation limits
 /** @constant {*} MIN_TEST_COUNT - min test count */
@@ -100,16 +199,35 @@ const DEFAULT_TEST_COUNT = 5;
 module.exports = {
 	TIMEOUT,
 	FORCE_CLOSE_TIMEOUT,
+	DNS_TIMEOUT,
 	CONCURRENCY,
+	MAX_CHECKS_PER_DOMAIN,
+	MAX_CHECKS_PER_ADDRESS,
 	MAX_FILE_SIZE,
 	MAX_DOMAINS,
 	DEAD_DOMAINS_FILE,
 	REDIRECT_DOMAINS_FILE,
 	INCONCLUSIVE_DOMAINS_FILE,
+	PROTECTED_DOMAINS_FILE,
+	PARKED_DOMAINS_FILE,
+	FIXED_LIST_FILE,
+	ENTITY_DOMAINS_FILE,
+	INVALID_DOMAINS_FILE,
+	LINT_REPORT_FILE,
+	UNPARSED_LINES_FILE,
+	MAX_PROBE_REDIRECTS,
+	MAX_PROBE_BODY_BYTES,
+	MAX_LANDER_TEXT_LENGTH,
+	MAX_META_REFRESH_DELAY,
+	CLIENT_REDIRECT_WAIT,
+	MAX_CLIENT_REDIRECTS,
+	MAX_REDIRECT_STUB_BYTES,
+	LIST_CACHE_DIR,
+	MAX_LIST_REDIRECTS,
+	ENTITY_TLDS,
 	USER_AGENT,
 	MIN_DOMAIN_LENGTH,
 	MAX_ERROR_MESSAGE_LENGTH,
-	BARE_DOMAIN_DOT_COUNT,
 	MIN_TEST_COUNT,
 	MAX_TEST_COUNT,
 	MIN_CONCURRENCY,
@@ -121,6 +239,13 @@ module.exports = {
 	DISABLE_SANDBOX,
 	HTTPS_ONLY,
 	MAX_REQUESTS_PER_MINUTE,
+	THROTTLE_BACKOFF,
+	MAX_THROTTLE_BACKOFF,
+	MAX_REQUEUES,
 	MAX_VARIANT_ATTEMPTS,
 	MAX_RETRIES_PER_ERROR_TYPE,
+	RETRY_TIMEOUT_FACTOR,
+	DEFAULT_STATUS_RULES,
+	STATUS_RETRIES,
+	STATUS_RETRY_DELAY,
 };
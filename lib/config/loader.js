@@ -94,6 +94,14 @@ async function loadConfig(customConfigPath) {
 	// Code internally uses milliseconds (precise)
 	config.timeout = config.timeout * 1000;
 	config.forceCloseTimeout = config.forceCloseTimeout * 1000;
+	config.dnsTimeout = config.dnsTimeout * 1000;
+	config.throttleBackoff = config.throttleBackoff * 1000;
+	config.maxThrottleBackoff = config.maxThrottleBackoff * 1000;
+	config.retryFailedDelay = config.retryFailedDelay * 1000;
+	if (config.retryTimeout) {
+		config.retryTimeout = config.retryTimeout * 1000;
+	}
+	config.statusPolicy = { ...config.statusPolicy, retryDelay: config.statusPolicy.retryDelay * 1000 };
 
 	// SECURITY CHECK: Prevent accidental sandbox disabling
 	if (config.disableSandbox === true && config.disableSandboxPlease !== true) {
@@ -5,22 +5,61 @@
  */
 
 const Joi = require('joi');
+const { isValidDnsServer } = require('../utils/validators');
+const { STATUS_OUTCOMES, parseStatusRule } = require('../checkers/statusPolicy');
+
+/** @constant {*} statusRules - { status: outcome } map of a status policy */
+
+const statusRules = Joi.object().pattern(
+	Joi.string().custom((value, helpers) => (parseStatusRule(value) ? value : helpers.error('any.invalid'))),
+	Joi.string().valid(...STATUS_OUTCOMES)
+);
 
 const configSchema = Joi.object({
 	// Input/Output
-	inputFile: Joi.string().required(),
+	inputFile: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()).min(1)).required(), // files, directories or globs
+	inputFormat: Joi.string().valid('auto', 'adblock', 'hosts', 'dnsmasq', 'domains').default('auto'),
 	outputFormat: Joi.string().valid('text', 'json', 'csv', 'all').default('text'),
+	splitOutput: Joi.boolean().default(false), // also write reports per input list
+	listCacheDir: Joi.string().optional(), // cache for remote (--input=https://...) lists
 
 	// Domain checking options
+	checker: Joi.string().valid('browser', 'http').default('browser'), // http: plain requests, browser only for ambiguous results
 	addWww: Joi.boolean().default(false),
 	ignoreSimilar: Joi.boolean().default(false),
+	includeNegated: Joi.boolean().default(false),
+	expandEntities: Joi.boolean().default(false),
+	entityTlds: Joi.array()
+		.items(Joi.string().pattern(/^[a-z0-9-]+(\.[a-z0-9-]+)*$/i))
+		.min(1)
+		.optional(),
 
 	// Timing
 	timeout: Joi.number().integer().min(1).max(300).default(30),
 	forceCloseTimeout: Joi.number().integer().min(1).max(600).default(60),
 
+	// DNS pre-check (domains that do not resolve are never opened in the browser)
+	dnsCheck: Joi.boolean().default(true),
+	dnsServers: Joi.array()
+		.items(Joi.string().custom((value, helpers) => (isValidDnsServer(value) ? value : helpers.error('any.invalid'))))
+		.min(1)
+		.optional(), // defaults to the system resolvers
+	dnsTimeout: Joi.number().integer().min(1).max(60).default(5),
+
+	// HTTP status policy: status (404), range (500-599) or class (4xx) -> outcome, layered over the defaults
+	statusPolicy: Joi.object({
+		rules: statusRules.default({}),
+		domains: Joi.object()
+			.pattern(Joi.string().pattern(/^[a-z0-9-]+(\.[a-z0-9-]+)*$/i), statusRules)
+			.default({}),
+		retries: Joi.number().integer().min(0).max(5).default(1), // times a retry status is asked again
+		retryDelay: Joi.number().min(0).max(300).default(5), // seconds between those attempts
+	}).default(),
+
 	// Concurrency
 	concurrency: Joi.number().integer().min(1).max(50).default(12),
+	maxChecksPerDomain: Joi.number().integer().min(1).max(50).default(2), // in-flight checks per registrable domain
+	maxChecksPerAddress: Joi.number().integer().min(1).max(50).default(6), // in-flight checks per resolved address
 
 	// Test mode
 	testMode: Joi.boolean().default(false),
@@ -49,9 +88,23 @@ const configSchema = Joi.object({
 	disableSandboxPlease: Joi.boolean().default(false),
 	httpsOnly: Joi.boolean().default(false),
 
-	// Rate limiting (new)
+	// Rate limiting
 	maxRequestsPerMinute: Joi.number().integer().min(1).max(10000).default(600),
+	throttleBackoff: Joi.number().min(1).max(3600).default(5), // seconds, doubling per 429/503/reset from the same site
+	maxThrottleBackoff: Joi.number().min(1).max(3600).default(300), // seconds, also caps Retry-After
+	maxRequeues: Joi.number().integer().min(0).max(10).default(3), // throttled domains go back into the queue this often
+
+	// Retry passes over dead and inconclusive domains (off unless retryFailedDomains is true)
+	retryFailedDomains: Joi.boolean().optional(),
+	maxRetries: Joi.number().integer().min(0).max(5).default(1), // passes; dead only if every pass finds the domain dead
+	retryFailedDelay: Joi.number().integer().min(0).max(3600).default(30), // seconds before each pass
+	retryTimeout: Joi.number().integer().min(1).max(600).optional(), // seconds, defaults to twice timeout
 	maxDomains: Joi.number().integer().min(1).max(1000000).default(100000),
+	maxFileSize: Joi.number()
+		.integer()
+		.min(1)
+		.max(2 * 1024 * 1024 * 1024)
+		.default(10 * 1024 * 1024), // bytes, covers the list and everything it !#includes
 
 	// Filtering
 	excludeDomains: Joi.array().items(Joi.string()).optional(),
@@ -63,11 +116,16 @@ const configSchema = Joi.object({
 	redirectDomainsFile: Joi.string().optional(),
 	inconclusiveDomainsFile: Joi.string().optional(),
 
+	// Parked domain detection (defaults to the bundled lib/data/parking-fingerprints.json)
+	parkingFingerprintsFile: Joi.string().optional(),
+
+	// List cleanup (writes a copy of the input list with dead domains removed)
+	fixList: Joi.boolean().default(false),
+	fixedListFile: Joi.string().optional(),
+
 	// Advanced options
 	browserArgs: Joi.array().items(Joi.string()).optional(),
 	userAgent: Joi.string().optional(),
-	retryFailedDomains: Joi.boolean().optional(),
-	maxRetries: Joi.number().integer().min(0).max(5).optional(),
 })
 	.pattern(/^_/, Joi.any()) // Allow fields starting with _ for comments
 	.unknown(false); // Reject unknown keys for security
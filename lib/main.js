@@ -10,13 +10,51 @@ const fs = require('fs');
 const https = require('https');
 const { parseArgs, showHelp } = require('./cli');
 const { configure: configureLogger } = require('./utils/logger');
-const { parseDomainsFromFile } = require('./parsers/fileReader');
+const { parseDomainSourcesFromFiles, getSourceList } = require('./parsers/fileReader');
+const { resolveInputFormat } = require('./parsers/inputFormats');
+const { fetchRemoteList } = require('./parsers/remoteList');
 const { expandDomainsWithWww, processDomains } = require('./checkers/domainChecker');
-const { writeDeadDomains, writeRedirectDomains, writeInconclusiveDomains } = require('./writers/reportWriter');
+const { createDnsResolver } = require('./checkers/dnsChecker');
+const { loadParkingFingerprints } = require('./checkers/parkingDetector');
+const { createStatusPolicy } = require('./checkers/statusPolicy');
+const { Throttle } = require('./utils/throttle');
+const {
+	writeDeadDomains,
+	writeRedirectDomains,
+	writeInconclusiveDomains,
+	writeParkedDomains,
+	writeProtectedDomains,
+	writeInvalidDomains,
+	writeEntityDomains,
+	summarizeEntities,
+	splitResultsByList,
+	writeUnparsedLines,
+	writeLintFindings,
+} = require('./writers/reportWriter');
+const { createParseReport, addParseLine, formatParseReport } = require('./parsers/parseReport');
+const { createListLint, addLintLine, getLintFindings, formatLintSummary } = require('./parsers/listLint');
 const { formatSummaryBox } = require('./utils/treeFormatter');
 const { initializeOutputFile, appendDomainToFile } = require('./writers/formatWriters');
+const { writeFixedList } = require('./writers/listFixer');
 const { getFileExtension } = require('./utils/fileHelpers');
-const { DEAD_DOMAINS_FILE, REDIRECT_DOMAINS_FILE, INCONCLUSIVE_DOMAINS_FILE } = require('./config/defaults');
+const DomainFeed = require('./utils/domainFeed');
+const LazyBrowser = require('./utils/lazyBrowser');
+const { normalizeDomain } = require('./utils/idn');
+const { expandInputPaths, getListNames, getListOutputPath } = require('./utils/inputPaths');
+const { isRemoteUrl } = require('./utils/validators');
+const { lintDomain } = require('./utils/domainLint');
+const {
+	DEAD_DOMAINS_FILE,
+	REDIRECT_DOMAINS_FILE,
+	INCONCLUSIVE_DOMAINS_FILE,
+	PROTECTED_DOMAINS_FILE,
+	PARKED_DOMAINS_FILE,
+	INVALID_DOMAINS_FILE,
+	LINT_REPORT_FILE,
+	FIXED_LIST_FILE,
+	ENTITY_TLDS,
+	RETRY_TIMEOUT_FACTOR,
+} = require('./config/defaults');
 
 /**
  * Download sample file (async)
@@ -74,6 +112,159 @@ async function downloadSampleFile(filePath) {
 	});
 }
 
+/**
+ * Write invalid domain report (async)
+ * @param {*} config - Parameter config
+ * @param {*} invalidDomains - Domains failing lintDomain ({ domain, issue, reason })
+ * @param {*} domainSources - Map of domain to sources (see parseDomainSourcesFromFiles)
+ * @param {*} listCount - Number of input lists
+ * @returns {Promise<*>} Promise resolving to the written file paths
+ */
+
+async function writeInvalidDomainReport(config, invalidDomains, domainSources, listCount) {
+	for (const item of invalidDomains) {
+		item.sources = domainSources.get(item.domain) || [];
+		if (listCount > 1) {
+			item.lists = Array.from(new Set(item.sources.map(getSourceList)));
+		}
+	}
+
+	return writeInvalidDomains(invalidDomains, {
+		format: config.outputFormat || 'text',
+		filePath: INVALID_DOMAINS_FILE,
+		includeTimestamp: config.includeTimestamp !== false,
+	});
+}
+
+/**
+ * Report invalid domains (async)
+ * - Syntax errors and unknown TLDs need no network access to find
+ * @param {*} config - Parameter config
+ * @param {*} domainSources - Map of domain to sources (see parseDomainSourcesFromFiles)
+ * @param {*} listCount - Number of input lists
+ * @returns {Promise<*>} Promise resolving once the report is written (if there is anything to report)
+ */
+
+async function reportInvalidDomains(config, domainSources, listCount) {
+	const invalidDomains = [];
+	for (const domain of domainSources.keys()) {
+		const issue = lintDomain(domain);
+		if (issue) {
+			invalidDomains.push({ domain, issue: issue.issue, reason: issue.message });
+		}
+	}
+
+	if (invalidDomains.length > 0) {
+		const [filePath] = await writeInvalidDomainReport(config, invalidDomains, domainSources, listCount);
+		console.log(`\n⛔ ${invalidDomains.length} invalid domains written to ${filePath}`);
+	}
+}
+
+/**
+ * Print parse warnings
+ * - Printed once parsing is over, so they do not break into the report or the progress output
+ * @param {*} config - Parameter config
+ * @param {*} warnings - Lines skipped as unsupported (see the onWarning option of parseDomainSourcesFromFiles)
+ * @returns {*} Result
+ */
+
+function printParseWarnings(config, warnings) {
+	if (config.quietMode) {
+		return;
+	}
+
+	for (const warning of warnings) {
+		console.log(`⚠️ ${warning.file}:${warning.line}: ${warning.message}`);
+	}
+}
+
+/**
+ * Run parse (async)
+ * @param {*} config - Parameter config
+ * @param {*} lists - Resolved input lists ({ file, label, inputFormat })
+ * @returns {Promise<*>} Promise resolving once the report is printed (and written)
+ */
+
+async function runParse(config, lists) {
+	const report = createParseReport();
+	const warnings = [];
+	let sources;
+
+	try {
+		sources = await parseDomainSourcesFromFiles(lists, {
+			includeNegated: config.includeNegated,
+			entityTlds: config.expandEntities ? config.entityTlds || ENTITY_TLDS : [],
+			maxFileSize: config.maxFileSize,
+			onLine: info => addParseLine(report, info),
+			onWarning: warning => warnings.push(warning),
+		});
+		report.domainCount = sources.size;
+	} catch (error) {
+		console.error(`\n❌ Error: ${error.message}`);
+		process.exit(1);
+	}
+
+	console.log('\n' + formatParseReport(report).join('\n'));
+	printParseWarnings(config, warnings);
+
+	await reportInvalidDomains(config, sources, lists.length);
+
+	if (config.unparsedFile) {
+		const filePath = await writeUnparsedLines(report, {
+			filePath: config.unparsedFile,
+			includeTimestamp: config.includeTimestamp !== false,
+		});
+		console.log(`\n📝 ${report.unparsed.length} unparsed lines written to ${filePath}`);
+	}
+}
+
+/**
+ * Run lint (async)
+ * @param {*} config - Parameter config
+ * @param {*} lists - Resolved input lists ({ file, label, inputFormat })
+ * @returns {Promise<*>} Promise resolving once the findings are printed and written
+ */
+
+async function runLint(config, lists) {
+	const lint = createListLint();
+	const warnings = [];
+	let sources;
+
+	try {
+		sources = await parseDomainSourcesFromFiles(lists, {
+			includeNegated: config.includeNegated,
+			entityTlds: config.expandEntities ? config.entityTlds || ENTITY_TLDS : [],
+			maxFileSize: config.maxFileSize,
+			onLine: info => addLintLine(lint, info),
+			onWarning: warning => warnings.push(warning),
+		});
+	} catch (error) {
+		console.error(`\n❌ Error: ${error.message}`);
+		process.exit(1);
+	}
+
+	const findings = getLintFindings(lint);
+	for (const finding of findings) {
+		if (lists.length > 1) {
+			finding.lists = Array.from(new Set(finding.sources.map(getSourceList)));
+		}
+	}
+
+	console.log('\n' + formatLintSummary(findings).join('\n'));
+	printParseWarnings(config, warnings);
+
+	if (findings.length > 0) {
+		const [filePath] = await writeLintFindings(findings, {
+			format: config.outputFormat || 'text',
+			filePath: LINT_REPORT_FILE,
+			includeTimestamp: config.includeTimestamp !== false,
+		});
+		console.log(`\n🧹 ${findings.length} lint findings written to ${filePath}`);
+	}
+
+	await reportInvalidDomains(config, sources, lists.length);
+}
+
 /**
  * Main (async)
  * @returns {Promise<*>} Promise resolving to result
@@ -132,12 +323,13 @@ async function main() {
 
 	// Display startup information
 	console.log('=== Cleaner AdBlock v1.0.0-r ===\n');
-	console.log(`File: ${config.inputFile}`);
+
+	const inputPatterns = [].concat(config.inputFile);
 
 	// Auto-download example file if it doesn't exist
-	if (config.inputFile === 'example-list.txt' && !fs.existsSync(config.inputFile)) {
+	if (inputPatterns.length === 1 && inputPatterns[0] === 'example-list.txt' && !fs.existsSync(inputPatterns[0])) {
 		try {
-			await downloadSampleFile(config.inputFile);
+			await downloadSampleFile(inputPatterns[0]);
 		} catch (error) {
 			console.error(`\n❌ Failed to download sample file: ${error.message}`);
 			console.log(`\nYou can manually download from: https://github.com/easylist/easylist`);
@@ -146,10 +338,33 @@ async function main() {
 		}
 	}
 
-	// Parse domains from file
-	let domains;
+	// Expand directories and globs, fetch remote lists, then detect each list's format from its head
+	const lists = [];
 	try {
-		domains = await parseDomainsFromFile(config.inputFile);
+		for (const input of await expandInputPaths(inputPatterns)) {
+			let file = input;
+
+			if (isRemoteUrl(input)) {
+				const remote = await fetchRemoteList(input, {
+					cacheDir: config.listCacheDir,
+					maxFileSize: config.maxFileSize,
+					timeout: config.timeout,
+				});
+				file = remote.file;
+
+				if (remote.status === 'offline') {
+					console.log(`⚠️ ${input}: ${remote.error} - using cached copy from ${new Date(remote.fetchedAt).toISOString()}`);
+				} else if (!config.quietMode) {
+					console.log(`⬇️ ${input}: ${remote.status}`);
+				}
+			}
+
+			lists.push({
+				file,
+				label: input,
+				inputFormat: await resolveInputFormat(file, config.inputFormat, { maxFileSize: config.maxFileSize }),
+			});
+		}
 	} catch (error) {
 		console.error(`\n❌ Error: ${error.message}`);
 		console.log(`\nTip: Use --input=<file> to specify a different input file`);
@@ -157,63 +372,37 @@ async function main() {
 		process.exit(1);
 	}
 
-	console.log(`Found ${domains.length} unique domains to check\n`);
-
-	// Security: Enforce maximum domains limit
-	if (domains.length > config.maxDomains) {
-		console.error(`\n❌ Error: Too many domains (${domains.length})`);
-		console.error(`   Maximum allowed: ${config.maxDomains}`);
-		console.error(`   This limit prevents resource exhaustion attacks.`);
-		console.error(`   To increase: set maxDomains in config.json (max: 1000000)\n`);
-		process.exit(1);
-	}
-
-	// Apply domain filtering if configured
-	let originalCount = domains.length;
-
-	// Filter by includeDomains if specified
-	if (config.includeDomains && config.includeDomains.length > 0) {
-		const includeSet = new Set(config.includeDomains);
-		domains = domains.filter(d => includeSet.has(d));
-		if (!config.quietMode) {
-			console.log(`filtered to ${domains.length} domains using includeDomains (from ${originalCount})`);
-		}
-		originalCount = domains.length;
-	}
-
-	// Filter by excludeDomains if specified
-	if (config.excludeDomains && config.excludeDomains.length > 0) {
-		const excludeSet = new Set(config.excludeDomains);
-		domains = domains.filter(d => !excludeSet.has(d));
-		if (!config.quietMode) {
-			console.log(`excluded ${originalCount - domains.length} domains using excludeDomains`);
+	const formatNote = !config.inputFormat || config.inputFormat === 'auto' ? ' (auto-detected)' : '';
+	if (lists.length === 1) {
+		console.log(`File: ${lists[0].label}`);
+		console.log(`Format: ${lists[0].inputFormat}${formatNote}`);
+	} else {
+		console.log(`Lists: ${lists.length}`);
+		for (const list of lists) {
+			console.log(`  ${list.label} (${list.inputFormat}${formatNote})`);
 		}
-		originalCount = domains.length;
 	}
 
-	// Filter by excludePatterns if specified
-	if (config.excludePatterns && config.excludePatterns.length > 0) {
-		domains = domains.filter(d => {
-			return !config.excludePatterns.some(pattern => pattern.test(d));
-		});
-		if (!config.quietMode) {
-			console.log(`excluded ${originalCount - domains.length} domains using excludePatterns`);
-		}
+	// parse command: report how the lists were understood without checking anything
+	if (config.command === 'parse') {
+		await runParse(config, lists);
+		process.exit(0);
 	}
 
-	// Apply test mode if enabled
-	if (config.testMode && domains.length > config.testCount) {
-		console.log(`[TEST MODE] limiting to first ${config.testCount} domains (from ${domains.length} total)\n`);
-		domains = domains.slice(0, config.testCount);
+	// lint command: report redundant rules and invalid domains, also without a browser
+	if (config.command === 'lint') {
+		await runLint(config, lists);
+		process.exit(0);
 	}
 
-	// Expand domains with www variants if --add-www is enabled
-	const domainObjects = expandDomainsWithWww(domains, config.addWww);
-	const totalChecks = domainObjects.reduce((sum, obj) => sum + obj.variants.length, 0);
-
-	if (config.addWww) {
-		const withWww = domainObjects.filter(obj => obj.variants.length > 1).length;
-		console.log(`expanded to ${totalChecks} total checks (${withWww} domains will try www variant)\n`);
+	// Custom parking fingerprints replace the bundled ones
+	if (config.parkingFingerprintsFile) {
+		try {
+			loadParkingFingerprints(config.parkingFingerprintsFile);
+		} catch (error) {
+			console.error(`\n❌ Error: invalid parking fingerprints ${config.parkingFingerprintsFile}: ${error.message}`);
+			process.exit(1);
+		}
 	}
 
 	// Launch browser
@@ -225,13 +414,26 @@ async function main() {
 		browserArgs.push('--no-sandbox', '--disable-setuid-sandbox');
 	}
 
-	browser = await puppeteer.launch({
-		headless: true,
-		acceptInsecureCerts: true,
-		args: browserArgs,
-	});
+	/**
+	 * Launch browser
+	 * @returns {Promise<*>} Promise resolving to the Puppeteer browser
+	 */
+
+	const launchBrowser = () =>
+		puppeteer.launch({
+			headless: true,
+			acceptInsecureCerts: true,
+			args: browserArgs,
+		});
 
-	console.log('browser launched. starting domain checks...\n');
+	// The http checker only needs Chromium for escalated (403, 5xx, challenge page, JavaScript redirect; 429 and 503 once their requeues are used up) results
+	if (config.checker === 'http') {
+		browser = new LazyBrowser(launchBrowser);
+		console.log('http checker ready (browser launched on demand). parsing list and starting domain checks...\n');
+	} else {
+		browser = await launchBrowser();
+		console.log('browser launched. parsing list and starting domain checks...\n');
+	}
 
 	// Determine output format and file paths
 	const outputFormat = config.outputFormat || 'text';
@@ -242,6 +444,8 @@ async function main() {
 	const deadDomainsPath = DEAD_DOMAINS_FILE.replace(/\.txt$/, fileExt);
 	const redirectDomainsPath = REDIRECT_DOMAINS_FILE.replace(/\.txt$/, fileExt);
 	const inconclusiveDomainsPath = INCONCLUSIVE_DOMAINS_FILE.replace(/\.txt$/, fileExt);
+	const protectedDomainsPath = PROTECTED_DOMAINS_FILE.replace(/\.txt$/, fileExt);
+	const parkedDomainsPath = PARKED_DOMAINS_FILE.replace(/\.txt$/, fileExt);
 
 	// Initialize empty files for simple domain tracking during processing
 	if (supportsRealtime) {
@@ -249,6 +453,8 @@ async function main() {
 			await initializeOutputFile(deadDomainsPath);
 			await initializeOutputFile(redirectDomainsPath);
 			await initializeOutputFile(inconclusiveDomainsPath);
+			await initializeOutputFile(protectedDomainsPath);
+			await initializeOutputFile(parkedDomainsPath);
 		} catch (error) {
 			console.error(`error initializing output files: ${error.message}`);
 		}
@@ -264,6 +470,10 @@ async function main() {
 						await appendDomainToFile(redirectDomainsPath, result.data.domain);
 					} else if (result.type === 'inconclusive') {
 						await appendDomainToFile(inconclusiveDomainsPath, result.data.domain);
+					} else if (result.type === 'protected') {
+						await appendDomainToFile(protectedDomainsPath, result.data.domain);
+					} else if (result.type === 'parked') {
+						await appendDomainToFile(parkedDomainsPath, result.data.domain);
 					}
 				} catch (error) {
 					// Silently ignore write errors to not interrupt processing
@@ -274,22 +484,197 @@ async function main() {
 			}
 		: null;
 
+	// Domain filters, applied to each domain as soon as the parser finds it
+	const includeSet =
+		config.includeDomains && config.includeDomains.length > 0 ? new Set(config.includeDomains.map(d => normalizeDomain(d) || d)) : null;
+	const excludeSet =
+		config.excludeDomains && config.excludeDomains.length > 0 ? new Set(config.excludeDomains.map(d => normalizeDomain(d) || d)) : null;
+	const excludePatterns = config.excludePatterns || [];
+	const filterCounts = { notIncluded: 0, excluded: 0, excludedByPattern: 0, testModeSkipped: 0 };
+
+	// Domains that can never resolve (syntax errors, unknown TLDs) are reported instead of checked
+	const invalidDomains = [];
+
+	// Domains queued for checking, in the order they were found
+	const feed = new DomainFeed();
+	const domains = [];
+	let discoveredCount = 0;
+	let wwwVariantCount = 0;
+	let tooManyDomains = false;
+
+	/**
+	 * On domain
+	 * @param {*} domain - Domain seen for the first time while parsing
+	 * @returns {*} Result
+	 */
+
+	const onDomain = domain => {
+		// Security: Enforce maximum domains limit
+		if (++discoveredCount > config.maxDomains) {
+			tooManyDomains = true;
+			feed.abort();
+			throw new Error(`Too many domains (more than ${config.maxDomains})`);
+		}
+
+		const issue = lintDomain(domain);
+
+		if (includeSet && !includeSet.has(domain)) {
+			filterCounts.notIncluded++;
+		} else if (excludeSet && excludeSet.has(domain)) {
+			filterCounts.excluded++;
+		} else if (excludePatterns.some(pattern => pattern.test(domain))) {
+			filterCounts.excludedByPattern++;
+		} else if (issue) {
+			invalidDomains.push({ domain, issue: issue.issue, reason: issue.message });
+		} else if (config.testMode && domains.length >= config.testCount) {
+			filterCounts.testModeSkipped++;
+		} else {
+			// Expand with the www variant if --add-www is enabled
+			const domainObj = expandDomainsWithWww([domain], config.addWww)[0];
+			if (domainObj.variants.length > 1) {
+				wwwVariantCount++;
+			}
+
+			domains.push(domain);
+			feed.push(domainObj);
+		}
+	};
+
+	// Parse the lists as a stream, feeding domains to the checker as they are found
+	let domainSources = new Map();
+	const parseWarnings = [];
+
+	const parsing = parseDomainSourcesFromFiles(lists, {
+		includeNegated: config.includeNegated,
+		entityTlds: config.expandEntities ? config.entityTlds || ENTITY_TLDS : [],
+		maxFileSize: config.maxFileSize,
+		onDomain,
+		onWarning: warning => parseWarnings.push(warning),
+		onProgress: ({ file, list, listIndex, listCount, fileBytesRead, fileSize }) => {
+			// Lists count equally; bytes of included files are not known up front
+			if (file === list && fileSize > 0) {
+				feed.progress = (listIndex + fileBytesRead / fileSize) / listCount;
+			}
+		},
+	})
+		.then(sources => {
+			domainSources = sources;
+			return null;
+		})
+		.catch(error => {
+			// Nothing of a list that failed to parse is reported, so stop checking it
+			feed.abort();
+			return error;
+		})
+		.finally(() => feed.close());
+
+	// One throttle for the run: the request rate, and backoff for sites answering 429, 503 or resetting connections
+	const throttle = new Throttle({
+		maxRequestsPerMinute: config.maxRequestsPerMinute,
+		backoff: config.throttleBackoff,
+		maxBackoff: config.maxThrottleBackoff,
+		maxRequeues: config.maxRequeues,
+	});
+
 	// Process domains
-	const results = await processDomains(browser, domainObjects, config.ignoreSimilar, config.timeout, {
+	const results = await processDomains(browser, feed, config.ignoreSimilar, config.timeout, {
 		quietMode: config.quietMode,
 		forceCloseTimeout: config.forceCloseTimeout,
 		concurrency: config.concurrency,
+		retry: config.retryFailedDomains
+			? { passes: config.maxRetries, delay: config.retryFailedDelay, timeout: config.retryTimeout || config.timeout * RETRY_TIMEOUT_FACTOR }
+			: null,
+		maxChecksPerDomain: config.maxChecksPerDomain,
+		maxChecksPerAddress: config.maxChecksPerAddress,
 		httpsOnly: config.httpsOnly || false,
+		checker: config.checker,
+		statusPolicy: createStatusPolicy(config.statusPolicy),
+		throttle,
+		dnsResolver: config.dnsCheck !== false ? createDnsResolver({ servers: config.dnsServers, timeout: config.dnsTimeout }) : null,
 		onResult,
 	});
 
+	// Resolves to the parse error, if any
+	const parseError = await parsing;
+
+	if (parseError) {
+		await browser.close();
+
+		if (tooManyDomains) {
+			console.error(`\n❌ Error: Too many domains (more than ${config.maxDomains})`);
+			console.error(`   Maximum allowed: ${config.maxDomains}`);
+			console.error(`   This limit prevents resource exhaustion attacks.`);
+			console.error(`   To increase: set maxDomains in config.json (max: 1000000)\n`);
+		} else {
+			console.error(`\n❌ Error: ${parseError.message}`);
+			console.log(`\nTip: Use --input=<file> to specify a different input file`);
+			console.log(`Example: node cleaner-adblock.js --input=my_rules.txt\n`);
+		}
+		process.exit(1);
+	}
+
+	printParseWarnings(config, parseWarnings);
+
+	if (!config.quietMode) {
+		console.log(`Found ${domainSources.size} unique domains, checked ${domains.length}`);
+
+		if (filterCounts.notIncluded > 0) {
+			console.log(`skipped ${filterCounts.notIncluded} domains not in includeDomains`);
+		}
+		if (filterCounts.excluded > 0) {
+			console.log(`excluded ${filterCounts.excluded} domains using excludeDomains`);
+		}
+		if (filterCounts.excludedByPattern > 0) {
+			console.log(`excluded ${filterCounts.excludedByPattern} domains using excludePatterns`);
+		}
+		if (invalidDomains.length > 0) {
+			console.log(`skipped ${invalidDomains.length} invalid domains (syntax errors or unknown TLDs)`);
+		}
+		if (filterCounts.testModeSkipped > 0) {
+			console.log(`[TEST MODE] skipped ${filterCounts.testModeSkipped} domains after the first ${config.testCount}`);
+		}
+		if (config.addWww) {
+			console.log(`expanded to ${domains.length + wwwVariantCount} total checks (${wwwVariantCount} domains tried www variant)`);
+		}
+
+		// Domains settled by the DNS pre-check never opened a page
+		const dnsCounts = {};
+		for (const result of results.filter(r => r.data.dnsStatus)) {
+			dnsCounts[result.data.dnsStatus] = (dnsCounts[result.data.dnsStatus] || 0) + 1;
+		}
+		const dnsSettled = Object.values(dnsCounts).reduce((sum, count) => sum + count, 0);
+		if (dnsSettled > 0) {
+			const counts = Object.entries(dnsCounts).map(([status, count]) => `${status}: ${count}`);
+			console.log(`DNS pre-check settled ${dnsSettled} domains without a browser (${counts.join(', ')})`);
+		}
+
+		if (throttle.stats.signals > 0) {
+			const { signals, retryAfter, sites, requeued, backoff } = throttle.stats;
+			console.log(
+				`throttled ${signals} times by ${sites} sites (${retryAfter} with Retry-After), re-queued ${requeued} checks, backed off ${Math.round(backoff / 1000)}s in total`
+			);
+		}
+	}
+
 	// Close browser
 	await browser.close();
 
+	// Attach rule provenance so reports can point back to the offending lines
+	for (const result of results) {
+		result.data.sources = domainSources.get(result.data.domain) || [];
+
+		// Name the lists referencing the domain when several were scanned
+		if (lists.length > 1) {
+			result.data.lists = Array.from(new Set(result.data.sources.map(getSourceList)));
+		}
+	}
+
 	// Separate results by type
 	const deadDomains = results.filter(r => r.type === 'dead').map(r => r.data);
 	const redirectDomains = results.filter(r => r.type === 'redirect').map(r => r.data);
 	const inconclusiveDomains = results.filter(r => r.type === 'inconclusive').map(r => r.data);
+	const protectedDomains = results.filter(r => r.type === 'protected').map(r => r.data);
+	const parkedDomains = results.filter(r => r.type === 'parked').map(r => r.data);
 
 	// Calculate statistics
 	const statistics = {
@@ -297,7 +682,16 @@ async function main() {
 		deadCount: deadDomains.length,
 		redirectCount: redirectDomains.length,
 		inconclusiveCount: inconclusiveDomains.length,
-		activeCount: domains.length - deadDomains.length - redirectDomains.length - inconclusiveDomains.length,
+		protectedCount: protectedDomains.length,
+		parkedCount: parkedDomains.length,
+		activeCount:
+			domains.length -
+			deadDomains.length -
+			redirectDomains.length -
+			inconclusiveDomains.length -
+			protectedDomains.length -
+			parkedDomains.length,
+		throttling: { ...throttle.stats },
 		timestamp: new Date().toISOString(),
 	};
 
@@ -308,11 +702,25 @@ async function main() {
 			dead: statistics.deadCount,
 			redirect: statistics.redirectCount,
 			inconclusive: statistics.inconclusiveCount,
+			protected: statistics.protectedCount,
+			parked: statistics.parkedCount,
 			active: statistics.activeCount,
 		});
 		console.log('\n' + summaryBox);
 	}
 
+	// Domains that answered on a retry pass may already be in the real-time dead or inconclusive file
+	if (supportsRealtime) {
+		for (const [filePath, items] of [
+			[deadDomainsPath, deadDomains],
+			[inconclusiveDomainsPath, inconclusiveDomains],
+		]) {
+			if (items.length === 0) {
+				await initializeOutputFile(filePath);
+			}
+		}
+	}
+
 	// Write final formatted files with headers and full details
 	// This rewrites the files that were tracking domain names during processing
 	if (deadDomains.length > 0) {
@@ -360,6 +768,173 @@ async function main() {
 		}
 	}
 
+	if (protectedDomains.length > 0) {
+		try {
+			await writeProtectedDomains(protectedDomains, {
+				format: outputFormat,
+				includeTimestamp: config.includeTimestamp !== false,
+				outputStatistics: config.outputStatistics,
+				statistics: statistics,
+				quietMode: config.quietMode,
+			});
+		} catch (error) {
+			console.error(`failed to write protected domains: ${error.message}`);
+			throw error;
+		}
+	}
+
+	if (parkedDomains.length > 0) {
+		try {
+			await writeParkedDomains(parkedDomains, {
+				format: outputFormat,
+				includeTimestamp: config.includeTimestamp !== false,
+				outputStatistics: config.outputStatistics,
+				statistics: statistics,
+				quietMode: config.quietMode,
+			});
+		} catch (error) {
+			console.error(`failed to write parked domains: ${error.message}`);
+			throw error;
+		}
+	}
+
+	// Per-entity breakdown of expanded entity wildcard rules (example.*)
+	const entities = summarizeEntities(domainSources, results, domains);
+	if (entities.length > 0) {
+		try {
+			await writeEntityDomains(entities, {
+				format: outputFormat,
+				includeTimestamp: config.includeTimestamp !== false,
+				outputStatistics: config.outputStatistics,
+				statistics: statistics,
+			});
+		} catch (error) {
+			console.error(`failed to write entity domains: ${error.message}`);
+			throw error;
+		}
+	}
+
+	// Invalid domains, found while parsing
+	if (invalidDomains.length > 0) {
+		try {
+			await writeInvalidDomainReport(config, invalidDomains, domainSources, lists.length);
+		} catch (error) {
+			console.error(`failed to write invalid domains: ${error.message}`);
+			throw error;
+		}
+	}
+
+	// Per-list reports, holding only the rules of each list (--split-output)
+	const listNames = getListNames(lists.map(list => list.label));
+	let splitListCount = 0;
+
+	if (config.splitOutput) {
+		const split = splitResultsByList(
+			domainSources,
+			results,
+			domains,
+			lists.map(list => list.label)
+		);
+
+		for (const [list, listResults] of split) {
+			const name = listNames.get(list);
+			const reportOptions = {
+				format: outputFormat,
+				includeTimestamp: config.includeTimestamp !== false,
+				outputStatistics: config.outputStatistics,
+				quietMode: config.quietMode,
+			};
+			const listDead = listResults.results.filter(r => r.type === 'dead').map(r => r.data);
+			const listRedirect = listResults.results.filter(r => r.type === 'redirect').map(r => r.data);
+			const listInconclusive = listResults.results.filter(r => r.type === 'inconclusive').map(r => r.data);
+			const listProtected = listResults.results.filter(r => r.type === 'protected').map(r => r.data);
+			const listParked = listResults.results.filter(r => r.type === 'parked').map(r => r.data);
+			const listStatistics = {
+				list,
+				totalChecked: listResults.domains.length,
+				deadCount: listDead.length,
+				redirectCount: listRedirect.length,
+				inconclusiveCount: listInconclusive.length,
+				protectedCount: listProtected.length,
+				parkedCount: listParked.length,
+				activeCount:
+					listResults.domains.length -
+					listDead.length -
+					listRedirect.length -
+					listInconclusive.length -
+					listProtected.length -
+					listParked.length,
+				timestamp: statistics.timestamp,
+			};
+
+			try {
+				if (listDead.length > 0) {
+					await writeDeadDomains(listDead, {
+						...reportOptions,
+						filePath: getListOutputPath(DEAD_DOMAINS_FILE, name),
+						statistics: listStatistics,
+					});
+				}
+				if (listRedirect.length > 0) {
+					await writeRedirectDomains(listRedirect, {
+						...reportOptions,
+						filePath: getListOutputPath(REDIRECT_DOMAINS_FILE, name),
+						statistics: listStatistics,
+					});
+				}
+				if (listInconclusive.length > 0) {
+					await writeInconclusiveDomains(listInconclusive, {
+						...reportOptions,
+						filePath: getListOutputPath(INCONCLUSIVE_DOMAINS_FILE, name),
+						statistics: listStatistics,
+					});
+				}
+				if (listProtected.length > 0) {
+					await writeProtectedDomains(listProtected, {
+						...reportOptions,
+						filePath: getListOutputPath(PROTECTED_DOMAINS_FILE, name),
+						statistics: listStatistics,
+					});
+				}
+				if (listParked.length > 0) {
+					await writeParkedDomains(listParked, {
+						...reportOptions,
+						filePath: getListOutputPath(PARKED_DOMAINS_FILE, name),
+						statistics: listStatistics,
+					});
+				}
+			} catch (error) {
+				console.error(`failed to write reports for ${list}: ${error.message}`);
+				throw error;
+			}
+
+			if (listDead.length + listRedirect.length + listInconclusive.length + listProtected.length + listParked.length > 0) {
+				splitListCount++;
+			}
+		}
+	}
+
+	// Write a cleaned copy of each input list if fix mode is enabled
+	const fixSummaries = [];
+	if (config.fixList) {
+		const deadDomainNames = deadDomains.map(d => d.domain);
+
+		for (const list of lists) {
+			const fixedListPath =
+				lists.length === 1
+					? config.fixedListFile || FIXED_LIST_FILE
+					: getListOutputPath(config.fixedListFile || FIXED_LIST_FILE, listNames.get(list.label));
+			try {
+				const fixSummary = await writeFixedList(list.file, fixedListPath, deadDomainNames, list.inputFormat);
+				fixSummary.path = fixedListPath;
+				fixSummaries.push(fixSummary);
+			} catch (error) {
+				console.error(`failed to write fixed list: ${error.message}`);
+				throw error;
+			}
+		}
+	}
+
 	// Display completion messages
 	if (!config.quietMode) {
 		if (deadDomains.length > 0) {
@@ -378,6 +953,37 @@ async function main() {
 			const ext = getFileExtension(outputFormat);
 			console.log(`🚫 inconclusive domains written to ca-inconclusive-domains${ext}`);
 		}
+
+		if (protectedDomains.length > 0) {
+			const ext = getFileExtension(outputFormat);
+			console.log(`🛡️ protected (WAF) domains written to ca-protected-domains${ext}`);
+		}
+
+		if (parkedDomains.length > 0) {
+			const ext = getFileExtension(outputFormat);
+			console.log(`🅿️ parked domains written to ca-parked-domains${ext}`);
+		}
+
+		if (invalidDomains.length > 0) {
+			const ext = getFileExtension(outputFormat);
+			console.log(`⛔ invalid domains written to ca-invalid-domains${ext}`);
+		}
+
+		if (entities.length > 0) {
+			const ext = getFileExtension(outputFormat);
+			console.log(`🌐 entity wildcard rules written to ca-entity-domains${ext}`);
+		}
+
+		if (splitListCount > 0) {
+			const ext = getFileExtension(outputFormat);
+			console.log(`📂 per-list reports written for ${splitListCount} lists (ca-dead-domains-<list>${ext}, ...)`);
+		}
+
+		for (const fixSummary of fixSummaries) {
+			console.log(
+				`🧹 fixed list written to ${fixSummary.path} (${fixSummary.modifiedRules} rules modified, ${fixSummary.removedRules} rules removed)`
+			);
+		}
 	}
 
 	process.exit(0);
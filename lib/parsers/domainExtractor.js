@@ -5,7 +5,8 @@
  */
 
 const { isValidDomain } = require('../utils/validators');
-const { BARE_DOMAIN_DOT_COUNT } = require('../config/defaults');
+const { getRegistrableDomain } = require('../utils/publicSuffix');
+const { normalizeDomain } = require('../utils/idn');
 
 /**
  * Get base domain
@@ -17,17 +18,9 @@ function getBaseDomain(domain) {
 	// Remove www. prefix
 	domain = domain.replace(/^www\./, '');
 
-	// Split by dots
-	const parts = domain.split('.');
-
-	// For domains like example.com, return as-is
-	if (parts.length <= 2) {
-		return domain;
-	}
-
-	// For domains like sub.example.com, return example.com
-	// Simple heuristic: take last 2 parts
-	return parts.slice(-2).join('.');
+	// Public suffix plus one label: sub.example.co.uk → example.co.uk, user.github.io → user.github.io
+	// Domains that are themselves public suffixes (co.uk, localhost) are returned as-is
+	return getRegistrableDomain(domain) || domain;
 }
 
 /**
@@ -39,9 +32,8 @@ function getBaseDomain(domain) {
 function isBareDomain(domain) {
 	// Remove www. for checking
 	const withoutWww = domain.replace(/^www\./, '');
-	// Count dots - bare domains have exactly one dot
-	const dotCount = (withoutWww.match(/\./g) || []).length;
-	return dotCount === BARE_DOMAIN_DOT_COUNT;
+	// Bare domains are registrable domains (example.com, example.co.uk) without a subdomain
+	return getRegistrableDomain(withoutWww) === withoutWww.toLowerCase();
 }
 
 /**
@@ -59,6 +51,9 @@ function validateAndCleanDomain(domain) {
 	// Remove leading dots or tildes
 	domain = domain.replace(/^[.~]+/, '');
 
+	// Normalize to lowercase ASCII: Bücher.DE. → xn--bcher-kva.de
+	domain = normalizeDomain(domain);
+
 	// Basic domain validation
 	if (!domain || !domain.includes('.') || domain.length < 4) {
 		return null;
@@ -72,6 +67,37 @@ function validateAndCleanDomain(domain) {
 	return domain;
 }
 
+/**
+ * Get domain rejection
+ * @param {*} domain - Domain as written in the rule
+ * @returns {*} Why validateAndCleanDomain rejects it ('regex', 'wildcard', 'ip', 'onion', 'too-short', 'invalid'), or null
+ */
+
+function getDomainRejection(domain) {
+	if (/^~?\/.+\/$/.test(domain)) {
+		return 'regex';
+	}
+	if (domain.includes('*')) {
+		return 'wildcard';
+	}
+
+	const normalized = normalizeDomain(domain.replace(/^[.~]+/, ''));
+	if (!normalized) {
+		return 'invalid';
+	}
+	if (isIPAddress(normalized)) {
+		return 'ip';
+	}
+	if (normalized.endsWith('.onion')) {
+		return 'onion';
+	}
+	if (!normalized.includes('.') || normalized.length < 4) {
+		return 'too-short';
+	}
+
+	return isValidDomain(normalized) ? null : 'invalid';
+}
+
 /**
  * Is i p address
  * @param {*} str - Parameter str
@@ -92,36 +118,366 @@ function isIPAddress(str) {
 }
 
 /**
- * Extract domains
+ * Get cosmetic rule type
+ * @param {*} separator - Parameter separator
+ * @param {*} body - Parameter body
+ * @returns {*} Result
+ */
+
+function getCosmeticRuleType(separator, body) {
+	// AdGuard HTML filtering ($$, $@$)
+	if (separator.startsWith('$')) {
+		return 'html';
+	}
+
+	// AdGuard CSS injection, JS injection and extended CSS (#$#, #%#, #?# and exceptions)
+	if (/[$%?]/.test(separator)) {
+		return 'adguard';
+	}
+
+	// uBlock Origin response header removal (##^responseheader(...)) and HTML filtering (##^...)
+	if (body.startsWith('^responseheader(')) {
+		return 'response-header';
+	}
+	if (body.startsWith('^')) {
+		return 'html';
+	}
+
+	// uBlock Origin scriptlet injection (##+js(...))
+	if (body.startsWith('+js(')) {
+		return 'scriptlet';
+	}
+
+	return 'cosmetic';
+}
+
+/**
+ * Split list
+ * - Backslash-escaped separators (\, in AdGuard modifiers) do not split
+ * - Regular expression items (/regex/, ~/regex/) are kept whole
+ * @param {*} text - Parameter text
+ * @param {*} separator - Single separator character (',' or '|')
+ * @returns {*} Array of items, untrimmed so they can be joined back losslessly
+ */
+
+function splitList(text, separator) {
+	const items = [];
+	let start = 0;
+	let inRegex = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (char === '\\') {
+			i++;
+		} else if (char === '/') {
+			const atItemStart = i === start || (i === start + 1 && text[start] === '~');
+			if (atItemStart || inRegex) {
+				inRegex = atItemStart;
+			}
+		} else if (char === separator && !inRegex) {
+			items.push(text.substring(start, i));
+			start = i + 1;
+		}
+	}
+
+	items.push(text.substring(start));
+	return items;
+}
+
+/**
+ * Find modifier end
+ * @param {*} line - Rule starting with an AdGuard modifier prefix ([$...])
+ * @returns {*} Index of the closing ], skipping backslash-escaped ones, or -1
+ */
+
+function findModifierEnd(line) {
+	for (let i = 2; i < line.length; i++) {
+		if (line[i] === '\\') {
+			i++;
+		} else if (line[i] === ']') {
+			return i;
+		}
+	}
+	return -1;
+}
+
+/**
+ * Parse cosmetic rule
+ * @param {*} line - Parameter line (trimmed)
+ * @returns {*} { prefix, domains, domainsStart, separator, body } for element hiding, scriptlet,
+ *   AdGuard (#$#, #%#, #?#, #$?#) and HTML filtering ($$, ##^) rules and their exceptions, or null
+ *   - prefix: AdGuard modifiers ([$domain=a.com,path=/x]) or ''
+ *   - domains: domain list as written (a.com,~b.com), empty for generic rules
+ */
+
+function parseCosmeticRule(line) {
+	let prefix = '';
+	if (line.startsWith('[$')) {
+		const end = findModifierEnd(line);
+		if (end === -1) {
+			return null;
+		}
+		prefix = line.substring(0, end + 1);
+	}
+
+	const match = line.substring(prefix.length).match(/^([^#]*?)(#[@$%?]*#|\$@?\$)/);
+	if (!match || /^(\|\||@@)/.test(match[1])) {
+		return null;
+	}
+
+	return {
+		prefix,
+		domains: match[1],
+		domainsStart: prefix.length,
+		separator: match[2],
+		body: line.substring(prefix.length + match[0].length),
+	};
+}
+
+/** @constant {*} ADGUARD_SYNTAX - rule syntax only AdGuard understands: [$modifiers], #$#, #%#, #?#, $$ and their exceptions */
+
+const ADGUARD_SYNTAX = /^\[\$|#@?(\$\??|%|\?)#|^[^\s#$|]*\$@?\$/;
+
+/** @constant {*} UBO_SYNTAX - rule syntax only uBlock Origin understands: ##+js(), ##^, uBO-only procedural operators */
+
+const UBO_SYNTAX = /#@?#(\+js\(|\^)|:(matches-path|style|remove|remove-attr|remove-class|watch-attr|others)\(/;
+
+/**
+ * Detect rule dialect
  * @param {*} line - Parameter line
+ * @returns {*} 'adguard' or 'ubo' for syntax specific to one blocker, null for syntax both understand
+ */
+
+function detectRuleDialect(line) {
+	line = line.trim();
+	if (line.startsWith('!')) {
+		return null;
+	}
+	if (ADGUARD_SYNTAX.test(line)) {
+		return 'adguard';
+	}
+	if (UBO_SYNTAX.test(line)) {
+		return 'ubo';
+	}
+	return null;
+}
+
+/** @constant {*} ENTITY_PATTERN - uBlock Origin entity wildcard such as example.* or sub.example.* */
+
+const ENTITY_PATTERN = /^([\p{L}\p{N}_-]+\.)*[\p{L}\p{N}_-]+\.\*$/u;
+
+/**
+ * Is entity domain
+ * @param {*} domain - Parameter domain
  * @returns {*} Result
  */
 
-function extractDomains(line) {
+function isEntityDomain(domain) {
+	return ENTITY_PATTERN.test(domain);
+}
+
+/**
+ * Expand entity domain
+ * @param {*} entity - Entity wildcard (example.*)
+ * @param {*} tlds - Public suffixes to substitute for the wildcard (com, de, co.uk, ...)
+ * @returns {*} Array of concrete domains (example.com, example.de, example.co.uk, ...)
+ */
+
+function expandEntityDomain(entity, tlds) {
+	const name = entity.slice(0, -2);
+	return tlds.map(tld => `${name}.${tld.replace(/^\./, '')}`);
+}
+
+/** @constant {*} HOSTNAME_OPTIONS - rule options whose values are |-separated hostname lists */
+
+const HOSTNAME_OPTIONS = ['domain', 'from', 'to', 'denyallow'];
+
+/**
+ * Parse rule options
+ * @param {*} line - Parameter line
+ * @returns {*} Array of { name, value, start, end, valueIndex } with offsets into line
+ */
+
+function parseRuleOptions(line) {
+	let optionsStart;
+	let optionsEnd;
+
+	// AdGuard cosmetic modifiers: [$domain=a.com|b.com,path=/x]##.ad (\] and \, are escaped)
+	const modifierEnd = line.startsWith('[$') ? findModifierEnd(line) : -1;
+	if (modifierEnd !== -1) {
+		optionsStart = 2;
+		optionsEnd = modifierEnd;
+	} else {
+		// Cosmetic and HTML filtering rules have no options: a.com##a[href$=x], a.com$$script
+		if (parseCosmeticRule(line)) {
+			return [];
+		}
+
+		// Network rule options: pattern$option1,option2=value (names like 3p, _ and ~third-party included);
+		// in a regex rule (/ads$/ or /ads$/$domain=a.com) a $ before the closing slash belongs to the pattern
+		const regexEnd = line.startsWith('/') ? line.indexOf('/$', 1) : -1;
+		const isRegex = line.length > 1 && line.startsWith('/') && (regexEnd !== -1 || line.endsWith('/'));
+		const dollarIndex = isRegex ? (regexEnd === -1 ? -1 : regexEnd + 1) : line.lastIndexOf('$');
+		if (dollarIndex === -1 || !/^[\w~-]/.test(line.substring(dollarIndex + 1))) {
+			return [];
+		}
+		optionsStart = dollarIndex + 1;
+		optionsEnd = line.length;
+	}
+
+	const options = [];
+	let offset = optionsStart;
+
+	for (const option of splitList(line.substring(optionsStart, optionsEnd), ',')) {
+		const equalsIndex = option.indexOf('=');
+		const hasValue = equalsIndex !== -1;
+
+		options.push({
+			name: (hasValue ? option.substring(0, equalsIndex) : option).trim(),
+			value: hasValue ? option.substring(equalsIndex + 1) : null,
+			start: offset,
+			end: offset + option.length,
+			valueIndex: hasValue ? offset + equalsIndex + 1 : null,
+		});
+
+		offset += option.length + 1;
+	}
+
+	return options;
+}
+
+/**
+ * Extract domain entries
+ * @param {*} line - Parameter line
+ * @param {*} options - { includeNegated, entityTlds, onReject }
+ *   - includeNegated: also extract negated (~domain) and exception-rule domains
+ *   - entityTlds: TLDs to expand entity wildcards (example.*) against (none by default)
+ *   - onReject(domain, reason): called for each domain that is skipped (see getDomainRejection, plus 'negated' and 'entity')
+ * @returns {*} Array of { domain, ruleType, option?, role?, entity? } objects (role is 'negated' or 'exception')
+ */
+
+function extractDomainEntries(line, options = {}) {
+	const { includeNegated = false, entityTlds = [], onReject = null } = options;
 	line = line.trim();
 
-	if (!line || line.startsWith('!') || line.startsWith('[')) {
+	// Skip comments and list headers ([Adblock Plus 2.0]), but not AdGuard [$modifiers]
+	if (!line || line.startsWith('!') || (line.startsWith('[') && !line.startsWith('[$'))) {
 		return [];
 	}
 
-	// Skip exemption rules (@@)
+	// Exception rules (@@) are skipped unless negated domains are requested
 	if (line.startsWith('@@')) {
-		return [];
+		if (!includeNegated) {
+			return [];
+		}
+
+		return extractDomainEntries(line.substring(2), options).map(entry => (entry.role ? entry : { ...entry, role: 'exception' }));
 	}
 
-	const validDomains = [];
+	const entries = [];
+
+	/**
+	 * Add domain
+	 * @param {*} domain - Parameter domain
+	 * @param {*} ruleType - Parameter ruleType
+	 * @param {*} option - Rule option the domain came from (domain, from, to, denyallow)
+	 * @returns {*} Result
+	 */
+
+	const addDomain = (domain, ruleType, option = null) => {
+		// Negated domains (~domain) are skipped unless requested
+		const negated = domain.startsWith('~');
+		if (negated && !includeNegated) {
+			if (onReject) {
+				onReject(domain, 'negated');
+			}
+			return;
+		}
 
-	// Check for network blocking rules (||domain^)
-	if (line.startsWith('||')) {
-		// Remove leading ||
-		let rule = line.substring(2);
+		// Entity wildcards (example.*) stand for one candidate per configured TLD
+		const name = domain.replace(/^~/, '');
+		const entityName = isEntityDomain(name) ? normalizeDomain(name.slice(0, -2)) : null;
+		const entity = entityName ? `${entityName}.*` : null;
+		const candidates = entity ? expandEntityDomain(entity, entityTlds) : [domain];
 
-		// Strip modifiers (everything after ^$)
-		const modifierIndex = rule.indexOf('^$');
-		if (modifierIndex !== -1) {
-			rule = rule.substring(0, modifierIndex);
+		if (entity && candidates.length === 0 && onReject) {
+			onReject(domain, 'entity');
 		}
 
+		for (const candidate of candidates) {
+			const cleaned = validateAndCleanDomain(candidate);
+			if (!cleaned) {
+				if (onReject) {
+					onReject(candidate, getDomainRejection(candidate) || 'invalid');
+				}
+				continue;
+			}
+
+			const entry = { domain: cleaned, ruleType };
+			if (option) {
+				entry.option = option;
+			}
+			if (negated) {
+				entry.role = 'negated';
+			}
+			if (entity) {
+				entry.entity = entity;
+			}
+			entries.push(entry);
+		}
+	};
+
+	/**
+	 * Add option domains
+	 * @param {*} ruleOptions - Parsed rule options
+	 * @returns {*} Result
+	 */
+
+	const addOptionDomains = ruleOptions => {
+		for (const option of ruleOptions) {
+			if (option.value === null) {
+				continue;
+			}
+
+			// AdGuard [$url=||example.org/page] - the host of the URL pattern
+			if (option.name === 'url') {
+				const urlMatch = option.value.match(/^(?:\|\||\|?https?:\/\/)([^/^:*|$]+)/);
+				if (urlMatch) {
+					addDomain(urlMatch[1], 'domain-option', 'url');
+				}
+				continue;
+			}
+
+			if (!HOSTNAME_OPTIONS.includes(option.name)) {
+				continue;
+			}
+
+			for (const domain of splitList(option.value, '|')) {
+				addDomain(domain.trim(), 'domain-option', option.name);
+			}
+		}
+	};
+
+	// AdGuard modifiers prefix ([$domain=a.com|b.com]##.ad) - collect, then parse the rest of the rule
+	if (line.startsWith('[$')) {
+		const modifierEnd = findModifierEnd(line);
+		if (modifierEnd === -1) {
+			return [];
+		}
+
+		addOptionDomains(parseRuleOptions(line));
+		return [...entries, ...extractDomainEntries(line.substring(modifierEnd + 1), options)];
+	}
+
+	const ruleOptions = parseRuleOptions(line);
+
+	// Check for network blocking rules (||domain^)
+	if (line.startsWith('||')) {
+		// Remove leading || and strip modifiers (everything after the options $)
+		const optionsIndex = ruleOptions.length > 0 ? ruleOptions[0].start - 1 : line.length;
+		const rule = line.substring(2, optionsIndex);
+
 		// Extract domain part (stop at ^, /, or end)
 		let domain = rule;
 
@@ -137,81 +493,87 @@ function extractDomains(line) {
 			domain = domain.substring(0, slashIndex);
 		}
 
-		// Skip IP addresses
+		// Skip IP addresses, but not the hostnames in the rule's options
 		if (isIPAddress(domain)) {
-			return [];
+			if (onReject) {
+				onReject(domain, 'ip');
+			}
+			addOptionDomains(ruleOptions);
+			return entries;
 		}
 
-		// Validate and clean
-		const cleaned = validateAndCleanDomain(domain);
-		if (cleaned) {
-			validDomains.push(cleaned);
-			return validDomains;
+		// Validate and clean, then collect hostnames from domain=, denyallow=, to= and from=
+		addDomain(domain, 'network');
+		if (entries.length > 0) {
+			addOptionDomains(ruleOptions);
+			return entries;
 		}
 	}
 
-	// Check for Adguard rules (##, #@#, #$#, #%#, #?#, #@$?#)
-	const adguardMatch = line.match(/^([^#]+)#[@$%?]*#/);
-	if (adguardMatch) {
-		const domainPart = adguardMatch[1];
-		const domainList = domainPart.split(',').map(d => d.trim());
+	// Check for cosmetic rules (##, #@#, #$#, #%#, #?#, #@$?#, ##+js, ##^) and AdGuard HTML filtering ($$, $@$)
+	// Generic ones (##.ad, ##[data-domain=x.com]) have no domain to check
+	const cosmetic = parseCosmeticRule(line);
+	if (cosmetic) {
+		const ruleType = getCosmeticRuleType(cosmetic.separator, cosmetic.body);
 
-		for (const domain of domainList) {
-			const cleaned = validateAndCleanDomain(domain);
-			if (cleaned) {
-				validDomains.push(cleaned);
+		for (const domain of splitList(cosmetic.domains, ',')) {
+			if (domain.trim()) {
+				addDomain(domain.trim(), ruleType);
 			}
 		}
 
-		// Return early for Adguard rules
-		if (validDomains.length > 0) {
-			return validDomains;
+		return entries;
+	}
+
+	// Check for network rules with hostname options (domain=, denyallow=, to=, from=)
+	if (ruleOptions.length > 0) {
+		addOptionDomains(ruleOptions);
+
+		// Return early for network rules
+		if (entries.length > 0) {
+			return entries;
 		}
 	}
 
-	// Check for network rules with domain= parameter
+	// Check for bare domain= parameters outside an options list
 	const domainMatch = line.match(/domain=([^,\s$]+)/);
 	if (domainMatch) {
 		const domainList = domainMatch[1].split('|');
-		for (let domain of domainList) {
-			domain = domain.trim();
-
-			// Skip negated domains
-			if (domain.startsWith('~')) {
-				continue;
-			}
-
-			const cleaned = validateAndCleanDomain(domain);
-			if (cleaned) {
-				validDomains.push(cleaned);
-			}
+		for (const domain of domainList) {
+			addDomain(domain.trim(), 'domain-option', 'domain');
 		}
 
 		// Return early for network rules
-		if (validDomains.length > 0) {
-			return validDomains;
+		if (entries.length > 0) {
+			return entries;
 		}
 	}
 
-	// Check for uBlock Origin element hiding/cosmetic rules
-	const match = line.match(/^([^#\s]+?)(?:##(?:\+js\()?|#@#|##\^)/);
-	if (!match) return validDomains;
-
-	const domainPart = match[1];
-	const domainList = domainPart.split(',').map(d => d.trim());
+	return entries;
+}
 
-	for (const domain of domainList) {
-		const cleaned = validateAndCleanDomain(domain);
-		if (cleaned) {
-			validDomains.push(cleaned);
-		}
-	}
+/**
+ * Extract domains
+ * @param {*} line - Parameter line
+ * @param {*} options - Parameter options (see extractDomainEntries)
+ * @returns {*} Result
+ */
 
-	return validDomains;
+function extractDomains(line, options = {}) {
+	return extractDomainEntries(line, options).map(entry => entry.domain);
 }
 
 module.exports = {
+	HOSTNAME_OPTIONS,
 	extractDomains,
+	splitList,
+	parseCosmeticRule,
+	detectRuleDialect,
+	isEntityDomain,
+	expandEntityDomain,
+	extractDomainEntries,
+	parseRuleOptions,
+	getDomainRejection,
 	getBaseDomain,
 	isBareDomain,
 	validateAndCleanDomain,
@@ -4,42 +4,324 @@
  * @description Part of the Cleaner-Adblock domain scanner utility
  */
 
-const fs = require('fs');
-const { extractDomains } = require('./domainExtractor');
+const path = require('path');
+const { getInputFormat, resolveInputFormat } = require('./inputFormats');
+const { readLines, formatSize } = require('./lineReader');
+const { validateFilePath } = require('../utils/validators');
+const { MAX_FILE_SIZE } = require('../config/defaults');
 
 /**
- * Parse domains from file (async)
+ * Describe conditions
+ * @param {*} conditions - Stack of active !#if blocks
+ * @returns {*} Combined condition expression, or null outside any !#if block
+ */
+
+function describeConditions(conditions) {
+	if (conditions.length === 0) {
+		return null;
+	}
+
+	return conditions.map(c => (c.negated ? `!(${c.expression})` : c.expression)).join(' && ');
+}
+
+/**
+ * Collect domain sources (async)
  * @param {*} filePath - Parameter filePath
- * @returns {Promise<*>} Promise resolving to result
+ * @param {*} sources - Map of domain to sources (mutated)
+ * @param {*} state - { list, listFile, format, formatName, extractOptions, included, chain, maxFileSize, bytesRead, onProgress, onDomain, onLine, onWarning }
+ *   shared across the include tree
+ * @param {*} parentConditions - Conditions active at the !#include directive
+ * @returns {Promise<*>} Promise resolving when the file and its includes are parsed
  */
 
-async function parseDomainsFromFile(filePath) {
-	try {
-		await fs.promises.access(filePath);
-	} catch {
-		throw new Error(`File not found: ${filePath}`);
+async function collectDomainSources(filePath, sources, state, parentConditions = []) {
+	const resolved = path.resolve(filePath);
+
+	state.included.add(resolved);
+	state.chain.push(resolved);
+
+	// Lists read from a cache (remote lists) are reported under their own name
+	const file = filePath === state.listFile ? state.list : filePath;
+	const conditions = [...parentConditions];
+	let fileBytesRead = 0;
+	let lineNumber = 0;
+
+	/**
+	 * On progress
+	 * @param {*} bytesRead - Bytes read from filePath so far
+	 * @param {*} totalBytes - Size of filePath
+	 * @returns {*} Result
+	 */
+
+	const onProgress = (bytesRead, totalBytes) => {
+		// Accumulate deltas so bytes read by nested !#include files are kept
+		state.bytesRead += bytesRead - fileBytesRead;
+		fileBytesRead = bytesRead;
+
+		if (state.onProgress) {
+			state.onProgress({ list: state.list, file, bytesRead: state.bytesRead, fileBytesRead, fileSize: totalBytes });
+		}
+	};
+
+	for await (const line of readLines(filePath, { maxFileSize: state.maxFileSize, onProgress })) {
+		lineNumber++;
+
+		// The size limit covers the whole include tree, not just each file
+		if (state.bytesRead > state.maxFileSize) {
+			throw new Error(
+				`Input too large: ${state.chain.map(p => path.relative(process.cwd(), p) || p).join(' -> ')} (limit ${formatSize(state.maxFileSize)})`
+			);
+		}
+
+		const rule = line.trim();
+
+		// Preprocessor directives (uBlock Origin / AdGuard)
+		if (state.format.preprocessor && rule.startsWith('!#')) {
+			const directive = rule.match(/^!#(include|if|else|endif)\b\s*(.*)$/);
+			const name = directive ? directive[1] : null;
+			const argument = directive ? directive[2].trim() : '';
+
+			if (state.onLine) {
+				state.onLine({
+					list: state.list,
+					file,
+					format: state.formatName,
+					line: lineNumber,
+					rule,
+					entries: [],
+					rejections: [],
+					directive: name,
+					condition: describeConditions(conditions),
+				});
+			}
+
+			if (name === 'if') {
+				conditions.push({ expression: argument, negated: false });
+			} else if (name === 'else' && conditions.length > parentConditions.length) {
+				conditions[conditions.length - 1].negated = !conditions[conditions.length - 1].negated;
+			} else if (name === 'endif' && conditions.length > parentConditions.length) {
+				conditions.pop();
+			} else if (name === 'include') {
+				// A remote list's includes would be resolved against the local cache, so they are skipped
+				if (file !== filePath) {
+					if (state.onWarning) {
+						state.onWarning({
+							list: state.list,
+							file,
+							line: lineNumber,
+							rule,
+							message: '!#include is not supported in remote lists - skipped',
+						});
+					}
+				} else {
+					await includeFile(filePath, lineNumber, argument, sources, state, conditions);
+				}
+			}
+
+			continue;
+		}
+
+		// Collect skipped domains only when someone is listening (the extractor may try a domain more than once)
+		const rejections = [];
+		const extractOptions = state.onLine
+			? {
+					...state.extractOptions,
+					onReject: (domain, reason) => {
+						if (!rejections.some(r => r.domain === domain && r.reason === reason)) {
+							rejections.push({ domain, reason });
+						}
+					},
+				}
+			: state.extractOptions;
+		const entries = state.format.extract(rule, extractOptions);
+		const condition = describeConditions(conditions);
+
+		if (state.onLine) {
+			state.onLine({
+				list: state.list,
+				file,
+				format: state.formatName,
+				line: lineNumber,
+				rule,
+				entries,
+				rejections,
+				directive: null,
+				condition,
+			});
+		}
+
+		for (const { domain, ruleType, option, role, entity } of entries) {
+			if (!sources.has(domain)) {
+				sources.set(domain, []);
+
+				// Hand new domains out as soon as they are seen so checks can start before parsing ends
+				if (state.onDomain) {
+					await state.onDomain(domain);
+				}
+			}
+
+			const source = { file, line: lineNumber, rule, ruleType };
+			if (file !== state.list) {
+				source.list = state.list;
+			}
+			if (option) {
+				source.option = option;
+			}
+			if (role) {
+				source.role = role;
+			}
+			if (entity) {
+				source.entity = entity;
+			}
+			if (condition) {
+				source.condition = condition;
+			}
+			sources.get(domain).push(source);
+		}
 	}
 
-	let content;
+	state.chain.pop();
+}
+
+/**
+ * Include file (async)
+ * @param {*} parentFile - File containing the !#include directive
+ * @param {*} lineNumber - Line number of the directive
+ * @param {*} includePath - Path given to !#include
+ * @param {*} sources - Map of domain to sources (mutated)
+ * @param {*} state - Parsing state shared across the include tree (see collectDomainSources)
+ * @param {*} conditions - Conditions active at the directive
+ * @returns {Promise<*>} Promise resolving when the included file is parsed
+ */
+
+async function includeFile(parentFile, lineNumber, includePath, sources, state, conditions) {
+	const parentDir = path.dirname(parentFile);
+
+	// Security: includes are resolved relative to the parent and may not leave its directory
+	let normalized;
 	try {
-		content = await fs.promises.readFile(filePath, 'utf8');
+		normalized = validateFilePath(includePath, parentDir);
 	} catch (error) {
-		throw new Error(`Failed to read file ${filePath}: ${error.message}`);
+		throw new Error(`Invalid !#include in ${parentFile}:${lineNumber}: ${error.message}`);
 	}
 
-	const lines = content.split('\n');
-	const domains = new Set();
+	const childFile = path.join(parentDir, normalized);
+	const resolved = path.resolve(childFile);
 
-	for (const line of lines) {
-		const extractedDomains = extractDomains(line);
-		for (const domain of extractedDomains) {
-			domains.add(domain);
-		}
+	if (state.chain.includes(resolved)) {
+		const cycle = [...state.chain, resolved].map(p => path.relative(process.cwd(), p) || p).join(' -> ');
+		throw new Error(`Circular !#include detected: ${cycle}`);
+	}
+
+	// Lists commonly include the same sub-list from several places - parse it once
+	if (state.included.has(resolved)) {
+		return;
+	}
+
+	await collectDomainSources(childFile, sources, state, conditions);
+}
+
+/**
+ * Get source list
+ * @param {*} source - Parameter source
+ * @returns {*} Input list the source belongs to (the list that !#included it, or its own file)
+ */
+
+function getSourceList(source) {
+	return source.list || source.file;
+}
+
+/**
+ * Parse domain sources from files (async)
+ * - Every list is parsed with its own format, include tree and size limit into one shared map,
+ *   so each domain is reported (and checked) once no matter how many lists reference it
+ * @param {*} lists - Array of file paths, or { file, inputFormat, label } objects (label: name used in sources, e.g. a URL)
+ * @param {*} options - Parameter options
+ *   - inputFormat: 'auto' (default) or an input format name, for lists without their own
+ *   - includeNegated, entityTlds: see extractDomainEntries
+ *   - maxFileSize: size limit in bytes for each list and everything it includes (default: MAX_FILE_SIZE)
+ *   - onProgress({ list, listIndex, listCount, file, bytesRead, fileBytesRead, fileSize }): called as lists are streamed
+ *   - onDomain(domain): called (and awaited) the first time each domain is seen
+ *   - onLine({ list, file, format, line, rule, entries, rejections, directive, condition }): called for every line, with
+ *     the domains extracted from it and the ones skipped ({ domain, reason }, see extractDomainEntries)
+ *   - onWarning({ list, file, line, rule, message }): called for lines that were skipped as unsupported (!#include in remote lists)
+ * @returns {Promise<*>} Map of domain to array of { file, line, rule, ruleType, list?, option?, role?, entity?, condition? } sources
+ */
+
+async function parseDomainSourcesFromFiles(lists, options = {}) {
+	const {
+		inputFormat = 'auto',
+		includeNegated = false,
+		entityTlds = [],
+		maxFileSize = MAX_FILE_SIZE,
+		onProgress = null,
+		onDomain = null,
+		onLine = null,
+		onWarning = null,
+	} = options;
+
+	const sources = new Map();
+
+	for (const [listIndex, list] of lists.entries()) {
+		const file = typeof list === 'string' ? list : list.file;
+		const label = (typeof list === 'string' ? null : list.label) || file;
+		const requested = (typeof list === 'string' ? null : list.inputFormat) || inputFormat;
+		const formatName = await resolveInputFormat(file, requested, { maxFileSize });
+		const format = getInputFormat(formatName);
+
+		const state = {
+			list: label,
+			listFile: file,
+			format,
+			formatName,
+			extractOptions: { includeNegated, entityTlds },
+			included: new Set(),
+			chain: [],
+			maxFileSize,
+			bytesRead: 0,
+			onProgress: onProgress ? progress => onProgress({ ...progress, listIndex, listCount: lists.length }) : null,
+			onDomain,
+			onLine,
+			onWarning,
+		};
+		await collectDomainSources(file, sources, state);
 	}
 
-	return Array.from(domains).sort();
+	// Return map keyed in sorted domain order
+	const sorted = new Map();
+	for (const domain of Array.from(sources.keys()).sort()) {
+		sorted.set(domain, sources.get(domain));
+	}
+
+	return sorted;
+}
+
+/**
+ * Parse domain sources from file (async)
+ * @param {*} filePath - Parameter filePath
+ * @param {*} options - Parameter options (see parseDomainSourcesFromFiles)
+ * @returns {Promise<*>} Map of domain to array of { file, line, rule, ruleType, list?, option?, role?, entity?, condition? } sources
+ */
+
+async function parseDomainSourcesFromFile(filePath, options = {}) {
+	return parseDomainSourcesFromFiles([filePath], options);
+}
+
+/**
+ * Parse domains from file (async)
+ * @param {*} filePath - Parameter filePath
+ * @param {*} options - Parameter options (see parseDomainSourcesFromFile)
+ * @returns {Promise<*>} Promise resolving to result
+ */
+
+async function parseDomainsFromFile(filePath, options = {}) {
+	const sources = await parseDomainSourcesFromFile(filePath, options);
+	return Array.from(sources.keys());
 }
 
 module.exports = {
 	parseDomainsFromFile,
+	parseDomainSourcesFromFile,
+	parseDomainSourcesFromFiles,
+	getSourceList,
 };
@@ -0,0 +1,245 @@
+/**
+ * @file inputFormats.js
+ * @module inputFormats
+ * @description Input format adapters (adblock filters, hosts files, dnsmasq configs, plain domain lists)
+ */
+
+const { extractDomainEntries, validateAndCleanDomain, getDomainRejection } = require('./domainExtractor');
+const { readLines } = require('./lineReader');
+
+/** @constant {*} DETECTION_SAMPLE_SIZE - number of significant lines inspected by auto-detection */
+
+const DETECTION_SAMPLE_SIZE = 200;
+/** @constant {*} PLAIN_DOMAIN_PATTERN - a bare hostname such as example.com */
+
+const PLAIN_DOMAIN_PATTERN = /^[\p{L}\p{N}_-]+(\.[\p{L}\p{N}_-]+)+\.?$/u;
+
+/**
+ * Strip hash comment
+ * @param {*} line - Parameter line
+ * @returns {*} Line without a trailing "# comment"
+ */
+
+function stripHashComment(line) {
+	const hashIndex = line.indexOf('#');
+	return (hashIndex === -1 ? line : line.substring(0, hashIndex)).trim();
+}
+
+/**
+ * Clean domains
+ * @param {*} domains - Domains as written in the line
+ * @param {*} ruleType - Parameter ruleType
+ * @param {*} onReject - Optional onReject(domain, reason) callback (see extractDomainEntries)
+ * @returns {*} Array of { domain, ruleType } objects for the valid domains
+ */
+
+function cleanDomains(domains, ruleType, onReject) {
+	const entries = [];
+
+	for (const domain of domains) {
+		const cleaned = validateAndCleanDomain(domain);
+		if (cleaned) {
+			entries.push({ domain: cleaned, ruleType });
+		} else if (onReject) {
+			onReject(domain, getDomainRejection(domain) || 'invalid');
+		}
+	}
+
+	return entries;
+}
+
+/**
+ * Extract hosts entries
+ * @param {*} line - Parameter line (e.g. "0.0.0.0 ads.example.com tracker.example.com")
+ * @param {*} options - { onReject } (see extractDomainEntries)
+ * @returns {*} Array of { domain, ruleType } objects
+ */
+
+function extractHostsEntries(line, options = {}) {
+	const tokens = stripHashComment(line).split(/\s+/);
+
+	// First token is the IP address, the rest are hostnames
+	if (tokens.length < 2) {
+		return [];
+	}
+
+	return cleanDomains(tokens.slice(1), 'hosts', options.onReject);
+}
+
+/**
+ * Extract dnsmasq entries
+ * @param {*} line - Parameter line (e.g. "address=/example.com/0.0.0.0" or "server=/a.com/b.com/")
+ * @param {*} options - { onReject } (see extractDomainEntries)
+ * @returns {*} Array of { domain, ruleType } objects
+ */
+
+function extractDnsmasqEntries(line, options = {}) {
+	const match = stripHashComment(line).match(/^(?:address|server|local)=\/(.+)\/[^/]*$/);
+	if (!match) {
+		return [];
+	}
+
+	return cleanDomains(
+		match[1].split('/').map(domain => domain.trim()),
+		'dnsmasq',
+		options.onReject
+	);
+}
+
+/**
+ * Extract plain domain entries
+ * @param {*} line - Parameter line (one domain per line)
+ * @param {*} options - { onReject } (see extractDomainEntries)
+ * @returns {*} Array of { domain, ruleType } objects
+ */
+
+function extractPlainDomainEntries(line, options = {}) {
+	const trimmed = line.trim();
+
+	// Plain lists use either # or ! comments
+	if (trimmed.startsWith('!')) {
+		return [];
+	}
+
+	const domain = stripHashComment(trimmed);
+	if (!PLAIN_DOMAIN_PATTERN.test(domain)) {
+		return [];
+	}
+
+	return cleanDomains([domain], 'domain', options.onReject);
+}
+
+/**
+ * Input format adapters
+ * - matches(line): true if a significant line looks like this format (used for auto-detection)
+ * - extract(line, options): array of { domain, ruleType } entries
+ *   (options: { includeNegated, entityTlds } for adblock only, { onReject } for every format)
+ * - preprocessor: whether !#include / !#if directives apply
+ */
+
+const INPUT_FORMATS = {
+	adblock: {
+		matches: line => /^(\|\||@@)|#[@$%?]*#|\$@?\$|\$.*domain=/.test(line),
+		extract: extractDomainEntries,
+		preprocessor: true,
+	},
+	hosts: {
+		matches: line => /^((\d{1,3}\.){3}\d{1,3}|::1?|[0-9a-f:]+:[0-9a-f:]*)\s+\S/i.test(line),
+		extract: extractHostsEntries,
+		preprocessor: false,
+	},
+	dnsmasq: {
+		matches: line => /^(address|server|local)=\//.test(line),
+		extract: extractDnsmasqEntries,
+		preprocessor: false,
+	},
+	domains: {
+		matches: line => PLAIN_DOMAIN_PATTERN.test(line),
+		extract: extractPlainDomainEntries,
+		preprocessor: false,
+	},
+};
+
+/** @constant {*} INPUT_FORMAT_NAMES - valid --input-format values */
+
+const INPUT_FORMAT_NAMES = ['auto', ...Object.keys(INPUT_FORMATS)];
+
+/**
+ * Get input format
+ * @param {*} name - Parameter name
+ * @returns {*} Input format adapter
+ */
+
+function getInputFormat(name) {
+	const format = INPUT_FORMATS[name];
+	if (!format) {
+		throw new Error(`Unknown input format: ${name}`);
+	}
+	return format;
+}
+
+/**
+ * Is significant line
+ * @param {*} line - Parameter line (trimmed)
+ * @returns {*} False for blank lines, comments and adblock list headers
+ */
+
+function isSignificantLine(line) {
+	return Boolean(line) && !line.startsWith('#') && !line.startsWith('!') && !line.startsWith('[');
+}
+
+/**
+ * Detect input format
+ * @param {*} content - Parameter content
+ * @returns {*} Name of the format matching most of the sampled lines (adblock when undecided)
+ */
+
+function detectInputFormat(content) {
+	const scores = Object.fromEntries(Object.keys(INPUT_FORMATS).map(name => [name, 0]));
+	let sampled = 0;
+
+	for (const rawLine of content.split('\n')) {
+		const line = rawLine.trim();
+
+		if (!isSignificantLine(line)) {
+			continue;
+		}
+
+		for (const [name, format] of Object.entries(INPUT_FORMATS)) {
+			if (format.matches(line)) {
+				scores[name]++;
+			}
+		}
+
+		if (++sampled >= DETECTION_SAMPLE_SIZE) {
+			break;
+		}
+	}
+
+	let detected = 'adblock';
+	for (const [name, score] of Object.entries(scores)) {
+		if (score > scores[detected]) {
+			detected = name;
+		}
+	}
+
+	return detected;
+}
+
+/**
+ * Resolve input format (async)
+ * @param {*} filePath - Parameter filePath
+ * @param {*} requested - Requested format name ('auto' to detect from the file)
+ * @param {*} options - { maxFileSize } passed to the line reader
+ * @returns {Promise<*>} Promise resolving to a concrete format name
+ */
+
+async function resolveInputFormat(filePath, requested = 'auto', options = {}) {
+	if (requested && requested !== 'auto') {
+		getInputFormat(requested);
+		return requested;
+	}
+
+	// Only the head of the file is needed to detect its format
+	const sample = [];
+	let significant = 0;
+
+	for await (const line of readLines(filePath, options)) {
+		sample.push(line);
+		if (isSignificantLine(line.trim()) && ++significant >= DETECTION_SAMPLE_SIZE) {
+			break;
+		}
+	}
+
+	return detectInputFormat(sample.join('\n'));
+}
+
+module.exports = {
+	INPUT_FORMAT_NAMES,
+	getInputFormat,
+	detectInputFormat,
+	resolveInputFormat,
+	extractHostsEntries,
+	extractDnsmasqEntries,
+	extractPlainDomainEntries,
+};
@@ -0,0 +1,94 @@
+/**
+ * @file lineReader.js
+ * @module lineReader
+ * @description Streaming line reader for large filter lists
+ */
+
+const fs = require('fs');
+const { MAX_FILE_SIZE } = require('../config/defaults');
+
+/**
+ * Format size
+ * @param {*} bytes - Parameter bytes
+ * @returns {*} Human readable size (e.g. "12.5 MB")
+ */
+
+function formatSize(bytes) {
+	if (bytes < 1024 * 1024) {
+		return `${(bytes / 1024).toFixed(1)} KB`;
+	}
+	return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Get file size (async)
+ * @param {*} filePath - Parameter filePath
+ * @returns {Promise<*>} Promise resolving to the size in bytes
+ */
+
+async function getFileSize(filePath) {
+	let stats;
+	try {
+		stats = await fs.promises.stat(filePath);
+	} catch {
+		throw new Error(`File not found: ${filePath}`);
+	}
+
+	return stats.size;
+}
+
+/**
+ * Read lines (async generator)
+ * - Streams the file in chunks instead of loading it into memory
+ * - Throws once more than maxFileSize bytes have been read (checked up front as well)
+ * @param {*} filePath - Parameter filePath
+ * @param {*} options - { maxFileSize, onProgress(bytesRead, totalBytes) }
+ * @returns {AsyncGenerator<*>} Lines without their \n terminator
+ */
+
+async function* readLines(filePath, options = {}) {
+	const { maxFileSize = MAX_FILE_SIZE, onProgress = null } = options;
+
+	const totalBytes = await getFileSize(filePath);
+	if (totalBytes > maxFileSize) {
+		throw new Error(`File too large: ${filePath} (${formatSize(totalBytes)}, limit ${formatSize(maxFileSize)})`);
+	}
+
+	const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+	let buffer = '';
+
+	try {
+		for await (const chunk of stream) {
+			// Files can grow while being read - enforce the limit on what was actually read
+			if (stream.bytesRead > maxFileSize) {
+				throw new Error(`File too large: ${filePath} (more than ${formatSize(maxFileSize)})`);
+			}
+
+			if (onProgress) {
+				onProgress(stream.bytesRead, Math.max(totalBytes, stream.bytesRead));
+			}
+
+			buffer += chunk;
+			const lines = buffer.split('\n');
+			buffer = lines.pop();
+
+			for (const line of lines) {
+				yield line;
+			}
+		}
+	} catch (error) {
+		if (error.message.startsWith('File too large')) {
+			throw error;
+		}
+		throw new Error(`Failed to read file ${filePath}: ${error.message}`);
+	} finally {
+		stream.destroy();
+	}
+
+	yield buffer;
+}
+
+module.exports = {
+	readLines,
+	formatSize,
+};
@@ -0,0 +1,411 @@
+/**
+ * @file listLint.js
+ * @module listLint
+ * @description Finds duplicate, redundant and shadowed rules in the parsed lists (lint command)
+ */
+
+const { parseCosmeticRule, parseRuleOptions, splitList, validateAndCleanDomain } = require('./domainExtractor');
+const { isCommentLine } = require('./parseReport');
+
+/** @constant {*} LINT_KINDS - finding kinds in report order, with their descriptions */
+
+const LINT_KINDS = {
+	duplicate: 'exact duplicates',
+	variant: 'duplicates apart from domain case or www.',
+	'cosmetic-shadowed': 'cosmetic rules covered by a parent-domain rule with the same selector',
+	'network-shadowed': 'network rules covered by a more general || rule',
+};
+
+/** @constant {*} NARROWING_OPTIONS - network rule options that only restrict which requests a rule matches */
+
+const NARROWING_OPTIONS = new Set([
+	'script',
+	'image',
+	'stylesheet',
+	'css',
+	'object',
+	'xmlhttprequest',
+	'xhr',
+	'subdocument',
+	'frame',
+	'ping',
+	'beacon',
+	'media',
+	'font',
+	'websocket',
+	'other',
+	'third-party',
+	'3p',
+	'first-party',
+	'1p',
+	'strict1p',
+	'strict3p',
+	'match-case',
+	'domain',
+	'from',
+]);
+
+/**
+ * Is regex token
+ * @param {*} token - Domain token as written in the rule (trimmed)
+ * @returns {*} True for /regex/ and ~/regex/ domains
+ */
+
+function isRegexToken(token) {
+	return /^~?\/.+\/$/.test(token);
+}
+
+/**
+ * Get canonical rule
+ * - Domains are lowercased and stripped of www. so rules differing only there compare equal
+ * @param {*} rule - Parameter rule (trimmed)
+ * @param {*} format - Input format name
+ * @returns {*} Canonical form of the rule
+ */
+
+function getCanonicalRule(rule, format) {
+	// Hosts, dnsmasq and plain domain lists are case-insensitive, and www. is a different host there
+	if (format !== 'adblock') {
+		return rule.toLowerCase();
+	}
+
+	/**
+	 * Canonical token
+	 * @param {*} token - Parameter token
+	 * @returns {*} Result
+	 */
+
+	const canonicalToken = token => {
+		const trimmed = token.trim();
+		return isRegexToken(trimmed) ? trimmed : trimmed.toLowerCase().replace(/^(~?)www\./, '$1');
+	};
+
+	const cosmetic = parseCosmeticRule(rule);
+	if (cosmetic) {
+		const domains = splitList(cosmetic.domains, ',').map(canonicalToken).join(',');
+		return `${cosmetic.prefix}${domains}${cosmetic.separator}${cosmetic.body}`;
+	}
+
+	const network = rule.match(/^(@@)?\|\|([^^/$:*|]+)(.*)$/);
+	if (network) {
+		return `${network[1] || ''}||${canonicalToken(network[2])}${network[3]}`;
+	}
+
+	return rule;
+}
+
+/**
+ * Get www mask
+ * - Lines up with the domains of getCanonicalRule, so two rules with the same canonical form can be compared domain by domain
+ * @param {*} rule - Parameter rule (trimmed)
+ * @param {*} format - Input format name
+ * @returns {*} Per domain, true where the rule is the narrower of the two spellings: www.domain, or ~domain when excluded
+ */
+
+function getWwwMask(rule, format) {
+	if (format !== 'adblock') {
+		return [];
+	}
+
+	/**
+	 * Is narrow
+	 * @param {*} token - Parameter token
+	 * @returns {*} Result
+	 */
+
+	const isNarrow = token => {
+		const trimmed = token.trim();
+		return !isRegexToken(trimmed) && /^~?www\./i.test(trimmed) !== trimmed.startsWith('~');
+	};
+
+	const cosmetic = parseCosmeticRule(rule);
+	if (cosmetic) {
+		return splitList(cosmetic.domains, ',').map(isNarrow);
+	}
+
+	const network = rule.match(/^(@@)?\|\|([^^/$:*|]+)(.*)$/);
+	return network ? [isNarrow(network[2])] : [];
+}
+
+/**
+ * Is narrower or equal
+ * @param {*} mask - www mask of one rule (see getWwwMask)
+ * @param {*} other - www mask of a rule with the same canonical form
+ * @returns {*} True if the first rule matches nothing the other does not, i.e. the other covers it
+ */
+
+function isNarrowerOrEqual(mask, other) {
+	return other.every((narrow, index) => !narrow || mask[index]);
+}
+
+/**
+ * Is covered by
+ * @param {*} domain - Parameter domain
+ * @param {*} parent - Parameter parent
+ * @returns {*} True if domain is parent or one of its subdomains
+ */
+
+function isCoveredBy(domain, parent) {
+	return domain === parent || domain.endsWith(`.${parent}`);
+}
+
+/**
+ * Get domain suffixes
+ * @param {*} domain - Parameter domain
+ * @returns {*} The domain and each of its parent domains (a.b.com → a.b.com, b.com, com)
+ */
+
+function getDomainSuffixes(domain) {
+	const labels = domain.split('.');
+	return labels.map((label, index) => labels.slice(index).join('.'));
+}
+
+/**
+ * Create list lint
+ * @returns {*} Empty lint state, filled line by line with addLintLine
+ */
+
+function createListLint() {
+	return {
+		rules: new Map(),
+		canonical: new Map(),
+		cosmetic: [],
+		network: [],
+		findings: [],
+	};
+}
+
+/**
+ * Add finding
+ * @param {*} lint - Parameter lint (mutated)
+ * @param {*} kind - Finding kind (see LINT_KINDS)
+ * @param {*} domain - Domain the finding is about, or null for rules without one
+ * @param {*} source - The redundant rule
+ * @param {*} coveredBy - The rule making it redundant
+ * @param {*} detail - Optional detail appended to the reason
+ * @returns {*} Result
+ */
+
+function addFinding(lint, kind, domain, source, coveredBy, detail = '') {
+	const prefix = kind === 'duplicate' ? 'duplicate of' : kind === 'variant' ? 'same as' : 'covered by';
+	lint.findings.push({
+		domain,
+		kind,
+		reason: `${prefix} ${coveredBy.file}:${coveredBy.line}${detail}`,
+		sources: [source, coveredBy],
+	});
+}
+
+/**
+ * Add lint line
+ * @param {*} lint - Parameter lint (mutated, see createListLint)
+ * @param {*} info - Line info passed to onLine (see parseDomainSourcesFromFiles)
+ * @returns {*} Result
+ */
+
+function addLintLine(lint, info) {
+	const { rule, format, entries } = info;
+
+	if (info.directive || !rule || isCommentLine(rule, format)) {
+		return;
+	}
+
+	const source = { file: info.file, line: info.line, rule, ruleType: entries.length > 0 ? entries[0].ruleType : 'generic' };
+	if (info.list && info.list !== info.file) {
+		source.list = info.list;
+	}
+	if (info.condition) {
+		source.condition = info.condition;
+	}
+
+	// Rules only make each other redundant within the same !#if block
+	const scope = info.condition || '';
+	const domain = entries.length > 0 ? entries[0].domain : null;
+
+	const exactKey = `${scope}\n${rule}`;
+	if (lint.rules.has(exactKey)) {
+		addFinding(lint, 'duplicate', domain, source, lint.rules.get(exactKey));
+		return;
+	}
+	lint.rules.set(exactKey, source);
+
+	// Case differences flag the later rule; a www. rule is flagged as covered by the bare-domain one, whichever comes first
+	const canonicalKey = `${scope}\n${getCanonicalRule(rule, format)}`;
+	const www = getWwwMask(rule, format);
+	const variant = lint.canonical.get(canonicalKey);
+	if (variant && isNarrowerOrEqual(www, variant.www)) {
+		addFinding(lint, 'variant', domain, source, variant.source);
+		return;
+	}
+	if (variant && isNarrowerOrEqual(variant.www, www)) {
+		addFinding(lint, 'variant', variant.domain, variant.source, source);
+		lint.canonical.set(canonicalKey, { source, domain, www });
+		return;
+	}
+	if (!variant) {
+		lint.canonical.set(canonicalKey, { source, domain, www });
+	}
+
+	if (format !== 'adblock') {
+		return;
+	}
+
+	// Cosmetic rules, grouped by everything but their domains
+	const cosmetic = parseCosmeticRule(rule);
+	if (cosmetic) {
+		const positive = [];
+		const negated = [];
+
+		for (const token of splitList(cosmetic.domains, ',').map(t => t.trim())) {
+			const cleaned = isRegexToken(token) ? null : validateAndCleanDomain(token);
+			if (cleaned) {
+				(token.startsWith('~') ? negated : positive).push(cleaned);
+			}
+		}
+
+		if (positive.length > 0) {
+			lint.cosmetic.push({ source, key: `${scope}\n${cosmetic.prefix}${cosmetic.separator}${cosmetic.body}`, positive, negated });
+		}
+		return;
+	}
+
+	// Network rules anchored to a host (||host^...)
+	const network = rule.match(/^(@@)?\|\|([^^/$:*|]+)(.*)$/);
+	const host = network ? validateAndCleanDomain(network[2]) : null;
+	if (!host) {
+		return;
+	}
+
+	const options = parseRuleOptions(rule);
+	const optionsIndex = options.length > 0 ? options[0].start - 1 : rule.length;
+	const pattern = rule.substring((network[1] || '').length + 2 + network[2].length, optionsIndex);
+
+	lint.network.push({
+		source,
+		key: `${scope}\n${network[1] || ''}`,
+		host,
+		// ||host^ and ||host without options block everything on the host and its subdomains
+		general: options.length === 0 && /^(\^\|?)?$/.test(pattern),
+		caret: pattern.startsWith('^'),
+		// The host is followed by a separator, so it cannot continue (||host.com matches host.com.evil.net)
+		separated: /^[\^/:]/.test(pattern),
+		narrowing: options.every(option => NARROWING_OPTIONS.has(option.name.replace(/^~/, ''))),
+	});
+}
+
+/**
+ * Find shadowed cosmetic rules
+ * @param {*} lint - Parameter lint (mutated)
+ * @returns {*} Result
+ */
+
+function findShadowedCosmeticRules(lint) {
+	// Per selector group: domain → rules listing it as a positive domain
+	const groups = new Map();
+	lint.cosmetic.forEach((item, index) => {
+		if (!groups.has(item.key)) {
+			groups.set(item.key, new Map());
+		}
+		for (const domain of item.positive) {
+			const byDomain = groups.get(item.key);
+			if (!byDomain.has(domain)) {
+				byDomain.set(domain, []);
+			}
+			byDomain.get(domain).push({ item, index });
+		}
+	});
+
+	lint.cosmetic.forEach((item, index) => {
+		const byDomain = groups.get(item.key);
+
+		for (const domain of item.positive) {
+			let coveredBy = null;
+
+			for (const parent of getDomainSuffixes(domain)) {
+				// The same domain in another rule only counts against the later one
+				const candidates = (byDomain.get(parent) || []).filter(c => (parent === domain ? c.index < index : c.index !== index));
+				coveredBy = candidates.find(c => !c.item.negated.some(negated => isCoveredBy(domain, negated)));
+				if (coveredBy) {
+					addFinding(lint, 'cosmetic-shadowed', domain, item.source, coveredBy.item.source, ` (${parent})`);
+					break;
+				}
+			}
+		}
+	});
+}
+
+/**
+ * Find shadowed network rules
+ * @param {*} lint - Parameter lint (mutated)
+ * @returns {*} Result
+ */
+
+function findShadowedNetworkRules(lint) {
+	// Per exception flag and !#if block: host → general ||host^ rules
+	const generals = new Map();
+	for (const item of lint.network.filter(n => n.general)) {
+		const key = `${item.key}\n${item.host}`;
+		if (!generals.has(key)) {
+			generals.set(key, []);
+		}
+		generals.get(key).push(item);
+	}
+
+	for (const item of lint.network) {
+		if (!item.narrowing) {
+			continue;
+		}
+
+		for (const parent of getDomainSuffixes(item.host)) {
+			const coveredBy = (generals.get(`${item.key}\n${parent}`) || []).find(
+				general => general !== item && (!general.caret || item.separated)
+			);
+			if (coveredBy) {
+				addFinding(lint, 'network-shadowed', item.host, item.source, coveredBy.source, ` (${coveredBy.source.rule})`);
+				break;
+			}
+		}
+	}
+}
+
+/**
+ * Get lint findings
+ * @param {*} lint - Parameter lint (see createListLint), after every line was added
+ * @returns {*} Array of { domain, kind, reason, sources: [redundant rule, covering rule] } in LINT_KINDS order
+ */
+
+function getLintFindings(lint) {
+	findShadowedCosmeticRules(lint);
+	findShadowedNetworkRules(lint);
+
+	const order = Object.keys(LINT_KINDS);
+	return lint.findings.slice().sort((a, b) => order.indexOf(a.kind) - order.indexOf(b.kind));
+}
+
+/**
+ * Format lint summary
+ * @param {*} findings - Parameter findings (see getLintFindings)
+ * @returns {*} Console lines
+ */
+
+function formatLintSummary(findings) {
+	const lines = [`Findings: ${findings.length}`];
+
+	for (const [kind, description] of Object.entries(LINT_KINDS)) {
+		const count = findings.filter(finding => finding.kind === kind).length;
+		if (count > 0) {
+			lines.push(`  ${description.padEnd(72)}  ${String(count).padStart(7)}`);
+		}
+	}
+
+	return lines;
+}
+
+module.exports = {
+	LINT_KINDS,
+	getCanonicalRule,
+	createListLint,
+	addLintLine,
+	getLintFindings,
+	formatLintSummary,
+};
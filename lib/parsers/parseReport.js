@@ -0,0 +1,259 @@
+/**
+ * @file parseReport.js
+ * @module parseReport
+ * @description Breakdown of which list lines produced domains and why the others were skipped (parse command)
+ */
+
+const { parseCosmeticRule, detectRuleDialect } = require('./domainExtractor');
+
+/** @constant {*} SKIP_REASONS - skip reasons in report order, with their descriptions */
+
+const SKIP_REASONS = {
+	comment: 'comment or list header',
+	directive: 'preprocessor directive (!#include, !#if, ...)',
+	exception: 'exception rule (@@, see --include-negated)',
+	negated: 'negated domains only (~domain, see --include-negated)',
+	entity: 'entity wildcard (example.*, see --expand-entities)',
+	regex: 'regular expression',
+	wildcard: 'wildcard',
+	ip: 'IP address',
+	onion: '.onion',
+	'too-short': 'too short',
+	invalid: 'invalid hostname',
+	generic: 'generic rule (no domain)',
+	unparseable: 'unparseable',
+};
+
+// Reasons for lines that carry no rule at all - counted, but never dumped
+const NON_RULE_REASONS = ['comment', 'directive'];
+
+/** @constant {*} DIALECT_NAMES - display names of the detectRuleDialect results */
+
+const DIALECT_NAMES = {
+	adguard: 'AdGuard',
+	ubo: 'uBlock Origin',
+};
+
+/**
+ * Get rule type label
+ * @param {*} entry - Extracted { domain, ruleType, option? } entry
+ * @param {*} rule - Rule the entry came from
+ * @returns {*} Label such as "cosmetic (##)", "adguard (#$#)" or "option (domain=)"
+ */
+
+function getRuleTypeLabel(entry, rule) {
+	switch (entry.ruleType) {
+		case 'network':
+			return 'network (||)';
+		case 'domain-option':
+			return `option (${entry.option}=)`;
+		case 'cosmetic':
+			return 'cosmetic (##)';
+		case 'scriptlet':
+			return 'scriptlet (##+js)';
+		case 'html':
+			return rule.includes('$$') || rule.includes('$@$') ? 'html filter ($$)' : 'html filter (##^)';
+		case 'response-header':
+			return 'response header (##^responseheader)';
+		case 'adguard': {
+			const separator = rule.match(/#@?([$%?]+)#/);
+			return `adguard (#${separator ? separator[1] : '$'}#)`;
+		}
+		case 'domain':
+			return 'plain domain';
+		default:
+			return entry.ruleType;
+	}
+}
+
+/**
+ * Is comment line
+ * @param {*} rule - Parameter rule (trimmed)
+ * @param {*} format - Input format name
+ * @returns {*} True for comments: ! everywhere, # outside cosmetic separators, [Adblock Plus 2.0] headers
+ */
+
+function isCommentLine(rule, format) {
+	const isAdblock = format === 'adblock';
+	if (rule.startsWith('!') || (rule.startsWith('#') && !(isAdblock && /^#[@$%?]*#/.test(rule)))) {
+		return true;
+	}
+	return isAdblock && rule.startsWith('[') && !rule.startsWith('[$');
+}
+
+/**
+ * Get skip reason
+ * @param {*} info - Line info passed to onLine (see parseDomainSourcesFromFiles)
+ * @returns {*} Skip reason (see SKIP_REASONS) of a line that produced no domains, or 'blank'
+ */
+
+function getSkipReason(info) {
+	const { rule, format, rejections, directive } = info;
+
+	if (directive) {
+		return 'directive';
+	}
+	if (!rule) {
+		return 'blank';
+	}
+
+	const isAdblock = format === 'adblock';
+	if (isCommentLine(rule, format)) {
+		return 'comment';
+	}
+
+	if (isAdblock && rule.startsWith('@@') && rejections.length === 0) {
+		return 'exception';
+	}
+
+	if (rejections.length > 0) {
+		return rejections[0].reason;
+	}
+
+	// Adblock rules without any domain: ##.ad, [$path=/x]##.ad, $$script, /banner/*, |https://$script
+	const cosmetic = isAdblock ? parseCosmeticRule(rule) : null;
+	if (isAdblock && (!cosmetic || !cosmetic.domains.trim())) {
+		return 'generic';
+	}
+
+	return 'unparseable';
+}
+
+/**
+ * Create parse report
+ * @returns {*} Empty report, filled line by line with addParseLine
+ */
+
+function createParseReport() {
+	return {
+		totalLines: 0,
+		blankLines: 0,
+		parsedLines: 0,
+		domainCount: 0,
+		ruleTypes: new Map(),
+		skippedLines: new Map(),
+		skippedDomains: new Map(),
+		dialects: new Map(),
+		unparsed: [],
+	};
+}
+
+/**
+ * Add parse line
+ * @param {*} report - Parameter report (mutated, see createParseReport)
+ * @param {*} info - Line info passed to onLine (see parseDomainSourcesFromFiles)
+ * @returns {*} Result
+ */
+
+function addParseLine(report, info) {
+	report.totalLines++;
+
+	const dialect = info.format === 'adblock' && info.rule && !info.directive ? detectRuleDialect(info.rule) : null;
+	if (dialect) {
+		report.dialects.set(dialect, (report.dialects.get(dialect) || 0) + 1);
+	}
+
+	// Skipped domains also count on lines that produced others (a.com,*.b.com##.ad)
+	for (const { reason } of info.rejections) {
+		report.skippedDomains.set(reason, (report.skippedDomains.get(reason) || 0) + 1);
+	}
+
+	if (info.entries.length > 0 && !info.directive) {
+		report.parsedLines++;
+
+		// A line counts once, under the type of its first domain; domains count per type
+		const labels = info.entries.map(entry => getRuleTypeLabel(entry, info.rule));
+		for (const [index, label] of labels.entries()) {
+			if (!report.ruleTypes.has(label)) {
+				report.ruleTypes.set(label, { lines: 0, domains: 0 });
+			}
+			report.ruleTypes.get(label).domains++;
+			if (index === 0) {
+				report.ruleTypes.get(label).lines++;
+			}
+		}
+		return;
+	}
+
+	const reason = getSkipReason(info);
+	if (reason === 'blank') {
+		report.blankLines++;
+		return;
+	}
+
+	report.skippedLines.set(reason, (report.skippedLines.get(reason) || 0) + 1);
+
+	if (!NON_RULE_REASONS.includes(reason)) {
+		report.unparsed.push({ file: info.file, line: info.line, rule: info.rule, reason });
+	}
+}
+
+/**
+ * Sort by reason
+ * @param {*} counts - Map of skip reason to count
+ * @returns {*} Entries in SKIP_REASONS order
+ */
+
+function sortByReason(counts) {
+	const order = Object.keys(SKIP_REASONS);
+	return Array.from(counts.entries()).sort((a, b) => order.indexOf(a[0]) - order.indexOf(b[0]));
+}
+
+/**
+ * Format parse report
+ * @param {*} report - Parameter report (see createParseReport)
+ * @returns {*} Console lines
+ */
+
+function formatParseReport(report) {
+	const skippedTotal = Array.from(report.skippedLines.values()).reduce((sum, count) => sum + count, 0);
+
+	const lines = [];
+	lines.push(`Lines: ${report.totalLines} (${report.parsedLines} with domains, ${skippedTotal} skipped, ${report.blankLines} blank)`);
+	lines.push(`Unique domains: ${report.domainCount}`);
+	if (report.dialects.size > 0) {
+		const dialects = Array.from(report.dialects.entries()).sort((a, b) => b[1] - a[1]);
+		lines.push(`Syntax: ${dialects.map(([dialect, count]) => `${DIALECT_NAMES[dialect]} (${count} rules)`).join(', ')}`);
+	}
+
+	if (report.ruleTypes.size > 0) {
+		const ruleTypes = Array.from(report.ruleTypes.entries()).sort((a, b) => b[1].lines - a[1].lines || a[0].localeCompare(b[0]));
+		const width = Math.max(...ruleTypes.map(([label]) => label.length));
+
+		lines.push('');
+		lines.push('Rule types:');
+		for (const [label, counts] of ruleTypes) {
+			lines.push(`  ${label.padEnd(width)}  ${String(counts.lines).padStart(7)} lines  ${String(counts.domains).padStart(7)} domains`);
+		}
+	}
+
+	for (const [title, counts] of [
+		['Skipped lines:', report.skippedLines],
+		['Skipped domains:', report.skippedDomains],
+	]) {
+		if (counts.size === 0) {
+			continue;
+		}
+
+		const sorted = sortByReason(counts);
+		const width = Math.max(...sorted.map(([reason]) => SKIP_REASONS[reason].length));
+
+		lines.push('');
+		lines.push(title);
+		for (const [reason, count] of sorted) {
+			lines.push(`  ${SKIP_REASONS[reason].padEnd(width)}  ${String(count).padStart(7)}`);
+		}
+	}
+
+	return lines;
+}
+
+module.exports = {
+	SKIP_REASONS,
+	getRuleTypeLabel,
+	isCommentLine,
+	getSkipReason,
+	createParseReport,
+	addParseLine,
+	formatParseReport,
+};
@@ -0,0 +1,267 @@
+/**
+ * @file remoteList.js
+ * @module remoteList
+ * @description Downloads remote filter lists into an on-disk cache using conditional requests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { readLines, formatSize } = require('./lineReader');
+const { validateListUrl } = require('../utils/validators');
+const { LIST_CACHE_DIR, MAX_FILE_SIZE, MAX_LIST_REDIRECTS } = require('../config/defaults');
+
+/** @constant {*} EXPIRES_SCAN_LINES - number of header lines searched for "! Expires:" */
+
+const EXPIRES_SCAN_LINES = 50;
+/** @constant {*} DEFAULT_REQUEST_TIMEOUT - request timeout in milliseconds */
+
+const DEFAULT_REQUEST_TIMEOUT = 30000;
+
+/**
+ * Get cache paths
+ * @param {*} url - Parameter url
+ * @param {*} cacheDir - Parameter cacheDir
+ * @returns {*} { file, meta } paths of the cached list and its metadata
+ */
+
+function getCachePaths(url, cacheDir) {
+	const hash = crypto.createHash('sha256').update(url).digest('hex').substring(0, 16);
+	const name =
+		path
+			.basename(new URL(url).pathname)
+			.replace(/[^a-zA-Z0-9._-]+/g, '-')
+			.substring(0, 64) || 'list';
+
+	return {
+		file: path.join(cacheDir, `${hash}-${name}`),
+		meta: path.join(cacheDir, `${hash}-${name}.meta.json`),
+	};
+}
+
+/**
+ * Parse expires
+ * @param {*} value - Value of an "! Expires:" header (e.g. "4 days (update frequency)", "12 hours")
+ * @returns {*} Expiry period in milliseconds, or null if unparseable
+ */
+
+function parseExpires(value) {
+	const match = (value || '').trim().match(/^(\d+)\s*(d|days?|h|hours?)?\b/i);
+	if (!match) {
+		return null;
+	}
+
+	const amount = parseInt(match[1], 10);
+	const unit = (match[2] || 'days').toLowerCase();
+	const hours = unit.startsWith('h') ? amount : amount * 24;
+
+	return amount > 0 ? hours * 60 * 60 * 1000 : null;
+}
+
+/**
+ * Read expires (async)
+ * @param {*} filePath - Parameter filePath
+ * @returns {Promise<*>} Expiry period in milliseconds from the list header, or null
+ */
+
+async function readExpires(filePath) {
+	let lineCount = 0;
+
+	for await (const line of readLines(filePath)) {
+		const match = line.match(/^\s*[!#]\s*Expires\s*:\s*(.+)$/i);
+		if (match) {
+			return parseExpires(match[1]);
+		}
+		if (++lineCount >= EXPIRES_SCAN_LINES) {
+			break;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Read cache meta (async)
+ * @param {*} paths - Parameter paths (see getCachePaths)
+ * @returns {Promise<*>} Cached metadata, or null when there is no usable cached copy
+ */
+
+async function readCacheMeta(paths) {
+	try {
+		const meta = JSON.parse(await fs.promises.readFile(paths.meta, 'utf8'));
+		await fs.promises.access(paths.file);
+		return meta;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Request (async)
+ * @param {*} url - Parameter url
+ * @param {*} headers - Request headers
+ * @param {*} timeout - Timeout in milliseconds
+ * @param {*} redirects - Redirects followed so far
+ * @returns {Promise<*>} Response (body not yet consumed), after following redirects
+ */
+
+function request(url, headers, timeout, redirects = 0) {
+	const client = new URL(url).protocol === 'http:' ? http : https;
+
+	return new Promise((resolve, reject) => {
+		const req = client.get(url, { headers, timeout }, response => {
+			const location = response.headers.location;
+
+			if ([301, 302, 303, 307, 308].includes(response.statusCode) && location) {
+				response.resume();
+
+				if (redirects >= MAX_LIST_REDIRECTS) {
+					reject(new Error(`Too many redirects fetching ${url}`));
+					return;
+				}
+
+				let target;
+				try {
+					target = validateListUrl(new URL(location, url).href);
+				} catch (error) {
+					reject(new Error(`Invalid redirect from ${url}: ${error.message}`));
+					return;
+				}
+
+				request(target, headers, timeout, redirects + 1).then(resolve, reject);
+				return;
+			}
+
+			resolve(response);
+		});
+
+		req.on('timeout', () => {
+			req.destroy(new Error(`Request timed out after ${timeout / 1000}s`));
+		});
+		req.on('error', reject);
+	});
+}
+
+/**
+ * Save response (async)
+ * - Streams the body to a temporary file and moves it into place once complete
+ * @param {*} response - Parameter response
+ * @param {*} filePath - Parameter filePath
+ * @param {*} maxFileSize - Size limit in bytes
+ * @returns {Promise<*>} Promise resolving to the number of bytes written
+ */
+
+async function saveResponse(response, filePath, maxFileSize) {
+	const declared = parseInt(response.headers['content-length'], 10);
+	if (declared > maxFileSize) {
+		response.destroy();
+		throw new Error(`File too large: ${formatSize(declared)}, limit ${formatSize(maxFileSize)}`);
+	}
+
+	const tempPath = `${filePath}.${process.pid}.tmp`;
+	const output = fs.createWriteStream(tempPath);
+	let bytes = 0;
+
+	try {
+		for await (const chunk of response) {
+			bytes += chunk.length;
+			if (bytes > maxFileSize) {
+				throw new Error(`File too large: more than ${formatSize(maxFileSize)}`);
+			}
+			if (!output.write(chunk)) {
+				await new Promise(resolve => output.once('drain', () => resolve(null)));
+			}
+		}
+
+		await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+		await fs.promises.rename(tempPath, filePath);
+	} catch (error) {
+		response.destroy();
+		output.destroy();
+		await fs.promises.rm(tempPath, { force: true });
+		throw error;
+	}
+
+	return bytes;
+}
+
+/**
+ * Fetch remote list (async)
+ * - Cached copies are used as-is until their "! Expires:" period has passed
+ * - After that the list is revalidated with If-None-Match / If-Modified-Since
+ * - Network errors and bad responses fall back to the cached copy when there is one
+ * @param {*} url - http(s) URL of the list
+ * @param {*} options - { cacheDir, maxFileSize, timeout (ms), now (ms timestamp) }
+ * @returns {Promise<*>} { url, file, status, fetchedAt, expiresAt, error? } where status is
+ *   'downloaded', 'not-modified', 'cached' (still fresh) or 'offline' (stale copy after a failed request)
+ */
+
+async function fetchRemoteList(url, options = {}) {
+	const { cacheDir = LIST_CACHE_DIR, maxFileSize = MAX_FILE_SIZE, timeout = DEFAULT_REQUEST_TIMEOUT, now = Date.now() } = options;
+
+	url = validateListUrl(url);
+	const paths = getCachePaths(url, cacheDir);
+	const cached = await readCacheMeta(paths);
+
+	/**
+	 * Result
+	 * @param {*} status - Parameter status
+	 * @param {*} meta - Parameter meta
+	 * @returns {*} Result
+	 */
+
+	const result = (status, meta) => ({ url, file: paths.file, status, fetchedAt: meta.fetchedAt, expiresAt: meta.expiresAt });
+
+	if (cached && cached.expiresAt && now < cached.expiresAt) {
+		return result('cached', cached);
+	}
+
+	const headers = { 'User-Agent': 'cleaner-adblock', 'Accept-Encoding': 'identity' };
+	if (cached && cached.etag) {
+		headers['If-None-Match'] = cached.etag;
+	}
+	if (cached && cached.lastModified) {
+		headers['If-Modified-Since'] = cached.lastModified;
+	}
+
+	try {
+		await fs.promises.mkdir(cacheDir, { recursive: true });
+		const response = await request(url, headers, timeout);
+
+		if (response.statusCode === 304 && cached) {
+			response.resume();
+		} else if (response.statusCode === 200) {
+			await saveResponse(response, paths.file, maxFileSize);
+		} else {
+			response.resume();
+			throw new Error(`HTTP ${response.statusCode}`);
+		}
+
+		const expires = await readExpires(paths.file);
+		const meta = {
+			url,
+			etag: response.statusCode === 304 ? response.headers.etag || cached.etag : response.headers.etag || null,
+			lastModified:
+				response.statusCode === 304 ? response.headers['last-modified'] || cached.lastModified : response.headers['last-modified'] || null,
+			fetchedAt: now,
+			expiresAt: expires ? now + expires : null,
+		};
+		await fs.promises.writeFile(paths.meta, JSON.stringify(meta, null, 2), 'utf8');
+
+		return result(response.statusCode === 304 ? 'not-modified' : 'downloaded', meta);
+	} catch (error) {
+		// Offline or the server misbehaves - a stale copy beats no list at all
+		if (cached) {
+			return { ...result('offline', cached), error: error.message };
+		}
+		throw new Error(`Failed to download ${url}: ${error.message}`);
+	}
+}
+
+module.exports = {
+	fetchRemoteList,
+	parseExpires,
+	getCachePaths,
+};
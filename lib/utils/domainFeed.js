@@ -0,0 +1,182 @@
+/**
+ * @file domainFeed.js
+ * @module domainFeed
+ * @description Growable work queue feeding domains to the checker while the list is still being parsed
+ */
+
+/**
+ * DomainFeed class
+ * @class
+ */
+
+class DomainFeed {
+	constructor(items = []) {
+		this.queue = [...items];
+		this.incoming = [];
+		this.flushTimer = null;
+		this.waiting = [];
+		this.total = items.length;
+		this.closed = false;
+		this.aborted = false;
+		this.progress = null;
+		this.pending = 0;
+
+		// Items are handed out in order, skipping those the hook refuses (see HostScheduler.claim)
+		this.claim = _item => true;
+	}
+
+	/**
+	 * From array
+	 * @param {*} items - Parameter items
+	 * @returns {*} A closed feed holding items
+	 */
+
+	static fromArray(items) {
+		const feed = new DomainFeed(items);
+		feed.close();
+		return feed;
+	}
+
+	push(item) {
+		if (this.closed) {
+			throw new Error('Cannot push to a closed domain feed');
+		}
+
+		this.total++;
+		this.incoming.push(item);
+
+		// Handed out on the next turn of the event loop, so the rest of the parsed chunk is in (and within
+		// maxDomains) before any of it is checked
+		if (!this.flushTimer) {
+			this.flushTimer = setImmediate(() => this.flush());
+		}
+	}
+
+	/**
+	 * Flush
+	 * @returns {*} Result
+	 */
+
+	flush() {
+		clearImmediate(this.flushTimer);
+		this.flushTimer = null;
+		this.queue.push(...this.incoming.splice(0));
+		this.dispatch();
+	}
+
+	/**
+	 * Requeue
+	 * - The feed stays open for workers until every requeued item is back, even once closed
+	 * @param {*} item - Item that was already taken (it is not counted again)
+	 * @param {*} delay - Milliseconds before the item is handed out again
+	 * @returns {*} Result
+	 */
+
+	requeue(item, delay) {
+		if (this.aborted) {
+			return;
+		}
+
+		this.pending++;
+
+		setTimeout(() => {
+			this.pending--;
+			this.deliver(item);
+		}, delay);
+	}
+
+	/**
+	 * Deliver
+	 * @param {*} item - Parameter item
+	 * @returns {*} Result
+	 */
+
+	deliver(item) {
+		if (this.aborted) {
+			return;
+		}
+
+		this.queue.push(item);
+		this.dispatch();
+	}
+
+	/**
+	 * Take
+	 * @returns {*} The first queued item the claim hook accepts (removed from the queue), or undefined
+	 */
+
+	take() {
+		const index = this.queue.findIndex(item => this.claim(item));
+		return index === -1 ? undefined : this.queue.splice(index, 1)[0];
+	}
+
+	/**
+	 * Dispatch
+	 * - Call again whenever the claim hook may accept more (a slot was released)
+	 * @returns {*} Result
+	 */
+
+	dispatch() {
+		// Hand items straight to idle workers while any can be claimed
+		while (this.waiting.length > 0) {
+			const item = this.take();
+			if (item === undefined) {
+				break;
+			}
+			this.waiting.shift()(item);
+		}
+
+		// Closed, drained and no requeued item still to come: nothing more for the others
+		if (this.closed && this.pending === 0 && this.queue.length === 0) {
+			this.wake();
+		}
+	}
+
+	/**
+	 * Next (async)
+	 * @returns {Promise<*>} Next item, or null once the feed is closed and drained
+	 */
+
+	async next() {
+		const item = this.take();
+		if (item !== undefined) {
+			return item;
+		}
+		if (this.closed && this.pending === 0 && this.queue.length === 0) {
+			return null;
+		}
+
+		return new Promise(resolve => {
+			this.waiting.push(resolve);
+		});
+	}
+
+	close() {
+		this.closed = true;
+		this.progress = null;
+		this.flush();
+	}
+
+	/**
+	 * Abort
+	 * - Drops queued and requeued items; workers finish their current item and stop
+	 * @returns {*} Result
+	 */
+
+	abort() {
+		this.aborted = true;
+		this.queue = [];
+		this.incoming = [];
+		this.pending = 0;
+		this.close();
+	}
+
+	wake() {
+		// Wake idle workers so they can finish
+		for (const resolve of this.waiting.splice(0)) {
+			resolve(null);
+		}
+	}
+}
+
+module.exports = DomainFeed;
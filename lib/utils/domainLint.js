@@ -0,0 +1,119 @@
+/**
+ * @file domainLint.js
+ * @module domainLint
+ * @description Offline syntax and TLD checks for extracted domains, backed by the bundled IANA TLD snapshot
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** @constant {*} TLD_LIST_FILE - bundled IANA root zone TLD snapshot */
+
+const TLD_LIST_FILE = path.join(__dirname, '..', 'data', 'tlds-alpha-by-domain.txt');
+
+/** @constant {*} MAX_LABEL_LENGTH - longest DNS label (RFC 1035) */
+
+const MAX_LABEL_LENGTH = 63;
+/** @constant {*} MAX_NAME_LENGTH - longest DNS name in text form (RFC 1035) */
+
+const MAX_NAME_LENGTH = 253;
+
+// Parsed TLDs, loaded lazily on first lookup
+let tlds = null;
+
+/**
+ * Parse TLD list
+ * @param {*} content - Contents of a tlds-alpha-by-domain.txt file
+ * @returns {*} Set of lowercase ASCII (punycode) TLDs
+ */
+
+function parseTldList(content) {
+	const parsed = new Set();
+
+	for (const rawLine of content.split('\n')) {
+		const line = rawLine.trim();
+
+		// Skip the "# Version ..." header and blank lines
+		if (!line || line.startsWith('#')) {
+			continue;
+		}
+
+		parsed.add(line.toLowerCase());
+	}
+
+	return parsed;
+}
+
+/**
+ * Load TLD list
+ * @param {*} filePath - Parameter filePath (defaults to the bundled snapshot)
+ * @returns {*} Parsed TLDs
+ */
+
+function loadTldList(filePath = TLD_LIST_FILE) {
+	tlds = parseTldList(fs.readFileSync(filePath, 'utf8'));
+	return tlds;
+}
+
+/**
+ * Is known TLD
+ * @param {*} tld - Parameter tld (ASCII, any case)
+ * @returns {*} True if the TLD is in the root zone snapshot
+ */
+
+function isKnownTld(tld) {
+	if (!tlds) {
+		loadTldList();
+	}
+	return tlds.has(tld.toLowerCase());
+}
+
+/**
+ * Lint domain
+ * - Expects the normalized (lowercase punycode) form produced by the parsers
+ * @param {*} domain - Parameter domain
+ * @returns {*} { issue, message } where issue is 'syntax' or 'tld', or null for a well-formed domain
+ */
+
+function lintDomain(domain) {
+	if (domain.length > MAX_NAME_LENGTH) {
+		return { issue: 'syntax', message: `name longer than ${MAX_NAME_LENGTH} characters (${domain.length})` };
+	}
+
+	const labels = domain.split('.');
+
+	for (const label of labels) {
+		if (!label) {
+			return { issue: 'syntax', message: 'empty label (doubled or leading dot)' };
+		}
+		if (label.length > MAX_LABEL_LENGTH) {
+			return { issue: 'syntax', message: `label longer than ${MAX_LABEL_LENGTH} characters: ${label.substring(0, 20)}...` };
+		}
+
+		const invalid = label.match(/[^a-z0-9-]/);
+		if (invalid) {
+			return { issue: 'syntax', message: `invalid character '${invalid[0]}' in label '${label}'` };
+		}
+		if (label.startsWith('-') || label.endsWith('-')) {
+			return { issue: 'syntax', message: `label '${label}' starts or ends with a hyphen` };
+		}
+	}
+
+	const tld = labels[labels.length - 1];
+	if (/^\d+$/.test(tld)) {
+		return { issue: 'syntax', message: `numeric TLD '.${tld}'` };
+	}
+	if (!isKnownTld(tld)) {
+		return { issue: 'tld', message: `unknown TLD '.${tld}'` };
+	}
+
+	return null;
+}
+
+module.exports = {
+	TLD_LIST_FILE,
+	parseTldList,
+	loadTldList,
+	isKnownTld,
+	lintDomain,
+};
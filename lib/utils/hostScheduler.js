@@ -0,0 +1,98 @@
+/**
+ * @file hostScheduler.js
+ * @module hostScheduler
+ * @description Caps in-flight checks per registrable domain and per resolved address, so workers spread load across sites
+ */
+
+const { MAX_CHECKS_PER_DOMAIN, MAX_CHECKS_PER_ADDRESS } = require('../config/defaults');
+const { getBaseDomain } = require('../parsers/domainExtractor');
+
+/**
+ * HostScheduler class
+ * @class
+ */
+
+class HostScheduler {
+	constructor(options = {}) {
+		this.perDomain = options.perDomain || MAX_CHECKS_PER_DOMAIN;
+		this.perAddress = options.perAddress || MAX_CHECKS_PER_ADDRESS;
+		this.domains = new Map();
+		this.addresses = new Map();
+		this.held = new Map();
+		this.waiting = [];
+	}
+
+	/**
+	 * Claim
+	 * @param {*} domain - Domain a worker is about to check
+	 * @returns {*} True (and the slot is taken) when its registrable domain is below the cap, otherwise false
+	 */
+
+	claim(domain) {
+		const key = getBaseDomain(domain);
+		const count = this.domains.get(key) || 0;
+
+		if (count >= this.perDomain) {
+			return false;
+		}
+
+		this.domains.set(key, count + 1);
+		return true;
+	}
+
+	/**
+	 * Acquire address (async)
+	 * - Only the lowest address counts, so a site answering from several addresses still maps to one slot
+	 * @param {*} domain - Claimed domain
+	 * @param {*} addresses - Addresses the domain resolved to (none without the DNS pre-check)
+	 * @returns {Promise<*>} Resolves once the address is below the cap; the slot is released with the domain
+	 */
+
+	async acquireAddress(domain, addresses) {
+		if (!addresses || addresses.length === 0) {
+			return;
+		}
+
+		const address = [...addresses].sort()[0];
+		while ((this.addresses.get(address) || 0) >= this.perAddress) {
+			await new Promise(resolve => this.waiting.push(resolve));
+		}
+
+		this.addresses.set(address, (this.addresses.get(address) || 0) + 1);
+		this.held.set(domain, address);
+	}
+
+	/**
+	 * Release
+	 * @param {*} domain - Domain whose check finished
+	 * @returns {*} Result
+	 */
+
+	release(domain) {
+		const key = getBaseDomain(domain);
+		const count = (this.domains.get(key) || 0) - 1;
+		if (count > 0) {
+			this.domains.set(key, count);
+		} else {
+			this.domains.delete(key);
+		}
+
+		const address = this.held.get(domain);
+		if (address) {
+			this.held.delete(domain);
+			const remaining = this.addresses.get(address) - 1;
+			if (remaining > 0) {
+				this.addresses.set(address, remaining);
+			} else {
+				this.addresses.delete(address);
+			}
+
+			// Waiters re-check their own address
+			for (const resolve of this.waiting.splice(0)) {
+				resolve(null);
+			}
+		}
+	}
+}
+
+module.exports = HostScheduler;
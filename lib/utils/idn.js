@@ -0,0 +1,44 @@
+/**
+ * @file idn.js
+ * @module idn
+ * @description Internationalised domain name (IDNA / punycode) helpers
+ */
+
+const { domainToASCII, domainToUnicode } = require('url');
+
+/**
+ * Normalize domain
+ * @param {*} domain - Parameter domain (Unicode or punycode, any case, optional trailing dot)
+ * @returns {*} Lowercase ASCII (punycode) form without trailing dot, or null if it is not a valid hostname
+ */
+
+function normalizeDomain(domain) {
+	const ascii = domainToASCII(domain.replace(/\.+$/, ''));
+	return ascii ? ascii.toLowerCase() : null;
+}
+
+/**
+ * To unicode domain
+ * @param {*} domain - Parameter domain (ASCII / punycode)
+ * @returns {*} Unicode form (bücher.de for xn--bcher-kva.de), or the domain itself if it has none
+ */
+
+function toUnicodeDomain(domain) {
+	return domainToUnicode(domain) || domain;
+}
+
+/**
+ * Is internationalized domain
+ * @param {*} domain - Parameter domain (ASCII / punycode)
+ * @returns {*} True if the Unicode form differs from the ASCII form
+ */
+
+function isInternationalizedDomain(domain) {
+	return Boolean(domain) && toUnicodeDomain(domain) !== domain;
+}
+
+module.exports = {
+	normalizeDomain,
+	toUnicodeDomain,
+	isInternationalizedDomain,
+};
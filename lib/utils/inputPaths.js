@@ -0,0 +1,236 @@
+/**
+ * @file inputPaths.js
+ * @module inputPaths
+ * @description Expands --input values (files, directories and glob patterns) into a list of input files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateFilePath, isRemoteUrl, validateListUrl } = require('./validators');
+
+/**
+ * Has glob pattern
+ * @param {*} value - Parameter value
+ * @returns {*} True if value contains *, ? or [...] wildcards
+ */
+
+function hasGlobPattern(value) {
+	return /[*?[]/.test(value);
+}
+
+/**
+ * Glob to reg exp
+ * - * matches within a path segment, ** across segments, ? a single character, [abc] a character class
+ * @param {*} pattern - Glob pattern using / as separator
+ * @returns {*} RegExp matching whole relative paths
+ */
+
+function globToRegExp(pattern) {
+	let source = '';
+
+	for (let i = 0; i < pattern.length; i++) {
+		const char = pattern[i];
+
+		if (char === '*' && pattern[i + 1] === '*') {
+			// "**/" also matches zero directories
+			if (pattern[i + 2] === '/') {
+				source += '(?:.*/)?';
+				i += 2;
+			} else {
+				source += '.*';
+				i++;
+			}
+		} else if (char === '*') {
+			source += '[^/]*';
+		} else if (char === '?') {
+			source += '[^/]';
+		} else if (char === '[') {
+			const end = pattern.indexOf(']', i + 1);
+			if (end === -1) {
+				source += '\\[';
+			} else {
+				const body = pattern
+					.substring(i + 1, end)
+					.replace(/^!/, '^')
+					.replace(/\\/g, '\\\\');
+				source += `[${body}]`;
+				i = end;
+			}
+		} else {
+			source += char.replace(/[.+^${}()|\\\]]/g, '\\$&');
+		}
+	}
+
+	return new RegExp(`^${source}$`);
+}
+
+/**
+ * Walk files (async)
+ * @param {*} dir - Directory to walk
+ * @param {*} recursive - Descend into subdirectories
+ * @returns {Promise<*>} Sorted file paths below dir (hidden entries skipped)
+ */
+
+async function walkFiles(dir, recursive) {
+	const files = [];
+	const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+
+	for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+		if (entry.name.startsWith('.')) {
+			continue;
+		}
+
+		const entryPath = path.join(dir, entry.name);
+		if (entry.isDirectory()) {
+			if (recursive) {
+				files.push(...(await walkFiles(entryPath, recursive)));
+			}
+		} else if (entry.isFile()) {
+			files.push(entryPath);
+		}
+	}
+
+	return files;
+}
+
+/**
+ * Expand glob (async)
+ * @param {*} pattern - Normalized glob pattern
+ * @returns {Promise<*>} Matching file paths
+ */
+
+async function expandGlob(pattern) {
+	const segments = pattern.split(/[\\/]/);
+	const firstGlob = segments.findIndex(hasGlobPattern);
+
+	// Walk from the deepest directory without wildcards
+	const baseDir = segments.slice(0, firstGlob).join('/') || '.';
+	const relativePattern = segments.slice(firstGlob).join('/');
+	const regex = globToRegExp(relativePattern);
+	const recursive = relativePattern.includes('**') || firstGlob < segments.length - 1;
+
+	let files;
+	try {
+		files = await walkFiles(baseDir, recursive);
+	} catch {
+		return [];
+	}
+
+	return files.filter(file => regex.test(path.relative(baseDir, file).split(path.sep).join('/')));
+}
+
+/**
+ * Expand input paths (async)
+ * - Directories expand to the files directly inside them
+ * - Glob patterns expand to every matching file (sorted); a pattern matching nothing is an error
+ * - Plain file paths and http(s) URLs are passed through as-is, duplicates are dropped
+ * @param {*} inputs - Input path, or array of paths, directories and glob patterns
+ * @returns {Promise<*>} Array of validated file paths and URLs in the order given
+ */
+
+async function expandInputPaths(inputs) {
+	const files = [];
+	const seen = new Set();
+
+	/**
+	 * Add file
+	 * @param {*} file - Parameter file
+	 * @returns {*} Result
+	 */
+
+	const addFile = file => {
+		const normalized = validateFilePath(file);
+		const resolved = path.resolve(normalized);
+		if (!seen.has(resolved)) {
+			seen.add(resolved);
+			files.push(normalized);
+		}
+	};
+
+	for (const input of [].concat(inputs)) {
+		if (isRemoteUrl(input)) {
+			const url = validateListUrl(input);
+			if (!seen.has(url)) {
+				seen.add(url);
+				files.push(url);
+			}
+			continue;
+		}
+
+		const normalized = validateFilePath(input);
+
+		if (hasGlobPattern(normalized)) {
+			const matches = await expandGlob(normalized);
+			if (matches.length === 0) {
+				throw new Error(`No input files match: ${input}`);
+			}
+			matches.forEach(addFile);
+			continue;
+		}
+
+		const stats = await fs.promises.stat(normalized).catch(() => null);
+		if (stats && stats.isDirectory()) {
+			const matches = await walkFiles(normalized, false);
+			if (matches.length === 0) {
+				throw new Error(`No input files in directory: ${input}`);
+			}
+			matches.forEach(addFile);
+		} else {
+			addFile(normalized);
+		}
+	}
+
+	return files;
+}
+
+/**
+ * Get list names
+ * @param {*} files - Input file paths
+ * @returns {*} Map of file path to a unique, filename-safe list name (e.g. "lists/easylist.txt" -> "easylist")
+ */
+
+function getListNames(files) {
+	const names = new Map();
+	const used = new Set();
+
+	for (const file of files) {
+		// URLs are named after the last segment of their path
+		const fileName = isRemoteUrl(file) ? new URL(file).pathname : file;
+		const base =
+			path
+				.basename(fileName, path.extname(fileName))
+				.toLowerCase()
+				.replace(/[^a-z0-9_-]+/g, '-')
+				.replace(/^-+|-+$/g, '') || 'list';
+
+		let name = base;
+		for (let i = 2; used.has(name); i++) {
+			name = `${base}-${i}`;
+		}
+
+		used.add(name);
+		names.set(file, name);
+	}
+
+	return names;
+}
+
+/**
+ * Get list output path
+ * @param {*} filePath - Report or output file path (e.g. ca-dead-domains.txt)
+ * @param {*} listName - List name (see getListNames)
+ * @returns {*} Path with the list name inserted before the extension (e.g. ca-dead-domains-easylist.txt)
+ */
+
+function getListOutputPath(filePath, listName) {
+	const ext = path.extname(filePath);
+	return `${filePath.substring(0, filePath.length - ext.length)}-${listName}${ext}`;
+}
+
+module.exports = {
+	hasGlobPattern,
+	globToRegExp,
+	expandInputPaths,
+	getListNames,
+	getListOutputPath,
+};
@@ -0,0 +1,52 @@
+/**
+ * @file lazyBrowser.js
+ * @module lazyBrowser
+ * @description Browser stand-in that only launches Chromium once a page is first needed
+ */
+
+/**
+ * LazyBrowser class
+ * @class
+ */
+
+class LazyBrowser {
+	constructor(launch) {
+		this.launch = launch;
+		this.browser = null;
+		this.launching = null;
+	}
+
+	get launched() {
+		return this.browser !== null;
+	}
+
+	/**
+	 * New page (async)
+	 * @returns {Promise<*>} A page of the browser, launched on the first call
+	 */
+
+	async newPage() {
+		// Concurrent workers share the one launch
+		if (!this.launching) {
+			this.launching = this.launch().then(browser => {
+				this.browser = browser;
+				return browser;
+			});
+		}
+
+		const browser = await this.launching;
+		return browser.newPage();
+	}
+
+	async pages() {
+		return this.browser ? this.browser.pages() : [];
+	}
+
+	async close() {
+		if (this.browser) {
+			await this.browser.close();
+		}
+	}
+}
+
+module.exports = LazyBrowser;
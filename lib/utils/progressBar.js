@@ -38,9 +38,10 @@ function renderProgressBar(bar) {
 		return '';
 	}
 
-	const percentage = Math.floor((bar.current / bar.total) * 100);
+	const ratio = bar.total > 0 ? Math.min(bar.current / bar.total, 1) : 0;
+	const percentage = Math.floor(ratio * 100);
 	const barWidth = PROGRESS_BAR_WIDTH;
-	const filledWidth = Math.floor((bar.current / bar.total) * barWidth);
+	const filledWidth = Math.floor(ratio * barWidth);
 
 	const filledBar = '█'.repeat(filledWidth);
 	const emptyBar = '░'.repeat(barWidth - filledWidth);
@@ -48,7 +49,10 @@ function renderProgressBar(bar) {
 	const eta = calculateETA(bar);
 	const etaStr = eta > 0 ? ` | ${formatTime(eta)} remaining` : '';
 
-	return `Progress |${filledBar}${emptyBar}| ${percentage}% | ${bar.current}/${bar.total}${etaStr}`;
+	// While the list is still being parsed the total keeps growing
+	const parsingStr = typeof bar.parsing === 'number' ? ` | parsing ${Math.floor(bar.parsing * 100)}%` : '';
+
+	return `Progress |${filledBar}${emptyBar}| ${percentage}% | ${bar.current}/${bar.total}${etaStr}${parsingStr}`;
 }
 
 /**
@@ -0,0 +1,129 @@
+/**
+ * @file publicSuffix.js
+ * @module publicSuffix
+ * @description Public Suffix List lookups backed by the bundled offline snapshot
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { domainToASCII } = require('url');
+
+/** @constant {*} PUBLIC_SUFFIX_LIST_FILE - bundled public suffix list snapshot */
+
+const PUBLIC_SUFFIX_LIST_FILE = path.join(__dirname, '..', 'data', 'public_suffix_list.dat');
+
+// Parsed rules, loaded lazily on first lookup
+let rules = null;
+
+/**
+ * Parse public suffix list
+ * @param {*} content - Contents of a public_suffix_list.dat file
+ * @returns {*} { suffixes, wildcards, exceptions } sets of rules (ICANN and private sections alike)
+ */
+
+function parsePublicSuffixList(content) {
+	const parsed = {
+		suffixes: new Set(),
+		wildcards: new Set(),
+		exceptions: new Set(),
+	};
+
+	for (const rawLine of content.split('\n')) {
+		const line = rawLine.trim();
+
+		// Skip comments and blank lines
+		if (!line || line.startsWith('//')) {
+			continue;
+		}
+
+		// Rules end at the first whitespace
+		const rule = line.split(/\s/)[0].toLowerCase();
+
+		// Store the ASCII (punycode) form so lookups match what browsers resolve
+		const isException = rule.startsWith('!');
+		const isWildcard = rule.startsWith('*.');
+		const name = rule.replace(/^!|^\*\./, '');
+		const asciiName = domainToASCII(name) || name;
+
+		if (isException) {
+			parsed.exceptions.add(asciiName);
+		} else if (isWildcard) {
+			parsed.wildcards.add(asciiName);
+		} else {
+			parsed.suffixes.add(asciiName);
+		}
+	}
+
+	return parsed;
+}
+
+/**
+ * Load public suffix list
+ * @param {*} filePath - Parameter filePath (defaults to the bundled snapshot)
+ * @returns {*} Parsed rules
+ */
+
+function loadPublicSuffixList(filePath = PUBLIC_SUFFIX_LIST_FILE) {
+	rules = parsePublicSuffixList(fs.readFileSync(filePath, 'utf8'));
+	return rules;
+}
+
+/**
+ * Get public suffix
+ * @param {*} domain - Parameter domain
+ * @returns {*} The longest matching public suffix (falls back to the last label)
+ */
+
+function getPublicSuffix(domain) {
+	if (!rules) {
+		loadPublicSuffixList();
+	}
+
+	const labels = domain.toLowerCase().replace(/\.$/, '').split('.');
+
+	// Walk from the longest candidate to the shortest; the first match is the prevailing rule
+	for (let i = 0; i < labels.length; i++) {
+		const candidate = labels.slice(i).join('.');
+		const parent = labels.slice(i + 1).join('.');
+
+		// Exception rules (!www.ck) make the candidate registrable
+		if (rules.exceptions.has(candidate)) {
+			return parent;
+		}
+
+		if (rules.suffixes.has(candidate) || (parent && rules.wildcards.has(parent))) {
+			return candidate;
+		}
+	}
+
+	// Default rule "*": the TLD is the public suffix
+	return labels[labels.length - 1];
+}
+
+/**
+ * Get registrable domain
+ * @param {*} domain - Parameter domain
+ * @returns {*} Public suffix plus one label, or null if the domain is itself a public suffix
+ */
+
+function getRegistrableDomain(domain) {
+	const normalized = domain.toLowerCase().replace(/\.$/, '');
+	const suffix = getPublicSuffix(normalized);
+
+	if (normalized === suffix) {
+		return null;
+	}
+
+	const labels = normalized.split('.');
+	const suffixLabelCount = suffix.split('.').length;
+
+	return labels.slice(-(suffixLabelCount + 1)).join('.');
+}
+
+module.exports = {
+	PUBLIC_SUFFIX_LIST_FILE,
+	parsePublicSuffixList,
+	loadPublicSuffixList,
+	getPublicSuffix,
+	getRegistrableDomain,
+};
@@ -0,0 +1,145 @@
+/**
+ * @file throttle.js
+ * @module throttle
+ * @description Adaptive request throttle: a global rate plus per-site exponential backoff that honours Retry-After
+ */
+
+const { RateLimiter } = require('limiter');
+const { MAX_REQUESTS_PER_MINUTE, THROTTLE_BACKOFF, MAX_THROTTLE_BACKOFF, MAX_REQUEUES } = require('../config/defaults');
+const { getBaseDomain } = require('../parsers/domainExtractor');
+const { debugVerbose } = require('./logger');
+
+/** @constant {*} THROTTLE_STATUS_CODES - statuses of a site asking us to slow down */
+
+const THROTTLE_STATUS_CODES = [429, 503];
+
+/** @constant {*} THROTTLE_ERROR_CODES - errors of a site (or something in between) dropping our connections */
+
+const THROTTLE_ERROR_CODES = ['ERR_CONNECTION_RESET'];
+
+/**
+ * Parse retry after
+ * @param {*} value - Retry-After header: delay in seconds or an HTTP date
+ * @param {*} now - Parameter now (milliseconds)
+ * @returns {*} Delay in milliseconds, or null when missing or unreadable
+ */
+
+function parseRetryAfter(value, now = Date.now()) {
+	const text = String(value ?? '').trim();
+	if (!text) {
+		return null;
+	}
+	if (/^\d+$/.test(text)) {
+		return Number(text) * 1000;
+	}
+
+	const date = Date.parse(text);
+	return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Is throttle signal
+ * @param {*} result - tryUrl or probeUrl result
+ * @returns {*} True for rate limiting, overload and reset connections (a WAF page is protection, not throttling)
+ */
+
+function isThrottleSignal(result) {
+	return !result.protection && (THROTTLE_STATUS_CODES.includes(result.statusCode) || THROTTLE_ERROR_CODES.includes(result.errorCode));
+}
+
+/**
+ * Throttle class
+ * - Backoff is kept per registrable domain, so www. and other subdomains wait for the same site
+ * @class
+ */
+
+class Throttle {
+	constructor(options = {}) {
+		this.limiter = new RateLimiter({ tokensPerInterval: options.maxRequestsPerMinute || MAX_REQUESTS_PER_MINUTE, interval: 'minute' });
+		this.backoff = options.backoff ?? THROTTLE_BACKOFF * 1000;
+		this.maxBackoff = options.maxBackoff ?? MAX_THROTTLE_BACKOFF * 1000;
+		this.maxRequeues = options.maxRequeues ?? MAX_REQUEUES;
+		this.sites = new Map();
+		this.throttledSites = new Set();
+		// backoff: total imposed on sites; waits/waited: checks deferred by it, and for how long
+		this.stats = { signals: 0, retryAfter: 0, requeued: 0, sites: 0, backoff: 0, waits: 0, waited: 0 };
+	}
+
+	/**
+	 * Acquire (async)
+	 * - A site under backoff is not waited for here: the caller re-queues the check, so the worker moves on
+	 * @param {*} host - Host about to be requested
+	 * @returns {Promise<*>} 0 once the global rate allows another request, or the milliseconds the site is still backing off
+	 */
+
+	async acquire(host) {
+		const wait = this.remainingBackoff(host);
+
+		if (wait > 0) {
+			debugVerbose(`Deferring ${host}, backing off for another ${wait}ms`);
+			this.stats.waits++;
+			this.stats.waited += wait;
+			return wait;
+		}
+
+		await this.limiter.removeTokens(1);
+		return 0;
+	}
+
+	/**
+	 * Report
+	 * @param {*} host - Requested host
+	 * @param {*} result - tryUrl or probeUrl result, with retryAfter (milliseconds) when the response had one
+	 * @returns {*} Backoff in milliseconds the site is now under, or null when the result was no throttle signal
+	 */
+
+	report(host, result) {
+		const key = getBaseDomain(host);
+
+		if (!isThrottleSignal(result)) {
+			// Any other answer ends the backoff streak
+			if (result.statusCode !== null) {
+				this.sites.delete(key);
+			}
+			return null;
+		}
+
+		const site = this.sites.get(key) || { strikes: 0, until: 0 };
+		site.strikes++;
+		this.throttledSites.add(key);
+
+		// The site's own Retry-After wins over the doubling backoff, within the same cap
+		const backoff = result.retryAfter ?? this.backoff * 2 ** (site.strikes - 1);
+		const delay = Math.min(backoff, this.maxBackoff);
+		site.until = Math.max(site.until, Date.now() + delay);
+		this.sites.set(key, site);
+
+		this.stats.signals++;
+		this.stats.backoff += delay;
+		this.stats.sites = this.throttledSites.size;
+		if (result.retryAfter !== undefined && result.retryAfter !== null) {
+			this.stats.retryAfter++;
+		}
+		debugVerbose(`Throttled by ${key} (${result.statusCode || result.errorCode}), backing off ${delay}ms`);
+
+		return delay;
+	}
+
+	/**
+	 * Remaining backoff
+	 * @param {*} host - Parameter host
+	 * @returns {*} Milliseconds until the site may be asked again
+	 */
+
+	remainingBackoff(host) {
+		const site = this.sites.get(getBaseDomain(host));
+		return site ? Math.max(0, site.until - Date.now()) : 0;
+	}
+}
+
+module.exports = {
+	THROTTLE_STATUS_CODES,
+	parseRetryAfter,
+	isThrottleSignal,
+	Throttle,
+};
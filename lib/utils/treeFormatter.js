@@ -4,6 +4,8 @@
  * @description Part of the Cleaner-Adblock domain scanner utility
  */
 
+const { formatRedirectHop } = require('../checkers/redirectChain');
+
 /**
  * Format domain check tree
  * @param {*} domain - Parameter domain
@@ -31,7 +33,10 @@ function formatDomainCheckTree(domain, attempts, finalResult, _index, _total) {
 		let statusText = '';
 
 		if (attempt.success) {
-			if (attempt.redirect) {
+			if (attempt.parked) {
+				statusIcon = '🅿️';
+				statusText = `parked (HTTP ${attempt.statusCode})`;
+			} else if (attempt.redirect) {
 				statusIcon = '↪️';
 				statusText = `➜ ${attempt.redirect}`;
 			} else if (attempt.similarRedirect) {
@@ -41,6 +46,12 @@ function formatDomainCheckTree(domain, attempts, finalResult, _index, _total) {
 				statusIcon = '🟢';
 				statusText = `active (HTTP ${attempt.statusCode})`;
 			}
+		} else if (attempt.protection) {
+			statusIcon = '🛡️';
+			statusText = attempt.reason;
+		} else if (attempt.outcome === 'retry' || attempt.outcome === 'inconclusive') {
+			statusIcon = attempt.outcome === 'retry' ? '⏳' : '🟡';
+			statusText = `HTTP ${attempt.statusCode}`;
 		} else if (attempt.tried) {
 			statusIcon = '🔴';
 			// Shorten error messages to prevent truncation
@@ -61,15 +72,47 @@ function formatDomainCheckTree(domain, attempts, finalResult, _index, _total) {
 			statusText = reason;
 		}
 
+		// Error statuses are up to the status policy, so say which rule decided
+		if (attempt.statusRule && attempt.statusCode >= 400) {
+			statusText += ` [${attempt.statusRule}]`;
+		}
+
+		// The site is throttling us
+		if (Number.isFinite(attempt.backoff)) {
+			statusText += ` (backing off ${Math.ceil(attempt.backoff / 1000)}s)`;
+		}
+
+		// The http checker handed this URL to the browser
+		if (attempt.escalated) {
+			statusText += ` (browser after ${attempt.escalated})`;
+		}
+
 		lines.push(`${attemptPrefix} ${statusIcon} ${attempt.url} ${statusText}`);
+
+		// Every hop on the way, so a permanent move stands out from a tracking bounce
+		for (const hop of attempt.redirectChain || []) {
+			lines.push(`${isLastAttempt ? '│      ' : '│   │  '} ↳ ${formatRedirectHop(hop)}`);
+		}
 	}
 
 	// Add final status line
-	if (finalResult.type === 'dead') {
+	if (finalResult.requeue) {
+		lines.push(
+			`└── ⏳ throttled, checking again in ${Math.ceil(finalResult.requeue.delay / 1000)}s (re-queue ${finalResult.requeue.attempt})`
+		);
+	} else if (finalResult.type === 'dead') {
 		lines.push(`└── ☠️  dead domain (saved to log)`);
 	} else if (finalResult.type === 'redirect') {
 		const redirectTarget = finalResult.data && finalResult.data.finalDomain ? finalResult.data.finalDomain : 'unknown';
 		lines.push(`└── ↪️  redirect to ${redirectTarget} (saved to log)`);
+	} else if (finalResult.type === 'parked') {
+		lines.push(`└── 🅿️  parked: ${finalResult.data.reason} (saved to log)`);
+	} else if (finalResult.type === 'protected') {
+		lines.push(`└── 🛡️  protected by ${finalResult.data.provider}, alive but not verifiable (saved to log)`);
+	} else if (finalResult.type === 'inconclusive' && finalResult.data && finalResult.data.dnsStatus) {
+		lines.push(`└── 🚫 DNS ${finalResult.data.dnsStatus}, not checked (saved to log)`);
+	} else if (finalResult.type === 'inconclusive' && finalResult.data && finalResult.data.statusRule) {
+		lines.push(`└── 🟡 ${finalResult.data.reason}, not conclusive (saved to log)`);
 	} else if (finalResult.type === 'inconclusive') {
 		lines.push(`└── 🚫 unreachable due to possible isp block (saved to log)`);
 	} else {
@@ -89,15 +132,17 @@ function formatDomainCheckTree(domain, attempts, finalResult, _index, _total) {
  */
 
 function formatSummaryBox(stats) {
-	const { total, dead, redirect, active, inconclusive } = stats;
+	const { total, dead, redirect, active, inconclusive, protected: protectedCount, parked } = stats;
 
 	const lines = [];
 	lines.push('┏━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━┓');
 	lines.push('┃           📊 SUMMARY             ┃');
 	lines.push(`┃ Total domains checked : ${String(total).padStart(2)}       ┃`);
 	lines.push(`┃   Dead / non-existent : ${String(dead).padStart(2)}       ┃`);
+	lines.push(`┃     Parked / for sale : ${String(parked || 0).padStart(2)}       ┃`);
 	lines.push(`┃           Redirecting : ${String(redirect).padStart(2)}       ┃`);
 	lines.push(`┃          Inconclusive : ${String(inconclusive || 0).padStart(2)}       ┃`);
+	lines.push(`┃       Protected (WAF) : ${String(protectedCount || 0).padStart(2)}       ┃`);
 	lines.push(`┃    Active (no issues) : ${String(active).padStart(2)}       ┃`);
 	lines.push('┗━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━┛');
 
@@ -4,6 +4,7 @@
  * @description Part of the Cleaner-Adblock domain scanner utility
  */
 
+const net = require('net');
 const path = require('path');
 const {
 	MIN_TEST_COUNT,
@@ -18,10 +19,11 @@ const {
 /**
  * Validate file path
  * @param {*} filePath - Parameter filePath
+ * @param {*} baseDir - Directory the path must stay within (defaults to the current working directory)
  * @returns {*} Result
  */
 
-function validateFilePath(filePath) {
+function validateFilePath(filePath, baseDir = process.cwd()) {
 	// Security: Reject absolute paths outright
 	if (path.isAbsolute(filePath)) {
 		throw new Error('Absolute paths are not allowed for security reasons');
@@ -35,19 +37,56 @@ function validateFilePath(filePath) {
 		throw new Error('Path traversal is not allowed');
 	}
 
-	// Resolve against current working directory
-	const resolved = path.resolve(process.cwd(), normalized);
-	const cwd = process.cwd();
+	// Resolve against the base directory
+	const base = path.resolve(baseDir);
+	const resolved = path.resolve(base, normalized);
 
-	// Strict check: resolved path must be within CWD
+	// Strict check: resolved path must be within the base directory
 	// Use path.sep to ensure proper directory boundary checking
-	if (!resolved.startsWith(cwd + path.sep) && resolved !== cwd) {
-		throw new Error(`Path must be within current directory: ${filePath}`);
+	if (!resolved.startsWith(base + path.sep) && resolved !== base) {
+		const where = base === process.cwd() ? 'current directory' : base;
+		throw new Error(`Path must be within ${where}: ${filePath}`);
 	}
 
 	return normalized;
 }
 
+/**
+ * Is remote url
+ * @param {*} value - Parameter value
+ * @returns {*} True if value looks like an http(s) URL rather than a file path
+ */
+
+function isRemoteUrl(value) {
+	return /^https?:\/\//i.test(value);
+}
+
+/**
+ * Validate list url
+ * @param {*} value - Parameter value
+ * @returns {*} Normalized URL string
+ */
+
+function validateListUrl(value) {
+	let url;
+	try {
+		url = new URL(value);
+	} catch {
+		throw new Error(`Invalid URL: ${value}`);
+	}
+
+	if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+		throw new Error('Only http and https URLs are supported');
+	}
+
+	// Security: credentials would end up in reports and cache metadata
+	if (url.username || url.password) {
+		throw new Error('URLs with credentials are not allowed');
+	}
+
+	return url.href;
+}
+
 /**
  * Validate test count
  * @param {*} count - Parameter count
@@ -91,6 +130,72 @@ function validateTimeout(value) {
 	return num * 1000;
 }
 
+/**
+ * Validate tld list
+ * @param {*} value - Comma-separated TLDs (com,de,co.uk)
+ * @returns {*} Array of lowercase TLDs
+ */
+
+function validateTldList(value) {
+	const tlds = (value || '')
+		.split(',')
+		.map(tld => tld.trim().toLowerCase().replace(/^\./, ''))
+		.filter(Boolean);
+
+	if (tlds.length === 0) {
+		throw new Error('TLD list must not be empty');
+	}
+
+	const invalid = tlds.find(tld => !/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(tld));
+	if (invalid) {
+		throw new Error(`Invalid TLD: ${invalid}`);
+	}
+
+	return tlds;
+}
+
+/**
+ * Is valid dns server
+ * @param {*} server - Parameter server (1.1.1.1, 127.0.0.1:5353, 2606:4700::1111 or [::1]:5353)
+ * @returns {*} True if the resolver accepts it as a server address
+ */
+
+function isValidDnsServer(server) {
+	const match = String(server).match(/^\[([^\]]+)\](?::(\d+))?$/) || String(server).match(/^([^:]+)(?::(\d+))?$/);
+	const [address, port] = match ? [match[1], match[2]] : [server, undefined];
+
+	if (port !== undefined && (Number(port) < 1 || Number(port) > 65535)) {
+		return false;
+	}
+
+	// Bare IPv6 addresses cannot carry a port
+	return match ? net.isIP(address) !== 0 : net.isIPv6(address);
+}
+
+/**
+ * Validate dns servers
+ * @param {*} value - Comma-separated DNS server addresses
+ * @returns {*} Array of server addresses
+ */
+
+function validateDnsServers(value) {
+	const servers = (value || '')
+		.split(',')
+		.map(server => server.trim())
+		.filter(Boolean);
+
+	if (servers.length === 0) {
+		throw new Error('DNS server list must not be empty');
+	}
+
+	const invalid = servers.find(server => !isValidDnsServer(server));
+	if (invalid) {
+		throw new Error(`Invalid DNS server: ${invalid}`);
+	}
+
+	return servers;
+}
+
 /**
  * Is valid domain
  * @param {*} domain - Parameter domain
@@ -129,8 +234,13 @@ function isValidDomain(domain) {
 
 module.exports = {
 	validateFilePath,
+	isRemoteUrl,
+	validateListUrl,
 	validateTestCount,
 	validateConcurrency,
 	validateTimeout,
+	validateTldList,
+	isValidDnsServer,
+	validateDnsServers,
 	isValidDomain,
 };
@@ -5,6 +5,122 @@
  */
 
 const fs = require('fs');
+const { toUnicodeDomain, isInternationalizedDomain } = require('../utils/idn');
+const { LINT_KINDS } = require('../parsers/listLint');
+const { formatRedirectChain } = require('../checkers/redirectChain');
+
+// Entity instance statuses, in report order
+const ENTITY_STATUSES = ['alive', 'dead', 'parked', 'redirect', 'inconclusive', 'protected'];
+
+/**
+ * Format domain name
+ * @param {*} domain - Parameter domain (ASCII / punycode)
+ * @returns {*} "xn--bcher-kva.de (bücher.de)" for internationalized domains, otherwise the domain itself
+ */
+
+function formatDomainName(domain) {
+	if (!domain || !isInternationalizedDomain(domain)) {
+		return domain;
+	}
+
+	return `${domain} (${toUnicodeDomain(domain)})`;
+}
+
+/**
+ * Format source reference
+ * @param {*} source - Parameter source
+ * @returns {*} Result
+ */
+
+function formatSourceReference(source) {
+	return `${source.file}:${source.line}`;
+}
+
+/**
+ * Format source lines
+ * @param {*} item - Parameter item
+ * @returns {*} Array of comment lines listing the rules that reference the domain
+ */
+
+function formatSourceLines(item) {
+	if (!item.sources || item.sources.length === 0) {
+		return [];
+	}
+
+	// Multi-list scans name the lists first, as included files may not make them obvious
+	const lines = item.lists ? [`#   lists: ${item.lists.join(', ')}`] : [];
+
+	for (const source of item.sources) {
+		const ruleType = source.option ? `${source.ruleType}: ${source.option}=` : source.ruleType;
+		const role = source.role ? `, ${source.role}` : '';
+		const condition = source.condition ? ` (!#if ${source.condition})` : '';
+		lines.push(`#   ${formatSourceReference(source)} [${ruleType}${role}] ${source.rule}${condition}`);
+	}
+
+	return lines;
+}
+
+/**
+ * Get exclusive roles
+ * @param {*} item - Parameter item
+ * @returns {*} Sorted roles (negated, exception) if every source references the domain that way, otherwise []
+ */
+
+function getExclusiveRoles(item) {
+	if (!item.sources || item.sources.length === 0 || item.sources.some(source => !source.role)) {
+		return [];
+	}
+
+	return Array.from(new Set(item.sources.map(source => source.role))).sort();
+}
+
+/**
+ * Split by role
+ * @param {*} domains - Parameter domains
+ * @returns {*} { positive, exceptions } where exceptions are only referenced as ~domain or from exception rules
+ */
+
+function splitByRole(domains) {
+	const positive = [];
+	const exceptions = [];
+
+	for (const item of domains) {
+		(getExclusiveRoles(item).length > 0 ? exceptions : positive).push(item);
+	}
+
+	return { positive, exceptions };
+}
+
+/**
+ * Format domain sections
+ * @param {*} domains - Parameter domains
+ * @param {*} formatItem - Formats the report line of a single domain
+ * @returns {*} Report lines, with negated/exception-only domains in a section of their own
+ */
+
+function formatDomainSections(domains, formatItem) {
+	const { positive, exceptions } = splitByRole(domains);
+	const lines = [];
+
+	for (const item of positive) {
+		lines.push(formatItem(item));
+		lines.push(...formatSourceLines(item));
+	}
+
+	if (exceptions.length > 0) {
+		lines.push('');
+		lines.push(`# Negated and exception-rule domains: ${exceptions.length}`);
+		lines.push(`# Only referenced as ~domain or from @@ rules - removing them widens a rule instead of narrowing it`);
+		lines.push('');
+
+		for (const item of exceptions) {
+			lines.push(`${formatItem(item)} [${getExclusiveRoles(item).join(', ')}]`);
+			lines.push(...formatSourceLines(item));
+		}
+	}
+
+	return lines;
+}
 
 /**
  * Write dead domains text (async)
@@ -30,9 +146,7 @@ async function writeDeadDomainsText(filePath, deadDomains, options = {}) {
 	lines.push(`# - Network errors`);
 	lines.push('');
 
-	for (const item of deadDomains) {
-		lines.push(`${item.domain} # ${item.reason}`);
-	}
+	lines.push(...formatDomainSections(deadDomains, item => `${formatDomainName(item.domain)} # ${item.reason}`));
 
 	await fs.promises.writeFile(filePath, lines.join('\n'), 'utf8');
 }
@@ -59,9 +173,12 @@ async function writeRedirectDomainsText(filePath, redirectDomains, options = {})
 	lines.push(`# Action: Review if filter rules should be updated`);
 	lines.push('');
 
-	for (const item of redirectDomains) {
-		lines.push(`${item.domain} → ${item.finalDomain} # ${item.finalUrl}`);
-	}
+	lines.push(
+		...formatDomainSections(
+			redirectDomains,
+			item => `${formatDomainName(item.domain)} → ${formatDomainName(item.finalDomain)} # ${item.finalUrl}`
+		)
+	);
 
 	await fs.promises.writeFile(filePath, lines.join('\n'), 'utf8');
 }
@@ -89,12 +206,196 @@ async function writeInconclusiveDomainsText(filePath, inconclusiveDomains, optio
 	lines.push(`# - Browser security features`);
 	lines.push(`# - Browser extensions (ad blockers, security tools)`);
 	lines.push(`#`);
+	lines.push(`# Reason: DNS SERVFAIL / TIMEOUT`);
+	lines.push(`# The DNS pre-check got no usable answer from the nameservers, so no page was opened`);
+	lines.push(`#`);
 	lines.push(`# Note: These domains may or may not be dead - verification was prevented`);
 	lines.push(`# Action: Manual verification recommended, or test from different network`);
 	lines.push('');
 
-	for (const item of inconclusiveDomains) {
-		lines.push(`${item.domain} # ${item.reason}`);
+	lines.push(...formatDomainSections(inconclusiveDomains, item => `${formatDomainName(item.domain)} # ${item.reason}`));
+
+	await fs.promises.writeFile(filePath, lines.join('\n'), 'utf8');
+}
+
+/**
+ * Write parked domains text (async)
+ * @param {*} filePath - Parameter filePath
+ * @param {*} parkedDomains - Parameter parkedDomains ({ domain, statusCode, reason, provider, finalUrl })
+ * @param {*} options - Parameter options
+ * @returns {Promise<*>} Promise resolving to result
+ */
+
+async function writeParkedDomainsText(filePath, parkedDomains, options = {}) {
+	const lines = [`# Parked Domains`, `# These domains only show a parking or for-sale page - effectively dead for filter lists`];
+
+	if (options.includeTimestamp !== false) {
+		lines.push(`# Generated: ${new Date().toISOString()}`);
+	}
+
+	lines.push(`# Total found: ${parkedDomains.length}`);
+	lines.push(`#`);
+	lines.push(`# Recognised from (see lib/data/parking-fingerprints.json):`);
+	lines.push(`# - Parking service pages and "this domain is for sale" landers`);
+	lines.push(`# - Redirects to parking services and domain marketplaces`);
+	lines.push(`# - Parking service addresses and nameservers`);
+	lines.push(`#`);
+	lines.push(`# Action: Review and remove rules for domains that no longer host the original site`);
+	lines.push('');
+
+	lines.push(...formatDomainSections(parkedDomains, item => `${formatDomainName(item.domain)} # ${item.reason}`));
+
+	await fs.promises.writeFile(filePath, lines.join('\n'), 'utf8');
+}
+
+/**
+ * Write protected domains text (async)
+ * @param {*} filePath - Parameter filePath
+ * @param {*} protectedDomains - Parameter protectedDomains ({ domain, statusCode, reason, provider })
+ * @param {*} options - Parameter options
+ * @returns {Promise<*>} Promise resolving to result
+ */
+
+async function writeProtectedDomainsText(filePath, protectedDomains, options = {}) {
+	const lines = [`# Protected Domains`, `# These domains answered with a WAF block or bot-challenge page - they are alive`];
+
+	if (options.includeTimestamp !== false) {
+		lines.push(`# Generated: ${new Date().toISOString()}`);
+	}
+
+	lines.push(`# Total found: ${protectedDomains.length}`);
+	lines.push(`#`);
+	lines.push(`# Recognised from response headers, cookies and page content:`);
+	lines.push(`# - Cloudflare, Akamai, Sucuri, DataDome, Imperva, PerimeterX, AWS WAF, DDoS-Guard`);
+	lines.push(`# - Generic captcha block pages`);
+	lines.push(`#`);
+	lines.push(`# Note: A 403/503 from a WAF is not a dead site - do not remove these rules`);
+	lines.push(`# Action: Verify manually in a regular browser if the rule itself is in doubt`);
+	lines.push('');
+
+	lines.push(...formatDomainSections(protectedDomains, item => `${formatDomainName(item.domain)} # ${item.reason}`));
+
+	await fs.promises.writeFile(filePath, lines.join('\n'), 'utf8');
+}
+
+/**
+ * Write invalid domains text (async)
+ * @param {*} filePath - Parameter filePath
+ * @param {*} invalidDomains - Parameter invalidDomains ({ domain, issue, reason })
+ * @param {*} options - Parameter options
+ * @returns {Promise<*>} Promise resolving to result
+ */
+
+async function writeInvalidDomainsText(filePath, invalidDomains, options = {}) {
+	const lines = [`# Invalid Domains`, `# These domains can never resolve - fix the typo or remove the rule`];
+
+	if (options.includeTimestamp !== false) {
+		lines.push(`# Generated: ${new Date().toISOString()}`);
+	}
+
+	lines.push(`# Total found: ${invalidDomains.length}`);
+	lines.push(`#`);
+	lines.push(`# Found offline, without checking:`);
+	lines.push(`# - Syntax errors (empty or over-long labels, invalid characters, leading/trailing hyphens)`);
+	lines.push(`# - TLDs missing from the bundled IANA root zone snapshot (e.g. .con)`);
+	lines.push('');
+
+	lines.push(...formatDomainSections(invalidDomains, item => `${formatDomainName(item.domain)} # ${item.reason}`));
+
+	await fs.promises.writeFile(filePath, lines.join('\n'), 'utf8');
+}
+
+/**
+ * Write lint findings text (async)
+ * @param {*} filePath - Parameter filePath
+ * @param {*} findings - Parameter findings ({ domain, kind, reason, sources }, see getLintFindings)
+ * @param {*} options - Parameter options
+ * @returns {Promise<*>} Promise resolving to result
+ */
+
+async function writeLintFindingsText(filePath, findings, options = {}) {
+	const lines = [`# List Lint`, `# These rules can be removed without changing what the list blocks`];
+
+	if (options.includeTimestamp !== false) {
+		lines.push(`# Generated: ${new Date().toISOString()}`);
+	}
+
+	lines.push(`# Total found: ${findings.length}`);
+	lines.push(`#`);
+	lines.push(`# Each finding lists the redundant rule first, then the rule that makes it redundant`);
+
+	for (const [kind, description] of Object.entries(LINT_KINDS)) {
+		const items = findings.filter(item => item.kind === kind);
+		if (items.length === 0) {
+			continue;
+		}
+
+		lines.push('');
+		lines.push(`# ${description.charAt(0).toUpperCase()}${description.slice(1)}: ${items.length}`);
+		lines.push('');
+
+		for (const item of items) {
+			lines.push(`${item.domain ? formatDomainName(item.domain) : '(no domain)'} # ${item.reason}`);
+			lines.push(...formatSourceLines(item));
+		}
+	}
+
+	await fs.promises.writeFile(filePath, lines.join('\n'), 'utf8');
+}
+
+/**
+ * Format entity instance
+ * @param {*} instance - Parameter instance
+ * @returns {*} Result
+ */
+
+function formatEntityInstance(instance) {
+	const domain = formatDomainName(instance.domain);
+
+	if (instance.status === 'redirect') {
+		return `${domain} → ${formatDomainName(instance.finalDomain)}`;
+	}
+
+	return instance.reason ? `${domain} (${instance.reason})` : domain;
+}
+
+/**
+ * Write entity domains text (async)
+ * @param {*} filePath - Parameter filePath
+ * @param {*} entities - Parameter entities
+ * @param {*} options - Parameter options
+ * @returns {Promise<*>} Promise resolving to result
+ */
+
+async function writeEntityDomainsText(filePath, entities, options = {}) {
+	const lines = [`# Entity Wildcard Rules`, `# TLD instances checked for each example.* entity rule`];
+
+	if (options.includeTimestamp !== false) {
+		lines.push(`# Generated: ${new Date().toISOString()}`);
+	}
+
+	lines.push(`# Total entities: ${entities.length}`);
+	lines.push(`#`);
+	lines.push(`# Format: entity # alive/dead/parked/redirect/inconclusive/protected instance counts`);
+	lines.push(`# Action: Entities without alive instances may no longer be worth keeping`);
+	lines.push('');
+
+	for (const entity of entities) {
+		const counts = ENTITY_STATUSES.map(status => {
+			const count = entity.instances.filter(instance => instance.status === status).length;
+			return count > 0 ? `${count} ${status}` : null;
+		}).filter(Boolean);
+
+		lines.push(`${entity.domain} # ${counts.join(', ')}`);
+
+		for (const status of ENTITY_STATUSES) {
+			const instances = entity.instances.filter(instance => instance.status === status);
+			if (instances.length > 0) {
+				lines.push(`#   ${status}: ${instances.map(formatEntityInstance).join(', ')}`);
+			}
+		}
+
+		lines.push(...formatSourceLines(entity));
 	}
 
 	await fs.promises.writeFile(filePath, lines.join('\n'), 'utf8');
@@ -110,12 +411,22 @@ async function writeInconclusiveDomainsText(filePath, inconclusiveDomains, optio
  */
 
 async function writeDomainsJSON(filePath, domains, type, options = {}) {
+	// Internationalized domains also carry their Unicode form
+	domains = domains.map(item => (isInternationalizedDomain(item.domain) ? { ...item, unicodeDomain: toUnicodeDomain(item.domain) } : item));
+
+	const { positive, exceptions } = splitByRole(domains);
 	const output = {
 		type,
-		count: domains.length,
-		domains,
+		count: positive.length,
+		domains: positive,
 	};
 
+	// Negated/exception-only domains get a section of their own
+	if (exceptions.length > 0) {
+		output.exceptionCount = exceptions.length;
+		output.exceptionDomains = exceptions.map(item => ({ ...item, roles: getExclusiveRoles(item) }));
+	}
+
 	if (options.includeTimestamp !== false) {
 		output.timestamp = new Date().toISOString();
 	}
@@ -138,36 +449,116 @@ async function writeDomainsJSON(filePath, domains, type, options = {}) {
 async function writeDomainsCSV(filePath, domains, type) {
 	const lines = [];
 
+	// Negated/exception-only domains are listed last, tagged in a role column
+	const { positive, exceptions } = splitByRole(domains);
+	domains = [...positive, ...exceptions];
+
+	// Only add the optional columns when the results carry rule provenance, list attribution, roles or IDNs
+	const withSources = domains.some(item => item.sources);
+	const withLists = domains.some(item => item.lists);
+	const withRoles = exceptions.length > 0;
+	const withUnicode = domains.some(item => isInternationalizedDomain(item.domain));
+
+	/**
+	 * Extra fields
+	 * @param {*} item - Parameter item
+	 * @returns {*} Optional sources, lists, role and unicode_domain columns
+	 */
+
+	const extraFields = item =>
+		(withSources ? `,${escapeCsvField((item.sources || []).map(formatSourceReference).join(';'))}` : '') +
+		(withLists ? `,${escapeCsvField((item.lists || []).join(';'))}` : '') +
+		(withRoles ? `,${getExclusiveRoles(item).join(';')}` : '') +
+		(withUnicode ? `,${escapeCsvField(isInternationalizedDomain(item.domain) ? toUnicodeDomain(item.domain) : '')}` : '');
+	const extraHeader =
+		(withSources ? ',sources' : '') + (withLists ? ',lists' : '') + (withRoles ? ',role' : '') + (withUnicode ? ',unicode_domain' : '');
+
 	if (type === 'dead') {
 		// CSV header for dead domains
-		lines.push('domain,status_code,reason');
+		lines.push(`domain,status_code,reason${extraHeader}`);
 
 		for (const item of domains) {
 			const domain = escapeCsvField(item.domain);
 			const statusCode = item.statusCode !== null ? item.statusCode : 'N/A';
 			const reason = escapeCsvField(item.reason);
-			lines.push(`${domain},${statusCode},${reason}`);
+			lines.push(`${domain},${statusCode},${reason}${extraFields(item)}`);
 		}
 	} else if (type === 'redirect') {
 		// CSV header for redirect domains
-		lines.push('domain,final_domain,final_url,status_code');
+		lines.push(`domain,final_domain,final_url,status_code,permanent,redirect_chain${extraHeader}`);
 
 		for (const item of domains) {
 			const domain = escapeCsvField(item.domain);
 			const finalDomain = escapeCsvField(item.finalDomain);
 			const finalUrl = escapeCsvField(item.finalUrl);
 			const statusCode = item.statusCode !== null ? item.statusCode : 'N/A';
-			lines.push(`${domain},${finalDomain},${finalUrl},${statusCode}`);
+			const permanent = item.permanent === undefined ? '' : item.permanent ? 'yes' : 'no';
+			const chain = escapeCsvField(formatRedirectChain(item.redirectChain));
+			lines.push(`${domain},${finalDomain},${finalUrl},${statusCode},${permanent},${chain}${extraFields(item)}`);
 		}
 	} else if (type === 'inconclusive') {
 		// CSV header for inconclusive domains
-		lines.push('domain,status_code,reason');
+		lines.push(`domain,status_code,reason${extraHeader}`);
 
 		for (const item of domains) {
 			const domain = escapeCsvField(item.domain);
 			const statusCode = item.statusCode !== null ? item.statusCode : 'N/A';
 			const reason = escapeCsvField(item.reason);
-			lines.push(`${domain},${statusCode},${reason}`);
+			lines.push(`${domain},${statusCode},${reason}${extraFields(item)}`);
+		}
+	} else if (type === 'parked') {
+		// CSV header for parked domains
+		lines.push(`domain,provider,status_code,reason,final_url${extraHeader}`);
+
+		for (const item of domains) {
+			const domain = escapeCsvField(item.domain);
+			const provider = escapeCsvField(item.provider);
+			const statusCode = item.statusCode !== null ? item.statusCode : 'N/A';
+			const reason = escapeCsvField(item.reason);
+			const finalUrl = escapeCsvField(item.finalUrl);
+			lines.push(`${domain},${provider},${statusCode},${reason},${finalUrl}${extraFields(item)}`);
+		}
+	} else if (type === 'protected') {
+		// CSV header for protected domains
+		lines.push(`domain,provider,status_code,reason${extraHeader}`);
+
+		for (const item of domains) {
+			const domain = escapeCsvField(item.domain);
+			const provider = escapeCsvField(item.provider);
+			const statusCode = item.statusCode !== null ? item.statusCode : 'N/A';
+			const reason = escapeCsvField(item.reason);
+			lines.push(`${domain},${provider},${statusCode},${reason}${extraFields(item)}`);
+		}
+	} else if (type === 'invalid') {
+		// CSV header for invalid domains
+		lines.push(`domain,issue,reason${extraHeader}`);
+
+		for (const item of domains) {
+			const domain = escapeCsvField(item.domain);
+			const reason = escapeCsvField(item.reason);
+			lines.push(`${domain},${item.issue},${reason}${extraFields(item)}`);
+		}
+	} else if (type === 'lint') {
+		// CSV header for lint findings
+		lines.push(`domain,kind,reason${extraHeader}`);
+
+		for (const item of domains) {
+			const domain = escapeCsvField(item.domain);
+			const reason = escapeCsvField(item.reason);
+			lines.push(`${domain},${item.kind},${reason}${extraFields(item)}`);
+		}
+	} else if (type === 'entity') {
+		// CSV header for entity wildcard rules (one row per TLD instance)
+		lines.push(`entity,domain,status,final_domain,reason${extraHeader}`);
+
+		for (const item of domains) {
+			const entity = escapeCsvField(item.domain);
+			for (const instance of item.instances) {
+				const domain = escapeCsvField(instance.domain);
+				const finalDomain = escapeCsvField(instance.finalDomain);
+				const reason = escapeCsvField(instance.reason);
+				lines.push(`${entity},${domain},${instance.status},${finalDomain},${reason}${extraFields(item)}`);
+			}
 		}
 	}
 
@@ -224,6 +615,16 @@ async function writeDomains(format, baseFilePath, domains, type, options = {}) {
 					await writeRedirectDomainsText(filePath, domains, options);
 				} else if (type === 'inconclusive') {
 					await writeInconclusiveDomainsText(filePath, domains, options);
+				} else if (type === 'parked') {
+					await writeParkedDomainsText(filePath, domains, options);
+				} else if (type === 'protected') {
+					await writeProtectedDomainsText(filePath, domains, options);
+				} else if (type === 'invalid') {
+					await writeInvalidDomainsText(filePath, domains, options);
+				} else if (type === 'lint') {
+					await writeLintFindingsText(filePath, domains, options);
+				} else if (type === 'entity') {
+					await writeEntityDomainsText(filePath, domains, options);
 				}
 				break;
 
@@ -273,6 +674,11 @@ module.exports = {
 	writeDeadDomainsText,
 	writeRedirectDomainsText,
 	writeInconclusiveDomainsText,
+	writeParkedDomainsText,
+	writeProtectedDomainsText,
+	writeInvalidDomainsText,
+	writeLintFindingsText,
+	writeEntityDomainsText,
 	writeDomainsJSON,
 	writeDomainsCSV,
 	initializeOutputFile,
@@ -0,0 +1,290 @@
+/**
+ * @file listFixer.js
+ * @module listFixer
+ * @description Part of the Cleaner-Adblock domain scanner utility
+ */
+
+const fs = require('fs');
+const {
+	HOSTNAME_OPTIONS,
+	extractDomainEntries,
+	parseRuleOptions,
+	parseCosmeticRule,
+	splitList,
+	validateAndCleanDomain,
+} = require('../parsers/domainExtractor');
+const { extractPlainDomainEntries } = require('../parsers/inputFormats');
+
+/**
+ * Filter domain tokens
+ * @param {*} tokens - Raw domain tokens as written in the rule
+ * @param {*} deadDomains - Set of dead domains
+ * @returns {*} { kept, removed, positiveLeft }
+ */
+
+function filterDomainTokens(tokens, deadDomains) {
+	const kept = [];
+	let removed = 0;
+	let positiveLeft = 0;
+
+	for (const token of tokens) {
+		const trimmed = token.trim();
+
+		// Negated domains (~domain) are left untouched
+		if (trimmed.startsWith('~')) {
+			kept.push(token);
+			continue;
+		}
+
+		const cleaned = validateAndCleanDomain(trimmed);
+		if (cleaned && deadDomains.has(cleaned)) {
+			removed++;
+			continue;
+		}
+
+		kept.push(token);
+		positiveLeft++;
+	}
+
+	return { kept, removed, positiveLeft };
+}
+
+/**
+ * Remove option
+ * @param {*} rule - Parameter rule
+ * @param {*} options - All parsed options of the rule
+ * @param {*} option - Option to remove
+ * @returns {*} Rule without the option (and its separator)
+ */
+
+function removeOption(rule, options, option) {
+	// Only option: drop the $ separator as well
+	if (options.length === 1) {
+		return rule.substring(0, option.start - 1) + rule.substring(option.end);
+	}
+
+	// Drop the preceding comma, or the following one for the first option
+	if (options.indexOf(option) > 0) {
+		return rule.substring(0, option.start - 1) + rule.substring(option.end);
+	}
+	return rule.substring(0, option.start) + rule.substring(option.end + 1);
+}
+
+/**
+ * Fix rule
+ * @param {*} line - Parameter line (without line terminator)
+ * @param {*} deadDomains - Set of dead domains
+ * @returns {*} { line, action } where action is 'keep', 'modify' or 'remove'
+ */
+
+function fixRule(line, deadDomains) {
+	const entries = extractDomainEntries(line);
+
+	if (!entries.some(entry => deadDomains.has(entry.domain))) {
+		return { line, action: 'keep' };
+	}
+
+	// Network rules (||domain^) whose blocked host is dead, and rules limited to a dead [$url=] host - drop the rule
+	if (entries.some(entry => (entry.ruleType === 'network' || entry.option === 'url') && deadDomains.has(entry.domain))) {
+		return { line: null, action: 'remove' };
+	}
+
+	const indent = line.match(/^\s*/)[0];
+	let rule = line.substring(indent.length);
+	let modified = false;
+
+	// Cosmetic, scriptlet, AdGuard and HTML filtering rules (a.com,b.com##selector), optionally after [$modifiers]
+	const cosmetic = parseCosmeticRule(rule);
+	if (cosmetic && cosmetic.domains.trim()) {
+		const prefixLength = cosmetic.domainsStart;
+		const { kept, removed, positiveLeft } = filterDomainTokens(splitList(cosmetic.domains, ','), deadDomains);
+
+		if (removed > 0) {
+			// Dropping every positive domain would turn the rule into a generic one
+			if (positiveLeft === 0) {
+				return { line: null, action: 'remove' };
+			}
+
+			rule = rule.substring(0, prefixLength) + kept.join(',') + rule.substring(prefixLength + cosmetic.domains.length);
+			modified = true;
+		}
+	}
+
+	// Hostname options (domain=, from=, to=, denyallow=), rewritten back to front so offsets stay valid
+	const options = parseRuleOptions(rule);
+	const hostnameOptions = options.filter(option => HOSTNAME_OPTIONS.includes(option.name) && option.value !== null);
+
+	for (const option of hostnameOptions.reverse()) {
+		const { kept, removed, positiveLeft } = filterDomainTokens(splitList(option.value, '|'), deadDomains);
+
+		if (removed === 0) {
+			continue;
+		}
+
+		if (positiveLeft === 0) {
+			// denyallow= only lists exceptions - an empty list can simply go
+			if (option.name === 'denyallow' && kept.length === 0) {
+				rule = removeOption(rule, options, option);
+				modified = true;
+				continue;
+			}
+
+			// Dropping every positive domain would turn the rule into a generic one
+			return { line: null, action: 'remove' };
+		}
+
+		rule = rule.substring(0, option.valueIndex) + kept.join('|') + rule.substring(option.valueIndex + option.value.length);
+		modified = true;
+	}
+
+	return modified ? { line: indent + rule, action: 'modify' } : { line, action: 'keep' };
+}
+
+/**
+ * Fix hosts rule
+ * @param {*} line - Parameter line (e.g. "0.0.0.0 a.com b.com # comment")
+ * @param {*} deadDomains - Set of dead domains
+ * @returns {*} { line, action } where action is 'keep', 'modify' or 'remove'
+ */
+
+function fixHostsRule(line, deadDomains) {
+	const match = line.match(/^(\s*\S+\s+)([^#]*?)(\s*#.*)?$/);
+	if (!match || line.trim().startsWith('#')) {
+		return { line, action: 'keep' };
+	}
+
+	const hostnames = match[2].split(/\s+/).filter(Boolean);
+	const kept = hostnames.filter(hostname => !deadDomains.has(validateAndCleanDomain(hostname)));
+
+	if (kept.length === hostnames.length) {
+		return { line, action: 'keep' };
+	}
+	if (kept.length === 0) {
+		return { line: null, action: 'remove' };
+	}
+
+	return { line: match[1] + kept.join(' ') + (match[3] || ''), action: 'modify' };
+}
+
+/**
+ * Fix dnsmasq rule
+ * @param {*} line - Parameter line (e.g. "address=/a.com/b.com/0.0.0.0")
+ * @param {*} deadDomains - Set of dead domains
+ * @returns {*} { line, action } where action is 'keep', 'modify' or 'remove'
+ */
+
+function fixDnsmasqRule(line, deadDomains) {
+	const match = line.match(/^(\s*(?:address|server|local)=\/)(.+)(\/[^/]*)$/);
+	if (!match) {
+		return { line, action: 'keep' };
+	}
+
+	const domains = match[2].split('/');
+	const kept = domains.filter(domain => !deadDomains.has(validateAndCleanDomain(domain.trim())));
+
+	if (kept.length === domains.length) {
+		return { line, action: 'keep' };
+	}
+	if (kept.length === 0) {
+		return { line: null, action: 'remove' };
+	}
+
+	return { line: match[1] + kept.join('/') + match[3], action: 'modify' };
+}
+
+/**
+ * Fix plain domain rule
+ * @param {*} line - Parameter line (one domain per line)
+ * @param {*} deadDomains - Set of dead domains
+ * @returns {*} { line, action } where action is 'keep' or 'remove'
+ */
+
+function fixPlainDomainRule(line, deadDomains) {
+	const entries = extractPlainDomainEntries(line);
+	if (entries.some(entry => deadDomains.has(entry.domain))) {
+		return { line: null, action: 'remove' };
+	}
+
+	return { line, action: 'keep' };
+}
+
+// Rule fixers by input format (see parsers/inputFormats.js)
+const RULE_FIXERS = {
+	adblock: fixRule,
+	hosts: fixHostsRule,
+	dnsmasq: fixDnsmasqRule,
+	domains: fixPlainDomainRule,
+};
+
+/**
+ * Fix list content
+ * @param {*} content - Parameter content
+ * @param {*} deadDomains - Set or array of dead domains
+ * @param {*} inputFormat - Input format name (default: adblock)
+ * @returns {*} { content, modifiedRules, removedRules }
+ */
+
+function fixListContent(content, deadDomains, inputFormat = 'adblock') {
+	const deadSet = deadDomains instanceof Set ? deadDomains : new Set(deadDomains);
+	const fixLine = RULE_FIXERS[inputFormat];
+	if (!fixLine) {
+		throw new Error(`Unknown input format: ${inputFormat}`);
+	}
+
+	const output = [];
+	let modifiedRules = 0;
+	let removedRules = 0;
+
+	// Split on \n only so \r\n line endings survive untouched
+	for (const rawLine of content.split('\n')) {
+		const hasCarriageReturn = rawLine.endsWith('\r');
+		const line = hasCarriageReturn ? rawLine.slice(0, -1) : rawLine;
+
+		const fixed = fixLine(line, deadSet);
+
+		if (fixed.action === 'remove') {
+			removedRules++;
+			continue;
+		}
+
+		if (fixed.action === 'modify') {
+			modifiedRules++;
+			output.push(fixed.line + (hasCarriageReturn ? '\r' : ''));
+		} else {
+			output.push(rawLine);
+		}
+	}
+
+	return { content: output.join('\n'), modifiedRules, removedRules };
+}
+
+/**
+ * Write fixed list (async)
+ * @param {*} inputPath - Parameter inputPath
+ * @param {*} outputPath - Parameter outputPath
+ * @param {*} deadDomains - Set or array of dead domains
+ * @param {*} inputFormat - Input format name (default: adblock)
+ * @returns {Promise<*>} { modifiedRules, removedRules }
+ */
+
+async function writeFixedList(inputPath, outputPath, deadDomains, inputFormat = 'adblock') {
+	let content;
+	try {
+		content = await fs.promises.readFile(inputPath, 'utf8');
+	} catch (error) {
+		throw new Error(`Failed to read file ${inputPath}: ${error.message}`);
+	}
+
+	const fixed = fixListContent(content, deadDomains, inputFormat);
+	await fs.promises.writeFile(outputPath, fixed.content, 'utf8');
+
+	return { modifiedRules: fixed.modifiedRules, removedRules: fixed.removedRules };
+}
+
+module.exports = {
+	fixRule,
+	fixHostsRule,
+	fixDnsmasqRule,
+	fixListContent,
+	writeFixedList,
+};
@@ -4,8 +4,21 @@
  * @description Part of the Cleaner-Adblock domain scanner utility
  */
 
-const { DEAD_DOMAINS_FILE, REDIRECT_DOMAINS_FILE, INCONCLUSIVE_DOMAINS_FILE } = require('../config/defaults');
+const fs = require('fs');
+const {
+	DEAD_DOMAINS_FILE,
+	REDIRECT_DOMAINS_FILE,
+	INCONCLUSIVE_DOMAINS_FILE,
+	PROTECTED_DOMAINS_FILE,
+	PARKED_DOMAINS_FILE,
+	ENTITY_DOMAINS_FILE,
+	INVALID_DOMAINS_FILE,
+	LINT_REPORT_FILE,
+	UNPARSED_LINES_FILE,
+} = require('../config/defaults');
 const { writeDomains } = require('./formatWriters');
+const { getSourceList } = require('../parsers/fileReader');
+const { SKIP_REASONS } = require('../parsers/parseReport');
 
 /**
  * Write dead domains (async)
@@ -67,8 +80,221 @@ async function writeInconclusiveDomains(inconclusiveDomains, options = {}) {
 	return filesWritten;
 }
 
+/**
+ * Write parked domains (async)
+ * @param {*} parkedDomains - Parameter parkedDomains
+ * @param {*} options - Parameter options
+ * @returns {Promise<*>} Promise resolving to result
+ */
+
+async function writeParkedDomains(parkedDomains, options = {}) {
+	const format = options.format || 'text';
+	const filePath = options.filePath || PARKED_DOMAINS_FILE;
+
+	const filesWritten = await writeDomains(format, filePath, parkedDomains, 'parked', {
+		includeTimestamp: options.includeTimestamp,
+		outputStatistics: options.outputStatistics,
+		statistics: options.statistics,
+	});
+
+	return filesWritten;
+}
+
+/**
+ * Write protected domains (async)
+ * @param {*} protectedDomains - Parameter protectedDomains
+ * @param {*} options - Parameter options
+ * @returns {Promise<*>} Promise resolving to result
+ */
+
+async function writeProtectedDomains(protectedDomains, options = {}) {
+	const format = options.format || 'text';
+	const filePath = options.filePath || PROTECTED_DOMAINS_FILE;
+
+	const filesWritten = await writeDomains(format, filePath, protectedDomains, 'protected', {
+		includeTimestamp: options.includeTimestamp,
+		outputStatistics: options.outputStatistics,
+		statistics: options.statistics,
+	});
+
+	return filesWritten;
+}
+
+/**
+ * Write invalid domains (async)
+ * @param {*} invalidDomains - Parameter invalidDomains ({ domain, issue, reason, sources })
+ * @param {*} options - Parameter options
+ * @returns {Promise<*>} Promise resolving to result
+ */
+
+async function writeInvalidDomains(invalidDomains, options = {}) {
+	const format = options.format || 'text';
+	const filePath = options.filePath || INVALID_DOMAINS_FILE;
+
+	const filesWritten = await writeDomains(format, filePath, invalidDomains, 'invalid', {
+		includeTimestamp: options.includeTimestamp,
+		outputStatistics: options.outputStatistics,
+		statistics: options.statistics,
+	});
+
+	return filesWritten;
+}
+
+/**
+ * Write lint findings (async)
+ * @param {*} findings - Parameter findings ({ domain, kind, reason, sources }, see getLintFindings)
+ * @param {*} options - Parameter options
+ * @returns {Promise<*>} Promise resolving to result
+ */
+
+async function writeLintFindings(findings, options = {}) {
+	const format = options.format || 'text';
+	const filePath = options.filePath || LINT_REPORT_FILE;
+
+	return writeDomains(format, filePath, findings, 'lint', { includeTimestamp: options.includeTimestamp });
+}
+
+/**
+ * Summarize entities
+ * @param {*} domainSources - Map of domain to sources (see parseDomainSourcesFromFile)
+ * @param {*} results - Check results ({ type, data }); domains without a result are alive
+ * @param {*} checkedDomains - Domains that were actually checked
+ * @returns {*} Array of { domain, instances, sources } per entity wildcard (example.*), sorted by entity
+ */
+
+function summarizeEntities(domainSources, results, checkedDomains) {
+	const resultsByDomain = new Map(results.map(result => [result.data.domain, result]));
+	const entities = new Map();
+
+	for (const domain of checkedDomains) {
+		for (const source of domainSources.get(domain) || []) {
+			if (!source.entity) {
+				continue;
+			}
+
+			if (!entities.has(source.entity)) {
+				entities.set(source.entity, { domain: source.entity, instances: new Map(), sources: new Map() });
+			}
+
+			const entity = entities.get(source.entity);
+			entity.sources.set(`${source.file}:${source.line}`, source);
+
+			if (!entity.instances.has(domain)) {
+				const result = resultsByDomain.get(domain);
+				const instance = { domain, status: result ? result.type : 'alive' };
+
+				if (result && result.data.finalDomain) {
+					instance.finalDomain = result.data.finalDomain;
+				}
+				if (result && result.data.reason) {
+					instance.reason = result.data.reason;
+				}
+				entity.instances.set(domain, instance);
+			}
+		}
+	}
+
+	return Array.from(entities.keys())
+		.sort()
+		.map(name => {
+			const entity = entities.get(name);
+			return { domain: name, instances: Array.from(entity.instances.values()), sources: Array.from(entity.sources.values()) };
+		});
+}
+
+/**
+ * Split results by list
+ * @param {*} domainSources - Map of domain to sources (see parseDomainSourcesFromFiles)
+ * @param {*} results - Check results ({ type, data }) with data.sources attached
+ * @param {*} checkedDomains - Domains that were actually checked
+ * @param {*} lists - Input list file paths
+ * @returns {*} Map of list to { domains, results }, each result narrowed to the sources from that list
+ */
+
+function splitResultsByList(domainSources, results, checkedDomains, lists) {
+	const split = new Map(lists.map(list => [list, { domains: [], results: [] }]));
+
+	for (const domain of checkedDomains) {
+		for (const list of new Set((domainSources.get(domain) || []).map(getSourceList))) {
+			if (split.has(list)) {
+				split.get(list).domains.push(domain);
+			}
+		}
+	}
+
+	for (const result of results) {
+		for (const list of lists) {
+			const sources = (result.data.sources || []).filter(source => getSourceList(source) === list);
+			if (sources.length > 0) {
+				split.get(list).results.push({ ...result, data: { ...result.data, sources } });
+			}
+		}
+	}
+
+	return split;
+}
+
+/**
+ * Write entity domains (async)
+ * @param {*} entities - Parameter entities (see summarizeEntities)
+ * @param {*} options - Parameter options
+ * @returns {Promise<*>} Promise resolving to result
+ */
+
+async function writeEntityDomains(entities, options = {}) {
+	const format = options.format || 'text';
+	const filePath = options.filePath || ENTITY_DOMAINS_FILE;
+
+	const filesWritten = await writeDomains(format, filePath, entities, 'entity', {
+		includeTimestamp: options.includeTimestamp,
+		outputStatistics: options.outputStatistics,
+		statistics: options.statistics,
+	});
+
+	return filesWritten;
+}
+
+/**
+ * Write unparsed lines (async)
+ * @param {*} report - Parse report (see createParseReport)
+ * @param {*} options - { filePath, includeTimestamp }
+ * @returns {Promise<*>} Path of the written file
+ */
+
+async function writeUnparsedLines(report, options = {}) {
+	const filePath = options.filePath || UNPARSED_LINES_FILE;
+	const lines = [`# Unparsed Lines`, `# Rules that did not produce a domain to check (comments and blank lines omitted)`];
+
+	if (options.includeTimestamp !== false) {
+		lines.push(`# Generated: ${new Date().toISOString()}`);
+	}
+
+	lines.push(`# Total found: ${report.unparsed.length}`);
+	lines.push('#');
+	lines.push('# Reasons:');
+	for (const reason of new Set(report.unparsed.map(item => item.reason))) {
+		lines.push(`# - ${reason}: ${SKIP_REASONS[reason]}`);
+	}
+	lines.push('');
+
+	for (const item of report.unparsed) {
+		lines.push(`${item.file}:${item.line} [${item.reason}] ${item.rule}`);
+	}
+
+	await fs.promises.writeFile(filePath, lines.join('\n'), 'utf8');
+	return filePath;
+}
+
 module.exports = {
 	writeDeadDomains,
 	writeRedirectDomains,
 	writeInconclusiveDomains,
+	writeParkedDomains,
+	writeProtectedDomains,
+	writeInvalidDomains,
+	writeLintFindings,
+	writeEntityDomains,
+	summarizeEntities,
+	splitResultsByList,
+	writeUnparsedLines,
 };
@@ -0,0 +1,139 @@
+/**
+ * Local stand-in DNS server for tests
+ * - Answers A, AAAA, CNAME and NS queries over UDP from an in-memory zone
+ */
+
+const dgram = require('dgram');
+
+/** @constant {*} RECORD_TYPES - query type codes */
+
+const RECORD_TYPES = { A: 1, NS: 2, CNAME: 5, AAAA: 28 };
+
+/** @constant {*} RCODES - response codes */
+
+const RCODES = { NOERROR: 0, SERVFAIL: 2, NXDOMAIN: 3, REFUSED: 5 };
+
+/**
+ * Encode name
+ * @param {*} name - Parameter name
+ * @returns {*} Name in DNS label wire format
+ */
+
+function encodeName(name) {
+	const labels = name.split('.').filter(Boolean);
+	return Buffer.concat([...labels.map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])), Buffer.from([0])]);
+}
+
+/**
+ * Encode address
+ * @param {*} type - A or AAAA
+ * @param {*} address - Parameter address
+ * @returns {*} 4 or 16 address bytes
+ */
+
+function encodeAddress(type, address) {
+	if (type === 'A') {
+		return Buffer.from(address.split('.').map(Number));
+	}
+
+	// Expand :: to the missing zero groups
+	const [head, tail = ''] = address.split('::');
+	const headGroups = head ? head.split(':') : [];
+	const tailGroups = tail ? tail.split(':') : [];
+	const groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+	const bytes = Buffer.alloc(16);
+	groups.forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16), index * 2));
+	return bytes;
+}
+
+/**
+ * Encode record
+ * @param {*} name - Parameter name
+ * @param {*} type - A, AAAA, CNAME or NS
+ * @param {*} value - Address, CNAME target or nameserver
+ * @returns {*} Resource record in wire format
+ */
+
+function encodeRecord(name, type, value) {
+	const data = type === 'CNAME' || type === 'NS' ? encodeName(value) : encodeAddress(type, value);
+	const fixed = Buffer.alloc(10);
+	fixed.writeUInt16BE(RECORD_TYPES[type], 0);
+	fixed.writeUInt16BE(1, 2);
+	fixed.writeUInt32BE(60, 4);
+	fixed.writeUInt16BE(data.length, 8);
+	return Buffer.concat([encodeName(name), fixed, data]);
+}
+
+/**
+ * Answer
+ * @param {*} zone - Parameter zone
+ * @param {*} name - Queried name (lowercase)
+ * @param {*} type - Queried type (A, AAAA, CNAME, NS)
+ * @returns {*} { rcode, records } following CNAMEs for address queries
+ */
+
+function answer(zone, name, type) {
+	const entry = zone[name];
+
+	if (entry === undefined) {
+		return { rcode: RCODES.NXDOMAIN, records: [] };
+	}
+	if (typeof entry === 'string') {
+		return { rcode: RCODES[entry], records: [] };
+	}
+	if (entry.CNAME && type !== 'CNAME') {
+		const target = answer(zone, entry.CNAME, type);
+		return { rcode: target.rcode, records: [encodeRecord(name, 'CNAME', entry.CNAME), ...target.records] };
+	}
+
+	const values = entry[type] ? [].concat(entry[type]) : [];
+	return { rcode: RCODES.NOERROR, records: values.map(value => encodeRecord(name, type, value)) };
+}
+
+/**
+ * Start dns server (async)
+ * @param {*} zone - { 'a.test': { A: '1.2.3.4', AAAA: [...], NS: [...] }, 'alias.test': { CNAME: 'a.test' }, 'broken.test': 'SERVFAIL' };
+ *   names missing from the zone are NXDOMAIN, names without records of the queried type are NODATA
+ * @returns {Promise<*>} { address (127.0.0.1:port for setServers), queries, close() }
+ */
+
+async function startDnsServer(zone) {
+	const socket = dgram.createSocket('udp4');
+	const queries = [];
+
+	socket.on('message', (message, remote) => {
+		// Question: name labels after the 12-byte header, then type and class
+		const labels = [];
+		let offset = 12;
+		while (message[offset] !== 0) {
+			labels.push(message.subarray(offset + 1, offset + 1 + message[offset]).toString());
+			offset += message[offset] + 1;
+		}
+		const questionEnd = offset + 5;
+		const name = labels.join('.').toLowerCase();
+		const type = Object.keys(RECORD_TYPES).find(key => RECORD_TYPES[key] === message.readUInt16BE(offset + 1)) || 'OTHER';
+		queries.push({ name, type });
+
+		const { rcode, records } = answer(zone, name, type);
+		const header = Buffer.alloc(12);
+		message.copy(header, 0, 0, 2);
+		// QR, RD and RA set, plus the response code
+		header.writeUInt16BE(0x8180 | rcode, 2);
+		header.writeUInt16BE(1, 4);
+		header.writeUInt16BE(records.length, 6);
+
+		socket.send(Buffer.concat([header, message.subarray(12, questionEnd), ...records]), remote.port, remote.address);
+	});
+
+	await new Promise(resolve => socket.bind(0, '127.0.0.1', () => resolve(null)));
+
+	return {
+		address: `127.0.0.1:${socket.address().port}`,
+		queries,
+		close: () => new Promise(resolve => socket.close(() => resolve(null))),
+	};
+}
+
+module.exports = {
+	startDnsServer,
+};
@@ -102,6 +102,59 @@ describe('CLI Argument Parsing', () => {
 			expect(config.inputFile).toBe('custom.txt');
 		});
 
+		test('should collect repeated --input flags', async () => {
+			const args = [`--config=${testConfigPath}`, '--input=easylist.txt', '--input=lists/*.txt'];
+			const config = await parseArgs(args);
+
+			expect(config.inputFile).toEqual(['easylist.txt', 'lists/*.txt']);
+		});
+
+		test('should accept URLs with --input flag', async () => {
+			const args = [`--config=${testConfigPath}`, '--input=https://easylist.to/easylist/easylist.txt?a=b'];
+			const config = await parseArgs(args);
+
+			expect(config.inputFile).toBe('https://easylist.to/easylist/easylist.txt?a=b');
+		});
+
+		test('should default to the check command', async () => {
+			const config = await parseArgs([`--config=${testConfigPath}`]);
+
+			expect(config.command).toBe('check');
+		});
+
+		test('should accept a command as the first argument', async () => {
+			const config = await parseArgs(['parse', `--config=${testConfigPath}`, '--unparsed']);
+
+			expect(config.command).toBe('parse');
+			expect(config.unparsedFile).toBe('ca-unparsed-lines.txt');
+		});
+
+		test('should accept the lint command', async () => {
+			const config = await parseArgs(['lint', `--config=${testConfigPath}`]);
+
+			expect(config.command).toBe('lint');
+		});
+
+		test('should exit with error for unknown commands', async () => {
+			await parseArgs(['scan', `--config=${testConfigPath}`]);
+
+			expect(consoleErrors[0]).toContain("Unknown command 'scan'");
+			expect(process.exit).toHaveBeenCalledWith(1);
+		});
+
+		test('should accept a custom path with --unparsed flag', async () => {
+			const config = await parseArgs(['parse', `--config=${testConfigPath}`, '--unparsed=skipped.txt']);
+
+			expect(config.unparsedFile).toBe('skipped.txt');
+		});
+
+		test('should enable splitOutput with --split-output flag', async () => {
+			const args = [`--config=${testConfigPath}`, '--split-output'];
+			const config = await parseArgs(args);
+
+			expect(config.splitOutput).toBe(true);
+		});
+
 		test('should enable addWww with --add-www flag', async () => {
 			const args = [`--config=${testConfigPath}`, '--add-www'];
 			const config = await parseArgs(args);
@@ -116,6 +169,109 @@ describe('CLI Argument Parsing', () => {
 			expect(config.ignoreSimilar).toBe(true);
 		});
 
+		test('should enable includeNegated with --include-negated flag', async () => {
+			const args = [`--config=${testConfigPath}`, '--include-negated'];
+			const config = await parseArgs(args);
+
+			expect(config.includeNegated).toBe(true);
+		});
+
+		test('should enable entity expansion with --expand-entities flag', async () => {
+			const args = [`--config=${testConfigPath}`, '--expand-entities'];
+			const config = await parseArgs(args);
+
+			expect(config.expandEntities).toBe(true);
+			expect(config.entityTlds).toBeUndefined();
+		});
+
+		test('should set entity TLDs with --entity-tlds flag', async () => {
+			const args = [`--config=${testConfigPath}`, '--entity-tlds=com,de,co.uk'];
+			const config = await parseArgs(args);
+
+			expect(config.expandEntities).toBe(true);
+			expect(config.entityTlds).toEqual(['com', 'de', 'co.uk']);
+		});
+
+		test('should exit with error for invalid entity TLDs', async () => {
+			const args = [`--config=${testConfigPath}`, '--entity-tlds=c*m'];
+			await parseArgs(args);
+
+			expect(consoleErrors[0]).toContain('Invalid entity TLDs');
+			expect(process.exit).toHaveBeenCalledWith(1);
+		});
+
+		test('should set DNS servers with --dns-servers flag', async () => {
+			const config = await parseArgs([`--config=${testConfigPath}`, '--dns-servers=1.1.1.1,[::1]:5353']);
+
+			expect(config.dnsCheck).toBe(true);
+			expect(config.dnsServers).toEqual(['1.1.1.1', '[::1]:5353']);
+		});
+
+		test('should exit with error for invalid DNS servers', async () => {
+			await parseArgs([`--config=${testConfigPath}`, '--dns-servers=dns.google']);
+
+			expect(consoleErrors[0]).toContain('Invalid DNS servers');
+			expect(process.exit).toHaveBeenCalledWith(1);
+		});
+
+		test('should disable the DNS pre-check with --no-dns flag', async () => {
+			const config = await parseArgs([`--config=${testConfigPath}`, '--no-dns']);
+
+			expect(config.dnsCheck).toBe(false);
+		});
+
+		test('should set the checker backend with --checker flag', async () => {
+			const config = await parseArgs([`--config=${testConfigPath}`, '--checker=http']);
+
+			expect(config.checker).toBe('http');
+		});
+
+		test('should exit with error for an invalid checker', async () => {
+			await parseArgs([`--config=${testConfigPath}`, '--checker=curl']);
+
+			expect(consoleErrors[0]).toContain('Invalid checker');
+			expect(process.exit).toHaveBeenCalledWith(1);
+		});
+
+		test('should set input format with --input-format flag', async () => {
+			const args = [`--config=${testConfigPath}`, '--input-format=hosts'];
+			const config = await parseArgs(args);
+
+			expect(config.inputFormat).toBe('hosts');
+		});
+
+		test('should exit with error for invalid input format', async () => {
+			const args = [`--config=${testConfigPath}`, '--input-format=yaml'];
+			await parseArgs(args);
+
+			expect(consoleErrors[0]).toContain('Invalid input format');
+			expect(process.exit).toHaveBeenCalledWith(1);
+		});
+
+		test('should enable fix mode with --fix flag', async () => {
+			const args = [`--config=${testConfigPath}`, '--fix'];
+			const config = await parseArgs(args);
+
+			expect(config.fixList).toBe(true);
+			expect(config.fixedListFile).toBeUndefined();
+		});
+
+		test('should set fixed list path with --fix=<file>', async () => {
+			const args = [`--config=${testConfigPath}`, '--fix=cleaned.txt'];
+			const config = await parseArgs(args);
+
+			expect(config.fixList).toBe(true);
+			expect(config.fixedListFile).toBe('cleaned.txt');
+		});
+
+		test('should exit with error for --fix path traversal', async () => {
+			const args = [`--config=${testConfigPath}`, '--fix=../cleaned.txt'];
+			await parseArgs(args);
+
+			expect(consoleErrors[0]).toContain('Invalid fixed list path');
+			expect(process.exit).toHaveBeenCalledWith(1);
+		});
+
 		test('should enable basic debug with --debug flag', async () => {
 			const args = [`--config=${testConfigPath}`, '--debug'];
 			const config = await parseArgs(args);
@@ -328,6 +484,8 @@ describe('CLI Argument Parsing', () => {
 			expect(helpText).toContain('--ignore-similar');
 			expect(helpText).toContain('--debug');
 			expect(helpText).toContain('--test-mode');
+			expect(helpText).toContain('Commands:');
+			expect(helpText).toContain('--unparsed');
 		});
 
 		test('should include examples in help message', () => {
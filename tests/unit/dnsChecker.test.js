@@ -0,0 +1,176 @@
+/**
+ * Unit tests for the DNS pre-check
+ */
+
+const { createDnsResolver, classifyDnsError, resolveDomain, lookupNameservers } = require('../../lib/checkers/dnsChecker');
+const { checkDomain } = require('../../lib/checkers/domainChecker');
+const { startDnsServer } = require('../helpers/dnsServer');
+
+/** Zone served by the stand-in DNS server */
+const zone = {
+	'alive.test': { A: '192.0.2.1', AAAA: '2001:db8::1' },
+	'v6only.test': { AAAA: '2001:db8::2' },
+	'alias.test': { CNAME: 'alive.test' },
+	'dangling.test': { CNAME: 'gone.test' },
+	'apex.test': {},
+	'www.apex.test': { A: '192.0.2.3' },
+	'empty.test': {},
+	'broken.test': 'SERVFAIL',
+	'parked.test': { A: '192.0.2.9', NS: ['ns1.sedoparking.com', 'ns2.sedoparking.com'] },
+	'www.parked.test': { A: '192.0.2.9' },
+	'lander.test': { A: '199.59.243.120' },
+};
+
+describe('DNS Checker', () => {
+	let server;
+	let resolver;
+
+	beforeAll(async () => {
+		server = await startDnsServer(zone);
+		resolver = createDnsResolver({ servers: [server.address], timeout: 1000, tries: 1 });
+	});
+
+	afterAll(async () => {
+		await server.close();
+	});
+
+	describe('classifyDnsError', () => {
+		test('should map resolver error codes to DNS outcomes', () => {
+			expect(classifyDnsError({ code: 'ENOTFOUND' })).toBe('NXDOMAIN');
+			expect(classifyDnsError({ code: 'ENODATA' })).toBe('NODATA');
+			expect(classifyDnsError({ code: 'ESERVFAIL' })).toBe('SERVFAIL');
+			expect(classifyDnsError({ code: 'ETIMEOUT' })).toBe('TIMEOUT');
+			expect(classifyDnsError({ code: 'ECONNREFUSED' })).toBe('ERROR');
+		});
+	});
+
+	describe('resolveDomain', () => {
+		test('should resolve A and AAAA records', async () => {
+			const lookup = await resolveDomain(resolver, 'alive.test');
+
+			expect(lookup.status).toBe('resolved');
+			expect(lookup.addresses).toEqual(['192.0.2.1', '2001:db8::1']);
+		});
+
+		test('should accept a single address family', async () => {
+			expect((await resolveDomain(resolver, 'v6only.test')).addresses).toEqual(['2001:db8::2']);
+		});
+
+		test('should follow CNAMEs', async () => {
+			const lookup = await resolveDomain(resolver, 'alias.test');
+
+			expect(lookup.status).toBe('resolved');
+			expect(lookup.cname).toBe('alive.test');
+			expect(lookup.addresses).toContain('192.0.2.1');
+		});
+
+		test('should tell NXDOMAIN, NODATA and SERVFAIL apart', async () => {
+			expect(await resolveDomain(resolver, 'missing.test')).toMatchObject({
+				status: 'NXDOMAIN',
+				reason: 'DNS NXDOMAIN (domain does not exist)',
+			});
+			expect(await resolveDomain(resolver, 'empty.test')).toMatchObject({ status: 'NODATA', reason: 'DNS NODATA (no A/AAAA records)' });
+			expect(await resolveDomain(resolver, 'broken.test')).toMatchObject({ status: 'SERVFAIL' });
+		});
+
+		test('should name the target of a dangling CNAME', async () => {
+			const lookup = await resolveDomain(resolver, 'dangling.test');
+
+			expect(lookup.status).toBe('NXDOMAIN');
+			expect(lookup.reason).toBe('DNS NXDOMAIN (domain does not exist) - CNAME to gone.test');
+		});
+	});
+
+	describe('lookupNameservers', () => {
+		test('should look up the nameservers of the registrable domain', async () => {
+			expect(await lookupNameservers(resolver, 'www.parked.test')).toEqual(['ns1.sedoparking.com', 'ns2.sedoparking.com']);
+		});
+
+		test('should return no nameservers when the lookup fails', async () => {
+			expect(await lookupNameservers(resolver, 'missing.test')).toEqual([]);
+		});
+	});
+
+	describe('checkDomain with a resolver', () => {
+		let visited;
+		let pagePool;
+
+		beforeEach(() => {
+			jest.spyOn(console, 'log').mockImplementation(() => {});
+			visited = [];
+
+			// Stand-in page pool: every navigation succeeds with HTTP 200
+			pagePool = {
+				acquire: async () => {
+					let currentUrl = 'about:blank';
+					return {
+						setUserAgent: async () => {},
+						on: () => {},
+						goto: async url => {
+							visited.push(url);
+							currentUrl = url;
+							return { status: () => 200 };
+						},
+						url: () => currentUrl,
+					};
+				},
+				release: async () => {},
+			};
+		});
+
+		afterEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		/**
+		 * Check
+		 * @param {*} domain - Parameter domain
+		 * @returns {Promise<*>} checkDomain result
+		 */
+
+		const check = domain =>
+			checkDomain(null, { original: domain, variants: [domain] }, 0, 1, false, 1000, 1000, false, null, pagePool, resolver);
+
+		test('should report NXDOMAIN and NODATA as dead without opening a page', async () => {
+			expect(await check('missing.test')).toEqual({
+				type: 'dead',
+				data: { domain: 'missing.test', statusCode: null, reason: 'DNS NXDOMAIN (domain does not exist)', dnsStatus: 'NXDOMAIN' },
+			});
+			expect((await check('empty.test')).data.dnsStatus).toBe('NODATA');
+			expect(visited).toEqual([]);
+		});
+
+		test('should report SERVFAIL as inconclusive', async () => {
+			const result = await check('broken.test');
+
+			expect(result.type).toBe('inconclusive');
+			expect(result.data.dnsStatus).toBe('SERVFAIL');
+			expect(visited).toEqual([]);
+		});
+
+		test('should hand resolvable domains to the browser', async () => {
+			expect(await check('alive.test')).toEqual({ type: null, data: null });
+			expect(visited).toEqual(['https://alive.test']);
+		});
+
+		test('should go straight to www when only the www host has addresses', async () => {
+			expect((await check('apex.test')).type).toBeNull();
+			expect(visited).toEqual(['https://www.apex.test']);
+		});
+
+		test('should report domains on parking nameservers and addresses as parked', async () => {
+			expect(await check('parked.test')).toEqual({
+				type: 'parked',
+				data: {
+					domain: 'parked.test',
+					statusCode: 200,
+					reason: 'Sedo nameserver ns1.sedoparking.com',
+					provider: 'Sedo',
+					finalUrl: 'https://parked.test',
+					statusRule: '2xx: alive (default)',
+				},
+			});
+			expect((await check('lander.test')).data.reason).toBe('Bodis address 199.59.243.120');
+		});
+	});
+});
@@ -3,7 +3,20 @@
  * NOTE: These are BASIC tests only - no Puppeteer/liveness detection testing
  */
 
-const { isSimilarDomainRedirect } = require('../../lib/checkers/domainChecker');
+const {
+	isSimilarDomainRedirect,
+	hasSubdomain,
+	stripSubdomain,
+	mergeRetryResult,
+	processDomains,
+} = require('../../lib/checkers/domainChecker');
+const { createStatusPolicy } = require('../../lib/checkers/statusPolicy');
+const { Throttle } = require('../../lib/utils/throttle');
+const DomainFeed = require('../../lib/utils/domainFeed');
+const { parseDomainSourcesFromFiles } = require('../../lib/parsers/fileReader');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 describe('Domain Checker Utilities', () => {
 	describe('isSimilarDomainRedirect', () => {
@@ -40,5 +53,225 @@ describe('Domain Checker Utilities', () => {
 			expect(isSimilarDomainRedirect('example.com', 'example.org', true)).toBe(false);
 			expect(isSimilarDomainRedirect('test.net', 'test.com', true)).toBe(false);
 		});
+
+		test('should not treat sites sharing a multi-label public suffix as similar', () => {
+			expect(isSimilarDomainRedirect('shop.example.co.uk', 'other.co.uk', true)).toBe(false);
+			expect(isSimilarDomainRedirect('shop.example.co.uk', 'example.co.uk', true)).toBe(true);
+			expect(isSimilarDomainRedirect('alice.github.io', 'bob.github.io', true)).toBe(false);
+		});
+	});
+
+	describe('hasSubdomain', () => {
+		test('should detect subdomains using the public suffix list', () => {
+			expect(hasSubdomain('sub.example.com')).toBe(true);
+			expect(hasSubdomain('www.example.com')).toBe(false);
+			expect(hasSubdomain('example.co.uk')).toBe(false);
+			expect(hasSubdomain('shop.example.co.uk')).toBe(true);
+			expect(hasSubdomain('user.github.io')).toBe(false);
+		});
+	});
+
+	describe('stripSubdomain', () => {
+		test('should strip down to the registrable domain', () => {
+			expect(stripSubdomain('sub.example.com')).toBe('example.com');
+			expect(stripSubdomain('www.shop.example.co.uk')).toBe('example.co.uk');
+			expect(stripSubdomain('cdn.user.blogspot.com')).toBe('user.blogspot.com');
+		});
+	});
+
+	describe('mergeRetryResult', () => {
+		const dead = { type: 'dead', data: { domain: 'a.test', statusCode: null, reason: 'net::ERR_TIMED_OUT' } };
+
+		test('should confirm dead only when every pass found the domain dead', () => {
+			expect(mergeRetryResult(dead, { type: 'dead', data: { domain: 'a.test', statusCode: 404, reason: 'HTTP 404' } }, 1)).toEqual({
+				type: 'dead',
+				data: {
+					domain: 'a.test',
+					statusCode: 404,
+					reason: 'HTTP 404',
+					attempts: [
+						{ pass: 0, type: 'dead', statusCode: null, reason: 'net::ERR_TIMED_OUT' },
+						{ pass: 1, type: 'dead', statusCode: 404, reason: 'HTTP 404' },
+					],
+				},
+			});
+			expect(
+				mergeRetryResult(dead, { type: 'inconclusive', data: { domain: 'a.test', statusCode: 451, reason: 'HTTP 451' } }, 1).type
+			).toBe('inconclusive');
+		});
+
+		test('should take the retry result when the domain came back', () => {
+			expect(mergeRetryResult(dead, { type: null, data: null }, 1)).toEqual({ type: null, data: null });
+			expect(
+				mergeRetryResult(dead, { type: 'redirect', data: { domain: 'a.test', finalDomain: 'b.test', statusCode: 200 } }, 1)
+			).toMatchObject({
+				type: 'redirect',
+				data: { finalDomain: 'b.test', attempts: [{ pass: 0 }, { pass: 1, type: 'redirect', statusCode: 200, reason: null }] },
+			});
+		});
+	});
+
+	describe('processDomains retry passes', () => {
+		let visits;
+
+		/**
+		 * Browser
+		 * @param {*} statuses - { domain: [status of each visit, the last one repeating] }
+		 * @returns {*} Stand-in browser
+		 */
+
+		const browser = statuses => ({
+			newPage: async () => {
+				let currentUrl = 'about:blank';
+				return {
+					setUserAgent: async () => {},
+					on: () => {},
+					goto: async (url, options) => {
+						currentUrl = url;
+						if (url === 'about:blank') {
+							return null;
+						}
+						const host = new URL(url).hostname;
+						const codes = statuses[host];
+						const statusCode = codes.length > 1 ? codes.shift() : codes[0];
+						visits.push({ host, timeout: options.timeout });
+						return { status: () => statusCode, headers: () => ({}) };
+					},
+					url: () => currentUrl,
+					cookies: async () => [],
+					content: async () => '<html></html>',
+					close: async () => {},
+				};
+			},
+			pages: async () => [],
+		});
+
+		/**
+		 * Run
+		 * @param {*} statuses - Parameter statuses (see browser)
+		 * @param {*} retry - Parameter retry
+		 * @returns {Promise<*>} processDomains results
+		 */
+
+		const run = (statuses, retry) =>
+			processDomains(
+				browser(statuses),
+				Object.keys(statuses).map(domain => ({ original: domain, variants: [domain] })),
+				false,
+				1000,
+				{
+					quietMode: true,
+					forceCloseTimeout: 1000,
+					concurrency: 2,
+					statusPolicy: createStatusPolicy({ retries: 0 }),
+					throttle: new Throttle({ maxRequeues: 0 }),
+					retry,
+				}
+			);
+
+		beforeEach(() => {
+			jest.spyOn(console, 'log').mockImplementation(() => {});
+			visits = [];
+		});
+
+		afterEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		test('should re-check failed domains with the longer timeout', async () => {
+			const results = await run({ 'flaky.org': [500, 200], 'gone.org': [404], 'ok.org': [200] }, { passes: 2, delay: 0, timeout: 3000 });
+
+			expect(results).toEqual([
+				{
+					type: 'dead',
+					data: {
+						domain: 'gone.org',
+						statusCode: 404,
+						reason: 'HTTP 404',
+						statusRule: '4xx: dead (default)',
+						attempts: [
+							{ pass: 0, type: 'dead', statusCode: 404, reason: 'HTTP 404' },
+							{ pass: 1, type: 'dead', statusCode: 404, reason: 'HTTP 404' },
+							{ pass: 2, type: 'dead', statusCode: 404, reason: 'HTTP 404' },
+						],
+					},
+				},
+			]);
+			expect(visits.filter(visit => visit.host === 'flaky.org').map(visit => visit.timeout)).toEqual([1000, 3000]);
+			expect(visits.filter(visit => visit.host === 'ok.org')).toHaveLength(1);
+		});
+
+		test('should report without retrying when no retry is configured', async () => {
+			const results = await run({ 'flaky.org': [500, 200] }, null);
+
+			expect(results.map(result => result.type)).toEqual(['dead']);
+			expect(results[0].data.attempts).toBeUndefined();
+		});
+	});
+
+	describe('processDomains with a list that fails to parse', () => {
+		let tempDir;
+
+		beforeEach(async () => {
+			jest.spyOn(console, 'log').mockImplementation(() => {});
+			tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ca-abort-'));
+		});
+
+		afterEach(async () => {
+			jest.restoreAllMocks();
+			await fs.promises.rm(tempDir, { recursive: true, force: true });
+		});
+
+		test('should check no domains once the list overflows maxDomains', async () => {
+			const listFile = path.join(tempDir, 'list.txt');
+			await fs.promises.writeFile(listFile, '||one.com^\n||two.com^\n||three.com^\n');
+
+			const visited = [];
+			const browser = {
+				newPage: async () => ({
+					setUserAgent: async () => {},
+					on: () => {},
+					goto: async url => {
+						if (url !== 'about:blank') {
+							visited.push(url);
+						}
+						return null;
+					},
+					url: () => 'about:blank',
+					cookies: async () => [],
+					content: async () => '',
+					close: async () => {},
+				}),
+				pages: async () => [],
+			};
+
+			// Wired like main: domains are checked while the list is parsed, maxDomains is 2
+			const feed = new DomainFeed();
+			let discovered = 0;
+			const parsing = parseDomainSourcesFromFiles([listFile], {
+				onDomain: domain => {
+					if (++discovered > 2) {
+						feed.abort();
+						throw new Error('Too many domains (more than 2)');
+					}
+					feed.push({ original: domain, variants: [domain] });
+				},
+			}).catch(error => {
+				feed.abort();
+				return error;
+			});
+
+			const results = await processDomains(browser, feed, false, 1000, {
+				quietMode: true,
+				forceCloseTimeout: 1000,
+				concurrency: 2,
+				throttle: new Throttle({ maxRequeues: 0 }),
+				retry: { passes: 1, delay: 0, timeout: 1000 },
+			});
+
+			expect((await parsing).message).toBe('Too many domains (more than 2)');
+			expect(visited).toEqual([]);
+			expect(results).toEqual([]);
+		});
 	});
 });
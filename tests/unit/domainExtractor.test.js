@@ -2,7 +2,22 @@
  * Unit tests for domain extraction utilities
  */
 
-const { extractDomains, getBaseDomain, isBareDomain, validateAndCleanDomain } = require('../../lib/parsers/domainExtractor');
+const fs = require('fs');
+const path = require('path');
+const {
+	extractDomains,
+	extractDomainEntries,
+	expandEntityDomain,
+	isEntityDomain,
+	parseRuleOptions,
+	getBaseDomain,
+	isBareDomain,
+	validateAndCleanDomain,
+	getDomainRejection,
+	splitList,
+	parseCosmeticRule,
+	detectRuleDialect,
+} = require('../../lib/parsers/domainExtractor');
 
 describe('Domain Utilities', () => {
 	describe('getBaseDomain', () => {
@@ -25,18 +40,37 @@ describe('Domain Utilities', () => {
 		test('should handle single-part domains', () => {
 			expect(getBaseDomain('localhost')).toBe('localhost');
 		});
+
+		test('should respect multi-label public suffixes', () => {
+			expect(getBaseDomain('shop.example.co.uk')).toBe('example.co.uk');
+			expect(getBaseDomain('example.co.uk')).toBe('example.co.uk');
+			expect(getBaseDomain('www.news.example.com.au')).toBe('example.com.au');
+		});
+
+		test('should respect private-section suffixes', () => {
+			expect(getBaseDomain('user.github.io')).toBe('user.github.io');
+			expect(getBaseDomain('assets.user.github.io')).toBe('user.github.io');
+			expect(getBaseDomain('myblog.blogspot.com')).toBe('myblog.blogspot.com');
+		});
+
+		test('should return public suffixes as-is', () => {
+			expect(getBaseDomain('co.uk')).toBe('co.uk');
+			expect(getBaseDomain('github.io')).toBe('github.io');
+		});
 	});
 
 	describe('isBareDomain', () => {
 		test('should identify bare domains correctly', () => {
 			expect(isBareDomain('example.com')).toBe(true);
 			expect(isBareDomain('test.org')).toBe(true);
-			expect(isBareDomain('site.co.uk')).toBe(false); // Has 2 dots
+			expect(isBareDomain('site.co.uk')).toBe(true); // co.uk is a public suffix
 		});
 
 		test('should identify subdomains correctly', () => {
 			expect(isBareDomain('sub.example.com')).toBe(false);
 			expect(isBareDomain('a.b.example.com')).toBe(false);
+			expect(isBareDomain('shop.example.co.uk')).toBe(false);
+			expect(isBareDomain('assets.user.github.io')).toBe(false);
 		});
 
 		test('should treat www domains as bare', () => {
@@ -54,6 +88,13 @@ describe('Domain Utilities', () => {
 			expect(validateAndCleanDomain('sub.example.org')).toBe('sub.example.org');
 		});
 
+		test('should normalize case, trailing dots and IDNs', () => {
+			expect(validateAndCleanDomain('Example.COM.')).toBe('example.com');
+			expect(validateAndCleanDomain('bücher.de')).toBe('xn--bcher-kva.de');
+			expect(validateAndCleanDomain('~Bücher.de')).toBe('xn--bcher-kva.de');
+			expect(validateAndCleanDomain('xn--zz.com')).toBe(null);
+		});
+
 		test('should reject wildcards', () => {
 			expect(validateAndCleanDomain('*.example.com')).toBe(null);
 			expect(validateAndCleanDomain('test*.example.com')).toBe(null);
@@ -115,8 +156,8 @@ describe('Domain Extraction', () => {
 		test('should extract domains from network rules', () => {
 			// Path-based rule without ||, extracts from domain= parameter
 			expect(extractDomains('/ads.js$script,domain=network-test.com')).toEqual(['network-test.com']);
-			// Network blocking rule with ||, extracts the blocked domain
-			expect(extractDomains('||blocked.example.com^$script,domain=site1.com')).toEqual(['blocked.example.com']);
+			// Network blocking rule with ||, extracts the blocked domain and the domain= sites
+			expect(extractDomains('||blocked.example.com^$script,domain=site1.com')).toEqual(['blocked.example.com', 'site1.com']);
 		});
 
 		test('should handle multi-domain rules', () => {
@@ -127,10 +168,12 @@ describe('Domain Extraction', () => {
 		});
 
 		test('should handle network rules with multiple domains', () => {
-			// Network blocking rule with ||, extracts the blocked domain (not the domain= parameter)
+			// Network blocking rule with ||, extracts the blocked domain and every domain= site
 			const result = extractDomains('||blocked.example.com^$script,domain=site1.com|site2.org');
-			expect(result).toHaveLength(1);
+			expect(result).toHaveLength(3);
 			expect(result).toContain('blocked.example.com');
+			expect(result).toContain('site1.com');
+			expect(result).toContain('site2.org');
 		});
 
 		test('should skip comments and empty lines', () => {
@@ -150,6 +193,16 @@ describe('Domain Extraction', () => {
 			expect(extractDomains('domain=good.com|~bad.com')).toEqual(['good.com']);
 		});
 
+		test('should skip negated domains in cosmetic rules', () => {
+			expect(extractDomains('~negated.com##.ad')).toEqual([]);
+			expect(extractDomains('good.com,~sub.good.com##.ad')).toEqual(['good.com']);
+		});
+
+		test('should skip exception rules', () => {
+			expect(extractDomains('@@||example.com^')).toEqual([]);
+			expect(extractDomains('@@||cdn.com^$domain=site.com')).toEqual([]);
+		});
+
 		test('should skip invalid domains', () => {
 			expect(extractDomains('.onion-site.onion##.tracker')).toEqual([]);
 			expect(extractDomains('192.168.1.1##.local')).toEqual([]);
@@ -173,4 +226,264 @@ describe('Domain Extraction', () => {
 			expect(result).toEqual(['valid.com']);
 		});
 	});
+
+	describe('extractDomainEntries', () => {
+		test('should tag each domain with its rule type', () => {
+			expect(extractDomainEntries('example.com##.ad')).toEqual([{ domain: 'example.com', ruleType: 'cosmetic' }]);
+			expect(extractDomainEntries('example.com##+js(abort-on-property-read)')).toEqual([{ domain: 'example.com', ruleType: 'scriptlet' }]);
+			expect(extractDomainEntries('example.com#$#.ad { display: none; }')).toEqual([{ domain: 'example.com', ruleType: 'adguard' }]);
+			expect(extractDomainEntries('||example.com^$script')).toEqual([{ domain: 'example.com', ruleType: 'network' }]);
+			expect(extractDomainEntries('/ads.js$domain=example.com')).toEqual([
+				{ domain: 'example.com', ruleType: 'domain-option', option: 'domain' },
+			]);
+		});
+
+		test('should return empty array for comments', () => {
+			expect(extractDomainEntries('! example.com##.ad')).toEqual([]);
+		});
+
+		test('should tag domains with the option they came from', () => {
+			expect(extractDomainEntries('||cdn.example.com^$script,domain=site1.com|~site2.com,denyallow=x.com')).toEqual([
+				{ domain: 'cdn.example.com', ruleType: 'network' },
+				{ domain: 'site1.com', ruleType: 'domain-option', option: 'domain' },
+				{ domain: 'x.com', ruleType: 'domain-option', option: 'denyallow' },
+			]);
+			expect(extractDomainEntries('*$script,to=tracker.com|~ok.com,from=publisher.com')).toEqual([
+				{ domain: 'tracker.com', ruleType: 'domain-option', option: 'to' },
+				{ domain: 'publisher.com', ruleType: 'domain-option', option: 'from' },
+			]);
+		});
+
+		test('should extract domains from AdGuard [$domain=] modifiers', () => {
+			expect(extractDomainEntries('[$domain=a.com|b.com]##.ad')).toEqual([
+				{ domain: 'a.com', ruleType: 'domain-option', option: 'domain' },
+				{ domain: 'b.com', ruleType: 'domain-option', option: 'domain' },
+			]);
+			expect(extractDomainEntries('[$domain=a.com,path=/page]c.com##.ad')).toEqual([
+				{ domain: 'a.com', ruleType: 'domain-option', option: 'domain' },
+				{ domain: 'c.com', ruleType: 'cosmetic' },
+			]);
+		});
+
+		test('should stop || hosts at the options separator', () => {
+			expect(extractDomainEntries('||host.example.com$third-party')).toEqual([{ domain: 'host.example.com', ruleType: 'network' }]);
+		});
+	});
+
+	describe('extractDomainEntries with includeNegated', () => {
+		const includeNegated = { includeNegated: true };
+
+		test('should tag negated domains', () => {
+			expect(extractDomainEntries('good.com,~sub.good.com##.ad', includeNegated)).toEqual([
+				{ domain: 'good.com', ruleType: 'cosmetic' },
+				{ domain: 'sub.good.com', ruleType: 'cosmetic', role: 'negated' },
+			]);
+			expect(extractDomainEntries('/ads.js$domain=good.com|~bad.com', includeNegated)).toEqual([
+				{ domain: 'good.com', ruleType: 'domain-option', option: 'domain' },
+				{ domain: 'bad.com', ruleType: 'domain-option', option: 'domain', role: 'negated' },
+			]);
+		});
+
+		test('should tag exception rule domains', () => {
+			expect(extractDomainEntries('@@||cdn.com^$domain=site.com|~other.com', includeNegated)).toEqual([
+				{ domain: 'cdn.com', ruleType: 'network', role: 'exception' },
+				{ domain: 'site.com', ruleType: 'domain-option', option: 'domain', role: 'exception' },
+				{ domain: 'other.com', ruleType: 'domain-option', option: 'domain', role: 'negated' },
+			]);
+		});
+
+		test('should leave positive rules unchanged', () => {
+			expect(extractDomainEntries('||example.com^', includeNegated)).toEqual([{ domain: 'example.com', ruleType: 'network' }]);
+		});
+	});
+
+	describe('skipped domains', () => {
+		test('should name the reason a domain is rejected', () => {
+			expect(getDomainRejection('*.example.com')).toBe('wildcard');
+			expect(getDomainRejection('/^ads?\\.example\\.com$/')).toBe('regex');
+			expect(getDomainRejection('192.168.0.1')).toBe('ip');
+			expect(getDomainRejection('hidden.onion')).toBe('onion');
+			expect(getDomainRejection('x.y')).toBe('too-short');
+			expect(getDomainRejection('exa mple.com')).toBe('invalid');
+			expect(getDomainRejection('example.com')).toBeNull();
+		});
+
+		test('should report skipped domains through onReject', () => {
+			const rejected = [];
+			const onReject = (domain, reason) => rejected.push([domain, reason]);
+
+			extractDomainEntries('good.com,~bad.com,*.wild.com,google.*##.ad', { onReject });
+			extractDomainEntries('||10.0.0.1^', { onReject });
+
+			expect(rejected).toEqual(
+				expect.arrayContaining([
+					['~bad.com', 'negated'],
+					['*.wild.com', 'wildcard'],
+					['google.*', 'entity'],
+					['10.0.0.1', 'ip'],
+				])
+			);
+			expect(rejected.map(([domain]) => domain)).not.toContain('good.com');
+		});
+	});
+
+	describe('entity wildcards', () => {
+		const entityTlds = ['com', 'co.uk'];
+
+		test('should recognize entity wildcards', () => {
+			expect(isEntityDomain('google.*')).toBe(true);
+			expect(isEntityDomain('news.google.*')).toBe(true);
+			expect(isEntityDomain('*.google.com')).toBe(false);
+			expect(isEntityDomain('google.com')).toBe(false);
+		});
+
+		test('should expand an entity against the TLD list', () => {
+			expect(expandEntityDomain('google.*', entityTlds)).toEqual(['google.com', 'google.co.uk']);
+		});
+
+		test('should normalize internationalized entities', () => {
+			expect(extractDomains('Bücher.*##.ad', { entityTlds: ['de'] })).toEqual(['xn--bcher-kva.de']);
+			expect(extractDomainEntries('bücher.*##.ad', { entityTlds: ['de'] })[0].entity).toBe('xn--bcher-kva.*');
+		});
+
+		test('should skip entity wildcards unless TLDs are configured', () => {
+			expect(extractDomainEntries('google.*,example.com##.ad')).toEqual([{ domain: 'example.com', ruleType: 'cosmetic' }]);
+		});
+
+		test('should tag expanded domains with their entity', () => {
+			expect(extractDomainEntries('google.*##.ad', { entityTlds })).toEqual([
+				{ domain: 'google.com', ruleType: 'cosmetic', entity: 'google.*' },
+				{ domain: 'google.co.uk', ruleType: 'cosmetic', entity: 'google.*' },
+			]);
+			expect(extractDomainEntries('/ads.js$domain=Google.*', { entityTlds })).toEqual([
+				{ domain: 'google.com', ruleType: 'domain-option', option: 'domain', entity: 'google.*' },
+				{ domain: 'google.co.uk', ruleType: 'domain-option', option: 'domain', entity: 'google.*' },
+			]);
+		});
+	});
+
+	describe('AdGuard and uBlock Origin syntax', () => {
+		test('should extract the domains of every fixture rule', () => {
+			const lines = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'cosmetic-syntax-rules.txt'), 'utf8').split('\n');
+			let checked = 0;
+
+			lines.forEach((line, index) => {
+				const expectMatch = line.match(/^! expect: (.+)$/);
+				if (!expectMatch) {
+					return;
+				}
+
+				const expected = expectMatch[1] === 'none' ? [] : expectMatch[1].split(' ');
+				const actual = extractDomainEntries(lines[index + 1]).map(entry =>
+					[entry.domain, entry.ruleType, entry.option].filter(Boolean).join(':')
+				);
+
+				expect({ rule: lines[index + 1], entries: actual }).toEqual({ rule: lines[index + 1], entries: expected });
+				checked++;
+			});
+
+			expect(checked).toBeGreaterThan(20);
+		});
+
+		test('should not split escaped separators or regular expressions', () => {
+			expect(splitList('a.com|/b\\.(com|net)/|~/c|d/|e.com', '|')).toEqual(['a.com', '/b\\.(com|net)/', '~/c|d/', 'e.com']);
+			expect(splitList('path=/a\\,b,domain=x.com', ',')).toEqual(['path=/a\\,b', 'domain=x.com']);
+		});
+
+		test('should split cosmetic rules into their parts', () => {
+			expect(parseCosmeticRule('[$path=/a\\]]a.com,b.com#@$?#.ad { remove: true; }')).toEqual({
+				prefix: '[$path=/a\\]]',
+				domains: 'a.com,b.com',
+				domainsStart: 12,
+				separator: '#@$?#',
+				body: '.ad { remove: true; }',
+			});
+			expect(parseCosmeticRule('a.com$$script[tag-content="x"]').separator).toBe('$$');
+			expect(parseCosmeticRule('||a.com^$domain=b.com')).toBeNull();
+			expect(parseCosmeticRule('[$path=/unterminated##.ad')).toBeNull();
+		});
+
+		test('should report regular expression domains as skipped', () => {
+			const rejected = [];
+			extractDomainEntries('/^(www\\.)?example\\.(com|net)$/,ok.com##.ad', { onReject: (domain, reason) => rejected.push(reason) });
+
+			expect(rejected).toEqual(['regex']);
+		});
+
+		test('should detect the dialect of a rule', () => {
+			expect(detectRuleDialect('[$path=/x]##.ad')).toBe('adguard');
+			expect(detectRuleDialect('a.com#%#//scriptlet("abort-on-property-read", "x")')).toBe('adguard');
+			expect(detectRuleDialect('a.com#@?#.ad:has(a)')).toBe('adguard');
+			expect(detectRuleDialect('a.com$@$script[tag-content="x"]')).toBe('adguard');
+			expect(detectRuleDialect('a.com##+js(aopr, x)')).toBe('ubo');
+			expect(detectRuleDialect('a.com##^responseheader(set-cookie)')).toBe('ubo');
+			expect(detectRuleDialect('a.com##:matches-path(/x) .ad')).toBe('ubo');
+			expect(detectRuleDialect('a.com##.ad')).toBeNull();
+			expect(detectRuleDialect('||a.com^$third-party')).toBeNull();
+		});
+	});
+
+	describe('parseRuleOptions', () => {
+		test('should parse network rule options with offsets', () => {
+			const line = '||cdn.com^$script,domain=a.com|b.com';
+			const options = parseRuleOptions(line);
+
+			expect(options.map(o => o.name)).toEqual(['script', 'domain']);
+			expect(options[0].value).toBe(null);
+			expect(options[1].value).toBe('a.com|b.com');
+			expect(line.substring(options[1].valueIndex)).toBe('a.com|b.com');
+			expect(line.substring(options[1].start, options[1].end)).toBe('domain=a.com|b.com');
+		});
+
+		test('should parse AdGuard modifier prefixes', () => {
+			const options = parseRuleOptions('[$domain=a.com,path=/x]##.ad');
+			expect(options.map(o => [o.name, o.value])).toEqual([
+				['domain', 'a.com'],
+				['path', '/x'],
+			]);
+		});
+
+		test('should honour escaped separators in AdGuard modifiers', () => {
+			const options = parseRuleOptions('[$path=/a\\]b\\,c/,domain=a.com]##.ad');
+			expect(options.map(o => [o.name, o.value])).toEqual([
+				['path', '/a\\]b\\,c/'],
+				['domain', 'a.com'],
+			]);
+		});
+
+		test('should return empty array for rules without options', () => {
+			expect(parseRuleOptions('example.com##.ad')).toEqual([]);
+			expect(parseRuleOptions('example.com##a[href$=domain=x.com]')).toEqual([]);
+			expect(parseRuleOptions('example.com$$script[tag-content="a$b"]')).toEqual([]);
+			expect(parseRuleOptions('||example.com^')).toEqual([]);
+			expect(parseRuleOptions('/ads$/')).toEqual([]);
+		});
+
+		test('should parse option names starting with a digit or underscore', () => {
+			expect(parseRuleOptions('||x.com^$3p,domain=a.com').map(o => [o.name, o.value])).toEqual([
+				['3p', null],
+				['domain', 'a.com'],
+			]);
+			expect(parseRuleOptions('*$1p,to=foo.com').map(o => o.name)).toEqual(['1p', 'to']);
+			expect(parseRuleOptions('||x.com^$_,domain=a.com').map(o => o.name)).toEqual(['_', 'domain']);
+		});
+
+		test('should only take options after the closing slash of a regex rule', () => {
+			expect(parseRuleOptions('/ads$/$3p,domain=a.com').map(o => o.name)).toEqual(['3p', 'domain']);
+			expect(parseRuleOptions('/ads.js$script').map(o => o.name)).toEqual(['script']);
+		});
+	});
+
+	describe('option hostnames', () => {
+		test('should extract hostnames after $1p, $3p and $_ options', () => {
+			expect(extractDomains('||x.com^$3p,domain=a.com')).toEqual(['x.com', 'a.com']);
+			expect(extractDomains('*$1p,to=foo.com')).toEqual(['foo.com']);
+			expect(extractDomains('||x.com^$3p,denyallow=b.com')).toEqual(['x.com', 'b.com']);
+			expect(extractDomains('||x.com^$_,domain=a.com')).toEqual(['x.com', 'a.com']);
+		});
+
+		test('should extract the option hostnames of IP rules', () => {
+			expect(extractDomains('||1.2.3.4^$domain=site1.com')).toEqual(['site1.com']);
+		});
+	});
 });
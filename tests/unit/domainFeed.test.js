@@ -0,0 +1,78 @@
+/**
+ * Unit tests for the domain feed work queue
+ */
+
+const DomainFeed = require('../../lib/utils/domainFeed');
+
+describe('DomainFeed', () => {
+	test('should hand out items in order and null once closed', async () => {
+		const feed = DomainFeed.fromArray(['a', 'b']);
+
+		expect(await feed.next()).toBe('a');
+		expect(await feed.next()).toBe('b');
+		expect(await feed.next()).toBe(null);
+		expect(feed.total).toBe(2);
+	});
+
+	test('should wake waiting consumers when items are pushed', async () => {
+		const feed = new DomainFeed();
+		const pending = feed.next();
+
+		feed.push('a');
+
+		expect(await pending).toBe('a');
+		expect(feed.total).toBe(1);
+	});
+
+	test('should release waiting consumers on close', async () => {
+		const feed = new DomainFeed();
+		const pending = [feed.next(), feed.next()];
+
+		feed.close();
+
+		expect(await Promise.all(pending)).toEqual([null, null]);
+	});
+
+	test('should drain queued items after close', async () => {
+		const feed = new DomainFeed();
+		feed.push('a');
+		feed.close();
+
+		expect(await feed.next()).toBe('a');
+		expect(await feed.next()).toBe(null);
+	});
+
+	test('should keep consumers waiting for requeued items after close', async () => {
+		const feed = DomainFeed.fromArray(['a']);
+		expect(await feed.next()).toBe('a');
+
+		feed.requeue('a', 10);
+		const pending = [feed.next(), feed.next()];
+
+		expect(await Promise.all(pending)).toEqual(['a', null]);
+		expect(await feed.next()).toBe(null);
+		expect(feed.total).toBe(1);
+	});
+
+	test('should skip items the claim hook refuses until dispatched again', async () => {
+		const feed = DomainFeed.fromArray(['a1', 'a2', 'b1']);
+		let claimable = ['a1', 'b1'];
+		feed.claim = item => claimable.includes(item);
+
+		expect(await feed.next()).toBe('a1');
+		expect(await feed.next()).toBe('b1');
+
+		const pending = feed.next();
+		claimable = ['a2'];
+		feed.dispatch();
+
+		expect(await pending).toBe('a2');
+		expect(await feed.next()).toBe(null);
+	});
+
+	test('should reject pushes after close', () => {
+		const feed = DomainFeed.fromArray([]);
+
+		expect(() => feed.push('a')).toThrow('Cannot push to a closed domain feed');
+	});
+});
@@ -0,0 +1,52 @@
+/**
+ * Unit tests for offline domain linting
+ */
+
+const { parseTldList, isKnownTld, lintDomain } = require('../../lib/utils/domainLint');
+
+describe('Domain Lint', () => {
+	describe('parseTldList', () => {
+		test('should parse the IANA list format', () => {
+			const tlds = parseTldList(`# Version 2026101900, Last Updated Mon Oct 19 07:07:01 2026 UTC
+COM
+CO
+XN--P1AI
+`);
+
+			expect(Array.from(tlds)).toEqual(['com', 'co', 'xn--p1ai']);
+		});
+	});
+
+	describe('isKnownTld', () => {
+		test('should look TLDs up in the bundled snapshot', () => {
+			expect(isKnownTld('com')).toBe(true);
+			expect(isKnownTld('UK')).toBe(true);
+			expect(isKnownTld('xn--p1ai')).toBe(true); // .рф
+			expect(isKnownTld('con')).toBe(false);
+			expect(isKnownTld('onion')).toBe(false);
+		});
+	});
+
+	describe('lintDomain', () => {
+		test('should accept well-formed domains', () => {
+			expect(lintDomain('example.com')).toBeNull();
+			expect(lintDomain('sub-domain.example.co.uk')).toBeNull();
+			expect(lintDomain('xn--bcher-kva.de')).toBeNull();
+			expect(lintDomain('123.example.org')).toBeNull();
+		});
+
+		test('should report unknown TLDs', () => {
+			expect(lintDomain('example.con')).toEqual({ issue: 'tld', message: "unknown TLD '.con'" });
+			expect(lintDomain('intranet.local')).toEqual({ issue: 'tld', message: "unknown TLD '.local'" });
+		});
+
+		test('should report syntax errors', () => {
+			expect(lintDomain('a..example.com').issue).toBe('syntax');
+			expect(lintDomain('bad_host.example.com').message).toBe("invalid character '_' in label 'bad_host'");
+			expect(lintDomain('-start.example.com').message).toBe("label '-start' starts or ends with a hyphen");
+			expect(lintDomain(`${'a'.repeat(64)}.com`).message).toMatch(/^label longer than 63 characters/);
+			expect(lintDomain(`${'a.'.repeat(127)}com`).message).toMatch(/^name longer than 253 characters/);
+			expect(lintDomain('example.123').message).toBe("numeric TLD '.123'");
+		});
+	});
+});
@@ -4,7 +4,12 @@
 
 const fs = require('fs');
 const path = require('path');
-const { parseDomainsFromFile } = require('../../lib/parsers/fileReader');
+const {
+	parseDomainsFromFile,
+	parseDomainSourcesFromFile,
+	parseDomainSourcesFromFiles,
+	getSourceList,
+} = require('../../lib/parsers/fileReader');
 
 // Test fixtures directory
 const fixturesDir = path.join(__dirname, '..', 'fixtures');
@@ -182,4 +187,342 @@ scriptlet.com##+js(abort)`;
 			}
 		});
 	});
+
+	describe('parseDomainSourcesFromFile', () => {
+		test('should deduplicate Unicode and punycode spellings of a domain', async () => {
+			const testFile = path.join(fixturesDir, 'idn-test.txt');
+			const content = `bücher.de##.ad
+||xn--bcher-kva.de^
+BÜCHER.DE.##.banner`;
+
+			await fs.promises.writeFile(testFile, content, 'utf8');
+
+			try {
+				const sources = await parseDomainSourcesFromFile(testFile);
+
+				expect(Array.from(sources.keys())).toEqual(['xn--bcher-kva.de']);
+				expect(sources.get('xn--bcher-kva.de').map(source => source.line)).toEqual([1, 2, 3]);
+			} finally {
+				await fs.promises.unlink(testFile);
+			}
+		});
+
+		test('should record file, line, rule and rule type for each domain', async () => {
+			const testFile = path.join(fixturesDir, 'sources-test.txt');
+			const content = `! Comment
+example.com,other.com##.ad
+||example.com^
+/ads.js$script,domain=example.com`;
+
+			await fs.promises.writeFile(testFile, content, 'utf8');
+
+			try {
+				const sources = await parseDomainSourcesFromFile(testFile);
+
+				expect(Array.from(sources.keys())).toEqual(['example.com', 'other.com']);
+				expect(sources.get('example.com')).toEqual([
+					{ file: testFile, line: 2, rule: 'example.com,other.com##.ad', ruleType: 'cosmetic' },
+					{ file: testFile, line: 3, rule: '||example.com^', ruleType: 'network' },
+					{ file: testFile, line: 4, rule: '/ads.js$script,domain=example.com', ruleType: 'domain-option', option: 'domain' },
+				]);
+				expect(sources.get('other.com')).toHaveLength(1);
+			} finally {
+				await fs.promises.unlink(testFile);
+			}
+		});
+
+		test('should throw error for missing files', async () => {
+			const nonExistentFile = path.join(fixturesDir, 'does-not-exist.txt');
+
+			await expect(parseDomainSourcesFromFile(nonExistentFile)).rejects.toThrow('File not found');
+		});
+
+		test('should record negated and exception roles when includeNegated is set', async () => {
+			const testFile = path.join(fixturesDir, 'sources-negated-test.txt');
+			const content = `example.com,~sub.example.com##.ad
+@@||cdn.com^$domain=example.com`;
+
+			await fs.promises.writeFile(testFile, content, 'utf8');
+
+			try {
+				expect(Array.from((await parseDomainSourcesFromFile(testFile)).keys())).toEqual(['example.com']);
+
+				const sources = await parseDomainSourcesFromFile(testFile, { includeNegated: true });
+
+				expect(Array.from(sources.keys())).toEqual(['cdn.com', 'example.com', 'sub.example.com']);
+				expect(sources.get('sub.example.com')[0].role).toBe('negated');
+				expect(sources.get('cdn.com')[0].role).toBe('exception');
+				expect(sources.get('example.com').map(source => source.role)).toEqual([undefined, 'exception']);
+			} finally {
+				await fs.promises.unlink(testFile);
+			}
+		});
+	});
+
+	describe('preprocessor directives', () => {
+		const includeDir = path.join(fixturesDir, 'include-test');
+
+		beforeEach(async () => {
+			await fs.promises.mkdir(path.join(includeDir, 'sub'), { recursive: true });
+		});
+
+		afterEach(async () => {
+			await fs.promises.rm(includeDir, { recursive: true, force: true });
+		});
+
+		test('should follow !#include relative to the parent file', async () => {
+			const mainFile = path.join(includeDir, 'main.txt');
+			await fs.promises.writeFile(mainFile, 'main.com##.ad\n!#include sub/child.txt\n', 'utf8');
+			await fs.promises.writeFile(path.join(includeDir, 'sub', 'child.txt'), 'child.com##.ad\n!#include grandchild.txt\n', 'utf8');
+			await fs.promises.writeFile(path.join(includeDir, 'sub', 'grandchild.txt'), '||grandchild.com^\n', 'utf8');
+
+			const sources = await parseDomainSourcesFromFile(mainFile);
+
+			expect(Array.from(sources.keys())).toEqual(['child.com', 'grandchild.com', 'main.com']);
+			expect(sources.get('child.com')[0].file).toBe(path.join(includeDir, 'sub', 'child.txt'));
+			expect(sources.get('grandchild.com')[0].file).toBe(path.join(includeDir, 'sub', 'grandchild.txt'));
+			expect(sources.get('grandchild.com')[0].line).toBe(1);
+			expect(sources.get('grandchild.com')[0].list).toBe(mainFile);
+			expect(sources.get('main.com')[0]).not.toHaveProperty('list');
+		});
+
+		test('should parse a file included several times only once', async () => {
+			const mainFile = path.join(includeDir, 'main.txt');
+			await fs.promises.writeFile(mainFile, '!#include child.txt\n!#include child.txt\n', 'utf8');
+			await fs.promises.writeFile(path.join(includeDir, 'child.txt'), 'child.com##.ad\n', 'utf8');
+
+			const sources = await parseDomainSourcesFromFile(mainFile);
+
+			expect(sources.get('child.com')).toHaveLength(1);
+		});
+
+		test('should detect circular includes', async () => {
+			const mainFile = path.join(includeDir, 'main.txt');
+			await fs.promises.writeFile(mainFile, '!#include child.txt\n', 'utf8');
+			await fs.promises.writeFile(path.join(includeDir, 'child.txt'), '!#include main.txt\n', 'utf8');
+
+			await expect(parseDomainSourcesFromFile(mainFile)).rejects.toThrow('Circular !#include detected');
+		});
+
+		test('should reject includes that leave the parent directory', async () => {
+			const childFile = path.join(includeDir, 'sub', 'child.txt');
+			await fs.promises.writeFile(childFile, '!#include ../main.txt\n', 'utf8');
+
+			await expect(parseDomainSourcesFromFile(childFile)).rejects.toThrow('Path traversal is not allowed');
+			await fs.promises.writeFile(childFile, '!#include /etc/hosts\n', 'utf8');
+			await expect(parseDomainSourcesFromFile(childFile)).rejects.toThrow(`Invalid !#include in ${childFile}:1`);
+		});
+
+		test('should throw error for missing included files', async () => {
+			const mainFile = path.join(includeDir, 'main.txt');
+			await fs.promises.writeFile(mainFile, '!#include missing.txt\n', 'utf8');
+
+			await expect(parseDomainSourcesFromFile(mainFile)).rejects.toThrow('File not found');
+		});
+
+		test('should record the !#if block each domain came from', async () => {
+			const mainFile = path.join(includeDir, 'main.txt');
+			const content = `always.com##.ad
+!#if env_mobile
+mobile.com##.ad
+!#if !cap_html_filtering
+nested.com##.ad
+!#endif
+!#else
+desktop.com##.ad
+!#endif
+!#if env_safari
+!#include child.txt
+!#endif
+after.com##.ad`;
+			await fs.promises.writeFile(mainFile, content, 'utf8');
+			await fs.promises.writeFile(path.join(includeDir, 'child.txt'), 'child.com##.ad\n', 'utf8');
+
+			const sources = await parseDomainSourcesFromFile(mainFile);
+
+			expect(sources.get('always.com')[0].condition).toBeUndefined();
+			expect(sources.get('mobile.com')[0].condition).toBe('env_mobile');
+			expect(sources.get('nested.com')[0].condition).toBe('env_mobile && !cap_html_filtering');
+			expect(sources.get('desktop.com')[0].condition).toBe('!(env_mobile)');
+			expect(sources.get('child.com')[0].condition).toBe('env_safari');
+			expect(sources.get('after.com')[0].condition).toBeUndefined();
+		});
+
+		test('should apply the size limit to the whole include tree', async () => {
+			const mainFile = path.join(includeDir, 'main.txt');
+			await fs.promises.writeFile(mainFile, 'main.com##.ad\n!#include child.txt\n', 'utf8');
+			await fs.promises.writeFile(path.join(includeDir, 'child.txt'), 'child.com##.ad\n'.repeat(4), 'utf8');
+
+			// Each file fits on its own, together they do not
+			await expect(parseDomainSourcesFromFile(mainFile, { maxFileSize: 60 })).rejects.toThrow('Input too large');
+		});
+	});
+
+	describe('streaming', () => {
+		test('should report each new domain once, in file order', async () => {
+			const testFile = path.join(fixturesDir, 'stream-test.txt');
+			await fs.promises.writeFile(testFile, 'b.com##.ad\na.com##.ad\nb.com,c.com##.banner\n', 'utf8');
+
+			try {
+				const seen = [];
+				await parseDomainSourcesFromFile(testFile, { onDomain: domain => seen.push(domain) });
+
+				expect(seen).toEqual(['b.com', 'a.com', 'c.com']);
+			} finally {
+				await fs.promises.unlink(testFile);
+			}
+		});
+
+		test('should report progress while reading', async () => {
+			const testFile = path.join(fixturesDir, 'stream-progress-test.txt');
+			await fs.promises.writeFile(testFile, 'example.com##.ad\n', 'utf8');
+
+			try {
+				const progress = [];
+				await parseDomainSourcesFromFile(testFile, { onProgress: info => progress.push(info) });
+
+				expect(progress[progress.length - 1]).toEqual({
+					list: testFile,
+					listIndex: 0,
+					listCount: 1,
+					file: testFile,
+					bytesRead: 17,
+					fileBytesRead: 17,
+					fileSize: 17,
+				});
+			} finally {
+				await fs.promises.unlink(testFile);
+			}
+		});
+
+		test('should report every line with its domains and rejections', async () => {
+			const testFile = path.join(fixturesDir, 'stream-online-test.txt');
+			await fs.promises.writeFile(testFile, '!#if env_firefox\nexample.com,*.cdn.com##.ad\n!#endif', 'utf8');
+
+			try {
+				const lines = [];
+				await parseDomainSourcesFromFile(testFile, { onLine: info => lines.push(info) });
+
+				expect(lines.map(info => info.directive)).toEqual(['if', null, 'endif']);
+				expect(lines[1]).toEqual({
+					list: testFile,
+					file: testFile,
+					format: 'adblock',
+					line: 2,
+					rule: 'example.com,*.cdn.com##.ad',
+					entries: [{ domain: 'example.com', ruleType: 'cosmetic' }],
+					rejections: [{ domain: '*.cdn.com', reason: 'wildcard' }],
+					directive: null,
+					condition: 'env_firefox',
+				});
+			} finally {
+				await fs.promises.unlink(testFile);
+			}
+		});
+
+		test('should reject files over the size limit', async () => {
+			const testFile = path.join(fixturesDir, 'stream-limit-test.txt');
+			await fs.promises.writeFile(testFile, 'example.com##.ad\n'.repeat(10), 'utf8');
+
+			try {
+				await expect(parseDomainSourcesFromFile(testFile, { maxFileSize: 100 })).rejects.toThrow('File too large');
+			} finally {
+				await fs.promises.unlink(testFile);
+			}
+		});
+	});
+
+	describe('multiple lists', () => {
+		const listsDir = path.join(fixturesDir, 'multi-list-test');
+
+		beforeEach(async () => {
+			await fs.promises.mkdir(listsDir, { recursive: true });
+		});
+
+		afterEach(async () => {
+			await fs.promises.rm(listsDir, { recursive: true, force: true });
+		});
+
+		test('should merge sources from every list into one map', async () => {
+			const first = path.join(listsDir, 'first.txt');
+			const second = path.join(listsDir, 'second.txt');
+			await fs.promises.writeFile(first, 'shared.com##.ad\nfirst.com##.ad\n', 'utf8');
+			await fs.promises.writeFile(second, '0.0.0.0 shared.com\n0.0.0.0 second.com\n', 'utf8');
+
+			const seen = [];
+			const sources = await parseDomainSourcesFromFiles([first, second], { onDomain: domain => seen.push(domain) });
+
+			expect(Array.from(sources.keys())).toEqual(['first.com', 'second.com', 'shared.com']);
+			expect(seen).toEqual(['shared.com', 'first.com', 'second.com']);
+			expect(sources.get('shared.com').map(source => [source.file, source.line, source.ruleType])).toEqual([
+				[first, 1, 'cosmetic'],
+				[second, 1, 'hosts'],
+			]);
+		});
+
+		test('should accept a format per list', async () => {
+			const list = path.join(listsDir, 'plain.txt');
+			await fs.promises.writeFile(list, 'example.com\n', 'utf8');
+
+			const sources = await parseDomainSourcesFromFiles([{ file: list, inputFormat: 'domains' }], { inputFormat: 'adblock' });
+
+			expect(sources.get('example.com')[0].ruleType).toBe('domain');
+		});
+
+		test('should attribute included sources to the including list', async () => {
+			const first = path.join(listsDir, 'first.txt');
+			const second = path.join(listsDir, 'second.txt');
+			const shared = path.join(listsDir, 'shared.txt');
+			await fs.promises.writeFile(first, '!#include shared.txt\n', 'utf8');
+			await fs.promises.writeFile(second, '!#include shared.txt\n', 'utf8');
+			await fs.promises.writeFile(shared, 'shared.com##.ad\n', 'utf8');
+
+			const sources = await parseDomainSourcesFromFiles([first, second]);
+
+			expect(sources.get('shared.com').map(getSourceList)).toEqual([first, second]);
+		});
+
+		test('should report sources under the list label', async () => {
+			const cached = path.join(listsDir, 'cached.txt');
+			await fs.promises.writeFile(cached, 'remote.com##.ad\n', 'utf8');
+
+			const sources = await parseDomainSourcesFromFiles([{ file: cached, label: 'https://example.com/list.txt' }]);
+
+			expect(sources.get('remote.com')).toEqual([
+				{ file: 'https://example.com/list.txt', line: 1, rule: 'remote.com##.ad', ruleType: 'cosmetic' },
+			]);
+		});
+
+		test('should skip !#include in labelled (remote) lists with a warning', async () => {
+			const cached = path.join(listsDir, 'cached.txt');
+			await fs.promises.writeFile(cached, '!#include other.txt\nremote.com##.ad\n', 'utf8');
+			const warnings = [];
+
+			const sources = await parseDomainSourcesFromFiles([{ file: cached, label: 'https://example.com/list.txt' }], {
+				onWarning: warning => warnings.push(warning),
+			});
+
+			expect(warnings).toEqual([
+				{
+					list: 'https://example.com/list.txt',
+					file: 'https://example.com/list.txt',
+					line: 1,
+					rule: '!#include other.txt',
+					message: '!#include is not supported in remote lists - skipped',
+				},
+			]);
+			expect(Array.from(sources.keys())).toEqual(['remote.com']);
+		});
+
+		test('should apply the size limit to each list separately', async () => {
+			const first = path.join(listsDir, 'first.txt');
+			const second = path.join(listsDir, 'second.txt');
+			await fs.promises.writeFile(first, 'first.com##.ad\n', 'utf8');
+			await fs.promises.writeFile(second, 'second.com##.ad\n', 'utf8');
+
+			const sources = await parseDomainSourcesFromFiles([first, second], { maxFileSize: 20 });
+
+			expect(sources.size).toBe(2);
+		});
+	});
 });
@@ -8,6 +8,10 @@ const {
 	writeDomains,
 	writeDeadDomainsText,
 	writeRedirectDomainsText,
+	writeParkedDomainsText,
+	writeProtectedDomainsText,
+	writeInvalidDomainsText,
+	writeLintFindingsText,
 	writeDomainsJSON,
 	writeDomainsCSV,
 } = require('../../lib/writers/formatWriters');
@@ -62,6 +66,100 @@ describe('Text Format Writers', () => {
 			expect(content).toContain('dead2.com # HTTP_404');
 		});
 
+		test('should list the rules referencing each dead domain', async () => {
+			const deadDomains = [
+				{
+					domain: 'dead.com',
+					reason: 'TIMEOUT',
+					statusCode: null,
+					sources: [{ file: 'list.txt', line: 12, rule: 'dead.com,alive.com##.ad', ruleType: 'cosmetic' }],
+				},
+			];
+
+			const filePath = path.join(testOutputDir, 'dead-sources.txt');
+			await writeDeadDomainsText(filePath, deadDomains, { includeTimestamp: false });
+
+			const content = await fs.promises.readFile(filePath, 'utf8');
+			expect(content).toContain('dead.com # TIMEOUT\n#   list.txt:12 [cosmetic] dead.com,alive.com##.ad');
+		});
+
+		test('should name the lists referencing a domain in multi-list scans', async () => {
+			const deadDomains = [
+				{
+					domain: 'dead.com',
+					reason: 'TIMEOUT',
+					statusCode: null,
+					lists: ['easylist.txt', 'fanboy.txt'],
+					sources: [
+						{ file: 'easylist.txt', line: 3, rule: 'dead.com##.ad', ruleType: 'cosmetic' },
+						{ file: 'sub/extra.txt', line: 1, rule: '||dead.com^', ruleType: 'network', list: 'fanboy.txt' },
+					],
+				},
+			];
+
+			const filePath = path.join(testOutputDir, 'dead-lists.txt');
+			await writeDeadDomainsText(filePath, deadDomains, { includeTimestamp: false });
+
+			const content = await fs.promises.readFile(filePath, 'utf8');
+			expect(content).toContain(
+				'dead.com # TIMEOUT\n#   lists: easylist.txt, fanboy.txt\n#   easylist.txt:3 [cosmetic] dead.com##.ad\n#   sub/extra.txt:1 [network] ||dead.com^'
+			);
+		});
+
+		test('should name the rule option a dead domain came from', async () => {
+			const deadDomains = [
+				{
+					domain: 'dead.com',
+					reason: 'TIMEOUT',
+					statusCode: null,
+					sources: [{ file: 'list.txt', line: 4, rule: '||x.com^$denyallow=dead.com', ruleType: 'domain-option', option: 'denyallow' }],
+				},
+			];
+
+			const filePath = path.join(testOutputDir, 'dead-option.txt');
+			await writeDeadDomainsText(filePath, deadDomains, { includeTimestamp: false });
+
+			const content = await fs.promises.readFile(filePath, 'utf8');
+			expect(content).toContain('#   list.txt:4 [domain-option: denyallow=] ||x.com^$denyallow=dead.com');
+		});
+
+		test('should list negated and exception-only domains in a separate section', async () => {
+			const deadDomains = [
+				{
+					domain: 'sub.alive.com',
+					reason: 'TIMEOUT',
+					statusCode: null,
+					sources: [{ file: 'list.txt', line: 2, rule: 'alive.com,~sub.alive.com##.ad', ruleType: 'cosmetic', role: 'negated' }],
+				},
+				{
+					domain: 'dead.com',
+					reason: 'TIMEOUT',
+					statusCode: null,
+					sources: [{ file: 'list.txt', line: 1, rule: 'dead.com##.ad', ruleType: 'cosmetic' }],
+				},
+			];
+
+			const filePath = path.join(testOutputDir, 'dead-roles.txt');
+			await writeDeadDomainsText(filePath, deadDomains, { includeTimestamp: false });
+
+			const content = await fs.promises.readFile(filePath, 'utf8');
+			const sectionIndex = content.indexOf('# Negated and exception-rule domains: 1');
+
+			expect(sectionIndex).toBeGreaterThan(content.indexOf('dead.com # TIMEOUT'));
+			expect(content.indexOf('sub.alive.com # TIMEOUT [negated]')).toBeGreaterThan(sectionIndex);
+			expect(content).toContain('#   list.txt:2 [cosmetic, negated] alive.com,~sub.alive.com##.ad');
+		});
+
+		test('should show the Unicode form of internationalized domains', async () => {
+			const deadDomains = [{ domain: 'xn--bcher-kva.de', reason: 'TIMEOUT', statusCode: null }];
+
+			const filePath = path.join(testOutputDir, 'dead-idn.txt');
+			await writeDeadDomainsText(filePath, deadDomains, { includeTimestamp: false });
+
+			const content = await fs.promises.readFile(filePath, 'utf8');
+			expect(content).toContain('xn--bcher-kva.de (bücher.de) # TIMEOUT');
+		});
+
 		test('should include timestamp when includeTimestamp is true', async () => {
 			const deadDomains = [{ domain: 'test.com', reason: 'TIMEOUT', statusCode: null }];
 
@@ -122,6 +220,160 @@ describe('Text Format Writers', () => {
 	});
 });
 
+describe('Parked Domain Writers', () => {
+	const parkedDomains = [
+		{
+			domain: 'old-shop.com',
+			statusCode: 200,
+			reason: 'Sedo parking page',
+			provider: 'Sedo',
+			finalUrl: 'https://old-shop.com/',
+			sources: [{ file: 'list.txt', line: 7, rule: '||old-shop.com^', ruleType: 'network' }],
+		},
+	];
+
+	test('should write parked domains with their parking evidence in text format', async () => {
+		const filePath = path.join(testOutputDir, 'parked-test.txt');
+		await writeParkedDomainsText(filePath, parkedDomains, { includeTimestamp: false });
+
+		const content = await fs.promises.readFile(filePath, 'utf8');
+		expect(content.split('\n')[0]).toBe('# Parked Domains');
+		expect(content).toContain('old-shop.com # Sedo parking page');
+		expect(content).toContain('#   list.txt:7 [network] ||old-shop.com^');
+	});
+
+	test('should write the provider and final URL in CSV format', async () => {
+		const filePath = path.join(testOutputDir, 'parked.csv');
+		await writeDomainsCSV(filePath, parkedDomains, 'parked');
+
+		const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n');
+		expect(lines[0]).toBe('domain,provider,status_code,reason,final_url,sources');
+		expect(lines[1]).toBe('old-shop.com,Sedo,200,Sedo parking page,https://old-shop.com/,list.txt:7');
+	});
+});
+
+describe('Protected Domain Writers', () => {
+	const protectedDomains = [
+		{
+			domain: 'shop.example.com',
+			statusCode: 403,
+			reason: 'Cloudflare challenge page (HTTP 403)',
+			provider: 'Cloudflare',
+			sources: [{ file: 'list.txt', line: 3, rule: 'shop.example.com##.ad', ruleType: 'cosmetic' }],
+		},
+	];
+
+	test('should write protected domains with their WAF in text format', async () => {
+		const filePath = path.join(testOutputDir, 'protected-test.txt');
+		await writeProtectedDomainsText(filePath, protectedDomains, { includeTimestamp: false });
+
+		const content = await fs.promises.readFile(filePath, 'utf8');
+		expect(content.split('\n')[0]).toBe('# Protected Domains');
+		expect(content).toContain('# Total found: 1');
+		expect(content).toContain('shop.example.com # Cloudflare challenge page (HTTP 403)');
+		expect(content).toContain('#   list.txt:3 [cosmetic] shop.example.com##.ad');
+	});
+
+	test('should write the provider in CSV format', async () => {
+		const filePath = path.join(testOutputDir, 'protected.csv');
+		await writeDomainsCSV(filePath, protectedDomains, 'protected');
+
+		const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n');
+		expect(lines[0]).toBe('domain,provider,status_code,reason,sources');
+		expect(lines[1]).toBe('shop.example.com,Cloudflare,403,Cloudflare challenge page (HTTP 403),list.txt:3');
+	});
+});
+
+describe('Invalid Domain Writers', () => {
+	const invalidDomains = [
+		{
+			domain: 'example.con',
+			issue: 'tld',
+			reason: "unknown TLD '.con'",
+			sources: [{ file: 'list.txt', line: 2, rule: 'example.con##.ad', ruleType: 'cosmetic' }],
+		},
+		{
+			domain: 'bad_host.com',
+			issue: 'syntax',
+			reason: "invalid character '_' in label 'bad_host'",
+			sources: [{ file: 'list.txt', line: 5, rule: '||bad_host.com^', ruleType: 'network' }],
+		},
+	];
+
+	test('should write invalid domains with their rule location in text format', async () => {
+		const filePath = path.join(testOutputDir, 'invalid-test.txt');
+		await writeInvalidDomainsText(filePath, invalidDomains, { includeTimestamp: false });
+
+		const content = await fs.promises.readFile(filePath, 'utf8');
+		expect(content.split('\n')[0]).toBe('# Invalid Domains');
+		expect(content).toContain('# Total found: 2');
+		expect(content).toContain("example.con # unknown TLD '.con'");
+		expect(content).toContain('#   list.txt:2 [cosmetic] example.con##.ad');
+		expect(content).toContain("bad_host.com # invalid character '_' in label 'bad_host'");
+	});
+
+	test('should write the issue category in CSV format', async () => {
+		const filePath = path.join(testOutputDir, 'invalid.csv');
+		await writeDomainsCSV(filePath, invalidDomains, 'invalid');
+
+		const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n');
+		expect(lines[0]).toBe('domain,issue,reason,sources');
+		expect(lines[1]).toBe("example.con,tld,unknown TLD '.con',list.txt:2");
+		expect(lines[2]).toBe("bad_host.com,syntax,invalid character '_' in label 'bad_host',list.txt:5");
+	});
+});
+
+describe('Lint Findings Writers', () => {
+	const first = { file: 'list.txt', line: 1, rule: '||example.com^', ruleType: 'network' };
+	const findings = [
+		{
+			domain: 'example.com',
+			kind: 'duplicate',
+			reason: 'duplicate of list.txt:1',
+			sources: [{ ...first, line: 4 }, first],
+		},
+		{
+			domain: null,
+			kind: 'duplicate',
+			reason: 'duplicate of list.txt:2',
+			sources: [
+				{ file: 'list.txt', line: 6, rule: '##.banner', ruleType: 'generic' },
+				{ file: 'list.txt', line: 2, rule: '##.banner', ruleType: 'generic' },
+			],
+		},
+		{
+			domain: 'ads.example.com',
+			kind: 'network-shadowed',
+			reason: 'covered by list.txt:1 (||example.com^)',
+			sources: [{ file: 'list.txt', line: 3, rule: '||ads.example.com^', ruleType: 'network' }, first],
+		},
+	];
+
+	test('should group findings by kind in text format', async () => {
+		const filePath = path.join(testOutputDir, 'lint-test.txt');
+		await writeLintFindingsText(filePath, findings, { includeTimestamp: false });
+
+		const content = await fs.promises.readFile(filePath, 'utf8');
+		expect(content.split('\n')[0]).toBe('# List Lint');
+		expect(content).toContain('# Total found: 3');
+		expect(content).toContain('# Exact duplicates: 2');
+		expect(content).toContain('# Network rules covered by a more general || rule: 1');
+		expect(content).not.toContain('# Cosmetic rules');
+		expect(content).toContain('(no domain) # duplicate of list.txt:2');
+		expect(content).toContain('ads.example.com # covered by list.txt:1 (||example.com^)\n#   list.txt:3 [network] ||ads.example.com^');
+	});
+
+	test('should write the finding kind in CSV format', async () => {
+		const filePath = path.join(testOutputDir, 'lint.csv');
+		await writeDomainsCSV(filePath, findings, 'lint');
+
+		const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n');
+		expect(lines[0]).toBe('domain,kind,reason,sources');
+		expect(lines[1]).toBe('example.com,duplicate,duplicate of list.txt:1,list.txt:4;list.txt:1');
+		expect(lines[2]).toBe(',duplicate,duplicate of list.txt:2,list.txt:6;list.txt:2');
+	});
+});
+
 describe('JSON Format Writer', () => {
 	describe('writeDomainsJSON', () => {
 		test('should write domains in JSON format', async () => {
@@ -205,6 +457,47 @@ describe('JSON Format Writer', () => {
 
 			expect(parsed.statistics).toBeUndefined();
 		});
+
+		test('should add the Unicode form of internationalized domains', async () => {
+			const domains = [
+				{ domain: 'xn--bcher-kva.de', reason: 'TIMEOUT' },
+				{ domain: 'example.com', reason: 'TIMEOUT' },
+			];
+
+			const filePath = path.join(testOutputDir, 'test-idn.json');
+			await writeDomainsJSON(filePath, domains, 'dead', { includeTimestamp: false });
+
+			const parsed = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+
+			expect(parsed.domains[0].unicodeDomain).toBe('bücher.de');
+			expect(parsed.domains[1].unicodeDomain).toBeUndefined();
+		});
+
+		test('should list negated and exception-only domains separately', async () => {
+			const domains = [
+				{
+					domain: 'positive.com',
+					reason: 'TIMEOUT',
+					sources: [{ file: 'list.txt', line: 1, rule: 'positive.com##.ad', ruleType: 'cosmetic' }],
+				},
+				{
+					domain: 'excepted.com',
+					reason: 'TIMEOUT',
+					sources: [{ file: 'list.txt', line: 2, rule: '@@||excepted.com^', ruleType: 'network', role: 'exception' }],
+				},
+			];
+
+			const filePath = path.join(testOutputDir, 'test-roles.json');
+			await writeDomainsJSON(filePath, domains, 'dead', { includeTimestamp: false });
+
+			const parsed = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+
+			expect(parsed.count).toBe(1);
+			expect(parsed.domains.map(item => item.domain)).toEqual(['positive.com']);
+			expect(parsed.exceptionCount).toBe(1);
+			expect(parsed.exceptionDomains[0].domain).toBe('excepted.com');
+			expect(parsed.exceptionDomains[0].roles).toEqual(['exception']);
+		});
 	});
 });
 
@@ -239,9 +532,123 @@ describe('CSV Format Writer', () => {
 			const content = await fs.promises.readFile(filePath, 'utf8');
 			const lines = content.split('\n');
 
-			expect(lines[0]).toBe('domain,final_domain,final_url,status_code');
-			expect(lines[1]).toBe('old.com,new.com,https://new.com/,301');
-			expect(lines[2]).toBe('redirect.org,target.org,https://target.org/,302');
+			expect(lines[0]).toBe('domain,final_domain,final_url,status_code,permanent,redirect_chain');
+			expect(lines[1]).toBe('old.com,new.com,https://new.com/,301,,');
+			expect(lines[2]).toBe('redirect.org,target.org,https://target.org/,302,,');
+		});
+
+		test('should write the redirect chain in CSV format', async () => {
+			const domains = [
+				{
+					domain: 'old.com',
+					finalDomain: 'new.com',
+					finalUrl: 'https://new.com/home',
+					statusCode: 200,
+					permanent: false,
+					redirectChain: [
+						{ from: 'https://old.com/', to: 'https://track.example/?r=1,2', type: 'http', statusCode: 302 },
+						{ from: 'https://track.example/?r=1,2', to: 'https://new.com/', type: 'meta', statusCode: 200 },
+						{ from: 'https://new.com/', to: 'https://new.com/home', type: 'javascript', statusCode: 200 },
+					],
+				},
+			];
+
+			const filePath = path.join(testOutputDir, 'redirect-chain.csv');
+			await writeDomainsCSV(filePath, domains, 'redirect');
+
+			const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n');
+
+			expect(lines[1]).toBe(
+				'old.com,new.com,https://new.com/home,200,no,"302 https://track.example/?r=1,2 → meta refresh https://new.com/ → javascript https://new.com/home"'
+			);
+		});
+
+		test('should add a sources column when domains carry rule provenance', async () => {
+			const domains = [
+				{
+					domain: 'dead.com',
+					reason: 'TIMEOUT',
+					statusCode: null,
+					sources: [
+						{ file: 'list.txt', line: 3, rule: 'dead.com##.ad', ruleType: 'cosmetic' },
+						{ file: 'list.txt', line: 9, rule: '||dead.com^', ruleType: 'network' },
+					],
+				},
+			];
+
+			const filePath = path.join(testOutputDir, 'dead-sources.csv');
+			await writeDomainsCSV(filePath, domains, 'dead');
+
+			const content = await fs.promises.readFile(filePath, 'utf8');
+			const lines = content.split('\n');
+
+			expect(lines[0]).toBe('domain,status_code,reason,sources');
+			expect(lines[1]).toBe('dead.com,N/A,TIMEOUT,list.txt:3;list.txt:9');
+		});
+
+		test('should add a lists column in multi-list scans', async () => {
+			const domains = [
+				{
+					domain: 'dead.com',
+					reason: 'TIMEOUT',
+					statusCode: null,
+					lists: ['easylist.txt', 'fanboy.txt'],
+					sources: [
+						{ file: 'easylist.txt', line: 3, rule: 'dead.com##.ad', ruleType: 'cosmetic' },
+						{ file: 'fanboy.txt', line: 9, rule: '||dead.com^', ruleType: 'network' },
+					],
+				},
+			];
+
+			const filePath = path.join(testOutputDir, 'dead-lists.csv');
+			await writeDomainsCSV(filePath, domains, 'dead');
+
+			const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n');
+
+			expect(lines[0]).toBe('domain,status_code,reason,sources,lists');
+			expect(lines[1]).toBe('dead.com,N/A,TIMEOUT,easylist.txt:3;fanboy.txt:9,easylist.txt;fanboy.txt');
+		});
+
+		test('should add a unicode_domain column for internationalized domains', async () => {
+			const domains = [
+				{ domain: 'xn--bcher-kva.de', reason: 'TIMEOUT', statusCode: null },
+				{ domain: 'example.com', reason: 'TIMEOUT', statusCode: null },
+			];
+
+			const filePath = path.join(testOutputDir, 'dead-idn.csv');
+			await writeDomainsCSV(filePath, domains, 'dead');
+
+			const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n');
+
+			expect(lines[0]).toBe('domain,status_code,reason,unicode_domain');
+			expect(lines[1]).toBe('xn--bcher-kva.de,N/A,TIMEOUT,bücher.de');
+			expect(lines[2]).toBe('example.com,N/A,TIMEOUT,');
+		});
+
+		test('should add a role column and list exception-only domains last', async () => {
+			const domains = [
+				{
+					domain: 'excepted.com',
+					reason: 'TIMEOUT',
+					statusCode: null,
+					sources: [{ file: 'list.txt', line: 1, rule: '@@||excepted.com^', ruleType: 'network', role: 'exception' }],
+				},
+				{
+					domain: 'dead.com',
+					reason: 'TIMEOUT',
+					statusCode: null,
+					sources: [{ file: 'list.txt', line: 2, rule: 'dead.com##.ad', ruleType: 'cosmetic' }],
+				},
+			];
+
+			const filePath = path.join(testOutputDir, 'dead-roles.csv');
+			await writeDomainsCSV(filePath, domains, 'dead');
+
+			const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n');
+
+			expect(lines[0]).toBe('domain,status_code,reason,sources,role');
+			expect(lines[1]).toBe('dead.com,N/A,TIMEOUT,list.txt:2,');
+			expect(lines[2]).toBe('excepted.com,N/A,TIMEOUT,list.txt:1,exception');
 		});
 
 		test('should escape CSV fields with commas', async () => {
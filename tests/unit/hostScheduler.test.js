@@ -0,0 +1,108 @@
+/**
+ * Unit tests for the per-site and per-address check scheduler
+ */
+
+const HostScheduler = require('../../lib/utils/hostScheduler');
+const { processDomains } = require('../../lib/checkers/domainChecker');
+
+describe('HostScheduler', () => {
+	describe('claim', () => {
+		test('should cap checks per registrable domain', () => {
+			const scheduler = new HostScheduler({ perDomain: 2 });
+
+			expect(scheduler.claim('a.example.com')).toBe(true);
+			expect(scheduler.claim('www.example.com')).toBe(true);
+			expect(scheduler.claim('b.example.com')).toBe(false);
+			expect(scheduler.claim('a.example.co.uk')).toBe(true);
+
+			scheduler.release('a.example.com');
+			expect(scheduler.claim('b.example.com')).toBe(true);
+		});
+	});
+
+	describe('acquireAddress', () => {
+		test('should hold checks back while their address is at the cap', async () => {
+			const scheduler = new HostScheduler({ perDomain: 5, perAddress: 1 });
+			const order = [];
+
+			await scheduler.acquireAddress('a.test', ['192.0.2.2', '192.0.2.1']);
+			const waiting = scheduler.acquireAddress('b.test', ['192.0.2.1']).then(() => order.push('b.test'));
+			await scheduler.acquireAddress('c.test', ['192.0.2.9']);
+			order.push('c.test');
+
+			await new Promise(resolve => setImmediate(resolve));
+			expect(order).toEqual(['c.test']);
+
+			scheduler.release('a.test');
+			await waiting;
+			expect(order).toEqual(['c.test', 'b.test']);
+		});
+
+		test('should not cap domains without addresses', async () => {
+			const scheduler = new HostScheduler({ perAddress: 1 });
+
+			await scheduler.acquireAddress('a.test', []);
+			await scheduler.acquireAddress('b.test', []);
+			expect(scheduler.addresses.size).toBe(0);
+		});
+	});
+
+	describe('processDomains', () => {
+		beforeEach(() => {
+			jest.spyOn(console, 'log').mockImplementation(() => {});
+		});
+
+		afterEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		test('should interleave the queue instead of crowding one site', async () => {
+			const inFlight = new Map();
+			const started = [];
+			let maxPerSite = 0;
+
+			const browser = {
+				newPage: async () => {
+					let currentUrl = 'about:blank';
+					return {
+						setUserAgent: async () => {},
+						on: () => {},
+						goto: async url => {
+							currentUrl = url;
+							// The page pool resets pages with about:blank
+							if (url === 'about:blank') {
+								return null;
+							}
+							const site = new URL(url).hostname.split('.').slice(-2).join('.');
+							started.push(new URL(url).hostname);
+							inFlight.set(site, (inFlight.get(site) || 0) + 1);
+							maxPerSite = Math.max(maxPerSite, inFlight.get(site));
+							await new Promise(resolve => setTimeout(resolve, 20));
+							inFlight.set(site, inFlight.get(site) - 1);
+							return { status: () => 200, headers: () => ({}) };
+						},
+						url: () => currentUrl,
+						cookies: async () => [],
+						content: async () => '<html></html>',
+						close: async () => {},
+					};
+				},
+				pages: async () => [],
+			};
+			const domains = ['a.example.com', 'b.example.com', 'c.example.com', 'd.example.com', 'other.org'];
+
+			const results = await processDomains(
+				browser,
+				domains.map(domain => ({ original: domain, variants: [domain] })),
+				false,
+				1000,
+				{ quietMode: true, forceCloseTimeout: 1000, concurrency: 4, maxChecksPerDomain: 1 }
+			);
+
+			expect(results).toEqual([]);
+			expect(maxPerSite).toBe(1);
+			expect(started.slice(0, 2)).toEqual(['a.example.com', 'other.org']);
+			expect(started).toHaveLength(5);
+		});
+	});
+});
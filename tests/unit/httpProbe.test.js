@@ -0,0 +1,251 @@
+/**
+ * Unit tests for the HTTP probe checker backend
+ */
+
+const http = require('http');
+const { getProbeErrorCode, probeUrl, needsBrowser } = require('../../lib/checkers/httpProbe');
+const { tryUrlWithProbe } = require('../../lib/checkers/domainChecker');
+const LazyBrowser = require('../../lib/utils/lazyBrowser');
+
+describe('HTTP Probe', () => {
+	let server;
+	let baseUrl;
+
+	beforeAll(async () => {
+		server = http.createServer((req, res) => {
+			if (req.url === '/ok') {
+				res.writeHead(200, { 'Content-Type': 'text/html' });
+				res.end('<html><title>Hello</title></html>');
+			} else if (req.url === '/moved') {
+				res.writeHead(301, { Location: '/ok' });
+				res.end();
+			} else if (req.url === '/loop') {
+				res.writeHead(302, { Location: '/loop' });
+				res.end();
+			} else if (req.url === '/challenge') {
+				res.writeHead(200, { 'Content-Type': 'text/html' });
+				res.end('<html><head><title>Just a moment...</title></head></html>');
+			} else if (req.url === '/forsale') {
+				res.writeHead(200, { 'Content-Type': 'text/html' });
+				res.end('<html><h1>This domain is for sale</h1></html>');
+			} else if (req.url === '/blocked') {
+				res.writeHead(403, { 'cf-mitigated': 'challenge' });
+				res.end();
+			} else if (req.url === '/retry') {
+				res.writeHead(429, { 'Retry-After': '7' });
+				res.end();
+			} else if (req.url === '/refresh') {
+				res.writeHead(200, { 'Content-Type': 'text/html' });
+				res.end('<html><head><meta http-equiv="refresh" content="0; url=/moved"></head></html>');
+			} else if (req.url === '/script') {
+				res.writeHead(200, { 'Content-Type': 'text/html' });
+				res.end('<html><script>window.location.href = "/ok";</script></html>');
+			} else if (req.url === '/hang') {
+				// Never answers
+			} else {
+				const status = Number(req.url.slice(1)) || 404;
+				res.writeHead(status);
+				res.end();
+			}
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(null)));
+		baseUrl = `http://127.0.0.1:${server.address().port}`;
+	});
+
+	afterAll(async () => {
+		server.closeAllConnections();
+		await new Promise(resolve => server.close(() => resolve(null)));
+	});
+
+	describe('getProbeErrorCode', () => {
+		test('should map Node error codes to the codes the browser reports', () => {
+			expect(getProbeErrorCode({ code: 'ENOTFOUND' })).toBe('ERR_NAME_NOT_RESOLVED');
+			expect(getProbeErrorCode({ code: 'ECONNREFUSED' })).toBe('ERR_CONNECTION_REFUSED');
+			expect(getProbeErrorCode({ code: 'ERR_SSL_WRONG_VERSION_NUMBER' })).toBe('ERR_SSL_PROTOCOL_ERROR');
+			expect(getProbeErrorCode({ code: 'DEPTH_ZERO_SELF_SIGNED_CERT' })).toBe('ERR_CERT');
+			expect(getProbeErrorCode({ code: 'EWHATEVER' })).toBeNull();
+		});
+	});
+
+	describe('probeUrl', () => {
+		test('should report live pages', async () => {
+			expect(await probeUrl(`${baseUrl}/ok`, 2000)).toMatchObject({
+				success: true,
+				statusCode: 200,
+				finalUrl: `${baseUrl}/ok`,
+				errorCode: null,
+				tls: null,
+				protection: null,
+			});
+		});
+
+		test('should recognise parked pages', async () => {
+			expect(await probeUrl(`${baseUrl}/forsale`, 2000)).toMatchObject({
+				success: true,
+				statusCode: 200,
+				parked: { provider: null, evidence: 'for-sale page' },
+			});
+		});
+
+		test('should follow redirects manually', async () => {
+			const result = await probeUrl(`${baseUrl}/moved`, 2000);
+
+			expect(result.statusCode).toBe(200);
+			expect(result.finalUrl).toBe(`${baseUrl}/ok`);
+		});
+
+		test('should record every hop, including <meta refresh>', async () => {
+			const result = await probeUrl(`${baseUrl}/refresh`, 2000);
+
+			expect(result.finalUrl).toBe(`${baseUrl}/ok`);
+			expect(result.redirectChain).toEqual([
+				{ from: `${baseUrl}/refresh`, to: `${baseUrl}/moved`, type: 'meta', statusCode: 200 },
+				{ from: `${baseUrl}/moved`, to: `${baseUrl}/ok`, type: 'http', statusCode: 301 },
+			]);
+		});
+
+		test('should flag JavaScript redirects for the browser', async () => {
+			const result = await probeUrl(`${baseUrl}/script`, 2000);
+
+			expect(result).toMatchObject({ success: true, finalUrl: `${baseUrl}/script`, redirectChain: [], clientRedirect: 'javascript' });
+			expect(needsBrowser(result)).toBe('JavaScript redirect');
+		});
+
+		test('should stop redirect loops', async () => {
+			const result = await probeUrl(`${baseUrl}/loop`, 2000);
+
+			expect(result.success).toBe(false);
+			expect(result.errorCode).toBe('ERR_TOO_MANY_REDIRECTS');
+		});
+
+		test('should report HTTP errors like the browser does', async () => {
+			expect(await probeUrl(`${baseUrl}/404`, 2000)).toMatchObject({ success: false, statusCode: 404, reason: 'HTTP 404' });
+		});
+
+		test('should report WAF pages as protected, not dead', async () => {
+			expect(await probeUrl(`${baseUrl}/challenge`, 2000)).toMatchObject({
+				success: false,
+				statusCode: 200,
+				reason: 'Cloudflare challenge page (HTTP 200)',
+				protection: { provider: 'Cloudflare', evidence: 'challenge page' },
+			});
+			expect(await probeUrl(`${baseUrl}/blocked`, 2000)).toMatchObject({
+				success: false,
+				statusCode: 403,
+				reason: 'Cloudflare cf-mitigated header (HTTP 403)',
+			});
+		});
+
+		test('should time out', async () => {
+			const result = await probeUrl(`${baseUrl}/hang`, 300);
+
+			expect(result.errorCode).toBe('ERR_CONNECTION_TIMED_OUT');
+			expect(result.isDead).toBe(true);
+		});
+
+		test('should report refused connections and TLS failures', async () => {
+			// Nothing listens on port 1
+			expect((await probeUrl('http://127.0.0.1:1/', 2000)).errorCode).toBe('ERR_CONNECTION_REFUSED');
+			// A TLS handshake against a plain HTTP server
+			expect((await probeUrl(`${baseUrl.replace('http:', 'https:')}/ok`, 2000)).errorCode).toBe('ERR_SSL_PROTOCOL_ERROR');
+		});
+	});
+
+	describe('needsBrowser', () => {
+		test('should escalate 403, 5xx and challenge pages only', async () => {
+			expect(needsBrowser(await probeUrl(`${baseUrl}/403`, 2000))).toBe('HTTP 403');
+			expect(needsBrowser(await probeUrl(`${baseUrl}/500`, 2000))).toBe('HTTP 500');
+			expect(needsBrowser(await probeUrl(`${baseUrl}/challenge`, 2000))).toBe('Cloudflare challenge page');
+			expect(needsBrowser(await probeUrl(`${baseUrl}/404`, 2000))).toBeNull();
+		});
+
+		test('should leave throttled answers to the backoff', async () => {
+			expect(needsBrowser(await probeUrl(`${baseUrl}/429`, 2000))).toBeNull();
+			expect(needsBrowser(await probeUrl(`${baseUrl}/503`, 2000))).toBeNull();
+			expect(await probeUrl(`${baseUrl}/retry`, 2000)).toMatchObject({ statusCode: 429, retryAfter: 7000 });
+			expect(needsBrowser(await probeUrl(`${baseUrl}/ok`, 2000))).toBeNull();
+		});
+
+		test('should escalate throttled answers once the requeues are used up', async () => {
+			expect(needsBrowser(await probeUrl(`${baseUrl}/429`, 2000), true)).toBe('HTTP 429');
+			expect(needsBrowser(await probeUrl(`${baseUrl}/503`, 2000), true)).toBe('HTTP 503');
+		});
+	});
+
+	describe('tryUrlWithProbe', () => {
+		let launches;
+		let browser;
+
+		beforeEach(() => {
+			launches = 0;
+
+			// Stand-in Chromium: every navigation succeeds with HTTP 200
+			browser = new LazyBrowser(async () => {
+				launches++;
+				return {
+					newPage: async () => {
+						let currentUrl = 'about:blank';
+						return {
+							setUserAgent: async () => {},
+							on: () => {},
+							goto: async url => {
+								currentUrl = url;
+								return { status: () => 200 };
+							},
+							url: () => currentUrl,
+							close: async () => {},
+						};
+					},
+					pages: async () => [],
+					close: async () => {},
+				};
+			});
+		});
+
+		test('should answer clear results without launching the browser', async () => {
+			expect((await tryUrlWithProbe(browser, `${baseUrl}/404`, 2000, 2000)).statusCode).toBe(404);
+			expect((await tryUrlWithProbe(browser, `${baseUrl}/ok`, 2000, 2000)).success).toBe(true);
+			expect(launches).toBe(0);
+			expect(browser.launched).toBe(false);
+		});
+
+		test('should hand ambiguous results to the browser', async () => {
+			const result = await tryUrlWithProbe(browser, `${baseUrl}/403`, 2000, 2000);
+
+			expect(result).toMatchObject({ success: true, statusCode: 200, escalated: 'HTTP 403' });
+			expect(launches).toBe(1);
+		});
+
+		test('should hand a persistent 503 to the browser on the last try', async () => {
+			expect((await tryUrlWithProbe(browser, `${baseUrl}/503`, 2000, 2000)).statusCode).toBe(503);
+			expect(launches).toBe(0);
+
+			expect(await tryUrlWithProbe(browser, `${baseUrl}/503`, 2000, 2000, null, true)).toMatchObject({
+				success: true,
+				statusCode: 200,
+				escalated: 'HTTP 503',
+			});
+			expect(launches).toBe(1);
+		});
+
+		test('should keep the WAF the probe saw when the browser fails too', async () => {
+			const failing = new LazyBrowser(async () => ({
+				newPage: async () => ({
+					setUserAgent: async () => {},
+					on: () => {},
+					goto: async url => {
+						throw new Error(`net::ERR_CONNECTION_TIMED_OUT at ${url}`);
+					},
+					close: async () => {},
+				}),
+			}));
+
+			expect(await tryUrlWithProbe(failing, `${baseUrl}/blocked`, 2000, 2000)).toMatchObject({
+				success: false,
+				statusCode: 403,
+				protection: { provider: 'Cloudflare' },
+				escalated: 'Cloudflare cf-mitigated header',
+			});
+		});
+	});
+});
@@ -0,0 +1,46 @@
+/**
+ * Unit tests for internationalised domain name helpers
+ */
+
+const { normalizeDomain, toUnicodeDomain, isInternationalizedDomain } = require('../../lib/utils/idn');
+
+describe('Internationalised Domain Names', () => {
+	describe('normalizeDomain', () => {
+		test('should convert Unicode domains to punycode', () => {
+			expect(normalizeDomain('bücher.de')).toBe('xn--bcher-kva.de');
+			expect(normalizeDomain('über.co.uk')).toBe('xn--ber-goa.co.uk');
+		});
+
+		test('should lowercase and strip trailing dots', () => {
+			expect(normalizeDomain('Example.COM.')).toBe('example.com');
+			expect(normalizeDomain('Bücher.DE.')).toBe('xn--bcher-kva.de');
+		});
+
+		test('should leave punycode domains unchanged', () => {
+			expect(normalizeDomain('xn--bcher-kva.de')).toBe('xn--bcher-kva.de');
+		});
+
+		test('should return null for invalid hostnames', () => {
+			expect(normalizeDomain('xn--zz.com')).toBe(null);
+			expect(normalizeDomain('ex ample.com')).toBe(null);
+			expect(normalizeDomain('')).toBe(null);
+		});
+	});
+
+	describe('toUnicodeDomain', () => {
+		test('should convert punycode to Unicode', () => {
+			expect(toUnicodeDomain('xn--bcher-kva.de')).toBe('bücher.de');
+		});
+
+		test('should return ASCII domains unchanged', () => {
+			expect(toUnicodeDomain('example.com')).toBe('example.com');
+		});
+	});
+
+	describe('isInternationalizedDomain', () => {
+		test('should detect punycode domains', () => {
+			expect(isInternationalizedDomain('xn--bcher-kva.de')).toBe(true);
+			expect(isInternationalizedDomain('example.com')).toBe(false);
+		});
+	});
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit tests for input format adapters
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+	getInputFormat,
+	detectInputFormat,
+	resolveInputFormat,
+	extractHostsEntries,
+	extractDnsmasqEntries,
+	extractPlainDomainEntries,
+} = require('../../lib/parsers/inputFormats');
+const { parseDomainSourcesFromFile } = require('../../lib/parsers/fileReader');
+
+// Test fixtures directory
+const fixturesDir = path.join(__dirname, '..', 'fixtures');
+
+describe('Input Formats', () => {
+	describe('extractHostsEntries', () => {
+		test('should extract every hostname after the IP address', () => {
+			expect(extractHostsEntries('0.0.0.0 ads.example.com')).toEqual([{ domain: 'ads.example.com', ruleType: 'hosts' }]);
+			expect(extractHostsEntries('127.0.0.1\ta.example.com b.example.com # trackers')).toEqual([
+				{ domain: 'a.example.com', ruleType: 'hosts' },
+				{ domain: 'b.example.com', ruleType: 'hosts' },
+			]);
+			expect(extractHostsEntries(':: ads.example.com')).toEqual([{ domain: 'ads.example.com', ruleType: 'hosts' }]);
+		});
+
+		test('should skip comments, localhost and malformed lines', () => {
+			expect(extractHostsEntries('# 0.0.0.0 ads.example.com')).toEqual([]);
+			expect(extractHostsEntries('127.0.0.1 localhost')).toEqual([]);
+			expect(extractHostsEntries('0.0.0.0')).toEqual([]);
+		});
+	});
+
+	describe('extractDnsmasqEntries', () => {
+		test('should extract domains from address=, server= and local= lines', () => {
+			expect(extractDnsmasqEntries('address=/example.com/0.0.0.0')).toEqual([{ domain: 'example.com', ruleType: 'dnsmasq' }]);
+			expect(extractDnsmasqEntries('address=/example.com/')).toEqual([{ domain: 'example.com', ruleType: 'dnsmasq' }]);
+			expect(extractDnsmasqEntries('server=/a.example.com/b.example.org/1.1.1.1')).toEqual([
+				{ domain: 'a.example.com', ruleType: 'dnsmasq' },
+				{ domain: 'b.example.org', ruleType: 'dnsmasq' },
+			]);
+			expect(extractDnsmasqEntries('local=/example.net/')).toEqual([{ domain: 'example.net', ruleType: 'dnsmasq' }]);
+		});
+
+		test('should ignore other dnsmasq options', () => {
+			expect(extractDnsmasqEntries('cache-size=1000')).toEqual([]);
+			expect(extractDnsmasqEntries('# address=/example.com/')).toEqual([]);
+		});
+	});
+
+	describe('extractPlainDomainEntries', () => {
+		test('should extract one domain per line', () => {
+			expect(extractPlainDomainEntries('example.com')).toEqual([{ domain: 'example.com', ruleType: 'domain' }]);
+			expect(extractPlainDomainEntries('  example.com  # note')).toEqual([{ domain: 'example.com', ruleType: 'domain' }]);
+		});
+
+		test('should skip comments and lines with several tokens', () => {
+			expect(extractPlainDomainEntries('# example.com')).toEqual([]);
+			expect(extractPlainDomainEntries('! example.com')).toEqual([]);
+			expect(extractPlainDomainEntries('example.com other.com')).toEqual([]);
+			expect(extractPlainDomainEntries('||example.com^')).toEqual([]);
+		});
+	});
+
+	describe('detectInputFormat', () => {
+		test('should detect each supported format', () => {
+			expect(detectInputFormat('! Title\nexample.com##.ad\n||ads.example.com^\n')).toBe('adblock');
+			expect(detectInputFormat('# hosts\n127.0.0.1 localhost\n0.0.0.0 ads.example.com\n')).toBe('hosts');
+			expect(detectInputFormat('# dnsmasq\naddress=/example.com/0.0.0.0\nserver=/example.org/1.1.1.1\n')).toBe('dnsmasq');
+			expect(detectInputFormat('# domains\nexample.com\nads.example.org\n')).toBe('domains');
+		});
+
+		test('should fall back to adblock when undecided', () => {
+			expect(detectInputFormat('')).toBe('adblock');
+			expect(detectInputFormat('! only comments\n')).toBe('adblock');
+		});
+	});
+
+	describe('getInputFormat', () => {
+		test('should throw for unknown formats', () => {
+			expect(() => getInputFormat('yaml')).toThrow('Unknown input format: yaml');
+		});
+	});
+
+	describe('resolveInputFormat', () => {
+		test('should return explicit formats without reading the file', async () => {
+			await expect(resolveInputFormat('does-not-exist.txt', 'hosts')).resolves.toBe('hosts');
+		});
+
+		test('should detect the format from the file when auto', async () => {
+			const testFile = path.join(fixturesDir, 'hosts-format-test.txt');
+			await fs.promises.writeFile(testFile, '0.0.0.0 ads.example.com\n', 'utf8');
+
+			try {
+				await expect(resolveInputFormat(testFile, 'auto')).resolves.toBe('hosts');
+			} finally {
+				await fs.promises.unlink(testFile);
+			}
+		});
+
+		test('should throw error for missing files', async () => {
+			await expect(resolveInputFormat(path.join(fixturesDir, 'does-not-exist.txt'))).rejects.toThrow('File not found');
+		});
+	});
+
+	describe('parseDomainSourcesFromFile with input formats', () => {
+		test('should parse hosts files with auto-detection', async () => {
+			const testFile = path.join(fixturesDir, 'hosts-parse-test.txt');
+			await fs.promises.writeFile(testFile, '# hosts\n127.0.0.1 localhost\n0.0.0.0 ads.example.com tracker.example.com\n', 'utf8');
+
+			try {
+				const sources = await parseDomainSourcesFromFile(testFile);
+
+				expect(Array.from(sources.keys())).toEqual(['ads.example.com', 'tracker.example.com']);
+				expect(sources.get('ads.example.com')[0]).toEqual({
+					file: testFile,
+					line: 3,
+					rule: '0.0.0.0 ads.example.com tracker.example.com',
+					ruleType: 'hosts',
+				});
+			} finally {
+				await fs.promises.unlink(testFile);
+			}
+		});
+
+		test('should honour an explicit input format', async () => {
+			const testFile = path.join(fixturesDir, 'domains-parse-test.txt');
+			await fs.promises.writeFile(testFile, '||example.com^\nplain.com\n', 'utf8');
+
+			try {
+				const sources = await parseDomainSourcesFromFile(testFile, { inputFormat: 'domains' });
+				expect(Array.from(sources.keys())).toEqual(['plain.com']);
+			} finally {
+				await fs.promises.unlink(testFile);
+			}
+		});
+	});
+});
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for input path expansion
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hasGlobPattern, globToRegExp, expandInputPaths, getListNames, getListOutputPath } = require('../../lib/utils/inputPaths');
+
+// Relative to the working directory, as --input values are
+const testDir = path.join('tests', 'fixtures', 'input-paths-test');
+
+describe('Input Paths', () => {
+	describe('hasGlobPattern', () => {
+		test('should detect wildcards', () => {
+			expect(hasGlobPattern('lists/*.txt')).toBe(true);
+			expect(hasGlobPattern('list?.txt')).toBe(true);
+			expect(hasGlobPattern('list[12].txt')).toBe(true);
+			expect(hasGlobPattern('lists/easylist.txt')).toBe(false);
+		});
+	});
+
+	describe('globToRegExp', () => {
+		test('should keep * within a path segment', () => {
+			const regex = globToRegExp('*.txt');
+			expect(regex.test('easylist.txt')).toBe(true);
+			expect(regex.test('sub/easylist.txt')).toBe(false);
+			expect(regex.test('easylist.txt.bak')).toBe(false);
+		});
+
+		test('should let ** match any number of directories', () => {
+			const regex = globToRegExp('**/*.txt');
+			expect(regex.test('easylist.txt')).toBe(true);
+			expect(regex.test('a/b/easylist.txt')).toBe(true);
+		});
+
+		test('should support ? and character classes', () => {
+			expect(globToRegExp('list?.txt').test('list1.txt')).toBe(true);
+			expect(globToRegExp('list[12].txt').test('list3.txt')).toBe(false);
+			expect(globToRegExp('list[!12].txt').test('list3.txt')).toBe(true);
+		});
+	});
+
+	describe('expandInputPaths', () => {
+		beforeEach(async () => {
+			await fs.promises.mkdir(path.join(testDir, 'sub'), { recursive: true });
+			await fs.promises.writeFile(path.join(testDir, 'b.txt'), 'b.com##.ad\n', 'utf8');
+			await fs.promises.writeFile(path.join(testDir, 'a.txt'), 'a.com##.ad\n', 'utf8');
+			await fs.promises.writeFile(path.join(testDir, 'notes.md'), '# notes\n', 'utf8');
+			await fs.promises.writeFile(path.join(testDir, '.hidden.txt'), 'hidden.com##.ad\n', 'utf8');
+			await fs.promises.writeFile(path.join(testDir, 'sub', 'c.txt'), 'c.com##.ad\n', 'utf8');
+		});
+
+		afterEach(async () => {
+			await fs.promises.rm(testDir, { recursive: true, force: true });
+		});
+
+		test('should pass plain files through', async () => {
+			expect(await expandInputPaths('missing.txt')).toEqual(['missing.txt']);
+		});
+
+		test('should expand directories to the files directly inside them', async () => {
+			expect(await expandInputPaths(testDir)).toEqual([
+				path.join(testDir, 'a.txt'),
+				path.join(testDir, 'b.txt'),
+				path.join(testDir, 'notes.md'),
+			]);
+		});
+
+		test('should expand glob patterns in sorted order', async () => {
+			expect(await expandInputPaths(`${testDir}/*.txt`)).toEqual([path.join(testDir, 'a.txt'), path.join(testDir, 'b.txt')]);
+			expect(await expandInputPaths(`${testDir}/**/*.txt`)).toEqual([
+				path.join(testDir, 'a.txt'),
+				path.join(testDir, 'b.txt'),
+				path.join(testDir, 'sub', 'c.txt'),
+			]);
+		});
+
+		test('should drop duplicates while keeping the given order', async () => {
+			const files = await expandInputPaths([path.join(testDir, 'b.txt'), `${testDir}/*.txt`]);
+
+			expect(files).toEqual([path.join(testDir, 'b.txt'), path.join(testDir, 'a.txt')]);
+		});
+
+		test('should pass URLs through without touching the filesystem', async () => {
+			const url = 'https://easylist.to/easylist/easylist.txt';
+
+			expect(await expandInputPaths([url, `${testDir}/a.txt`, url])).toEqual([url, path.join(testDir, 'a.txt')]);
+		});
+
+		test('should reject patterns matching nothing', async () => {
+			await expect(expandInputPaths(`${testDir}/*.list`)).rejects.toThrow('No input files match');
+		});
+
+		test('should reject paths outside the working directory', async () => {
+			await expect(expandInputPaths('../*.txt')).rejects.toThrow('Path traversal is not allowed');
+		});
+	});
+
+	describe('getListNames', () => {
+		test('should derive unique names from the file names', () => {
+			const names = getListNames(['lists/EasyList.txt', 'other/easylist.txt', 'fanboy social.txt']);
+
+			expect(Array.from(names.values())).toEqual(['easylist', 'easylist-2', 'fanboy-social']);
+		});
+
+		test('should name URLs after their path', () => {
+			const names = getListNames(['https://easylist.to/easylist/easyprivacy.txt?v=2']);
+
+			expect(names.get('https://easylist.to/easylist/easyprivacy.txt?v=2')).toBe('easyprivacy');
+		});
+	});
+
+	describe('getListOutputPath', () => {
+		test('should insert the list name before the extension', () => {
+			expect(getListOutputPath('ca-dead-domains.txt', 'easylist')).toBe('ca-dead-domains-easylist.txt');
+			expect(getListOutputPath('fixed', 'easylist')).toBe('fixed-easylist');
+		});
+	});
+});
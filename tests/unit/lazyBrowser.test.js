@@ -0,0 +1,54 @@
+/**
+ * Unit tests for the on-demand browser
+ */
+
+const LazyBrowser = require('../../lib/utils/lazyBrowser');
+
+describe('LazyBrowser', () => {
+	let launches;
+	let closed;
+
+	/**
+	 * Launch
+	 * @returns {Promise<*>} Fake browser
+	 */
+
+	const launch = async () => {
+		launches++;
+		return {
+			newPage: async () => ({ id: launches }),
+			pages: async () => ['page'],
+			close: async () => {
+				closed = true;
+			},
+		};
+	};
+
+	beforeEach(() => {
+		launches = 0;
+		closed = false;
+	});
+
+	test('should not launch until a page is needed', async () => {
+		const browser = new LazyBrowser(launch);
+
+		expect(await browser.pages()).toEqual([]);
+		await browser.close();
+
+		expect(browser.launched).toBe(false);
+		expect(launches).toBe(0);
+		expect(closed).toBe(false);
+	});
+
+	test('should launch once for concurrent pages', async () => {
+		const browser = new LazyBrowser(launch);
+		await Promise.all([browser.newPage(), browser.newPage(), browser.newPage()]);
+
+		expect(launches).toBe(1);
+		expect(browser.launched).toBe(true);
+		expect(await browser.pages()).toEqual(['page']);
+
+		await browser.close();
+		expect(closed).toBe(true);
+	});
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the streaming line reader
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readLines, formatSize } = require('../../lib/parsers/lineReader');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Collect lines
+ * @param {*} filePath - Parameter filePath
+ * @param {*} options - Parameter options
+ * @returns {Promise<*>} Array of lines
+ */
+
+async function collectLines(filePath, options) {
+	const lines = [];
+	for await (const line of readLines(filePath, options)) {
+		lines.push(line);
+	}
+	return lines;
+}
+
+describe('Line Reader', () => {
+	const testFile = path.join(fixturesDir, 'line-reader-test.txt');
+
+	afterEach(async () => {
+		await fs.promises.rm(testFile, { force: true });
+	});
+
+	describe('readLines', () => {
+		test('should yield the same lines as splitting on newlines', async () => {
+			const content = 'first\r\nsecond\n\nlast';
+			await fs.promises.writeFile(testFile, content, 'utf8');
+
+			expect(await collectLines(testFile)).toEqual(content.split('\n'));
+		});
+
+		test('should keep multi-byte characters split across chunks intact', async () => {
+			const content = `${'a'.repeat(65535)}ü\nbücher.de`;
+			await fs.promises.writeFile(testFile, content, 'utf8');
+
+			expect(await collectLines(testFile)).toEqual(content.split('\n'));
+		});
+
+		test('should report progress', async () => {
+			await fs.promises.writeFile(testFile, 'example.com\n', 'utf8');
+			const progress = [];
+
+			await collectLines(testFile, { onProgress: (bytesRead, totalBytes) => progress.push([bytesRead, totalBytes]) });
+
+			expect(progress).toEqual([[12, 12]]);
+		});
+
+		test('should reject files over the size limit', async () => {
+			await fs.promises.writeFile(testFile, 'x'.repeat(2048), 'utf8');
+
+			await expect(collectLines(testFile, { maxFileSize: 1024 })).rejects.toThrow('File too large');
+		});
+
+		test('should throw error for missing files', async () => {
+			await expect(collectLines(path.join(fixturesDir, 'does-not-exist.txt'))).rejects.toThrow('File not found');
+		});
+
+		test('should stop reading when the consumer stops early', async () => {
+			await fs.promises.writeFile(testFile, 'a\nb\nc\n', 'utf8');
+
+			const lines = [];
+			for await (const line of readLines(testFile)) {
+				lines.push(line);
+				break;
+			}
+
+			expect(lines).toEqual(['a']);
+		});
+	});
+
+	describe('formatSize', () => {
+		test('should format sizes in KB and MB', () => {
+			expect(formatSize(2048)).toBe('2.0 KB');
+			expect(formatSize(10 * 1024 * 1024)).toBe('10.0 MB');
+		});
+	});
+});
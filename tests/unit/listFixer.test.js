@@ -0,0 +1,162 @@
+/**
+ * Unit tests for filter list cleanup
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fixRule, fixHostsRule, fixDnsmasqRule, fixListContent, writeFixedList } = require('../../lib/writers/listFixer');
+
+// Test fixtures directory
+const fixturesDir = path.join(__dirname, '..', 'fixtures');
+
+describe('List Fixer', () => {
+	describe('fixRule', () => {
+		const dead = new Set(['dead.com', 'gone.org']);
+
+		test('should keep rules without dead domains untouched', () => {
+			expect(fixRule('alive.com##.ad', dead)).toEqual({ line: 'alive.com##.ad', action: 'keep' });
+			expect(fixRule('! dead.com##.ad', dead)).toEqual({ line: '! dead.com##.ad', action: 'keep' });
+		});
+
+		test('should remove dead domains from multi-domain cosmetic rules', () => {
+			expect(fixRule('dead.com,alive.com##.ad', dead)).toEqual({ line: 'alive.com##.ad', action: 'modify' });
+			expect(fixRule('alive.com,dead.com,gone.org##+js(abort)', dead)).toEqual({
+				line: 'alive.com##+js(abort)',
+				action: 'modify',
+			});
+			expect(fixRule('dead.com,alive.com#$#.ad { display: none; }', dead).line).toBe('alive.com#$#.ad { display: none; }');
+		});
+
+		test('should clean option lists after $3p-style options', () => {
+			expect(fixRule('||x.com^$3p,domain=dead.com|alive.com', dead)).toEqual({
+				line: '||x.com^$3p,domain=alive.com',
+				action: 'modify',
+			});
+			expect(fixRule('||1.2.3.4^$domain=dead.com|alive.com', dead)).toEqual({
+				line: '||1.2.3.4^$domain=alive.com',
+				action: 'modify',
+			});
+		});
+
+		test('should remove dead domains from domain= option lists', () => {
+			expect(fixRule('/ads.js$script,domain=dead.com|alive.com', dead)).toEqual({
+				line: '/ads.js$script,domain=alive.com',
+				action: 'modify',
+			});
+			expect(fixRule('/ads.js$domain=alive.com|gone.org|other.net,third-party', dead).line).toBe(
+				'/ads.js$domain=alive.com|other.net,third-party'
+			);
+		});
+
+		test('should rewrite AdGuard modifiers and HTML filtering rules', () => {
+			expect(fixRule('[$path=/a\\]b]dead.com,alive.com##.ad', dead).line).toBe('[$path=/a\\]b]alive.com##.ad');
+			expect(fixRule('[$domain=/^x\\.(com|net)$/|dead.com|alive.com]##.ad', dead).line).toBe('[$domain=/^x\\.(com|net)$/|alive.com]##.ad');
+			expect(fixRule('alive.com,gone.org$$script[tag-content="ads"]', dead).line).toBe('alive.com$$script[tag-content="ads"]');
+			expect(fixRule('[$url=||dead.com/page]##.banner', dead)).toEqual({ line: null, action: 'remove' });
+		});
+
+		test('should drop rules when every domain is dead', () => {
+			expect(fixRule('dead.com,gone.org##.ad', dead)).toEqual({ line: null, action: 'remove' });
+			expect(fixRule('/ads.js$domain=dead.com', dead)).toEqual({ line: null, action: 'remove' });
+			expect(fixRule('||dead.com^$script', dead)).toEqual({ line: null, action: 'remove' });
+		});
+
+		test('should leave entity wildcard rules untouched', () => {
+			expect(fixRule('dead.*##.ad', new Set(['dead.com']))).toEqual({ line: 'dead.*##.ad', action: 'keep' });
+		});
+
+		test('should rewrite hostname options of || rules', () => {
+			expect(fixRule('||cdn.com^$script,domain=dead.com|alive.com', dead).line).toBe('||cdn.com^$script,domain=alive.com');
+			expect(fixRule('||cdn.com^$script,domain=dead.com', dead)).toEqual({ line: null, action: 'remove' });
+			expect(fixRule('*$to=dead.com|alive.com', dead).line).toBe('*$to=alive.com');
+			expect(fixRule('[$domain=dead.com|alive.com]##.ad', dead).line).toBe('[$domain=alive.com]##.ad');
+		});
+
+		test('should drop an emptied denyallow= option instead of the rule', () => {
+			expect(fixRule('||x.com^$denyallow=dead.com|alive.com,domain=a.com', dead).line).toBe('||x.com^$denyallow=alive.com,domain=a.com');
+			expect(fixRule('||x.com^$denyallow=dead.com,domain=a.com', dead).line).toBe('||x.com^$domain=a.com');
+			expect(fixRule('||x.com^$domain=a.com,denyallow=dead.com', dead).line).toBe('||x.com^$domain=a.com');
+			expect(fixRule('||x.com^$denyallow=dead.com', dead).line).toBe('||x.com^');
+		});
+
+		test('should drop rules left with only negated domains', () => {
+			expect(fixRule('dead.com,~sub.dead.com##.ad', dead)).toEqual({ line: null, action: 'remove' });
+			expect(fixRule('/ads.js$domain=dead.com|~alive.com', dead)).toEqual({ line: null, action: 'remove' });
+		});
+
+		test('should leave negated domains alone', () => {
+			expect(fixRule('~dead.com##.ad', dead)).toEqual({ line: '~dead.com##.ad', action: 'keep' });
+		});
+	});
+
+	describe('fixHostsRule', () => {
+		const dead = new Set(['dead.com']);
+
+		test('should remove dead hostnames and keep the rest of the line', () => {
+			expect(fixHostsRule('0.0.0.0 dead.com alive.com # ads', dead)).toEqual({ line: '0.0.0.0 alive.com # ads', action: 'modify' });
+			expect(fixHostsRule('0.0.0.0 dead.com', dead)).toEqual({ line: null, action: 'remove' });
+			expect(fixHostsRule('0.0.0.0 alive.com', dead)).toEqual({ line: '0.0.0.0 alive.com', action: 'keep' });
+			expect(fixHostsRule('# 0.0.0.0 dead.com', dead)).toEqual({ line: '# 0.0.0.0 dead.com', action: 'keep' });
+		});
+	});
+
+	describe('fixDnsmasqRule', () => {
+		const dead = new Set(['dead.com']);
+
+		test('should remove dead domains from the slash-separated list', () => {
+			expect(fixDnsmasqRule('server=/dead.com/alive.com/1.1.1.1', dead)).toEqual({
+				line: 'server=/alive.com/1.1.1.1',
+				action: 'modify',
+			});
+			expect(fixDnsmasqRule('address=/dead.com/0.0.0.0', dead)).toEqual({ line: null, action: 'remove' });
+			expect(fixDnsmasqRule('cache-size=1000', dead)).toEqual({ line: 'cache-size=1000', action: 'keep' });
+		});
+	});
+
+	describe('fixListContent', () => {
+		test('should apply the fixer matching the input format', () => {
+			expect(fixListContent('# plain\ndead.com\nalive.com\n', ['dead.com'], 'domains').content).toBe('# plain\nalive.com\n');
+			expect(() => fixListContent('', [], 'yaml')).toThrow('Unknown input format: yaml');
+		});
+
+		test('should preserve comments, ordering and untouched lines', () => {
+			const content = '! Title: Test\r\nalive.com##.ad\r\ndead.com##.ad\r\n\r\ndead.com,alive.com##.x\r\n! end\r\n';
+			const result = fixListContent(content, ['dead.com']);
+
+			expect(result.content).toBe('! Title: Test\r\nalive.com##.ad\r\n\r\nalive.com##.x\r\n! end\r\n');
+			expect(result.modifiedRules).toBe(1);
+			expect(result.removedRules).toBe(1);
+		});
+
+		test('should return content unchanged when nothing is dead', () => {
+			const content = 'a.com##.ad\n  b.com##.ad  \n||c.com^\n';
+			expect(fixListContent(content, []).content).toBe(content);
+		});
+	});
+
+	describe('writeFixedList', () => {
+		test('should write the fixed copy and leave the input untouched', async () => {
+			const inputFile = path.join(fixturesDir, 'fix-input-test.txt');
+			const outputFile = path.join(fixturesDir, 'fix-output-test.txt');
+			const content = '! List\ndead.com,alive.com##.ad\n||dead.com^\n';
+
+			await fs.promises.writeFile(inputFile, content, 'utf8');
+
+			try {
+				const summary = await writeFixedList(inputFile, outputFile, new Set(['dead.com']));
+
+				expect(summary).toEqual({ modifiedRules: 1, removedRules: 1 });
+				expect(await fs.promises.readFile(outputFile, 'utf8')).toBe('! List\nalive.com##.ad\n');
+				expect(await fs.promises.readFile(inputFile, 'utf8')).toBe(content);
+			} finally {
+				await fs.promises.unlink(inputFile);
+				await fs.promises.rm(outputFile, { force: true });
+			}
+		});
+
+		test('should throw error for missing input file', async () => {
+			const missing = path.join(fixturesDir, 'does-not-exist.txt');
+			await expect(writeFixedList(missing, path.join(fixturesDir, 'x.txt'), [])).rejects.toThrow('Failed to read file');
+		});
+	});
+});
@@ -0,0 +1,204 @@
+/**
+ * Unit tests for the list lint
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseDomainSourcesFromFile } = require('../../lib/parsers/fileReader');
+const { getCanonicalRule, createListLint, addLintLine, getLintFindings, formatLintSummary } = require('../../lib/parsers/listLint');
+const { extractDomainEntries } = require('../../lib/parsers/domainExtractor');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Lint rules
+ * @param {*} rules - Adblock rules, one per line starting at line 1
+ * @returns {*} Lint findings
+ */
+
+const lintRules = rules => {
+	const lint = createListLint();
+	rules.forEach((rule, index) => {
+		addLintLine(lint, {
+			list: 'list.txt',
+			file: 'list.txt',
+			format: 'adblock',
+			line: index + 1,
+			rule,
+			entries: extractDomainEntries(rule),
+			rejections: [],
+			directive: null,
+			condition: null,
+		});
+	});
+	return getLintFindings(lint);
+};
+
+/**
+ * Summarize
+ * @param {*} findings - Parameter findings
+ * @returns {*} "kind domain line→line" strings
+ */
+
+const summarize = findings => findings.map(f => `${f.kind} ${f.domain} ${f.sources[0].line}→${f.sources[1].line}`);
+
+describe('List Lint', () => {
+	describe('getCanonicalRule', () => {
+		test('should ignore case and www. in rule domains', () => {
+			expect(getCanonicalRule('WWW.Example.com,~Sub.Example.com##.Ad', 'adblock')).toBe('example.com,~sub.example.com##.Ad');
+			expect(getCanonicalRule('@@||www.Example.com^$Script', 'adblock')).toBe('@@||example.com^$Script');
+			expect(getCanonicalRule('0.0.0.0 Example.COM', 'hosts')).toBe('0.0.0.0 example.com');
+		});
+
+		test('should leave regex domains and generic rules alone', () => {
+			expect(getCanonicalRule('/^www\\.A/##.ad', 'adblock')).toBe('/^www\\.A/##.ad');
+			expect(getCanonicalRule('/Banner/*', 'adblock')).toBe('/Banner/*');
+		});
+	});
+
+	describe('duplicates', () => {
+		test('should flag the later copy of a rule', () => {
+			const findings = lintRules(['example.com##.ad', '! comment', 'example.com##.ad', '##.banner', '##.banner']);
+
+			expect(summarize(findings)).toEqual(['duplicate example.com 3→1', 'duplicate null 5→4']);
+			expect(findings[0].reason).toBe('duplicate of list.txt:1');
+		});
+
+		test('should flag rules differing only by domain case or www.', () => {
+			const findings = lintRules(['||example.com^', '||WWW.example.com^', 'a.com,b.com##.ad', 'A.com,www.b.com##.ad']);
+
+			expect(summarize(findings)).toEqual(['variant www.example.com 2→1', 'variant a.com 4→3']);
+		});
+
+		test('should flag the www. rule whichever comes first', () => {
+			const findings = lintRules(['||www.a.com^', '||a.com^', 'www.b.com##.x', 'b.com##.x', 'C.com##.x', 'c.com##.x']);
+
+			expect(summarize(findings)).toEqual(['variant www.a.com 1→2', 'variant www.b.com 3→4', 'variant c.com 6→5']);
+			expect(findings[0].reason).toBe('same as list.txt:2');
+		});
+
+		test('should treat an excluded www. as the broader rule', () => {
+			const findings = lintRules(['a.com,~b.a.com##.x', 'a.com,~www.b.a.com##.x', 'www.c.com,d.com##.x', 'c.com,www.d.com##.x']);
+
+			// The mixed pair covers itself domain by domain, which the cosmetic check reports
+			expect(summarize(findings.filter(f => f.kind === 'variant'))).toEqual(['variant a.com 1→2']);
+		});
+
+		test('should not compare rules in different !#if blocks', () => {
+			const lint = createListLint();
+			const info = { list: 'l.txt', file: 'l.txt', format: 'adblock', rule: 'a.com##.ad', entries: [], rejections: [], directive: null };
+			addLintLine(lint, { ...info, line: 1, condition: null });
+			addLintLine(lint, { ...info, line: 3, condition: 'env_firefox' });
+
+			expect(getLintFindings(lint)).toEqual([]);
+		});
+	});
+
+	describe('cosmetic rules', () => {
+		test('should flag domains covered by a parent-domain rule with the same selector', () => {
+			const findings = lintRules(['example.com##.ad', 'news.example.com,other.com##.ad', 'shop.example.com##.banner']);
+
+			expect(summarize(findings)).toEqual(['cosmetic-shadowed news.example.com 2→1']);
+			expect(findings[0].reason).toBe('covered by list.txt:1 (example.com)');
+		});
+
+		test('should respect negated domains and separators', () => {
+			const findings = lintRules([
+				'example.com,~news.example.com##.ad',
+				'news.example.com##.ad',
+				'blog.example.com##.ad',
+				'sub.example.com#@#.ad',
+			]);
+
+			expect(summarize(findings)).toEqual(['cosmetic-shadowed blog.example.com 3→1']);
+		});
+
+		test('should only flag the later of two rules listing the same domain', () => {
+			expect(summarize(lintRules(['a.com,b.com##.ad', 'b.com,c.com##.ad']))).toEqual(['cosmetic-shadowed b.com 2→1']);
+		});
+	});
+
+	describe('network rules', () => {
+		test('should flag rules shadowed by a more general || rule', () => {
+			const findings = lintRules([
+				'||example.com^',
+				'||ads.example.com^',
+				'||example.com/banner.js',
+				'||cdn.example.com^$script,third-party',
+			]);
+
+			expect(summarize(findings)).toEqual([
+				'network-shadowed ads.example.com 2→1',
+				'network-shadowed example.com 3→1',
+				'network-shadowed cdn.example.com 4→1',
+			]);
+			expect(findings[0].reason).toBe('covered by list.txt:1 (||example.com^)');
+		});
+
+		test('should keep rules the general rule does not cover', () => {
+			const findings = lintRules([
+				'||example.com^',
+				'||example.com^$popup',
+				'||example.com^$important',
+				'||example.community^',
+				'||example.com.evil.net^',
+				'@@||ok.example.com^',
+				'||example.org^$script',
+				'||example.org^',
+			]);
+
+			// ||example.org^$script is covered by ||example.org^ even though it comes first
+			expect(summarize(findings)).toEqual(['network-shadowed example.org 7→8']);
+		});
+
+		test('should need a separator after the host when the general rule has one', () => {
+			expect(lintRules(['||example.com^', '||sub.example.com'])).toEqual([]);
+			expect(summarize(lintRules(['||example.com', '||sub.example.com^']))).toEqual(['network-shadowed sub.example.com 2→1']);
+		});
+
+		test('should compare exception rules with exception rules', () => {
+			expect(summarize(lintRules(['@@||example.com^', '@@||cdn.example.com^$image']))).toEqual(['network-shadowed cdn.example.com 2→1']);
+		});
+	});
+
+	describe('formatLintSummary', () => {
+		test('should count findings by kind', () => {
+			const output = formatLintSummary(lintRules(['a.com##.ad', 'a.com##.ad', '||a.com^', '||b.a.com^'])).join('\n');
+
+			expect(output).toContain('Findings: 2');
+			expect(output).toMatch(/exact duplicates\s+1/);
+			expect(output).toMatch(/network rules covered by a more general \|\| rule\s+1/);
+			expect(output).not.toContain('cosmetic rules');
+		});
+	});
+
+	describe('with parseDomainSourcesFromFile', () => {
+		test('should lint every rule of a list', async () => {
+			const testFile = path.join(fixturesDir, 'list-lint-test.txt');
+			await fs.promises.writeFile(
+				testFile,
+				[
+					'! Title: test',
+					'||tracker.com^',
+					'||pixel.tracker.com^$image',
+					'example.com##.ad',
+					'www.example.com##.ad',
+					'!#if env_firefox',
+					'example.com##.ad',
+					'!#endif',
+					'! Title: test',
+				].join('\n'),
+				'utf8'
+			);
+
+			try {
+				const lint = createListLint();
+				await parseDomainSourcesFromFile(testFile, { onLine: info => addLintLine(lint, info) });
+
+				expect(summarize(getLintFindings(lint))).toEqual(['variant www.example.com 5→4', 'network-shadowed pixel.tracker.com 3→2']);
+			} finally {
+				await fs.promises.unlink(testFile);
+			}
+		});
+	});
+});
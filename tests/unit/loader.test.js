@@ -150,6 +150,103 @@ describe('Configuration Loader', () => {
 			}
 		});
 
+		test('should validate the status policy', async () => {
+			const customConfigDir = path.join(__dirname, '..', 'fixtures', 'custom-config');
+			const customConfigPath = path.join(customConfigDir, 'status-config.json');
+			await fs.promises.mkdir(customConfigDir, { recursive: true });
+
+			try {
+				const { loadConfig } = require('../../lib/config/loader');
+
+				await fs.promises.writeFile(
+					customConfigPath,
+					JSON.stringify({
+						inputFile: 'a.txt',
+						statusPolicy: { rules: { 403: 'inconclusive' }, domains: { 'example.com': { '5xx': 'alive' } } },
+					}),
+					'utf8'
+				);
+				const config = await loadConfig(customConfigPath);
+				expect(config.statusPolicy).toEqual({
+					rules: { 403: 'inconclusive' },
+					domains: { 'example.com': { '5xx': 'alive' } },
+					retries: 1,
+					retryDelay: 5000,
+				});
+
+				await fs.promises.writeFile(customConfigPath, JSON.stringify({ inputFile: 'a.txt' }), 'utf8');
+				expect((await loadConfig(customConfigPath)).statusPolicy).toEqual({ rules: {}, domains: {}, retries: 1, retryDelay: 5000 });
+
+				await fs.promises.writeFile(
+					customConfigPath,
+					JSON.stringify({ inputFile: 'a.txt', statusPolicy: { rules: { '599-500': 'dead' } } }),
+					'utf8'
+				);
+				await expect(loadConfig(customConfigPath)).rejects.toThrow('"statusPolicy.rules.599-500" is not allowed');
+
+				await fs.promises.writeFile(
+					customConfigPath,
+					JSON.stringify({ inputFile: 'a.txt', statusPolicy: { rules: { 404: 'gone' } } }),
+					'utf8'
+				);
+				await expect(loadConfig(customConfigPath)).rejects.toThrow('"statusPolicy.rules.404" must be one of');
+			} finally {
+				await fs.promises.unlink(customConfigPath).catch(() => {});
+				await fs.promises.rmdir(customConfigDir).catch(() => {});
+			}
+		});
+
+		test('should validate DNS pre-check settings', async () => {
+			const customConfigDir = path.join(__dirname, '..', 'fixtures', 'custom-config');
+			const customConfigPath = path.join(customConfigDir, 'dns-config.json');
+			await fs.promises.mkdir(customConfigDir, { recursive: true });
+
+			try {
+				const { loadConfig } = require('../../lib/config/loader');
+
+				await fs.promises.writeFile(
+					customConfigPath,
+					JSON.stringify({ inputFile: 'a.txt', dnsServers: ['9.9.9.9'], dnsTimeout: 2 }),
+					'utf8'
+				);
+				const config = await loadConfig(customConfigPath);
+				expect(config.dnsCheck).toBe(true);
+				expect(config.dnsServers).toEqual(['9.9.9.9']);
+				expect(config.dnsTimeout).toBe(2000);
+
+				await fs.promises.writeFile(customConfigPath, JSON.stringify({ inputFile: 'a.txt', dnsServers: ['dns.google'] }), 'utf8');
+				await expect(loadConfig(customConfigPath)).rejects.toThrow('"dnsServers[0]" contains an invalid value');
+			} finally {
+				await fs.promises.unlink(customConfigPath).catch(() => {});
+				await fs.promises.rmdir(customConfigDir).catch(() => {});
+			}
+		});
+
+		test('should leave retry passes off unless asked for', async () => {
+			const customConfigDir = path.join(__dirname, '..', 'fixtures', 'custom-config');
+			const customConfigPath = path.join(customConfigDir, 'retry-config.json');
+			await fs.promises.mkdir(customConfigDir, { recursive: true });
+
+			try {
+				const { loadConfig } = require('../../lib/config/loader');
+
+				await fs.promises.writeFile(customConfigPath, JSON.stringify({ inputFile: 'a.txt' }), 'utf8');
+				expect((await loadConfig(customConfigPath)).retryFailedDomains).toBeUndefined();
+
+				await fs.promises.writeFile(
+					customConfigPath,
+					JSON.stringify({ inputFile: 'a.txt', retryFailedDomains: true, retryFailedDelay: 10 }),
+					'utf8'
+				);
+				const config = await loadConfig(customConfigPath);
+				expect(config.retryFailedDomains).toBe(true);
+				expect(config.retryFailedDelay).toBe(10000);
+			} finally {
+				await fs.promises.unlink(customConfigPath).catch(() => {});
+				await fs.promises.rmdir(customConfigDir).catch(() => {});
+			}
+		});
+
 		test('should throw error when custom config file does not exist', async () => {
 			const { loadConfig } = require('../../lib/config/loader');
 			const nonExistentPath = 'tests/fixtures/nonexistent/config.json';
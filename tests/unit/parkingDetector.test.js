@@ -0,0 +1,147 @@
+/**
+ * Unit tests for parked and for-sale domain detection
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+	PARKING_FINGERPRINTS_FILE,
+	parseParkingFingerprints,
+	loadParkingFingerprints,
+	detectParkedPage,
+	detectParkedDns,
+	formatParkingReason,
+} = require('../../lib/checkers/parkingDetector');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures');
+
+describe('Parking Detector', () => {
+	afterEach(() => {
+		loadParkingFingerprints(PARKING_FINGERPRINTS_FILE);
+	});
+
+	describe('parseParkingFingerprints', () => {
+		test('should compile the bundled fingerprints', () => {
+			const parsed = parseParkingFingerprints(fs.readFileSync(PARKING_FINGERPRINTS_FILE, 'utf8'));
+
+			expect(parsed.providers.map(provider => provider.name)).toContain('Sedo');
+			expect(parsed.forSale.every(pattern => pattern instanceof RegExp && pattern.flags === 'i')).toBe(true);
+		});
+
+		test('should reject files without providers', () => {
+			expect(() => parseParkingFingerprints('{"forSale": []}')).toThrow('providers array');
+		});
+	});
+
+	describe('detectParkedPage', () => {
+		test('should recognise parking service pages', () => {
+			const body = '<script>window.park = "eyJ1dWlkIjoi";</script>';
+
+			expect(detectParkedPage({ url: 'https://a.com', body, finalUrl: 'https://a.com/' })).toEqual({
+				provider: 'Bodis',
+				evidence: 'parking page',
+			});
+			expect(detectParkedPage({ url: 'https://a.com', body: '<img src="https://img.sedoparking.com/x.png">' })).toMatchObject({
+				provider: 'Sedo',
+			});
+		});
+
+		test('should recognise redirects to parking services and marketplaces', () => {
+			expect(detectParkedPage({ url: 'https://a.com', body: '', finalUrl: 'https://www.afternic.com/forsale/a.com' })).toEqual({
+				provider: 'GoDaddy',
+				evidence: 'redirect to afternic.com',
+			});
+		});
+
+		test('should recognise generic for-sale landers', () => {
+			expect(detectParkedPage({ url: 'https://a.com', body: '<h1>This domain is for sale!</h1>' })).toEqual({
+				provider: null,
+				evidence: 'for-sale page',
+			});
+			expect(detectParkedPage({ url: 'https://a.com', body: '<h1>The domain a.com may be for sale</h1>' })).not.toBeNull();
+		});
+
+		describe('live pages', () => {
+			const article = '<p>We moved our blog to a new host last spring and the switch went smoothly for everyone involved.</p>'.repeat(30);
+
+			test('should leave live sites that mention registrars or buying domains alone', () => {
+				const blog = [
+					'<html><head><title>How we picked a name | Acme Blog</title></head><body>',
+					`<article>${article}<p>Our old parking provider was <a href="https://www.bodis.com/">Bodis</a>.</p></article>`,
+					'</body></html>',
+				].join('');
+				const news = [
+					'<html><head><title>Domain investing in 2024 | Acme News</title></head><body>',
+					`<article>${article}<p>The owner had a banner saying "buy this domain", so we made an offer.</p></article>`,
+					'</body></html>',
+				].join('');
+				const shop = [
+					'<html><head><title>Acme Garden Supplies</title>',
+					'<script>window.park = { lots: 3 }; // store locator</script></head>',
+					`<body><main>${article}</main></body></html>`,
+				].join('');
+
+				expect(detectParkedPage({ url: 'https://blog.example', body: blog, finalUrl: 'https://blog.example/' })).toBeNull();
+				expect(detectParkedPage({ url: 'https://news.example', body: news, finalUrl: 'https://news.example/' })).toBeNull();
+				expect(detectParkedPage({ url: 'https://shop.example', body: shop, finalUrl: 'https://shop.example/' })).toBeNull();
+			});
+
+			test('should still recognise landers with a telling title or two fingerprints', () => {
+				const titled = `<html><head><title>Buy this domain - a.com</title></head><body>${article}</body></html>`;
+				const twoSignals = `<html><body>${article}<script>window.park = "x";</script><img src="//bodis.com/x.png"></body></html>`;
+
+				expect(detectParkedPage({ url: 'https://a.com', body: titled })).toEqual({ provider: null, evidence: 'for-sale page' });
+				expect(detectParkedPage({ url: 'https://a.com', body: twoSignals })).toEqual({ provider: 'Bodis', evidence: 'parking page' });
+			});
+		});
+
+		test('should leave normal pages and the services themselves alone', () => {
+			expect(detectParkedPage({ url: 'https://a.com', body: '<h1>Welcome</h1>', finalUrl: 'https://a.com/' })).toBeNull();
+			expect(detectParkedPage({ url: 'https://sedo.com', body: 'sedoparking.com', finalUrl: 'https://sedo.com/us/' })).toBeNull();
+		});
+	});
+
+	describe('detectParkedDns', () => {
+		test('should recognise parking nameservers and addresses', () => {
+			expect(detectParkedDns({ domain: 'a.com', addresses: ['192.0.2.1'], nameservers: ['NS1.BODIS.COM'] })).toEqual({
+				provider: 'Bodis',
+				evidence: 'nameserver NS1.BODIS.COM',
+			});
+			expect(detectParkedDns({ domain: 'a.com', addresses: ['185.53.178.10'], nameservers: [] })).toEqual({
+				provider: 'ParkingCrew',
+				evidence: 'address 185.53.178.10',
+			});
+			expect(detectParkedDns({ domain: 'a.com', addresses: ['192.0.2.1'], nameservers: ['ns1.example.net'] })).toBeNull();
+		});
+	});
+
+	describe('loadParkingFingerprints', () => {
+		test('should replace the bundled fingerprints with a custom file', async () => {
+			const testFile = path.join(fixturesDir, 'parking-fingerprints-test.json');
+			await fs.promises.writeFile(
+				testFile,
+				JSON.stringify({ providers: [{ name: 'Local', content: ['local parking'] }], forSale: [] }),
+				'utf8'
+			);
+
+			try {
+				loadParkingFingerprints(testFile);
+
+				expect(detectParkedPage({ url: 'https://a.com', body: 'Local Parking lander' })).toEqual({
+					provider: 'Local',
+					evidence: 'parking page',
+				});
+				expect(detectParkedPage({ url: 'https://a.com', body: 'This domain is for sale' })).toBeNull();
+			} finally {
+				await fs.promises.unlink(testFile);
+			}
+		});
+	});
+
+	describe('formatParkingReason', () => {
+		test('should name the provider when known', () => {
+			expect(formatParkingReason({ provider: 'Sedo', evidence: 'parking page' })).toBe('Sedo parking page');
+			expect(formatParkingReason({ provider: null, evidence: 'for-sale page' })).toBe('for-sale page');
+		});
+	});
+});
@@ -0,0 +1,196 @@
+/**
+ * Unit tests for the parse report
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseDomainSourcesFromFile } = require('../../lib/parsers/fileReader');
+const { getRuleTypeLabel, getSkipReason, createParseReport, addParseLine, formatParseReport } = require('../../lib/parsers/parseReport');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Line info
+ * @param {*} rule - Parameter rule
+ * @param {*} overrides - Parameter overrides
+ * @returns {*} onLine info for an adblock line without domains
+ */
+
+const lineInfo = (rule, overrides = {}) => ({
+	file: 'list.txt',
+	format: 'adblock',
+	line: 1,
+	rule,
+	entries: [],
+	rejections: [],
+	directive: null,
+	...overrides,
+});
+
+describe('Parse Report', () => {
+	describe('getRuleTypeLabel', () => {
+		test('should label rule types with their syntax', () => {
+			expect(getRuleTypeLabel({ ruleType: 'network' }, '||a.com^')).toBe('network (||)');
+			expect(getRuleTypeLabel({ ruleType: 'domain-option', option: 'denyallow' }, '*$denyallow=a.com')).toBe('option (denyallow=)');
+			expect(getRuleTypeLabel({ ruleType: 'cosmetic' }, 'a.com##.ad')).toBe('cosmetic (##)');
+			expect(getRuleTypeLabel({ ruleType: 'scriptlet' }, 'a.com##+js(x)')).toBe('scriptlet (##+js)');
+			expect(getRuleTypeLabel({ ruleType: 'domain' }, 'a.com')).toBe('plain domain');
+			expect(getRuleTypeLabel({ ruleType: 'hosts' }, '0.0.0.0 a.com')).toBe('hosts');
+			expect(getRuleTypeLabel({ ruleType: 'html' }, 'a.com$$script[tag-content="x"]')).toBe('html filter ($$)');
+			expect(getRuleTypeLabel({ ruleType: 'html' }, 'a.com##^script:has-text(x)')).toBe('html filter (##^)');
+			expect(getRuleTypeLabel({ ruleType: 'response-header' }, 'a.com##^responseheader(x)')).toBe('response header (##^responseheader)');
+		});
+
+		test('should tell AdGuard rule separators apart', () => {
+			expect(getRuleTypeLabel({ ruleType: 'adguard' }, 'a.com#$#body {}')).toBe('adguard (#$#)');
+			expect(getRuleTypeLabel({ ruleType: 'adguard' }, 'a.com#%#window.x=1')).toBe('adguard (#%#)');
+			expect(getRuleTypeLabel({ ruleType: 'adguard' }, 'a.com#?#div:has(a)')).toBe('adguard (#?#)');
+			expect(getRuleTypeLabel({ ruleType: 'adguard' }, 'a.com#@$?#div')).toBe('adguard (#$?#)');
+		});
+	});
+
+	describe('getSkipReason', () => {
+		test('should recognise comments, headers and directives', () => {
+			expect(getSkipReason(lineInfo('! Title: list'))).toBe('comment');
+			expect(getSkipReason(lineInfo('[Adblock Plus 2.0]'))).toBe('comment');
+			expect(getSkipReason(lineInfo('# hosts comment', { format: 'hosts' }))).toBe('comment');
+			expect(getSkipReason(lineInfo('!#include sub.txt', { directive: 'include' }))).toBe('directive');
+			expect(getSkipReason(lineInfo(''))).toBe('blank');
+		});
+
+		test('should report why the domains of a rule were skipped', () => {
+			expect(getSkipReason(lineInfo('||*.cdn^', { rejections: [{ domain: '*.cdn', reason: 'wildcard' }] }))).toBe('wildcard');
+			expect(getSkipReason(lineInfo('@@||ok.com^'))).toBe('exception');
+		});
+
+		test('should tell generic rules from unparseable lines', () => {
+			expect(getSkipReason(lineInfo('##.ad'))).toBe('generic');
+			expect(getSkipReason(lineInfo('/banner/*'))).toBe('generic');
+			expect(getSkipReason(lineInfo('[$path=/page]##.ad'))).toBe('generic');
+			expect(getSkipReason(lineInfo('$$script[tag-content="ads"]'))).toBe('generic');
+			expect(getSkipReason(lineInfo('not a host', { format: 'hosts' }))).toBe('unparseable');
+		});
+	});
+
+	describe('addParseLine', () => {
+		test('should count lines by the type of their first domain and domains by type', () => {
+			const report = createParseReport();
+			addParseLine(
+				report,
+				lineInfo('||a.com^$domain=b.com|c.com', {
+					entries: [
+						{ domain: 'a.com', ruleType: 'network' },
+						{ domain: 'b.com', ruleType: 'domain-option', option: 'domain' },
+						{ domain: 'c.com', ruleType: 'domain-option', option: 'domain' },
+					],
+				})
+			);
+
+			expect(report.parsedLines).toBe(1);
+			expect(report.ruleTypes.get('network (||)')).toEqual({ lines: 1, domains: 1 });
+			expect(report.ruleTypes.get('option (domain=)')).toEqual({ lines: 0, domains: 2 });
+		});
+
+		test('should keep skipped rules but not comments for the unparsed dump', () => {
+			const report = createParseReport();
+			addParseLine(report, lineInfo('! comment'));
+			addParseLine(report, lineInfo('', { line: 2 }));
+			addParseLine(report, lineInfo('##.ad', { line: 3 }));
+
+			expect(report.totalLines).toBe(3);
+			expect(report.blankLines).toBe(1);
+			expect(Object.fromEntries(report.skippedLines)).toEqual({ comment: 1, generic: 1 });
+			expect(report.unparsed).toEqual([{ file: 'list.txt', line: 3, rule: '##.ad', reason: 'generic' }]);
+		});
+
+		test('should count skipped domains on lines that produced others', () => {
+			const report = createParseReport();
+			addParseLine(
+				report,
+				lineInfo('a.com,*.b.com##.ad', {
+					entries: [{ domain: 'a.com', ruleType: 'cosmetic' }],
+					rejections: [{ domain: '*.b.com', reason: 'wildcard' }],
+				})
+			);
+
+			expect(report.skippedLines.size).toBe(0);
+			expect(report.skippedDomains.get('wildcard')).toBe(1);
+		});
+	});
+
+	describe('formatParseReport', () => {
+		test('should summarise rule types and skip reasons', () => {
+			const report = createParseReport();
+			addParseLine(report, lineInfo('a.com##.ad', { entries: [{ domain: 'a.com', ruleType: 'cosmetic' }] }));
+			addParseLine(report, lineInfo('||1.2.3.4^', { rejections: [{ domain: '1.2.3.4', reason: 'ip' }] }));
+			report.domainCount = 1;
+
+			const output = formatParseReport(report).join('\n');
+
+			expect(output).toContain('Lines: 2 (1 with domains, 1 skipped, 0 blank)');
+			expect(output).toContain('Unique domains: 1');
+			expect(output).toMatch(/cosmetic \(##\)\s+1 lines\s+1 domains/);
+			expect(output).toMatch(/Skipped lines:\n {2}IP address\s+1/);
+		});
+	});
+
+	describe('dialects', () => {
+		test('should count rules specific to AdGuard or uBlock Origin', () => {
+			const report = createParseReport();
+			addParseLine(report, lineInfo('a.com##+js(aopr, x)', { entries: [{ domain: 'a.com', ruleType: 'scriptlet' }] }));
+			addParseLine(report, lineInfo('b.com##^responseheader(x)', { entries: [{ domain: 'b.com', ruleType: 'response-header' }] }));
+			addParseLine(report, lineInfo('c.com$$script', { entries: [{ domain: 'c.com', ruleType: 'html' }] }));
+			addParseLine(report, lineInfo('d.com##.ad', { entries: [{ domain: 'd.com', ruleType: 'cosmetic' }] }));
+
+			expect(Object.fromEntries(report.dialects)).toEqual({ ubo: 2, adguard: 1 });
+			expect(formatParseReport(report)).toContain('Syntax: uBlock Origin (2 rules), AdGuard (1 rules)');
+		});
+	});
+
+	describe('with parseDomainSourcesFromFile', () => {
+		test('should classify every line of a list', async () => {
+			const testFile = path.join(fixturesDir, 'parse-report-test.txt');
+			await fs.promises.writeFile(
+				testFile,
+				[
+					'! Title: test',
+					'example.com##.ad',
+					'site.com##+js(aopr, x)',
+					'ag.com#$#body { padding: 0 }',
+					'||1.2.3.4^',
+					'||*.wild^',
+					'foo.onion##.x',
+					'x.y##.z',
+					'example.*##.entity',
+					'!#if env_firefox',
+					'ff.com##.x',
+					'!#endif',
+					'',
+				].join('\n'),
+				'utf8'
+			);
+
+			try {
+				const report = createParseReport();
+				await parseDomainSourcesFromFile(testFile, { onLine: info => addParseLine(report, info) });
+
+				expect(report.totalLines).toBe(13);
+				expect(report.parsedLines).toBe(4);
+				expect(Object.fromEntries(report.skippedLines)).toEqual({
+					comment: 1,
+					directive: 2,
+					entity: 1,
+					ip: 1,
+					onion: 1,
+					'too-short': 1,
+					wildcard: 1,
+				});
+				// A domain tried by several rule branches is only counted once
+				expect(report.skippedDomains.get('onion')).toBe(1);
+				expect(report.unparsed.map(item => item.line)).toEqual([5, 6, 7, 8, 9]);
+			} finally {
+				await fs.promises.unlink(testFile);
+			}
+		});
+	});
+});
@@ -0,0 +1,58 @@
+/**
+ * Unit tests for Public Suffix List lookups
+ */
+
+const { parsePublicSuffixList, getPublicSuffix, getRegistrableDomain } = require('../../lib/utils/publicSuffix');
+
+describe('Public Suffix List', () => {
+	describe('parsePublicSuffixList', () => {
+		test('should parse normal, wildcard and exception rules', () => {
+			const rules = parsePublicSuffixList(`// comment
+com
+*.ck
+!www.ck
+
+// ===BEGIN PRIVATE DOMAINS===
+github.io
+公司.cn
+// ===END PRIVATE DOMAINS===`);
+
+			expect(rules.suffixes.has('com')).toBe(true);
+			expect(rules.suffixes.has('github.io')).toBe(true);
+			expect(rules.wildcards.has('ck')).toBe(true);
+			expect(rules.exceptions.has('www.ck')).toBe(true);
+			expect(rules.suffixes.has('xn--55qx5d.cn')).toBe(true); // stored as punycode
+		});
+	});
+
+	describe('getPublicSuffix', () => {
+		test('should return the longest matching suffix', () => {
+			expect(getPublicSuffix('example.com')).toBe('com');
+			expect(getPublicSuffix('shop.example.co.uk')).toBe('co.uk');
+			expect(getPublicSuffix('user.github.io')).toBe('github.io');
+		});
+
+		test('should apply wildcard and exception rules', () => {
+			expect(getPublicSuffix('a.b.ck')).toBe('b.ck');
+			expect(getPublicSuffix('www.ck')).toBe('ck');
+		});
+
+		test('should fall back to the last label for unknown TLDs', () => {
+			expect(getPublicSuffix('example.unknowntld')).toBe('unknowntld');
+		});
+	});
+
+	describe('getRegistrableDomain', () => {
+		test('should return suffix plus one label', () => {
+			expect(getRegistrableDomain('a.b.example.com')).toBe('example.com');
+			expect(getRegistrableDomain('shop.example.co.uk')).toBe('example.co.uk');
+			expect(getRegistrableDomain('cdn.user.blogspot.com')).toBe('user.blogspot.com');
+			expect(getRegistrableDomain('Sub.Example.COM.')).toBe('example.com');
+		});
+
+		test('should return null for public suffixes', () => {
+			expect(getRegistrableDomain('co.uk')).toBe(null);
+			expect(getRegistrableDomain('github.io')).toBe(null);
+		});
+	});
+});
@@ -0,0 +1,210 @@
+/**
+ * Unit tests for redirect chain recording
+ */
+
+const {
+	parseMetaRefresh,
+	detectClientRedirect,
+	isPermanentRedirect,
+	formatRedirectHop,
+	formatRedirectChain,
+} = require('../../lib/checkers/redirectChain');
+const { checkDomain } = require('../../lib/checkers/domainChecker');
+const { Throttle } = require('../../lib/utils/throttle');
+const { formatDomainCheckTree } = require('../../lib/utils/treeFormatter');
+
+describe('Redirect Chain', () => {
+	describe('parseMetaRefresh', () => {
+		test('should read the delay and resolve the target', () => {
+			expect(parseMetaRefresh('<meta http-equiv="refresh" content="0; url=/next?a=1&amp;b=2">', 'https://a.test/page')).toEqual({
+				delay: 0,
+				url: 'https://a.test/next?a=1&b=2',
+			});
+			expect(parseMetaRefresh('<META CONTENT="3;URL=\'https://b.test/\'" HTTP-EQUIV=Refresh>', 'https://a.test/')).toEqual({
+				delay: 3,
+				url: 'https://b.test/',
+			});
+		});
+
+		test('should ignore reloads and other meta tags', () => {
+			expect(parseMetaRefresh('<meta http-equiv="refresh" content="30">', 'https://a.test/')).toBeNull();
+			expect(parseMetaRefresh('<meta name="refresh" content="0; url=/x">', 'https://a.test/')).toBeNull();
+			expect(parseMetaRefresh('', 'https://a.test/')).toBeNull();
+		});
+	});
+
+	describe('detectClientRedirect', () => {
+		test('should tell meta refresh from JavaScript redirects', () => {
+			expect(detectClientRedirect('<meta http-equiv="refresh" content="2;url=https://b.test/">', 'https://a.test/')).toEqual({
+				type: 'meta',
+				url: 'https://b.test/',
+				delay: 2000,
+			});
+			expect(detectClientRedirect('<script>location.replace("https://b.test/")</script>', 'https://a.test/')).toEqual({
+				type: 'javascript',
+				url: null,
+				delay: 0,
+			});
+		});
+
+		test('should leave slow refreshes, comparisons and full pages alone', () => {
+			expect(detectClientRedirect('<meta http-equiv="refresh" content="60;url=https://b.test/">', 'https://a.test/')).toBeNull();
+			expect(detectClientRedirect('<script>if (location.href == "x") {}</script>', 'https://a.test/')).toBeNull();
+			expect(detectClientRedirect(`<script>location.href = "/x"</script>${'<p></p>'.repeat(2000)}`, 'https://a.test/')).toBeNull();
+		});
+	});
+
+	describe('formatting', () => {
+		const chain = [
+			{ from: 'http://a.test/', to: 'https://a.test/', type: 'http', statusCode: 301 },
+			{ from: 'https://a.test/', to: 'https://b.test/', type: 'http', statusCode: 308 },
+		];
+
+		test('should only call all-301/308 chains permanent', () => {
+			expect(isPermanentRedirect(chain)).toBe(true);
+			expect(isPermanentRedirect([...chain, { from: 'https://b.test/', to: 'https://c.test/', type: 'javascript', statusCode: 200 }])).toBe(
+				false
+			);
+			expect(isPermanentRedirect([{ ...chain[0], statusCode: 302 }])).toBe(false);
+			expect(isPermanentRedirect([])).toBe(false);
+		});
+
+		test('should say how each hop happened', () => {
+			expect(formatRedirectHop({ to: 'https://c.test/', type: 'meta', statusCode: 200 })).toBe('meta refresh https://c.test/');
+			expect(formatRedirectChain(chain)).toBe('301 https://a.test/ → 308 https://b.test/');
+			expect(formatRedirectChain(undefined)).toBe('');
+		});
+
+		test('should list the hops under the attempt in the tree', () => {
+			const tree = formatDomainCheckTree(
+				'a.test',
+				[{ url: 'http://a.test', tried: true, success: true, statusCode: 200, redirect: 'b.test', redirectChain: chain }],
+				{ type: 'redirect', data: { finalDomain: 'b.test' } }
+			);
+
+			expect(tree.split('\n')).toEqual([
+				'├── http://a.test',
+				'│   └── ↪️ http://a.test ➜ b.test',
+				'│       ↳ 301 https://a.test/',
+				'│       ↳ 308 https://b.test/',
+				'└── ↪️  redirect to b.test (saved to log)',
+				'│',
+			]);
+		});
+	});
+
+	describe('checkDomain', () => {
+		/**
+		 * Response
+		 * @param {*} url - Final URL of the navigation
+		 * @param {*} statusCode - Parameter statusCode
+		 * @param {*} hops - [url, statusCode] of each HTTP redirect before it
+		 * @returns {*} Stand-in puppeteer response
+		 */
+
+		const response = (url, statusCode, hops = []) => ({
+			url: () => url,
+			status: () => statusCode,
+			headers: () => ({}),
+			request: () => ({
+				redirectChain: () => hops.map(([hopUrl, hopStatus]) => ({ url: () => hopUrl, response: () => ({ status: () => hopStatus }) })),
+			}),
+		});
+
+		/**
+		 * Page pool
+		 * @param {*} pages - { url: { response, body, next } }: what goto lands on, its HTML and the navigation the HTML starts
+		 * @returns {*} Stand-in page pool
+		 */
+
+		const pagePool = pages => ({
+			acquire: async () => {
+				let current = null;
+				return {
+					setUserAgent: async () => {},
+					on: () => {},
+					goto: async url => {
+						current = pages[url];
+						return current.response;
+					},
+					waitForNavigation: async () => {
+						current = pages[current.next];
+						return current.response;
+					},
+					url: () => current.response.url(),
+					cookies: async () => [],
+					content: async () => current.body,
+				};
+			},
+			release: async () => {},
+		});
+
+		/**
+		 * Check
+		 * @param {*} pages - Parameter pages (see pagePool)
+		 * @returns {Promise<*>} checkDomain result for old.com
+		 */
+
+		const check = pages =>
+			checkDomain(
+				null,
+				{ original: 'old.com', variants: ['old.com'] },
+				0,
+				1,
+				false,
+				5000,
+				5000,
+				false,
+				null,
+				pagePool(pages),
+				null,
+				'browser',
+				undefined,
+				new Throttle({ backoff: 0, maxRequeues: 0 })
+			);
+
+		beforeEach(() => {
+			jest.spyOn(console, 'log').mockImplementation(() => {});
+		});
+
+		afterEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		test('should record HTTP, meta refresh and JavaScript hops in the redirect result', async () => {
+			const result = await check({
+				'https://old.com': {
+					response: response('https://track.net/out', 200, [['https://old.com', 302]]),
+					body: '<meta http-equiv="refresh" content="0;url=https://go.org/">',
+					next: 'https://go.org/',
+				},
+				'https://go.org/': {
+					response: response('https://new.com/', 200, [['https://go.org/', 301]]),
+					body: '<script>location.replace("https://new.com/home")</script>',
+					next: 'https://new.com/home',
+				},
+				'https://new.com/home': { response: response('https://new.com/home', 200), body: '<html></html>' },
+			});
+
+			expect(result.type).toBe('redirect');
+			expect(result.data).toMatchObject({ finalDomain: 'new.com', finalUrl: 'https://new.com/home', permanent: false });
+			expect(result.data.redirectChain).toEqual([
+				{ from: 'https://old.com', to: 'https://track.net/out', type: 'http', statusCode: 302 },
+				{ from: 'https://track.net/out', to: 'https://go.org/', type: 'meta', statusCode: 200 },
+				{ from: 'https://go.org/', to: 'https://new.com/', type: 'http', statusCode: 301 },
+				{ from: 'https://new.com/', to: 'https://new.com/home', type: 'javascript', statusCode: 200 },
+			]);
+		});
+
+		test('should call a chain of 301s a permanent move', async () => {
+			const result = await check({
+				'https://old.com': { response: response('https://new.com/', 200, [['https://old.com', 301]]), body: '<html></html>' },
+			});
+
+			expect(result.data).toMatchObject({
+				permanent: true,
+				redirectChain: [{ from: 'https://old.com', to: 'https://new.com/', type: 'http', statusCode: 301 }],
+			});
+		});
+	});
+});
@@ -0,0 +1,203 @@
+/**
+ * Unit tests for remote list downloads and caching
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { fetchRemoteList, parseExpires, getCachePaths } = require('../../lib/parsers/remoteList');
+
+const cacheDir = path.join(__dirname, '..', 'fixtures', 'remote-list-cache');
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Remote Lists', () => {
+	describe('parseExpires', () => {
+		test('should parse days and hours', () => {
+			expect(parseExpires('4 days (update frequency)')).toBe(4 * DAY);
+			expect(parseExpires('1 day')).toBe(DAY);
+			expect(parseExpires('12 hours')).toBe(12 * 60 * 60 * 1000);
+			expect(parseExpires('2h')).toBe(2 * 60 * 60 * 1000);
+		});
+
+		test('should default to days and reject garbage', () => {
+			expect(parseExpires('5')).toBe(5 * DAY);
+			expect(parseExpires('soon')).toBeNull();
+			expect(parseExpires('0 days')).toBeNull();
+		});
+	});
+
+	describe('getCachePaths', () => {
+		test('should keep the list name readable and the paths unique per URL', () => {
+			const first = getCachePaths('https://example.com/lists/easylist.txt', cacheDir);
+			const second = getCachePaths('https://example.org/lists/easylist.txt', cacheDir);
+
+			expect(path.basename(first.file)).toMatch(/^[0-9a-f]{16}-easylist\.txt$/);
+			expect(first.meta).toBe(`${first.file}.meta.json`);
+			expect(first.file).not.toBe(second.file);
+		});
+	});
+
+	describe('fetchRemoteList', () => {
+		let server;
+		let baseUrl;
+		let requests;
+		let respond;
+
+		beforeAll(async () => {
+			server = http.createServer((req, res) => {
+				requests.push({ url: req.url, headers: req.headers });
+				respond(req, res);
+			});
+			await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(null)));
+			baseUrl = `http://127.0.0.1:${server.address().port}`;
+		});
+
+		afterAll(async () => {
+			await new Promise(resolve => server.close(() => resolve(null)));
+		});
+
+		beforeEach(() => {
+			requests = [];
+		});
+
+		afterEach(async () => {
+			await fs.promises.rm(cacheDir, { recursive: true, force: true });
+		});
+
+		/**
+		 * Serve list
+		 * @param {*} body - List content
+		 * @param {*} headers - Extra response headers
+		 * @returns {*} Handler answering conditional requests with 304
+		 */
+
+		const serveList =
+			(body, headers = {}) =>
+			(req, res) => {
+				if (headers.ETag && req.headers['if-none-match'] === headers.ETag) {
+					res.writeHead(304, headers);
+					res.end();
+					return;
+				}
+				res.writeHead(200, { 'Content-Type': 'text/plain', ...headers });
+				res.end(body);
+			};
+
+		test('should download a list into the cache', async () => {
+			respond = serveList('example.com##.ad\n', { ETag: '"v1"', 'Last-Modified': 'Mon, 05 Oct 2026 10:00:00 GMT' });
+
+			const result = await fetchRemoteList(`${baseUrl}/list.txt`, { cacheDir });
+
+			expect(result.status).toBe('downloaded');
+			expect(await fs.promises.readFile(result.file, 'utf8')).toBe('example.com##.ad\n');
+
+			const meta = JSON.parse(await fs.promises.readFile(`${result.file}.meta.json`, 'utf8'));
+			expect(meta.etag).toBe('"v1"');
+			expect(meta.lastModified).toBe('Mon, 05 Oct 2026 10:00:00 GMT');
+		});
+
+		test('should revalidate with ETag and Last-Modified', async () => {
+			respond = serveList('example.com##.ad\n', { ETag: '"v1"', 'Last-Modified': 'Mon, 05 Oct 2026 10:00:00 GMT' });
+
+			await fetchRemoteList(`${baseUrl}/list.txt`, { cacheDir });
+			const result = await fetchRemoteList(`${baseUrl}/list.txt`, { cacheDir });
+
+			expect(result.status).toBe('not-modified');
+			expect(requests[1].headers['if-none-match']).toBe('"v1"');
+			expect(requests[1].headers['if-modified-since']).toBe('Mon, 05 Oct 2026 10:00:00 GMT');
+			expect(await fs.promises.readFile(result.file, 'utf8')).toBe('example.com##.ad\n');
+		});
+
+		test('should not contact the server before the list expires', async () => {
+			respond = serveList('! Expires: 4 days (update frequency)\nexample.com##.ad\n', { ETag: '"v1"' });
+			const now = Date.now();
+
+			await fetchRemoteList(`${baseUrl}/list.txt`, { cacheDir, now });
+			const fresh = await fetchRemoteList(`${baseUrl}/list.txt`, { cacheDir, now: now + 3 * DAY });
+			const stale = await fetchRemoteList(`${baseUrl}/list.txt`, { cacheDir, now: now + 5 * DAY });
+
+			expect(fresh.status).toBe('cached');
+			expect(fresh.expiresAt).toBe(now + 4 * DAY);
+			expect(stale.status).toBe('not-modified');
+			expect(requests).toHaveLength(2);
+		});
+
+		test('should follow redirects', async () => {
+			respond = (req, res) => {
+				if (req.url === '/old.txt') {
+					res.writeHead(301, { Location: '/new.txt' });
+					res.end();
+					return;
+				}
+				res.writeHead(200);
+				res.end('moved.com##.ad\n');
+			};
+
+			const result = await fetchRemoteList(`${baseUrl}/old.txt`, { cacheDir });
+
+			expect(await fs.promises.readFile(result.file, 'utf8')).toBe('moved.com##.ad\n');
+			expect(requests.map(request => request.url)).toEqual(['/old.txt', '/new.txt']);
+		});
+
+		test('should fall back to the cached copy when the server fails', async () => {
+			respond = serveList('example.com##.ad\n');
+			await fetchRemoteList(`${baseUrl}/list.txt`, { cacheDir });
+
+			respond = (req, res) => {
+				res.writeHead(503);
+				res.end();
+			};
+			const result = await fetchRemoteList(`${baseUrl}/list.txt`, { cacheDir });
+
+			expect(result.status).toBe('offline');
+			expect(result.error).toBe('HTTP 503');
+			expect(await fs.promises.readFile(result.file, 'utf8')).toBe('example.com##.ad\n');
+		});
+
+		test('should fall back to the cached copy when offline', async () => {
+			respond = serveList('example.com##.ad\n');
+			const url = `${baseUrl}/list.txt`;
+			await fetchRemoteList(url, { cacheDir });
+
+			// Nothing listens on port 1 - the connection is refused
+			const paths = getCachePaths(url, cacheDir);
+			const offlineUrl = 'http://127.0.0.1:1/list.txt';
+			const offlinePaths = getCachePaths(offlineUrl, cacheDir);
+			await fs.promises.copyFile(paths.file, offlinePaths.file);
+			await fs.promises.copyFile(paths.meta, offlinePaths.meta);
+
+			const result = await fetchRemoteList(offlineUrl, { cacheDir });
+
+			expect(result.status).toBe('offline');
+			expect(result.error).toMatch(/ECONNREFUSED/);
+		});
+
+		test('should fail without a cached copy', async () => {
+			respond = (req, res) => {
+				res.writeHead(404);
+				res.end();
+			};
+
+			await expect(fetchRemoteList(`${baseUrl}/missing.txt`, { cacheDir })).rejects.toThrow(
+				`Failed to download ${baseUrl}/missing.txt: HTTP 404`
+			);
+		});
+
+		test('should enforce the size limit without replacing the cached copy', async () => {
+			respond = serveList('example.com##.ad\n');
+			const first = await fetchRemoteList(`${baseUrl}/list.txt`, { cacheDir });
+
+			respond = serveList('example.com##.ad\n'.repeat(100));
+			const result = await fetchRemoteList(`${baseUrl}/list.txt`, { cacheDir, maxFileSize: 100 });
+
+			expect(result.status).toBe('offline');
+			expect(result.error).toMatch(/File too large/);
+			expect(await fs.promises.readFile(first.file, 'utf8')).toBe('example.com##.ad\n');
+			expect((await fs.promises.readdir(cacheDir)).filter(name => name.endsWith('.tmp'))).toEqual([]);
+		});
+
+		test('should reject non-http URLs', async () => {
+			await expect(fetchRemoteList('ftp://example.com/list.txt', { cacheDir })).rejects.toThrow('Only http and https URLs are supported');
+		});
+	});
+});
@@ -4,7 +4,17 @@
 
 const fs = require('fs');
 const path = require('path');
-const { writeDeadDomains, writeRedirectDomains, writeInconclusiveDomains } = require('../../lib/writers/reportWriter');
+const {
+	writeDeadDomains,
+	writeRedirectDomains,
+	writeInconclusiveDomains,
+	writeInvalidDomains,
+	writeLintFindings,
+	writeEntityDomains,
+	summarizeEntities,
+	splitResultsByList,
+	writeUnparsedLines,
+} = require('../../lib/writers/reportWriter');
 
 // Create a temporary test directory
 const testOutputDir = path.join(__dirname, '..', 'fixtures', 'test-output');
@@ -256,4 +266,160 @@ describe('Report Writer', () => {
 			expect(content).toContain('Total found: 0');
 		});
 	});
+
+	describe('writeLintFindings', () => {
+		test('should write lint findings in JSON format', async () => {
+			const filePath = path.join(testOutputDir, 'lint_test.json');
+			const finding = { domain: 'a.com', kind: 'duplicate', reason: 'duplicate of list.txt:1' };
+			const filesWritten = await writeLintFindings([finding], { format: 'json', filePath, includeTimestamp: false });
+
+			expect(filesWritten).toEqual([filePath]);
+			const output = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+			expect(output.type).toBe('lint');
+			expect(output.domains).toEqual([finding]);
+		});
+	});
+
+	describe('writeInvalidDomains', () => {
+		test('should write invalid domains in JSON format', async () => {
+			const filePath = path.join(testOutputDir, 'invalid_test.json');
+			const filesWritten = await writeInvalidDomains([{ domain: 'example.con', issue: 'tld', reason: "unknown TLD '.con'" }], {
+				format: 'json',
+				filePath,
+				includeTimestamp: false,
+			});
+
+			expect(filesWritten).toEqual([filePath]);
+			const output = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+			expect(output.type).toBe('invalid');
+			expect(output.domains).toEqual([{ domain: 'example.con', issue: 'tld', reason: "unknown TLD '.con'" }]);
+		});
+	});
+
+	describe('summarizeEntities', () => {
+		const source = { file: 'list.txt', line: 3, rule: 'google.*##.ad', ruleType: 'cosmetic', entity: 'google.*' };
+		const domainSources = new Map([
+			['google.com', [source]],
+			['google.de', [source]],
+			['google.fr', [source]],
+			['other.com', [{ file: 'list.txt', line: 4, rule: 'other.com##.ad', ruleType: 'cosmetic' }]],
+		]);
+		const results = [
+			{ type: 'dead', data: { domain: 'google.de', reason: 'ERR_NAME_NOT_RESOLVED' } },
+			{ type: 'redirect', data: { domain: 'google.fr', finalDomain: 'google.com' } },
+			{ type: 'dead', data: { domain: 'other.com', reason: 'HTTP 404' } },
+		];
+
+		test('should group checked instances by entity', () => {
+			const entities = summarizeEntities(domainSources, results, ['google.com', 'google.de', 'google.fr', 'other.com']);
+
+			expect(entities).toEqual([
+				{
+					domain: 'google.*',
+					instances: [
+						{ domain: 'google.com', status: 'alive' },
+						{ domain: 'google.de', status: 'dead', reason: 'ERR_NAME_NOT_RESOLVED' },
+						{ domain: 'google.fr', status: 'redirect', finalDomain: 'google.com' },
+					],
+					sources: [source],
+				},
+			]);
+		});
+
+		test('should skip instances that were not checked', () => {
+			const entities = summarizeEntities(domainSources, results, ['google.de']);
+
+			expect(entities[0].instances).toEqual([{ domain: 'google.de', status: 'dead', reason: 'ERR_NAME_NOT_RESOLVED' }]);
+			expect(summarizeEntities(domainSources, results, ['other.com'])).toEqual([]);
+		});
+	});
+
+	describe('splitResultsByList', () => {
+		const first = { file: 'first.txt', line: 1, rule: 'shared.com##.ad', ruleType: 'cosmetic' };
+		const second = { file: 'second.txt', line: 2, rule: '||shared.com^', ruleType: 'network' };
+		const included = { file: 'sub/extra.txt', line: 1, rule: 'extra.com##.ad', ruleType: 'cosmetic', list: 'second.txt' };
+		const domainSources = new Map([
+			['extra.com', [included]],
+			['shared.com', [first, second]],
+		]);
+		const results = [
+			{ type: 'dead', data: { domain: 'extra.com', reason: 'HTTP 404', sources: [included] } },
+			{ type: 'dead', data: { domain: 'shared.com', reason: 'HTTP 410', sources: [first, second] } },
+		];
+
+		test('should narrow results to the sources of each list', () => {
+			const split = splitResultsByList(domainSources, results, ['extra.com', 'shared.com'], ['first.txt', 'second.txt']);
+
+			expect(split.get('first.txt').domains).toEqual(['shared.com']);
+			expect(split.get('first.txt').results).toEqual([
+				{ type: 'dead', data: { domain: 'shared.com', reason: 'HTTP 410', sources: [first] } },
+			]);
+			expect(split.get('second.txt').domains).toEqual(['extra.com', 'shared.com']);
+			expect(split.get('second.txt').results.map(result => result.data.sources)).toEqual([[included], [second]]);
+		});
+
+		test('should leave the original results untouched', () => {
+			splitResultsByList(domainSources, results, ['shared.com'], ['first.txt']);
+
+			expect(results[1].data.sources).toEqual([first, second]);
+		});
+	});
+
+	describe('writeUnparsedLines', () => {
+		test('should list skipped rules with their location and reason', async () => {
+			const report = {
+				unparsed: [
+					{ file: 'list.txt', line: 4, rule: '||1.2.3.4^', reason: 'ip' },
+					{ file: 'list.txt', line: 9, rule: '##.ad', reason: 'generic' },
+				],
+			};
+			const filePath = path.join(testOutputDir, 'unparsed_test.txt');
+			await writeUnparsedLines(report, { filePath, includeTimestamp: false });
+
+			const content = await fs.promises.readFile(filePath, 'utf8');
+			expect(content).toContain('# Total found: 2');
+			expect(content).toContain('# - ip: IP address');
+			expect(content).toContain('list.txt:4 [ip] ||1.2.3.4^');
+			expect(content).toContain('list.txt:9 [generic] ##.ad');
+			expect(content).not.toContain('Generated:');
+		});
+	});
+
+	describe('writeEntityDomains', () => {
+		const entities = [
+			{
+				domain: 'google.*',
+				instances: [
+					{ domain: 'google.com', status: 'alive' },
+					{ domain: 'google.de', status: 'dead', reason: 'ERR_NAME_NOT_RESOLVED' },
+					{ domain: 'google.fr', status: 'redirect', finalDomain: 'google.com' },
+				],
+				sources: [{ file: 'list.txt', line: 3, rule: 'google.*##.ad', ruleType: 'cosmetic', entity: 'google.*' }],
+			},
+		];
+
+		test('should write per-entity instance status in text format', async () => {
+			const filePath = path.join(testOutputDir, 'entity_test.txt');
+			await writeEntityDomains(entities, { format: 'text', filePath, includeTimestamp: false });
+
+			const content = await fs.promises.readFile(filePath, 'utf8');
+			expect(content).toContain('Total entities: 1');
+			expect(content).toContain('google.* # 1 alive, 1 dead, 1 redirect');
+			expect(content).toContain('#   alive: google.com');
+			expect(content).toContain('#   dead: google.de (ERR_NAME_NOT_RESOLVED)');
+			expect(content).toContain('#   redirect: google.fr → google.com');
+			expect(content).toContain('#   list.txt:3 [cosmetic] google.*##.ad');
+		});
+
+		test('should write one CSV row per instance', async () => {
+			const filePath = path.join(testOutputDir, 'entity_test.csv');
+			await writeEntityDomains(entities, { format: 'csv', filePath });
+
+			const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n');
+			expect(lines[0]).toBe('entity,domain,status,final_domain,reason,sources');
+			expect(lines[1]).toBe('google.*,google.com,alive,,,list.txt:3');
+			expect(lines[2]).toBe('google.*,google.de,dead,,ERR_NAME_NOT_RESOLVED,list.txt:3');
+			expect(lines[3]).toBe('google.*,google.fr,redirect,google.com,,list.txt:3');
+		});
+	});
 });
@@ -0,0 +1,213 @@
+/**
+ * Unit tests for the HTTP status policy
+ */
+
+const { parseStatusRule, createStatusPolicy, classifyStatus, applyStatusPolicy } = require('../../lib/checkers/statusPolicy');
+const { checkDomain } = require('../../lib/checkers/domainChecker');
+const { Throttle } = require('../../lib/utils/throttle');
+
+describe('Status Policy', () => {
+	describe('parseStatusRule', () => {
+		test('should read statuses, ranges and classes', () => {
+			expect(parseStatusRule('404')).toEqual({ status: '404', from: 404, to: 404 });
+			expect(parseStatusRule('500-599')).toEqual({ status: '500-599', from: 500, to: 599 });
+			expect(parseStatusRule('4XX')).toEqual({ status: '4xx', from: 400, to: 499 });
+		});
+
+		test('should reject anything else', () => {
+			expect(parseStatusRule('599-500')).toBeNull();
+			expect(parseStatusRule('600')).toBeNull();
+			expect(parseStatusRule('4x')).toBeNull();
+			expect(parseStatusRule('')).toBeNull();
+		});
+	});
+
+	describe('createStatusPolicy', () => {
+		test('should reject invalid rules and outcomes', () => {
+			expect(() => createStatusPolicy({ rules: { 40: 'dead' } })).toThrow('Invalid status rule "40"');
+			expect(() => createStatusPolicy({ rules: { 404: 'gone' } })).toThrow('Invalid outcome "gone" for status rule "404"');
+		});
+
+		test('should default the retries', () => {
+			expect(createStatusPolicy()).toMatchObject({ retries: 1, retryDelay: 5000, domains: [] });
+		});
+	});
+
+	describe('classifyStatus', () => {
+		const defaults = createStatusPolicy();
+
+		test('should keep login walls, rate limits and legal blocks out of dead', () => {
+			expect(classifyStatus(defaults, 'a.test', 200)).toEqual({ outcome: 'alive', rule: '2xx: alive (default)' });
+			expect(classifyStatus(defaults, 'a.test', 401)).toEqual({ outcome: 'alive', rule: '401: alive (default)' });
+			expect(classifyStatus(defaults, 'a.test', 429)).toEqual({ outcome: 'retry', rule: '429: retry (default)' });
+			expect(classifyStatus(defaults, 'a.test', 451)).toEqual({ outcome: 'inconclusive', rule: '451: inconclusive (default)' });
+			expect(classifyStatus(defaults, 'a.test', 404)).toEqual({ outcome: 'dead', rule: '4xx: dead (default)' });
+			expect(classifyStatus(defaults, 'a.test', 503)).toEqual({ outcome: 'dead', rule: '5xx: dead (default)' });
+			expect(classifyStatus(defaults, 'a.test', 600)).toBeNull();
+		});
+
+		test('should prefer domain overrides, then configured rules, then the narrowest range', () => {
+			const policy = createStatusPolicy({
+				rules: { '500-504': 'retry', 502: 'inconclusive' },
+				domains: { 'example.com': { '5xx': 'alive' }, 'shop.example.com': { 503: 'dead' } },
+			});
+
+			expect(classifyStatus(policy, 'a.test', 502)).toEqual({ outcome: 'inconclusive', rule: '502: inconclusive (config)' });
+			expect(classifyStatus(policy, 'a.test', 503)).toEqual({ outcome: 'retry', rule: '500-504: retry (config)' });
+			expect(classifyStatus(policy, 'a.test', 404)).toEqual({ outcome: 'dead', rule: '4xx: dead (default)' });
+			expect(classifyStatus(policy, 'www.example.com', 503)).toEqual({ outcome: 'alive', rule: '5xx: alive (example.com)' });
+			expect(classifyStatus(policy, 'shop.example.com', 503)).toEqual({ outcome: 'dead', rule: '503: dead (shop.example.com)' });
+			expect(classifyStatus(policy, 'shop.example.com', 500)).toEqual({ outcome: 'alive', rule: '5xx: alive (example.com)' });
+			expect(classifyStatus(policy, 'notexample.com', 503)).toMatchObject({ outcome: 'retry' });
+		});
+	});
+
+	describe('applyStatusPolicy', () => {
+		const policy = createStatusPolicy();
+
+		test('should set the verdict of HTTP answers', () => {
+			expect(
+				applyStatusPolicy(policy, 'a.test', { success: false, statusCode: 401, reason: 'HTTP 401', isDead: true, parked: null })
+			).toEqual({
+				success: true,
+				statusCode: 401,
+				reason: null,
+				isDead: false,
+				parked: null,
+				outcome: 'alive',
+				statusRule: '401: alive (default)',
+			});
+			expect(applyStatusPolicy(policy, 'a.test', { success: true, statusCode: 410, reason: null })).toMatchObject({
+				success: false,
+				isDead: true,
+				reason: 'HTTP 410',
+			});
+		});
+
+		test('should leave network errors and WAF pages alone', () => {
+			const error = { success: false, statusCode: null, reason: 'net::ERR_CONNECTION_REFUSED', isDead: true };
+			const waf = {
+				success: false,
+				statusCode: 403,
+				reason: 'Cloudflare challenge page (HTTP 403)',
+				protection: { provider: 'Cloudflare' },
+			};
+
+			expect(applyStatusPolicy(policy, 'a.test', error)).toBe(error);
+			expect(applyStatusPolicy(policy, 'a.test', waf)).toBe(waf);
+		});
+	});
+
+	describe('checkDomain', () => {
+		let statuses;
+
+		/**
+		 * Page pool
+		 * @param {*} codes - Status of each navigation, the last one repeating
+		 * @returns {*} Stand-in page pool
+		 */
+
+		const pagePool = codes => ({
+			acquire: async () => {
+				let currentUrl = 'about:blank';
+				return {
+					setUserAgent: async () => {},
+					on: () => {},
+					goto: async url => {
+						currentUrl = url;
+						const statusCode = codes.length > 1 ? codes.shift() : codes[0];
+						statuses.push(statusCode);
+						return { status: () => statusCode, headers: () => ({}) };
+					},
+					url: () => currentUrl,
+					cookies: async () => [],
+					content: async () => '<html></html>',
+				};
+			},
+			release: async () => {},
+		});
+
+		/**
+		 * Check
+		 * @param {*} domain - Parameter domain
+		 * @param {*} codes - Parameter codes (see pagePool)
+		 * @param {*} options - statusPolicy options (see createStatusPolicy)
+		 * @param {*} throttle - Parameter throttle
+		 * @returns {Promise<*>} checkDomain result
+		 */
+
+		const check = (domain, codes, options = {}, throttle = new Throttle({ backoff: 0, maxRequeues: 0 })) =>
+			checkDomain(
+				null,
+				{ original: domain, variants: [domain] },
+				0,
+				1,
+				false,
+				1000,
+				1000,
+				false,
+				null,
+				pagePool(codes),
+				null,
+				'browser',
+				createStatusPolicy({ retryDelay: 0, ...options }),
+				throttle
+			);
+
+		beforeEach(() => {
+			jest.spyOn(console, 'log').mockImplementation(() => {});
+			statuses = [];
+		});
+
+		afterEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		test('should keep login walls active', async () => {
+			expect(await check('intranet.test', [401])).toEqual({ type: null, data: null });
+		});
+
+		test('should report legal blocks as inconclusive with the rule', async () => {
+			expect(await check('blocked.test', [451])).toEqual({
+				type: 'inconclusive',
+				data: { domain: 'blocked.test', statusCode: 451, reason: 'HTTP 451', statusRule: '451: inconclusive (default)' },
+			});
+		});
+
+		test('should ask again after a retry status', async () => {
+			const rules = { rules: { 502: 'retry' } };
+
+			expect(await check('busy.test', [502, 200], rules)).toEqual({ type: null, data: null });
+			expect(statuses).toEqual([502, 200]);
+
+			statuses = [];
+			expect(await check('busy.test', [502], { ...rules, retries: 2 })).toEqual({
+				type: 'inconclusive',
+				data: { domain: 'busy.test', statusCode: 502, reason: 'HTTP 502 after 2 retries', statusRule: '502: retry (config)' },
+			});
+			expect(statuses).toEqual([502, 502, 502]);
+		});
+
+		test('should leave rate limits to the throttle instead of asking again in the worker', async () => {
+			const throttle = new Throttle({ backoff: 60000, maxRequeues: 1 });
+
+			expect(await check('busy.test', [429, 200], {}, throttle)).toMatchObject({ type: null, requeue: { attempt: 1 } });
+			expect(statuses).toEqual([429]);
+
+			statuses = [];
+			expect(await check('busy.test', [429])).toEqual({
+				type: 'inconclusive',
+				data: { domain: 'busy.test', statusCode: 429, reason: 'HTTP 429', statusRule: '429: retry (default)' },
+			});
+			expect(statuses).toEqual([429]);
+		});
+
+		test('should record the rule of dead results and honour domain overrides', async () => {
+			expect(await check('gone.test', [404])).toEqual({
+				type: 'dead',
+				data: { domain: 'gone.test', statusCode: 404, reason: 'HTTP 404', statusRule: '4xx: dead (default)' },
+			});
+			expect(await check('www.gone.test', [404], { domains: { 'gone.test': { 404: 'alive' } } })).toEqual({ type: null, data: null });
+		});
+	});
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for the adaptive request throttle
+ */
+
+const { parseRetryAfter, isThrottleSignal, Throttle } = require('../../lib/utils/throttle');
+const { processDomains } = require('../../lib/checkers/domainChecker');
+const { createStatusPolicy } = require('../../lib/checkers/statusPolicy');
+
+describe('Throttle', () => {
+	describe('parseRetryAfter', () => {
+		test('should read seconds and HTTP dates', () => {
+			const now = Date.parse('Mon, 19 Oct 2026 10:00:00 GMT');
+
+			expect(parseRetryAfter('120')).toBe(120000);
+			expect(parseRetryAfter('Mon, 19 Oct 2026 10:00:30 GMT', now)).toBe(30000);
+			expect(parseRetryAfter('Mon, 19 Oct 2026 09:00:00 GMT', now)).toBe(0);
+		});
+
+		test('should ignore missing and unreadable values', () => {
+			expect(parseRetryAfter(undefined)).toBeNull();
+			expect(parseRetryAfter('')).toBeNull();
+			expect(parseRetryAfter('soon')).toBeNull();
+		});
+	});
+
+	describe('isThrottleSignal', () => {
+		test('should flag 429, 503 and reset connections, but not WAF pages', () => {
+			expect(isThrottleSignal({ statusCode: 429 })).toBe(true);
+			expect(isThrottleSignal({ statusCode: 503 })).toBe(true);
+			expect(isThrottleSignal({ statusCode: null, errorCode: 'ERR_CONNECTION_RESET' })).toBe(true);
+			expect(isThrottleSignal({ statusCode: 503, protection: { provider: 'Sucuri' } })).toBe(false);
+			expect(isThrottleSignal({ statusCode: 404 })).toBe(false);
+			expect(isThrottleSignal({ statusCode: null, errorCode: 'ERR_NAME_NOT_RESOLVED' })).toBe(false);
+		});
+	});
+
+	describe('report', () => {
+		test('should double the backoff per signal up to the cap', () => {
+			const throttle = new Throttle({ backoff: 1000, maxBackoff: 3000 });
+
+			expect(throttle.report('a.test', { statusCode: 429 })).toBe(1000);
+			expect(throttle.report('www.a.test', { statusCode: 503 })).toBe(2000);
+			expect(throttle.report('shop.a.test', { statusCode: null, errorCode: 'ERR_CONNECTION_RESET' })).toBe(3000);
+			expect(throttle.remainingBackoff('a.test')).toBeGreaterThan(2000);
+			expect(throttle.remainingBackoff('b.test')).toBe(0);
+			expect(throttle.stats).toMatchObject({ signals: 3, sites: 1, retryAfter: 0, backoff: 6000 });
+		});
+
+		test('should honour Retry-After within the cap', () => {
+			const throttle = new Throttle({ backoff: 1000, maxBackoff: 60000 });
+
+			expect(throttle.report('a.test', { statusCode: 429, retryAfter: 20000 })).toBe(20000);
+			expect(throttle.report('b.test', { statusCode: 429, retryAfter: 3600000 })).toBe(60000);
+			expect(throttle.stats).toMatchObject({ signals: 2, sites: 2, retryAfter: 2 });
+		});
+
+		test('should end the streak on any other answer', () => {
+			const throttle = new Throttle({ backoff: 1000 });
+
+			throttle.report('a.test', { statusCode: 429 });
+			expect(throttle.report('a.test', { statusCode: null, errorCode: 'ERR_CONNECTION_REFUSED' })).toBeNull();
+			expect(throttle.remainingBackoff('a.test')).toBeGreaterThan(0);
+			expect(throttle.report('a.test', { statusCode: 200 })).toBeNull();
+			expect(throttle.remainingBackoff('a.test')).toBe(0);
+			expect(throttle.report('a.test', { statusCode: 429 })).toBe(1000);
+		});
+	});
+
+	describe('acquire', () => {
+		test('should report the backoff of the site instead of waiting it out', async () => {
+			const throttle = new Throttle({ backoff: 5000 });
+			throttle.report('a.test', { statusCode: 429 });
+
+			const start = Date.now();
+			expect(await throttle.acquire('b.test')).toBe(0);
+			expect(await throttle.acquire('www.a.test')).toBeGreaterThan(4000);
+			expect(Date.now() - start).toBeLessThan(1000);
+			expect(throttle.stats.waits).toBe(1);
+		});
+	});
+
+	describe('processDomains', () => {
+		/**
+		 * Browser
+		 * @param {*} statuses - { domain: [status of each visit, the last one repeating] }
+		 * @returns {*} Stand-in browser
+		 */
+
+		let visits;
+
+		const browser = statuses => ({
+			newPage: async () => {
+				let currentUrl = 'about:blank';
+				return {
+					setUserAgent: async () => {},
+					on: () => {},
+					goto: async url => {
+						currentUrl = url;
+						if (url === 'about:blank') {
+							return null;
+						}
+						visits.push(new URL(url).hostname);
+						const codes = statuses[new URL(url).hostname];
+						const statusCode = codes.length > 1 ? codes.shift() : codes[0];
+						return { status: () => statusCode, headers: () => ({ 'retry-after': '0' }) };
+					},
+					url: () => currentUrl,
+					cookies: async () => [],
+					content: async () => '<html></html>',
+					close: async () => {},
+				};
+			},
+			pages: async () => [],
+		});
+
+		/**
+		 * Run
+		 * @param {*} statuses - Parameter statuses (see browser)
+		 * @param {*} throttle - Parameter throttle
+		 * @returns {Promise<*>} processDomains results
+		 */
+
+		const run = (statuses, throttle, concurrency = 2) =>
+			processDomains(
+				browser(statuses),
+				Object.keys(statuses).map(domain => ({ original: domain, variants: [domain] })),
+				false,
+				1000,
+				{
+					quietMode: true,
+					forceCloseTimeout: 1000,
+					concurrency,
+					statusPolicy: createStatusPolicy({ retries: 0, retryDelay: 0 }),
+					throttle,
+				}
+			);
+
+		beforeEach(() => {
+			jest.spyOn(console, 'log').mockImplementation(() => {});
+			visits = [];
+		});
+
+		afterEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		test('should move on to other sites while one is backing off', async () => {
+			const throttle = new Throttle({ backoff: 200 });
+			throttle.report('slow.test', { statusCode: 429 });
+
+			const results = await run({ 'slow.test': [200], 'fast.test': [200] }, throttle, 1);
+
+			expect(results).toEqual([]);
+			expect(visits).toEqual(['fast.test', 'slow.test']);
+			expect(throttle.stats).toMatchObject({ waits: 1, requeued: 0 });
+		});
+
+		test('should re-queue throttled domains instead of marking them dead', async () => {
+			const throttle = new Throttle({ backoff: 10, maxRequeues: 3 });
+			const results = await run({ 'busy.test': [503, 429, 200], 'gone.test': [404] }, throttle);
+
+			expect(results.map(r => [r.data.domain, r.type])).toEqual([['gone.test', 'dead']]);
+			expect(throttle.stats).toMatchObject({ signals: 2, retryAfter: 2, requeued: 2, sites: 1 });
+		});
+
+		test('should judge the last answer once the re-queues run out', async () => {
+			const throttle = new Throttle({ backoff: 10, maxRequeues: 1 });
+			const results = await run({ 'busy.test': [503] }, throttle);
+
+			expect(results).toEqual([
+				{ type: 'dead', data: { domain: 'busy.test', statusCode: 503, reason: 'HTTP 503', statusRule: '5xx: dead (default)' } },
+			]);
+			expect(throttle.stats.requeued).toBe(1);
+		});
+	});
+});
@@ -0,0 +1,186 @@
+/**
+ * Unit tests for WAF and bot-challenge detection
+ */
+
+const { getCookieNames, detectWaf, formatWafReason } = require('../../lib/checkers/wafDetector');
+const { checkDomain } = require('../../lib/checkers/domainChecker');
+const { Throttle } = require('../../lib/utils/throttle');
+
+describe('WAF Detector', () => {
+	describe('getCookieNames', () => {
+		test('should read cookie names from set-cookie arrays and joined strings', () => {
+			expect(getCookieNames({ 'set-cookie': ['datadome=abc; Path=/', '__cf_bm=x; HttpOnly'] })).toEqual(['datadome', '__cf_bm']);
+			expect(getCookieNames({ 'set-cookie': 'a=1; Path=/\nb=2' })).toEqual(['a', 'b']);
+			expect(getCookieNames({})).toEqual([]);
+		});
+	});
+
+	describe('detectWaf', () => {
+		test('should recognise challenge pages whatever the status', () => {
+			const body = '<html><head><title>Just a moment...</title></head></html>';
+
+			expect(detectWaf({ statusCode: 403, headers: {}, body })).toEqual({ provider: 'Cloudflare', evidence: 'challenge page' });
+			expect(detectWaf({ statusCode: 200, headers: {}, body })).toEqual({ provider: 'Cloudflare', evidence: 'challenge page' });
+			expect(detectWaf({ statusCode: 200, headers: {}, body: '<script>window._cf_chl_opt={cvId:"3"}</script>' })).toMatchObject({
+				provider: 'Cloudflare',
+			});
+			expect(detectWaf({ statusCode: 403, headers: {}, body: '<script src="/_Incapsula_Resource?x=1"></script>' })).toMatchObject({
+				provider: 'Imperva',
+			});
+		});
+
+		test('should ignore challenge scripts injected into ordinary pages', () => {
+			const page = [
+				'<html><head><title>Acme Shop</title>',
+				'<script src="https://0a1b2c.edge.sdk.awswaf.com/0a1b2c/challenge.js"></script>',
+				'<script src="/_Incapsula_Resource?SWJIYLWA=719d34d31c8e3a6e6fffd425f7e032f3"></script></head>',
+				'<body><h1>Welcome</h1><p>Our spring collection is here.</p>',
+				"<script>(function(){var s=document.createElement('script');s.src='/cdn-cgi/challenge-platform/scripts/jsd/main.js';",
+				'document.head.appendChild(s);})();</script>',
+				'<script defer src="https://static.cloudflareinsights.com/beacon.min.js"></script></body></html>',
+			].join('\n');
+
+			expect(detectWaf({ statusCode: 200, headers: {}, body: page })).toBeNull();
+			expect(detectWaf({ statusCode: 301, headers: {}, body: page })).toBeNull();
+			expect(detectWaf({ statusCode: 403, headers: {}, body: page })).toMatchObject({ evidence: 'challenge page' });
+		});
+
+		test('should recognise block responses from headers, cookies and content', () => {
+			expect(detectWaf({ statusCode: 403, headers: { 'x-datadome': 'protected' }, body: '' })).toEqual({
+				provider: 'DataDome',
+				evidence: 'x-datadome header',
+			});
+			expect(detectWaf({ statusCode: 403, headers: { 'set-cookie': ['_abck=1; Path=/'] }, body: '' })).toEqual({
+				provider: 'Akamai',
+				evidence: '_abck cookie',
+			});
+			expect(detectWaf({ statusCode: 405, headers: {}, cookies: ['_px3'], body: '' })).toMatchObject({ provider: 'PerimeterX' });
+			expect(detectWaf({ statusCode: 403, headers: {}, body: '<h1>Access Denied</h1>Reference #18.4f2d1402.1700000000.1a2b3c' })).toEqual({
+				provider: 'Akamai',
+				evidence: 'block page',
+			});
+			expect(detectWaf({ statusCode: 403, headers: {}, body: 'Sucuri WebSite Firewall - Access Denied' })).toMatchObject({
+				provider: 'Sucuri',
+			});
+			expect(detectWaf({ statusCode: 403, headers: {}, body: '<div class="g-recaptcha"></div>' })).toMatchObject({ provider: 'captcha' });
+		});
+
+		test('should ignore WAF headers and cookies on normal pages and real errors', () => {
+			const headers = { server: 'cloudflare', 'x-iinfo': '1', 'set-cookie': ['__cf_bm=x'] };
+
+			expect(detectWaf({ statusCode: 200, headers, body: '<form><div class="g-recaptcha"></div></form>' })).toBeNull();
+			expect(detectWaf({ statusCode: 404, headers, body: 'Not Found' })).toBeNull();
+			expect(detectWaf({ statusCode: 503, headers: { server: 'cloudflare' }, body: 'Service Unavailable' })).toBeNull();
+		});
+
+		test('should only take 429 and 503 for a block when they carry a challenge', () => {
+			const headers = { 'cf-mitigated': 'challenge', 'x-iinfo': '1', 'set-cookie': ['__cf_bm=x; Path=/', '_abck=1; Path=/'] };
+			const outage = '<html><head><title>503 Service Unavailable</title></head><body>cf-error-details: origin is down</body></html>';
+
+			expect(detectWaf({ statusCode: 503, headers: { 'set-cookie': ['__cf_bm=x; Path=/'] }, body: 'Service Unavailable' })).toBeNull();
+			expect(detectWaf({ statusCode: 503, headers, body: outage })).toBeNull();
+			expect(detectWaf({ statusCode: 429, headers, body: 'Too Many Requests' })).toBeNull();
+			expect(detectWaf({ statusCode: 403, headers, body: outage })).toMatchObject({ provider: 'Cloudflare' });
+
+			expect(
+				detectWaf({ statusCode: 503, headers, body: '<script src="/cdn-cgi/challenge-platform/h/b/orchestrate/jsch/v1"></script>' })
+			).toEqual({
+				provider: 'Cloudflare',
+				evidence: 'challenge page',
+			});
+			expect(detectWaf({ statusCode: 429, headers: {}, body: '<title>Just a moment...</title>' })).toMatchObject({
+				provider: 'Cloudflare',
+			});
+		});
+	});
+
+	describe('formatWafReason', () => {
+		test('should name the provider, evidence and status', () => {
+			expect(formatWafReason({ provider: 'Cloudflare', evidence: 'challenge page' }, 403)).toBe('Cloudflare challenge page (HTTP 403)');
+			expect(formatWafReason({ provider: 'DataDome', evidence: 'datadome cookie' }, null)).toBe('DataDome datadome cookie');
+		});
+	});
+
+	describe('checkDomain', () => {
+		let pages;
+
+		/**
+		 * Page pool
+		 * @param {*} statusCode - Status of every navigation
+		 * @param {*} headers - Response headers of every navigation
+		 * @param {*} body - Content of every page
+		 * @returns {*} Stand-in page pool
+		 */
+
+		const pagePool = (statusCode, headers, body) => ({
+			acquire: async () => {
+				let currentUrl = 'about:blank';
+				pages++;
+				return {
+					setUserAgent: async () => {},
+					on: () => {},
+					goto: async url => {
+						currentUrl = url;
+						return { status: () => statusCode, headers: () => headers };
+					},
+					url: () => currentUrl,
+					cookies: async () => [],
+					content: async () => body,
+				};
+			},
+			release: async () => {},
+		});
+
+		/**
+		 * Check
+		 * @param {*} pool - Parameter pool
+		 * @returns {Promise<*>} checkDomain result
+		 */
+
+		const check = pool => checkDomain(null, { original: 'shop.test', variants: ['shop.test'] }, 0, 1, false, 1000, 1000, false, null, pool);
+
+		beforeEach(() => {
+			jest.spyOn(console, 'log').mockImplementation(() => {});
+			pages = 0;
+		});
+
+		afterEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		test('should report WAF block pages as protected instead of dead', async () => {
+			expect(await check(pagePool(403, { 'cf-mitigated': 'challenge' }, '<html></html>'))).toEqual({
+				type: 'protected',
+				data: { domain: 'shop.test', statusCode: 403, reason: 'Cloudflare cf-mitigated header (HTTP 403)', provider: 'Cloudflare' },
+			});
+			expect(pages).toBe(1);
+		});
+
+		test('should keep plain 403 responses dead', async () => {
+			expect((await check(pagePool(403, {}, '<h1>Forbidden</h1>'))).type).toBe('dead');
+		});
+
+		test('should not call an outage behind a bot-management cookie protected', async () => {
+			const pool = pagePool(503, { 'set-cookie': '__cf_bm=x; Path=/' }, 'Service Unavailable');
+			const throttle = new Throttle({ backoff: 0, maxRequeues: 0 });
+			const result = await checkDomain(
+				null,
+				{ original: 'shop.test', variants: ['shop.test'] },
+				0,
+				1,
+				false,
+				1000,
+				1000,
+				false,
+				null,
+				pool,
+				null,
+				'browser',
+				undefined,
+				throttle
+			);
+
+			expect(result).toMatchObject({ type: 'dead', data: { statusCode: 503, reason: 'HTTP 503' } });
+		});
+	});
+});
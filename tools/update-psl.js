@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Refreshes the bundled Public Suffix List snapshot (lib/data/public_suffix_list.dat).
+ * - Downloads the current list from publicsuffix.org.
+ * - Sanity-checks the download before overwriting the snapshot.
+ */
+
+const fs = require('fs');
+const https = require('https');
+const { PUBLIC_SUFFIX_LIST_FILE, parsePublicSuffixList } = require('../lib/utils/publicSuffix');
+
+const PSL_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+
+function download(url) {
+	return new Promise((resolve, reject) => {
+		https
+			.get(url, response => {
+				if (response.statusCode !== 200) {
+					response.resume();
+					reject(new Error(`failed to download: HTTP ${response.statusCode}`));
+					return;
+				}
+
+				let data = '';
+				response.setEncoding('utf8');
+				response.on('data', chunk => {
+					data += chunk;
+				});
+				response.on('end', () => resolve(data));
+			})
+			.on('error', reject);
+	});
+}
+
+(async function main() {
+	console.log(`⬇️ downloading ${PSL_URL}...`);
+
+	let content;
+	try {
+		content = await download(PSL_URL);
+	} catch (error) {
+		console.error(`❌ ${error.message}`);
+		process.exit(1);
+	}
+
+	// Refuse to overwrite the snapshot with something that isn't a suffix list
+	const rules = parsePublicSuffixList(content);
+	if (!content.includes('===BEGIN ICANN DOMAINS===') || !rules.suffixes.has('com') || !rules.suffixes.has('co.uk')) {
+		console.error('❌ downloaded file does not look like the Public Suffix List - snapshot left unchanged');
+		process.exit(1);
+	}
+
+	fs.writeFileSync(PUBLIC_SUFFIX_LIST_FILE, content, 'utf8');
+	console.log(`✅ wrote ${rules.suffixes.size + rules.wildcards.size + rules.exceptions.size} rules to ${PUBLIC_SUFFIX_LIST_FILE}`);
+})();
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Refreshes the bundled IANA TLD snapshot (lib/data/tlds-alpha-by-domain.txt).
+ * - Downloads the current root zone TLD list from data.iana.org.
+ * - Sanity-checks the download before overwriting the snapshot.
+ */
+
+const fs = require('fs');
+const https = require('https');
+const { TLD_LIST_FILE, parseTldList } = require('../lib/utils/domainLint');
+
+const TLD_LIST_URL = 'https://data.iana.org/TLD/tlds-alpha-by-domain.txt';
+
+function download(url) {
+	return new Promise((resolve, reject) => {
+		https
+			.get(url, response => {
+				if (response.statusCode !== 200) {
+					response.resume();
+					reject(new Error(`failed to download: HTTP ${response.statusCode}`));
+					return;
+				}
+
+				let data = '';
+				response.setEncoding('utf8');
+				response.on('data', chunk => {
+					data += chunk;
+				});
+				response.on('end', () => resolve(data));
+			})
+			.on('error', reject);
+	});
+}
+
+(async function main() {
+	console.log(`⬇️ downloading ${TLD_LIST_URL}...`);
+
+	let content;
+	try {
+		content = await download(TLD_LIST_URL);
+	} catch (error) {
+		console.error(`❌ ${error.message}`);
+		process.exit(1);
+	}
+
+	// Refuse to overwrite the snapshot with something that isn't a TLD list
+	const tlds = parseTldList(content);
+	if (!tlds.has('com') || !tlds.has('uk') || Array.from(tlds).some(tld => !/^[a-z0-9-]+$/.test(tld))) {
+		console.error('❌ downloaded file does not look like the IANA TLD list - snapshot left unchanged');
+		process.exit(1);
+	}
+
+	fs.writeFileSync(TLD_LIST_FILE, content, 'utf8');
+	console.log(`✅ wrote ${tlds.size} TLDs to ${TLD_LIST_FILE}`);
+})();